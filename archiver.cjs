@@ -8,6 +8,7 @@
  *
  * Core features:
  *  - PROFILES env (e.g. desktop,mobile)
+ *  - --recipe NAME[@VERSION]|recipe.json: settings from a saved site recipe (lib/recipes.cjs), recorded in site-recipe.json
  *  - Per-profile rendering & output subfolders
  *  - Shared asset dedupe across profiles
  *  - Optional mobile meta viewport injection
@@ -25,6 +26,24 @@ const { HttpsProxyAgent } = require('https-proxy-agent');
 const https = require('https');
 const cheerio = require('cheerio');
 const { buildSameSiteChecker, getETLDPlusOne } = require('./lib/domain.cjs');
+const { loadCaptureState, capturedProfiles, recordKey, mergeManifest } = require('./lib/run-state.cjs');
+const { planRefresh, writeChangeReport, pickValidators } = require('./lib/refresh.cjs');
+const { createWarcWriter, writeWaczPackage } = require('./lib/warc.cjs');
+const { zipDirectory } = require('./lib/hostingPrep.cjs');
+const { createHostScheduler } = require('./lib/host-scheduler.cjs');
+const { createBrowserPool, isBrowserCrash } = require('./lib/browser-pool.cjs');
+const { buildSources: buildDiscoverySources, runDiscovery, writeDiscoveryOutputs } = require('./lib/discovery/engine.cjs');
+const { captureScreenshots } = require('./lib/screenshots.cjs');
+const { canonicalizeUrl, pageRelFromUrl: canonPageRel, canonicalFromHtml } = require('./lib/url-canon.cjs');
+const { expandListing } = require('./lib/listing-expand.cjs');
+const { writeXhrRecords } = require('./lib/xhr-store.cjs');
+const { extractVariants, shopifyJsonUrl } = require('./lib/product-variants.cjs');
+const { siteOf, historyDirFor, loadSharedSkuMap, mergeSharedSkuMap, reserveSharedSku, recordRunFromDir } = require('./lib/catalog-history.cjs');
+const { extractHreflang, pageLocale, localeAllowed, buildLocaleGraph, writeLocaleGraph, LOCALES_FILE } = require('./lib/locales.cjs');
+const { CONSENT_OVERLAY_SELECTORS, classifyError, classifyPage, detectBlock, groupByCode } = require('./lib/capture-codes.cjs');
+const { RECIPES_DIR, RUN_RECIPE_FILE, createRecipeStore, recipeEnv, writeRunRecipe, parseProxyToObject } = require('./lib/recipes.cjs');
+const { createConsentEngine } = require('./lib/consent-automation.cjs');
+const { applyTransforms, saveRecipe: saveTransformRecipe } = require('./transform.cjs');
 const cp = require('child_process');
 
 /* ------------ Utility ------------ */
@@ -56,6 +75,30 @@ function isLikelyAsset(u,ct){
   return false;
 }
 
+/* ------------ Site recipe ------------ */
+// --recipe NAME[@VERSION] | file.json: a saved site recipe (lib/recipes.cjs) fills the environment before
+// the ENV block below reads it. Variables already set in the environment win, so one-off overrides still work.
+let SITE_RECIPE=null, SITE_RECIPE_REF='';
+{
+  const i=process.argv.findIndex(a=>a==='--recipe'||a.startsWith('--recipe='));
+  if(i!==-1){
+    const a=process.argv[i];
+    SITE_RECIPE_REF=a.includes('=') ? a.slice(a.indexOf('=')+1) : (process.argv[i+1]||'');
+    process.argv.splice(i, a.includes('=') ? 1 : 2);
+    try{
+      SITE_RECIPE=createRecipeStore(RECIPES_DIR).load(SITE_RECIPE_REF, { allowFile:true });
+      for(const [k,v] of Object.entries(recipeEnv(SITE_RECIPE))) if(process.env[k]==null) process.env[k]=v;
+      const recipeProxies=(SITE_RECIPE.settings.network||{}).proxies||[];
+      if(recipeProxies.length && !process.env.PROXIES_FILE && process.argv[3]){
+        const f=path.join(process.argv[3],'_crawl','proxies.json');
+        fs.mkdirSync(path.dirname(f),{recursive:true});
+        fs.writeFileSync(f, JSON.stringify(recipeProxies.map(parseProxyToObject),null,2));
+        process.env.PROXIES_FILE=f;
+      }
+    }catch(e){ console.error('[RECIPE_ERR]', e.message); process.exit(1); }
+  }
+}
+
 /* ------------ ENV ------------ */
 const ENGINE=(process.env.ENGINE||'chromium').toLowerCase();
 const CONCURRENCY=envN('CONCURRENCY',2);
@@ -110,12 +153,18 @@ const GENERATE_PAYMENT_MAP_FROM_CATALOG = envB('GENERATE_PAYMENT_MAP_FROM_CATALO
 const FOUND_PRODUCT_IDS = new Map();
 /* Product catalog + local SKU registry */
 const ENABLE_CATALOG = envB('ENABLE_CATALOG', true);
+// Per-site history store shared by all runs (lib/catalog-history.cjs): SKU map + price/title/stock changes
+const CATALOG_HISTORY = envB('CATALOG_HISTORY', true);
 let CATALOG = [];
 let SKU_MAP = { next: 1, byKey: {} };
+// Site history store whose sku-map.json hands out new SKUs (set when CATALOG_HISTORY applies)
+let SKU_STORE_DIR = '';
 const CATALOG_DIR_NAME = 'catalog';
 function catalogDir(outRoot){ return path.join(outRoot, CATALOG_DIR_NAME); }
 function skuString(n){ return 'SKU-' + String(n).padStart(6, '0'); }
-function loadExistingCatalog(outDir){
+// site: history store key; a new run dir starts from the store's SKU map so SKUs stay stable across runs,
+// and new keys reserve their SKU in that map so concurrent runs of the site never reuse a number
+function loadExistingCatalog(outDir, site){
   if (!ENABLE_CATALOG) return;
   try { ensureDir(catalogDir(outDir)); } catch {}
   try{
@@ -126,6 +175,13 @@ function loadExistingCatalog(outDir){
     const f = path.join(catalogDir(outDir), 'sku-map.json');
     if (fs.existsSync(f)) { const o = JSON.parse(fs.readFileSync(f,'utf8')) || {}; SKU_MAP = { next: Number(o.next)||1, byKey: o.byKey||{} }; }
   }catch{ SKU_MAP = { next: 1, byKey: {} }; }
+  if (CATALOG_HISTORY && site) {
+    try {
+      SKU_STORE_DIR = historyDirFor(outDir, site);
+      const shared = loadSharedSkuMap(SKU_STORE_DIR);
+      SKU_MAP = { next: Math.max(SKU_MAP.next, shared.next), byKey: { ...shared.byKey, ...SKU_MAP.byKey } };
+    } catch (e) { console.warn('[CATALOG_HISTORY_ERR]', e.message); }
+  }
 }
 function saveCatalog(outDir){
   if (!ENABLE_CATALOG) return;
@@ -138,6 +194,14 @@ function assignSkuForKey(key){
   if (!key) return '';
   const cur = SKU_MAP.byKey[key];
   if (cur) return cur;
+  if (SKU_STORE_DIR) {
+    try {
+      const r = reserveSharedSku(SKU_STORE_DIR, key, skuString);
+      SKU_MAP.next = Math.max(SKU_MAP.next, r.next);
+      SKU_MAP.byKey[key] = r.sku;
+      return r.sku;
+    } catch (e) { console.warn('[CATALOG_HISTORY_ERR] sku reservation:', e.message); }
+  }
   const sku = skuString(SKU_MAP.next++);
   SKU_MAP.byKey[key] = sku;
   return sku;
@@ -155,7 +219,8 @@ function normalizeProductKeyFromUrl(uStr){
     return key;
   }catch{ return String(uStr||''); }
 }
-function extractProductFromPage(html, pageUrl){
+// shopifyJson: the page's /products/<handle>.json when it was fetched (see captureProfile)
+function extractProductFromPage(html, pageUrl, { shopifyJson=null }={}){
   try{
     const $ = cheerio.load(html, { decodeEntities: false });
     // 1) Try JSON-LD Product
@@ -198,6 +263,12 @@ function extractProductFromPage(html, pageUrl){
       const m = cand.match(/([$]|USD|EUR|GBP)\s*([0-9]+(?:[.,][0-9]{2})?)/i);
       if (m) { currency = (m[1]||'').replace(/[^A-Z$]/gi,'').toUpperCase(); price = m[2].replace(',','.'); }
     }
+    // Options/variants (size, colour; per-variant SKU, price, stock, image)
+    const v = extractVariants($, pageUrl, { basePrice: price, shopifyJson });
+    if (!price && v){
+      const prices = v.variants.map(x=>x.price).filter(x=>x!=null);
+      if (prices.length) price = String(Math.min(...prices));
+    }
     // If still no price, skip catalog entry
     if (!name || !price) return null;
     // Currency normalization
@@ -206,7 +277,7 @@ function extractProductFromPage(html, pageUrl){
       currency = (cmeta||'USD').toUpperCase();
     }
     const key = normalizeProductKeyFromUrl(pageUrl);
-    return { key, name, description, price: Number(price)||0, currency, images };
+    return { key, name, description, price: Number(price)||0, currency, images, options: v ? v.options : [], variants: v ? v.variants : [] };
   }catch{ return null; }
 }
 
@@ -219,6 +290,12 @@ const COMMERCE_PLATFORM_HINT = process.env.COMMERCE_PLATFORM_HINT || 'opencart';
 
 /* Optional internal discovery (no external crawler) */
 const DISCOVER_IN_ARCHIVER = envB('DISCOVER_IN_ARCHIVER', false);
+// Sources for the shared discovery frontier (lib/discovery/engine.cjs): bfs,sitemap,deep,id-enum
+const DISCOVERY_SOURCES = process.env.DISCOVERY_SOURCES || 'bfs';
+// Sitemap source: only URLs changed since SITEMAP_SINCE (ISO date); undated ones are kept unless disabled
+const SITEMAP_SINCE = process.env.SITEMAP_SINCE || '';
+const SITEMAP_INCLUDE_UNDATED = envB('SITEMAP_INCLUDE_UNDATED', true);
+const SITEMAP_MAX = envN('SITEMAP_MAX', 5000);
 const USE_DISCOVERY_GRAPH = envB('USE_DISCOVERY_GRAPH', true);
 // Prefer using the entire graph (all doc-like nodes) rather than limiting to DISCOVER_MAX_PAGES
 const DISCOVER_USE_GRAPH_FULL = envB('DISCOVER_USE_GRAPH_FULL', false);
@@ -240,6 +317,67 @@ function isDocLikeUrl(u){
   try { const p = new URL(u).pathname || '/'; return !/\.[a-z0-9]{2,6}$/i.test(p); } catch { return true; }
 }
 
+/* Resume (skip pages already captured ok in manifest.partial.jsonl / index.json; retry failures) */
+const RESUME = envB('RESUME', false) || process.argv.includes('--resume');
+const RESUME_RETRY_FAILED = envB('RESUME_RETRY_FAILED', true);
+/* Refresh (conditional re-capture: only re-render pages whose HTML or critical CSS/JS changed) */
+const REFRESH = envB('REFRESH', false) || process.argv.includes('--refresh');
+const REFRESH_CHECK_CONCURRENCY = envN('REFRESH_CHECK_CONCURRENCY', 6);
+const CRITICAL_ASSETS_MAX = envN('CRITICAL_ASSETS_MAX', 40);
+
+/* WARC/WACZ output alongside the folder mirror */
+const WARC_OUTPUT = envB('WARC_OUTPUT', false);
+const WACZ_OUTPUT = envB('WACZ_OUTPUT', true);
+const WARC_MAX_BODY_BYTES = envN('WARC_MAX_BODY_BYTES', 50*1024*1024);
+let warcWriter = null;
+
+/* Bot-challenge handling: back off, rotate proxy + UA, mark "blocked" when every attempt hits a challenge */
+const CHALLENGE_DETECT = envB('CHALLENGE_DETECT', true);
+const CHALLENGE_RETRIES = envN('CHALLENGE_RETRIES', 2);
+const CHALLENGE_BACKOFF_MS = envN('CHALLENGE_BACKOFF_MS', 4000);
+
+/* Per-host politeness: robots.txt Disallow/Crawl-delay, per-host concurrency + min delay, adaptive backoff */
+const IGNORE_ROBOTS = envB('IGNORE_ROBOTS', false) || process.argv.includes('--ignore-robots');
+const IGNORE_CRAWL_DELAY = envB('IGNORE_CRAWL_DELAY', false);
+const ROBOTS_AGENT = process.env.ROBOTS_AGENT || 'archiver';
+const HOST_CONCURRENCY = envN('HOST_CONCURRENCY', 2);
+const HOST_MIN_DELAY_MS = envN('HOST_MIN_DELAY_MS', 500);
+const HOST_MAX_DELAY_MS = envN('HOST_MAX_DELAY_MS', 60000);
+const HOST_SLOW_MS = envN('HOST_SLOW_MS', 15000);
+let hostSched = null; // created once the seeds are known; captures route their sub-requests through it too
+
+/* Browser pool: one long-lived browser per worker, fresh context (with its own proxy) per capture */
+const BROWSER_POOL = envB('BROWSER_POOL', true);
+const BROWSER_RECYCLE_PAGES = envN('BROWSER_RECYCLE_PAGES', 50);
+
+/* Screenshots: full-page PNG + thumbnail per profile next to index.html (see tools/visual-diff.cjs) */
+const SCREENSHOTS = envB('SCREENSHOTS', false);
+const SCREENSHOT_THUMB_WIDTH = envN('SCREENSHOT_THUMB_WIDTH', 320);
+const SCREENSHOT_MAX_HEIGHT = envN('SCREENSHOT_MAX_HEIGHT', 12000);
+
+/* API capture: XHR/fetch responses (JSON, fragments) per page so SPAs can hydrate offline (lib/xhr-store.cjs, server.cjs REPLAY_XHR) */
+const CAPTURE_API = envB('CAPTURE_API', true);
+const API_MAX_BYTES = envN('API_MAX_BYTES', 2*1024*1024);
+const API_MAX_PER_PAGE = envN('API_MAX_PER_PAGE', 300);
+const API_CT_RX = /json|graphql|xml|html|text\/plain/i;
+
+/* Listing expansion: "load more" buttons, infinite scroll and virtual-scroll containers (lib/listing-expand.cjs).
+   Opt-in; pages with fewer than LISTING_MIN_ITEMS repeated items are not treated as listings. */
+const LISTING_EXPAND = envB('LISTING_EXPAND', false);
+const LISTING_MIN_ITEMS = envN('LISTING_MIN_ITEMS', 8);
+const LISTING_MAX_ROUNDS = envN('LISTING_MAX_ROUNDS', 30);
+const LISTING_MAX_MS = envN('LISTING_MAX_MS', 60000);
+const LISTING_MAX_ITEMS = envN('LISTING_MAX_ITEMS', 0);
+const LISTING_ITEM_SELECTOR = process.env.LISTING_ITEM_SELECTOR || '';
+const LISTING_BUTTON_SELECTORS = (process.env.LISTING_BUTTON_SELECTORS||'').split(',').map(s=>s.trim()).filter(Boolean);
+// Keep the XHR/fetch responses of each expansion round for offline replay (<page>/_xhr, xhr.json)
+const LISTING_RECORD_XHR = envB('LISTING_RECORD_XHR', true);
+
+/* Locale mode: queue hreflang siblings of captured pages and write locales.json (served by server.cjs) */
+const LOCALE_MODE = envB('LOCALE_MODE', false);
+const LOCALES_ALLOW = (process.env.LOCALES||'').split(',').map(s=>s.trim()).filter(Boolean); // e.g. "fr-fr,en-gb" or "fr"
+const LOCALE_MAX_PAGES = envN('LOCALE_MAX_PAGES', 500);
+
 /* Same-site ENV */
 const SAME_SITE_MODE=(process.env.SAME_SITE_MODE||'etld').toLowerCase(); // 'exact' | 'subdomains' | 'etld'
 const INTERNAL_HOSTS_REGEX=(process.env.INTERNAL_HOSTS_REGEX||'');
@@ -261,7 +399,7 @@ const PROFILE_ASSET_DEDUP=envB('PROFILE_ASSET_DEDUP',true);
 const INJECT_MOBILE_META=envB('INJECT_MOBILE_META',true);
 
 /* Consent ENV */
-let CONSENT_BUTTON_TEXTS=(process.env.CONSENT_BUTTON_TEXTS||'').split(',').map(s=>s.trim()).filter(Boolean);
+const CONSENT_BUTTON_TEXTS=(process.env.CONSENT_BUTTON_TEXTS||'').split(',').map(s=>s.trim()).filter(Boolean);
 const CONSENT_EXTRA_SELECTORS=(process.env.CONSENT_EXTRA_SELECTORS||'').split(',').map(s=>s.trim()).filter(Boolean);
 const CONSENT_FORCE_REMOVE_SELECTORS=(process.env.CONSENT_FORCE_REMOVE_SELECTORS||'').split(',').map(s=>s.trim()).filter(Boolean);
 const CONSENT_RETRY_ATTEMPTS=envN('CONSENT_RETRY_ATTEMPTS',18);
@@ -270,6 +408,7 @@ const CONSENT_IFRAME_SCAN=envB('CONSENT_IFRAME_SCAN',true);
 const CONSENT_MUTATION_WINDOW_MS=envN('CONSENT_MUTATION_WINDOW_MS',12000);
 const FORCE_CONSENT_WAIT_MS=envN('FORCE_CONSENT_WAIT_MS',800);
 const INJECT_ACCEPT_COOKIE=envB('INJECT_ACCEPT_COOKIE',false);
+const CONSENT_PROVIDERS_FILE=(process.env.CONSENT_PROVIDERS_FILE||'').trim();
 const CONSENT_DEBUG=envB('CONSENT_DEBUG',false);
 const CONSENT_DEBUG_SCREENSHOT=envB('CONSENT_DEBUG_SCREENSHOT',false);
 
@@ -291,21 +430,7 @@ if(AGGRESSIVE_CAPTURE){
   if(MAX_CAPTURE_MS<30000) MAX_CAPTURE_MS=30000;
 }
 
-/* Consent defaults */
-if(!CONSENT_BUTTON_TEXTS.length){
-  CONSENT_BUTTON_TEXTS=[
-    // English
-    'allow all','accept all','accept','agree','ok','okay','got it',
-    'allow cookies','accept cookies',
-    // German
-    'alle cookies akzeptieren','akzeptieren','zustimmen','einverstanden','alles akzeptieren','einwilligen',
-    // ES/PT/IT/FR
-    'aceptar','aceitar','aceptar todo','aceitar tudo','aceptar todas','aceitar todos',
-    'accetta','accetta tutti',"j'accepte",'tout accepter',
-    // Nordics / Dutch
-    'godta alle','till?t alla','accepteren','alles toestaan'
-  ];
-}
+/* Consent texts: CONSENT_BUTTON_TEXTS adds to the multilingual list in consent-providers.json */
 function normalizeBtnText(t){ return t.replace(/\u00A0/g,' ').replace(/\s+/g,' ').trim().toLowerCase(); }
 function simplifyForMatch(t){ return normalizeBtnText(t).replace(/[0-9]/g,'').replace(/[|:;,.()<>??"']/g,'').replace(/\s+/g,' ').trim(); }
 const CONSENT_TEXTS_NORM=CONSENT_BUTTON_TEXTS.map(normalizeBtnText);
@@ -318,10 +443,14 @@ const seedsFile=process.argv[2];
 const outputRoot=process.argv[3];
 console.log('[ARCHIVER_BOOT]',{
   pid:process.pid,seedsFile,outputRoot,ENGINE,CONCURRENCY,HEADLESS,
-  RAW_ONLY,AGGRESSIVE_CAPTURE,PROFILES:PROFILES_LIST
+  RAW_ONLY,AGGRESSIVE_CAPTURE,PROFILES:PROFILES_LIST,RESUME,REFRESH,WARC_OUTPUT,
+  CHALLENGE:CHALLENGE_DETECT?('retries='+CHALLENGE_RETRIES):'off',
+  ROBOTS:IGNORE_ROBOTS?'ignored':'respected',HOST_CONCURRENCY,HOST_MIN_DELAY_MS,
+  BROWSER_POOL:BROWSER_POOL?('recycle='+BROWSER_RECYCLE_PAGES):'off',SCREENSHOTS,
+  RECIPE:SITE_RECIPE?`${SITE_RECIPE.name}@${SITE_RECIPE.version||'file'}`:''
 });
 if(!seedsFile||!outputRoot){
-  console.error('Usage: node archiver.cjs <seedsFile> <outputDir>');
+  console.error('Usage: node archiver.cjs <seedsFile> <outputDir> [--recipe NAME[@VERSION]|recipe.json]');
   process.exit(1);
 }
 
@@ -359,15 +488,20 @@ function readSeeds(f){
   if(DOMAIN_FILTER_ENV){
     try{ const rx=new RegExp(DOMAIN_FILTER_ENV,'i'); lines=lines.filter(l=>rx.test(l)); }catch{}
   }
+  // One seed per canonical URL (url-rules.json); the first spelling wins
+  const byKey=new Map();
+  for(const l of lines){
+    const key=canonicalizeUrl(l)||l;
+    if(!byKey.has(key)) byKey.set(key,l);
+  }
   // Ensure PRIMARY_START_URL is included and first, if provided
   try{
     if (PRIMARY_START_URL) {
-      const set = new Set(lines);
-      set.delete(PRIMARY_START_URL);
-      return [PRIMARY_START_URL, ...set];
+      byKey.delete(canonicalizeUrl(PRIMARY_START_URL)||PRIMARY_START_URL);
+      return [PRIMARY_START_URL, ...byKey.values()];
     }
   } catch {}
-  return [...new Set(lines)];
+  return [...byKey.values()];
 }
 function localPath(uStr){
   const u=new URL(uStr);
@@ -376,32 +510,10 @@ function localPath(uStr){
 
 // Include query params in page path to uniquely map dynamic routes (e.g., index.php?route=category)
 const INCLUDE_PAGE_QUERY_IN_PATH = envB('INCLUDE_PAGE_QUERY_IN_PATH', true);
-function slugifyQuery(searchParams){
-  try{
-    const entries = [];
-    for (const [k,v] of searchParams.entries()) entries.push([k,v]);
-    entries.sort((a,b)=> a[0]===b[0] ? String(a[1]).localeCompare(String(b[1])) : a[0].localeCompare(b[0]));
-    const parts = entries.map(([k,v])=>{
-      const kk=String(k).replace(/[^a-z0-9]+/gi,'_').replace(/^_+|_+$/g,'');
-      const vv=String(v).replace(/[^a-z0-9]+/gi,'_').replace(/^_+|_+$/g,'');
-      return kk + (vv?('_'+vv):'');
-    }).filter(Boolean);
-    if(!parts.length) return '';
-    const slug = parts.join('__');
-    return slug.length>120 ? (slug.slice(0,100)+'__'+sha16(slug)) : slug;
-  }catch{ return ''; }
-}
+// Folder names come from lib/url-canon.cjs so server.cjs resolves the same path
 function pageRelFromUrl(u){
-  let p=(u.pathname||'').replace(/\/+$/,'');
-  if(p==='') p = FLATTEN_ROOT_INDEX ? '' : 'index';
-  else p = p.replace(/^\/+/,'');
-  if(INCLUDE_PAGE_QUERY_IN_PATH){
-    try{
-      const qs = slugifyQuery(u.searchParams||new URLSearchParams());
-      if(qs){ p = (p||'index') + '__' + qs; }
-    }catch{}
-  }
-  return p;
+  const rel = canonPageRel(u && u.href ? u.href : String(u), { flattenRoot: FLATTEN_ROOT_INDEX, includeQuery: INCLUDE_PAGE_QUERY_IN_PATH });
+  return rel == null ? (FLATTEN_ROOT_INDEX ? '' : 'index') : rel;
 }
 
 /* ------------ Proxies ------------ */
@@ -421,6 +533,15 @@ function nextProxy(pageNum){
   }
   return {server:base.server, username, password:base.password};
 }
+// Advance to the next PROXIES_FILE entry (used after a bot challenge); fresh session id when the username carries one
+// (picks the entry directly: nextProxy's ROTATE_EVERY step would skip one on some page numbers)
+function rotateProxy(){
+  if(!proxies.length) return null;
+  const base=proxies[++proxyIndex % proxies.length];
+  let username=base.username||'';
+  if(STABLE_SESSION || ROTATE_SESSION) username=username.replace(/(session-)[A-Za-z0-9_-]+/,(_,s)=>s+randSession());
+  return {server:base.server, username, password:base.password};
+}
 
 /* ------------ Raw fallback ------------ */
 function rawFetchProxy(url,proxy){
@@ -457,6 +578,17 @@ function chooseUA(profile){
   if(ALT_USER_AGENTS.length) return ALT_USER_AGENTS[Math.floor(Math.random()*ALT_USER_AGENTS.length)];
   return 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124 Safari/537.36';
 }
+// UA for challenge retry `attempt` (1-based): ALT_USER_AGENTS first, otherwise borrow other device profiles' UAs
+const FALLBACK_RETRY_UAS=[
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Safari/605.1.15',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:125.0) Gecko/20100101 Firefox/125.0'
+];
+function retryUserAgent(profile,attempt){
+  const own=profile && profile.userAgent;
+  const pool=ALT_USER_AGENTS.length ? ALT_USER_AGENTS
+    : [...new Set([...Object.values(PROFILE_DATA||{}).map(p=>p && p.userAgent), ...FALLBACK_RETRY_UAS].filter(ua=>ua && ua!==own))];
+  return pool.length ? pool[(attempt-1)%pool.length] : chooseUA(profile);
+}
 async function createBrowser(proxyObj){
   const args=['--no-sandbox','--disable-dev-shm-usage','--disable-blink-features=AutomationControlled'];
   if(DISABLE_HTTP2 && ENGINE==='chromium'){
@@ -469,6 +601,16 @@ async function createBrowser(proxyObj){
   if(ENGINE==='chromium') launch.args=args;
   return engine.launch(launch);
 }
+// Proxy for a capture context (contexts, not browsers, carry the proxy so one browser serves every proxy)
+function contextProxy(proxyObj){
+  return proxyObj ? { proxy:{ server:proxyObj.server, username:proxyObj.username, password:proxyObj.password } } : {};
+}
+const browserPool=createBrowserPool({
+  launch:()=>createBrowser(null),
+  maxPages:BROWSER_RECYCLE_PAGES,
+  reuse:BROWSER_POOL,
+  log:(...a)=>console.log(...a)
+});
 
 /* ------------ Stealth (capture-time only) ------------ */
 async function applyStealth(context){
@@ -689,217 +831,27 @@ function injectOfflineFallbackShim(html, assetIndex, baseOrigin) {
   }
 }
 
-/* ------------ Consent logic (robust, all-frames) ------------ */
-async function attemptConsent(page){
-  const DEBUG = CONSENT_DEBUG;
-
-  const BUILTIN_SELECTORS = [
-    // OneTrust
-    '#onetrust-accept-btn-handler','.ot-pc-accept-all','.ot-sdk-container #accept-recommended-btn-handler',
-    // Usercentrics
-    'button[data-testid="uc-accept-all-button"]','button[id^="uc-center-container"] button[aria-label*="accept" i]',
-    // Cookiebot
-    '#CybotCookiebotDialogBodyLevelButtonAccept','#CybotCookiebotDialogBodyButtonAccept',
-    // consentmanager / Sourcepoint
-    'button.sp_choice_type_11','.sp-message-button[data-qa="accept-all"]','.sp_msg_choice.sp_choice_type_11',
-    // Klaro
-    '.klaro .cm-btn-accept','.klaro .cookie-modal-accept-all',
-    // Didomi
-    '#didomi-accept-button','.didomi-accept-button',
-    // Complianz
-    '.cmplz-accept','.cmplz-btn-accept',
-    // Generic
-    'button[aria-label*="accept" i]','button[id*="accept" i]','button[class*="accept" i]',
-    'button[aria-label*="zustimm" i]','button[class*="zustimm" i]'
-  ];
-  const BUILTIN_CONTAINERS = [
-    '#onetrust-banner-sdk','#CybotCookiebotDialog','#usercentrics-root',
-    'div[id^="sp_message_container_"]','.sp-message-container',
-    '.cm-wrapper','.cm__container','.cc-window','.cookie-consent','.cookieconsent','.cookiebar'
-  ];
-  const BUILTIN_FORCE_REMOVE = [
-    '#onetrust-banner-sdk','#usercentrics-root','#CybotCookiebotDialog',
-    'div[id^="sp_message_container_"]','.sp-message-container',
-    '.cm-wrapper','.cm__container','.cc-window','.cookie-consent','.cookieconsent','.cookiebar',
-    'div[id*="cookie"]','div[class*="cookie"]','div[id*="consent"]','div[class*="consent"]',
-    '.ts-trustbadge','iframe[src*="trustedshops"]','.trustbadge'
-  ];
-
-  const btnTexts = Array.from(new Set([
-    ...CONSENT_TEXTS_NORM,
-    'accept all','allow all','accept','agree','i agree','got it',
-    'alle cookies akzeptieren','alles akzeptieren','akzeptieren','zustimmen','einverstanden',
-    'aceptar','aceptar todo','aceitar','aceitar tudo',
-    'accetta','accetta tutti',"j'accepte",'tout accepter',
-    'godta alle','till?t alla','accepteren','alles toestaan'
-  ].map(normalizeBtnText)));
-
-  const selCatalog = Array.from(new Set([...BUILTIN_SELECTORS, ...CONSENT_EXTRA_SELECTORS].filter(Boolean)));
-  const forceRemoveCatalog = Array.from(new Set([...BUILTIN_FORCE_REMOVE, ...CONSENT_FORCE_REMOVE_SELECTORS].filter(Boolean)));
-  const containers = BUILTIN_CONTAINERS;
-
-  if (DEBUG) console.log('[CONSENT] start, frames=', page.frames?.().length || 'n/a');
-
-  const attempts = Math.max(1, CONSENT_RETRY_ATTEMPTS);
-  let clicked = false;
-
-  function orderFrames(frames){
-    if(!frames || !frames.length) return [];
-    const main = page.mainFrame?.() || frames[0];
-    const rest = frames.filter(f=>f !== main);
-    return [main, ...rest];
-  }
-
-  async function tryFrame(frame){
-    try{
-      const res = await frame.evaluate((btnTexts, selectors, containers) => {
-        const norm=s=>s.replace(/\u00A0/g,' ').replace(/\s+/g,' ').trim().toLowerCase();
-        function clickable(el){
-          if(!el) return false;
-          const r=el.getBoundingClientRect();
-          const st=getComputedStyle(el);
-          if(!r || r.width===0 || r.height===0) return false;
-          if(st.display==='none' || st.visibility==='hidden' || st.opacity==='0') return false;
-          return true;
-        }
-        function trySelectors(){
-          for(const sel of selectors){
-            try{
-              const el = document.querySelector(sel);
-              if(el && clickable(el)){ el.click(); return {ok:true,how:'selector',sel}; }
-            }catch{}
-          }
-          return {ok:false};
-        }
-        function gatherButtonish(root){
-          const set=new Set();
-          root.querySelectorAll('button,[role="button"],input[type="button"],input[type="submit"],a').forEach(b=>set.add(b));
-          return [...set];
-        }
-        function tryByText(){
-          const candidates=gatherButtonish(document);
-          for(const el of candidates){
-            const label = norm(el.innerText||el.textContent||el.value||'');
-            if(!label) continue;
-            for(const t of btnTexts){ if(label.includes(t)){ if(clickable(el)){ el.click(); return {ok:true,how:'text',label}; } } }
-          }
-          return {ok:false};
-        }
-        function tryContainers(){
-          for(const c of containers){
-            try{
-              const box=document.querySelector(c); if(!box) continue;
-              const buttons = box.querySelectorAll('button,[role="button"],a');
-              for(const el of buttons){
-                const label = norm(el.innerText||el.textContent||'');
-                if(!label) continue;
-                for(const t of btnTexts){ if(label.includes(t)){ if(clickable(el)){ el.click(); return {ok:true,how:'container',sel:c,label}; } } }
-              }
-            }catch{}
-          }
-          return {ok:false};
-        }
-        const bySel=trySelectors(); if(bySel.ok) return bySel;
-        const byTxt=tryByText();   if(byTxt.ok) return byTxt;
-        const byBox=tryContainers(); if(byBox.ok) return byBox;
-
-        // Shadow DOM sweep (heuristic)
-        const shadowHosts=[...document.querySelectorAll('*')].filter(e=>e.shadowRoot);
-        for(const host of shadowHosts){
-          const root=host.shadowRoot;
-          for(const sel of ['button','.accept','.ok','.agree']){
-            try{
-              const el=root.querySelector(sel);
-              const label = norm(el?.innerText||el?.textContent||'');
-              if(el && clickable(el) && (sel!=='button' ? true : btnTexts.some(t=>label.includes(t)))){
-                el.click(); return {ok:true,how:'shadow',sel};
-              }
-            }catch{}
-          }
-        }
-        return {ok:false};
-      }, btnTexts, selCatalog, containers);
-      if (res?.ok) { if (DEBUG) console.log('[CONSENT] clicked in frame', res); return true; }
-    }catch(e){
-      if (DEBUG) console.log('[CONSENT] frame eval error:', e?.message);
-    }
-    return false;
-  }
-
-  async function tryAllFramesOnce(){
-    const frames = orderFrames(page.frames ? page.frames() : []);
-    for(const f of frames){
-      const ok = await tryFrame(f);
-      if (ok) return true;
-    }
-    return false;
-  }
-
-  for (let i=0;i<attempts && !clicked;i++){
-    clicked = await tryAllFramesOnce();
-    if (!clicked){
-      if (CONSENT_IFRAME_SCAN){
-        // tryFrame already visits frames
-      }
-      if (!clicked){
-        await page.waitForTimeout(CONSENT_RETRY_INTERVAL_MS).catch(()=>{});
-      }
-    }
-  }
-
-  // If still visible, force remove common overlays
-  let removed=false;
-  if (!clicked){
-    try{
-      await page.evaluate((sels)=>{
-        let cnt=0;
-        const kill=(root)=>{
-          for(const sel of sels){
-            try{ root.querySelectorAll(sel).forEach(el=>{ el.remove(); cnt++; }); }catch{}
-          }
-        };
-        kill(document);
-        const ifr=document.querySelectorAll('iframe');
-        for(const fr of ifr){
-          try{ if(fr.contentDocument){ kill(fr.contentDocument); } }catch{}
-        }
-        return cnt;
-      }, BUILTIN_FORCE_REMOVE).then(n=>{ removed = (n>0); if (DEBUG) console.log('[CONSENT] removed=',n); });
-    }catch(e){ if (DEBUG) console.log('[CONSENT] force-remove error:', e?.message); }
-  }
-
-  // Persist "accepted" state
-  try{
-    await page.evaluate(()=>{
-      try {
-        localStorage.setItem('cookieconsent_status','allow');
-        localStorage.setItem('cmplz_consentstatus','allow');
-        localStorage.setItem('uc_user_interaction','true');
-        localStorage.setItem('didomi_token','{"purposes":{"consent":{"all":true}}}');
-        sessionStorage.setItem('cookieconsent_status','allow');
-        const oneYear = 60*60*24*365;
-        document.cookie = 'cookieconsent_status=allow; path=/; max-age='+oneYear;
-        document.cookie = 'cmplz_consentstatus=allow; path=/; max-age='+oneYear;
-      } catch {}
-    });
-  }catch{}
-
-  // Remove scroll locks
-  try{
-    await page.evaluate(()=>{
-      const clear = (el)=>{ if(!el) return; el.style.setProperty('overflow','', 'important'); el.style.setProperty('position','', 'important'); el.style.setProperty('height','', 'important'); };
-      clear(document.documentElement); clear(document.body);
-      const classes=['modal-open','no-scroll','overflow-hidden','overflowHidden','fixed','stop-scrolling'];
-      classes.forEach(c=>document.documentElement.classList.remove(c));
-      classes.forEach(c=>document.body?.classList.remove(c));
-    });
-  }catch{}
-
-  if (CONSENT_DEBUG_SCREENSHOT) {
-    try { await page.screenshot({ path:`consent-after-${Date.now()}.png`, fullPage:true }); } catch {}
-  }
+/* ------------ Consent (lib/consent-automation.cjs, providers from consent-providers.json) ------------ */
+let consentEngine;
+try{
+  consentEngine=createConsentEngine({
+    retryAttempts:CONSENT_RETRY_ATTEMPTS,
+    retryInterval:CONSENT_RETRY_INTERVAL_MS,
+    mutationWindow:CONSENT_MUTATION_WINDOW_MS,
+    iframeScan:CONSENT_IFRAME_SCAN,
+    injectCookies:INJECT_ACCEPT_COOKIE,
+    providersFile:CONSENT_PROVIDERS_FILE,
+    buttonTexts:CONSENT_TEXTS_NORM,
+    extraSelectors:CONSENT_EXTRA_SELECTORS,
+    forceRemoveSelectors:CONSENT_FORCE_REMOVE_SELECTORS,
+    debug:CONSENT_DEBUG,
+    debugScreenshot:CONSENT_DEBUG_SCREENSHOT
+  });
+}catch(e){ console.error('[CONSENT_PROVIDERS_ERR]', e.message); process.exit(1); }
 
-  return { clicked, removed };
+// -> { provider, detectedBy, method, clicked, removed, selector, ... } (see lib/consent-automation.cjs)
+async function attemptConsent(page, url){
+  return consentEngine.handle(page, { url });
 }
 
 /* ------------ Popup handling ------------ */
@@ -979,8 +931,28 @@ async function handlePopups(page){
   }
 }
 
+/* ------------ WARC recording ------------ */
+// Every navigation/asset exchange (not only isLikelyAsset ones) goes to the run WARC with its headers.
+async function recordWarcExchange(rq,resp){
+  try{
+    const status=resp.status();
+    let body=Buffer.alloc(0);
+    if(status<300 || status>=400){ try{ body=await resp.body(); }catch{} }
+    if(body.length>WARC_MAX_BODY_BYTES) return;
+    const [requestHeaders,responseHeaders]=await Promise.all([
+      rq.allHeaders().catch(()=>rq.headers()),
+      resp.allHeaders().catch(()=>resp.headers())
+    ]);
+    if(!warcWriter) return; // run finalized while the body was loading
+    warcWriter.writeExchange({
+      url:rq.url(), method:rq.method(), requestHeaders, postData:rq.postDataBuffer?.()||null,
+      status, statusText:resp.statusText(), responseHeaders, body, date:new Date()
+    });
+  }catch(e){ console.warn('[WARC_WRITE_ERR]', e.message); }
+}
+
 /* ------------ Per-Profile Capture Core ------------ */
-async function captureProfile(pageNum,url,outRoot,rel,profile,sharedAssetIndex){
+async function captureProfile(pageNum,url,outRoot,rel,profile,sharedAssetIndex,wid,attempt){
   const profileDirName = profile.name === 'desktop' ? 'desktop' : profile.name;
   // Normalize base dir: when rel==='' (flatten root), store under /index/<profile>/ to keep layout consistent
   const pageDirBase = (rel==='' ? path.join(outRoot,'index') : (rel ? path.join(outRoot,rel) : outRoot));
@@ -1000,39 +972,72 @@ async function captureProfile(pageNum,url,outRoot,rel,profile,sharedAssetIndex){
     assets:0,
     rawUsed:false,
     reasons:[],
+    code:'ok',
+    timings:{},
     durationMs:0
   };
 
   const start=Date.now();
+  // Per-phase timings (ms) recorded into record.timings
+  let phaseStart=start;
+  const phase=(name)=>{ const now=Date.now(); record.timings[name]=now-phaseStart; phaseStart=now; };
   if(RAW_ONLY){
     try{
       const raw=await rawFetchProxy(url,null);
       record.rawUsed=true;
       record.mainStatus=raw.status;
+      record.code=classifyPage({ mainStatus:raw.status, html:raw.body });
       fs.writeFileSync(path.join(pageDir,'index.html'), raw.body,'utf8');
     }catch(e){
       record.status='error:rawOnly '+e.message;
+      record.code=classifyError(e);
       record.reasons.push('rawErr:'+e.message);
     }
     record.durationMs=Date.now()-start;
     return record;
   }
 
-  const proxy=nextProxy(pageNum);
-  let browser,context,page;
+  // attempt: { n, proxy, userAgent } when capture() retries after a bot challenge
+  const proxy=attempt ? attempt.proxy : nextProxy(pageNum);
+  let lease,context,page;
+  // Close this capture's context and hand the worker's browser back to the pool
+  async function endSession(crashed){
+    try{ if(context) await context.close(); }catch{}
+    context=null;
+    if(lease){ const l=lease; lease=null; await l.release({ crashed }); }
+  }
+  // CSS/JS seen while rendering, with validators, so REFRESH can detect asset-only changes
+  const criticalAssets=new Map();
+  // Recorded API calls (CAPTURE_API), written to <page>/_xhr with the page
+  const apiRecords=[];
+  const apiPending=[];
+  const captureApiResponse=(rq,resp,ct)=>{
+    const type=rq.resourceType();
+    if(type!=='xhr' && type!=='fetch') return;
+    const st=resp.status();
+    // Redirect bodies are empty and 5xx are not worth replaying; 4xx are, SPAs render them
+    if(st<200 || (st>=300 && st<400) || st>=500 || !API_CT_RX.test(ct)) return;
+    if(apiPending.length>=API_MAX_PER_PAGE) return;
+    if(!INCLUDE_CROSS){
+      try { if(!isSameSite(rq.url())) return; } catch {}
+    }
+    const entry={ method:rq.method(), url:rq.url(), status:st, contentType:ct, headers:resp.headers(), postData:rq.postData()||null, source:'api' };
+    apiPending.push(resp.body().then(body=>{ if(body.length<=API_MAX_BYTES) apiRecords.push({ ...entry, body }); }).catch(()=>{}));
+  };
   let inflight=0;
   let lastActivity=Date.now();
   function activity(){ lastActivity=Date.now(); }
 
   try{
-    browser=await createBrowser(proxy);
-    context=await browser.newContext({
-      userAgent:chooseUA(profile),
+    lease=await browserPool.acquire(wid);
+    context=await lease.browser.newContext({
+      userAgent:(attempt && attempt.userAgent) || chooseUA(profile),
       viewport:profile.viewport,
       deviceScaleFactor:profile.deviceScaleFactor||1,
       isMobile:profile.isMobile||false,
       hasTouch:profile.hasTouch||false,
-      locale:'en-US'
+      locale:'en-US',
+      ...contextProxy(proxy)
     });
     if (STEALTH) { try { await applyStealth(context); } catch {} }
 
@@ -1060,10 +1065,17 @@ async function captureProfile(pageNum,url,outRoot,rel,profile,sharedAssetIndex){
       const rq=resp.request();
       const rUrl=rq.url();
       const ct=(resp.headers()['content-type']||'').toLowerCase();
-      if(!isLikelyAsset(rUrl,ct)) return;
+      if(warcWriter && /^https?:/i.test(rUrl)) recordWarcExchange(rq,resp);
+      if(!isLikelyAsset(rUrl,ct)){
+        if(CAPTURE_API) captureApiResponse(rq,resp,ct);
+        return;
+      }
       if(!INCLUDE_CROSS){
         try { if(!isSameSite(rUrl)) return; } catch {}
       }
+      if(/css|javascript|ecmascript/i.test(ct) && resp.status()===200 && criticalAssets.size<CRITICAL_ASSETS_MAX && !criticalAssets.has(rUrl)){
+        criticalAssets.set(rUrl,{ url:rUrl, ...pickValidators(resp.headers()) });
+      }
       if(sharedAssetIndex.has(rUrl)) return;
       resp.body().then(buf=>{
         if(buf.length>ASSET_MAX_BYTES) return;
@@ -1081,14 +1093,23 @@ async function captureProfile(pageNum,url,outRoot,rel,profile,sharedAssetIndex){
     });
 
     let resp;
+    try{ await consentEngine.prepare(context, url); }catch{}
+    phaseStart=Date.now();
     try{
       resp=await page.goto(url,{waitUntil:PAGE_WAIT_UNTIL, timeout:NAV_TIMEOUT});
     }catch(navErr){
+      phase('gotoMs');
       record.reasons.push('navAttempt:'+navErr.message);
       throw navErr;
     }
+    phase('gotoMs');
     record.mainStatus=resp?.status()||null;
     record.finalURL=resp?.url()||page.url();
+    // Validators for conditional re-capture (REFRESH mode)
+    if(resp){
+      record.validators=pickValidators(resp.headers());
+      try{ record.validators.bodyHash=crypto.createHash('sha1').update(await resp.body()).digest('hex'); }catch{}
+    }
   try{ await page.waitForSelector('body',{timeout:10000}); }catch{ record.reasons.push('noBody'); }
 
   // Human-like interaction to help pass simple bot gates
@@ -1099,10 +1120,15 @@ async function captureProfile(pageNum,url,outRoot,rel,profile,sharedAssetIndex){
       try{ const el=await page.$(sel); if(el){ await el.click(); await page.waitForTimeout(150);} }catch{}
     }
 
-    const consent=await attemptConsent(page);
+    phaseStart=Date.now();
+    const consent=await attemptConsent(page, url);
+    record.consent={ provider:consent.provider, detectedBy:consent.detectedBy, method:consent.method };
+    if(consent.selector) record.consent.selector=consent.selector;
     if(consent.clicked && FORCE_CONSENT_WAIT_MS>0) await page.waitForTimeout(FORCE_CONSENT_WAIT_MS);
+    phase('consentMs');
 
     try{ await handlePopups(page); }catch(e){ record.reasons.push('popupErr:'+e.message); }
+    phase('popupsMs');
 
     if(REMOVE_SELECTORS.length){
       try{
@@ -1118,18 +1144,85 @@ async function captureProfile(pageNum,url,outRoot,rel,profile,sharedAssetIndex){
       }catch{}
       await page.waitForTimeout(SCROLL_DELAY);
     }
+    phase('scrollMs');
+
+    let listing=null;
+    if(LISTING_EXPAND){
+      try{
+        listing=await expandListing(page,{
+          maxRounds:LISTING_MAX_ROUNDS, maxMs:LISTING_MAX_MS, maxItems:LISTING_MAX_ITEMS, minItems:LISTING_MIN_ITEMS,
+          itemSelector:LISTING_ITEM_SELECTOR, buttonSelectors:LISTING_BUTTON_SELECTORS,
+          recordXhr:LISTING_RECORD_XHR, log:(...a)=>console.log(...a)
+        });
+        if(listing.clicks || listing.itemsAfter>listing.itemsBefore){
+          record.listing={ rounds:listing.rounds, clicks:listing.clicks, itemsBefore:listing.itemsBefore, itemsAfter:listing.itemsAfter, stoppedBy:listing.stoppedBy };
+          console.log('[LISTING]', url, 'items', listing.itemsBefore, '->', listing.itemsAfter, 'clicks='+listing.clicks, 'xhr='+listing.xhr.length, 'stop='+listing.stoppedBy);
+        }
+      }catch(e){ record.reasons.push('listingErr:'+e.message.split('\n')[0]); }
+      phase('listingMs');
+    }
 
     if(WAIT_EXTRA>0) await page.waitForTimeout(WAIT_EXTRA);
 
     const capDeadline=Date.now()+MAX_CAPTURE_MS;
+    let quietReached=false;
     while(Date.now()<capDeadline){
       const quiet=(Date.now()-lastActivity)>=QUIET_MILLIS && inflight===0;
-      if(quiet) break;
+      if(quiet){ quietReached=true; break; }
       await page.waitForTimeout(300);
     }
+    phase('quietMs');
+    if(!quietReached) record.reasons.push('quietTimeout');
 
     let html=await page.content();
 
+    // Failure taxonomy: challenge pages, HTTP errors, empty documents, consent overlays left behind
+    let probe=null;
+    try{
+      probe=await page.evaluate((sels)=>{
+        const visible=(el)=>{ const r=el.getBoundingClientRect(); const st=getComputedStyle(el); return r.width>0 && r.height>0 && st.display!=='none' && st.visibility!=='hidden'; };
+        const stuck=sels.some(s=>{ try{ const el=document.querySelector(s); return !!el && visible(el); }catch{ return false; } });
+        return { textLength:((document.body && document.body.innerText)||'').trim().length, stuck };
+      }, CONSENT_OVERLAY_SELECTORS);
+    }catch{}
+    const pageInfo={ mainStatus:record.mainStatus, html, bodyTextLength:probe ? probe.textLength : undefined, consentStuck:!!(probe && probe.stuck) };
+    record.code=classifyPage(pageInfo);
+
+    // Challenge interstitial: never write it as index.html; capture() backs off and retries
+    if(CHALLENGE_DETECT && record.code==='bot-block'){
+      record.status='blocked';
+      record.reasons.push('challenge:'+detectBlock(pageInfo));
+      await endSession(false);
+      record.durationMs=Date.now()-start;
+      return record;
+    }
+
+    // Live rendering as the visual reference for replay checks
+    let screenshot=null;
+    if(SCREENSHOTS){
+      phaseStart=Date.now();
+      try{
+        screenshot=await captureScreenshots(page, pageDir, { thumbWidth:SCREENSHOT_THUMB_WIDTH, maxHeight:SCREENSHOT_MAX_HEIGHT });
+        if(screenshot.thumbnailError){ record.reasons.push('thumbnailErr:'+screenshot.thumbnailError); delete screenshot.thumbnailError; }
+      }catch(e){ record.reasons.push('screenshotErr:'+e.message); }
+      phase('screenshotMs');
+    }
+
+    // <link rel="canonical"> of the live page, when url-rules.json honors it
+    try{
+      const canon = canonicalFromHtml(html, page.url(), { sameSite: (x) => isSameSite(x) });
+      if (canon) record.canonicalUrl = canon;
+    }catch{}
+
+    if (LOCALE_MODE) {
+      try{
+        const alternates = extractHreflang(html, page.url());
+        if (alternates.length) record.hreflang = alternates;
+        const lang = pageLocale(page.url(), { html, alternates });
+        if (lang) record.locale = lang;
+      }catch{}
+    }
+
     // Record product IDs for auto payment-map (OpenCart and Woo patterns)
     try{
       const u = new URL(page.url());
@@ -1213,6 +1306,18 @@ async function captureProfile(pageNum,url,outRoot,rel,profile,sharedAssetIndex){
     ensureDir(pageDir);
     fs.writeFileSync(path.join(pageDir,'index.html'), html,'utf8');
 
+    // API calls plus expansion XHRs (those only matter when they added items); server.cjs replays them from _xhr/
+    await Promise.all(apiPending);
+    const xhrRecords=[...apiRecords];
+    if(record.listing) xhrRecords.push(...listing.xhr.map(x=>({ ...x, source:'listing' })));
+    if(xhrRecords.length){
+      try{
+        const entries=writeXhrRecords(pageDir, xhrRecords);
+        record.apiCalls=entries.filter(e=>e.source==='api').length;
+        if(record.listing) record.listing.xhr=entries.filter(e=>e.source==='listing').length;
+      }catch(e){ console.warn('[XHR_ERR]', e.message); }
+    }
+
     // Also write a per-page JSON metadata file next to the HTML
     try {
       let title = '';
@@ -1220,31 +1325,57 @@ async function captureProfile(pageNum,url,outRoot,rel,profile,sharedAssetIndex){
       const pageJson = {
         url,
         finalURL: record.finalURL || page.url?.() || undefined,
+        canonicalUrl: record.canonicalUrl || undefined,
+        locale: record.locale || undefined,
+        hreflang: record.hreflang || undefined,
         relPath: record.relPath || rel,
         localPath: record.localPath,
         profile: record.profile,
         status: record.status,
         mainStatus: record.mainStatus,
         reasons: record.reasons,
+        code: record.code,
+        timings: record.timings,
         durationMs: record.durationMs,
         capturedAt: new Date().toISOString(),
-        title
+        title,
+        validators: record.validators || undefined,
+        criticalAssets: criticalAssets.size ? [...criticalAssets.values()] : undefined,
+        screenshot: screenshot || undefined,
+        apiCalls: record.apiCalls || undefined,
+        listing: record.listing ? { ...record.listing, nextPages: listing.nextPages.slice(0, 50) } : undefined
       };
       // If catalog is enabled and this looks like a product page, extract and attach SKU reference
       if (ENABLE_CATALOG) {
         try {
-          const prod = extractProductFromPage(html, record.finalURL || url);
+          // Shopify pages: variants/stock come from the product JSON endpoint
+          let shopifyJson = null;
+          const sjUrl = shopifyJsonUrl(html, record.finalURL || url);
+          // Same host as the page, whose slot this capture holds: robots.txt and the request delay still apply
+          const sjRelease = sjUrl ? await hostSched.acquire(sjUrl, { nested: true }) : null;
+          if (sjUrl && !sjRelease) console.log('[CATALOG] robots.txt disallows', sjUrl);
+          if (sjRelease) {
+            const t0 = Date.now();
+            let status = 0;
+            try { const r = await page.request.get(sjUrl, { timeout: 8000 }); status = r.status(); if (r.ok()) shopifyJson = await r.json(); } catch {}
+            finally { sjRelease({ status, durationMs: Date.now() - t0 }); }
+          }
+          const prod = extractProductFromPage(html, record.finalURL || url, { shopifyJson });
           if (prod) {
             const sku = assignSkuForKey(prod.key);
             // Upsert into CATALOG (by sku)
             const existingIdx = CATALOG.findIndex(e => e && e.sku === sku);
             const entry = {
               sku,
+              key: prod.key,
               name: prod.name,
               description: prod.description,
               price: { amount: prod.price, currency: prod.currency },
               images: prod.images,
-              source: { url: record.finalURL || url, relPath: record.relPath || rel }
+              options: prod.options.length ? prod.options : undefined,
+              variants: prod.variants.length ? prod.variants : undefined,
+              source: { url: record.finalURL || url, relPath: record.relPath || rel },
+              capturedAt: pageJson.capturedAt
             };
             if (existingIdx >= 0) CATALOG[existingIdx] = entry; else CATALOG.push(entry);
             // Keep a reference in page json
@@ -1280,14 +1411,15 @@ async function captureProfile(pageNum,url,outRoot,rel,profile,sharedAssetIndex){
       console.warn('[STUB_REDIRECT_ERR]', e.message);
     }
 
-    await browser.close();
+    await endSession(false);
   }catch(e){
     record.status='error:nav '+e.message;
+    record.code=classifyError(e);
     record.reasons.push('attemptFail:'+e.message);
-    try{ if(browser) await browser.close(); }catch{}
+    await endSession(isBrowserCrash(e));
   }
 
-  if((!record.mainStatus || record.status.startsWith('error')) && !record.rawUsed){
+  if((!record.mainStatus || record.status.startsWith('error')) && !record.rawUsed && record.status!=='blocked'){
     try{
       const raw=await rawFetchProxy(url,nextProxy(pageNum));
       record.rawUsed=true;
@@ -1298,7 +1430,7 @@ async function captureProfile(pageNum,url,outRoot,rel,profile,sharedAssetIndex){
       if(!fs.existsSync(path.join(profDir,'index.html'))){
         fs.writeFileSync(path.join(profDir,'index.html'), raw.body,'utf8');
       }
-      if(!record.status.startsWith('error')) record.status='okRaw';
+      if(!record.status.startsWith('error')){ record.status='okRaw'; record.code='raw-fallback'; }
     }catch(e){ record.reasons.push('rawFail:'+e.message); }
   }
 
@@ -1308,17 +1440,32 @@ async function captureProfile(pageNum,url,outRoot,rel,profile,sharedAssetIndex){
 }
 
 /* ------------ Multi-profile wrapper ------------ */
-async function capture(pageNum,url,outRoot){
+async function capture(pageNum,url,outRoot,skipProfiles,wid){
   const rel=localPath(url);
   const sharedAssetIndex=new Map();
   const profileRecords=[];
   for(const profName of PROFILES_LIST){
+    if(skipProfiles && skipProfiles.has(profName)) continue;
     const profile=resolveProfile(profName);
-    const rec=await captureProfile(pageNum,url,outRoot,rel,profile,sharedAssetIndex);
+    let rec=await captureProfile(pageNum,url,outRoot,rel,profile,sharedAssetIndex,wid);
+    // Bot challenge: exponential backoff, next proxy, different UA; keep "blocked" if all attempts fail
+    const challengeReasons=[];
+    for(let n=1; rec.status==='blocked' && n<=CHALLENGE_RETRIES; n++){
+      challengeReasons.push(...rec.reasons);
+      const wait=Math.round(CHALLENGE_BACKOFF_MS*Math.pow(2,n-1)*(0.75+Math.random()*0.5));
+      const retry={ n, proxy:rotateProxy(), userAgent:retryUserAgent(profile,n) };
+      console.warn(`[CHALLENGE] ${profName} ${url} retry=${n}/${CHALLENGE_RETRIES} backoff=${wait}ms proxy=${retry.proxy?retry.proxy.server:'none'}`);
+      await new Promise(r=>setTimeout(r,wait));
+      rec=await captureProfile(pageNum,url,outRoot,rel,profile,sharedAssetIndex,wid,retry);
+      rec.challengeAttempts=n+1;
+    }
+    if(challengeReasons.length) rec.reasons=[...challengeReasons, ...rec.reasons];
+    if(rec.status==='blocked') console.warn(`[BLOCKED] ${profName} ${url} attempts=${rec.challengeAttempts||1}`);
     profileRecords.push(rec);
   }
+  if(!profileRecords.length) return profileRecords;
   const desktopRec=profileRecords.find(r=>r.profile==='desktop')||profileRecords[0];
-  console.log(`[RESULT] profiles=${profileRecords.map(r=>r.profile+':'+r.status).join(',')} url=${url} assets=${desktopRec.assets} saved=${rel||'(root)'}`);
+  console.log(`[RESULT] profiles=${profileRecords.map(r=>r.profile+':'+r.status+(r.code&&r.code!=='ok'?'('+r.code+')':'')).join(',')} url=${url} assets=${desktopRec.assets} saved=${rel||'(root)'}`);
   return profileRecords;
 }
 
@@ -1443,12 +1590,35 @@ function writeSkuPaymentMap(outDir){
   } catch {}
 
   ensureDir(outputRoot);
+  // Record the exact recipe of this run (the GUI passes the run's own snapshot, which is kept as is)
+  if (SITE_RECIPE && path.resolve(SITE_RECIPE.file || '') !== path.resolve(outputRoot, RUN_RECIPE_FILE)) {
+    try { const snap = writeRunRecipe(outputRoot, SITE_RECIPE, SITE_RECIPE_REF); console.log('[RECIPE]', SITE_RECIPE_REF, 'version=' + (snap.version || '-'), 'hash=' + snap.hash); }
+    catch (e) { console.warn('[RECIPE_ERR]', e.message); }
+  }
+  if (WARC_OUTPUT) {
+    try {
+      warcWriter = createWarcWriter(outputRoot, { info: { 'isPartOf': path.basename(path.resolve(outputRoot)), 'operator': 'archiver', 'profiles': PROFILES_LIST.join(',') } });
+      console.log('[WARC] writing', path.relative(outputRoot, warcWriter.file));
+    } catch (e) { console.warn('[WARC_ERR]', e.message); warcWriter = null; }
+  }
   console.log(`ARCHIVER start: urls=${seeds.length} engine=${ENGINE} concurrency=${CONCURRENCY} profiles=${PROFILES_LIST.join(',')}`);
   // Load existing catalog (if any) to maintain stable SKUs
-  try { loadExistingCatalog(outputRoot); } catch {}
+  const catalogSite = siteOf(PRIMARY_START_URL || seeds[0]);
+  try { loadExistingCatalog(outputRoot, catalogSite); } catch {}
 
   // Determine capture order
   let finalSeeds = seeds.slice();
+  hostSched = createHostScheduler({
+    perHostConcurrency: Math.max(1, HOST_CONCURRENCY),
+    minDelayMs: HOST_MIN_DELAY_MS,
+    maxDelayMs: HOST_MAX_DELAY_MS,
+    slowMs: HOST_SLOW_MS,
+    respectRobots: !IGNORE_ROBOTS,
+    ignoreCrawlDelay: IGNORE_CRAWL_DELAY,
+    agentToken: ROBOTS_AGENT,
+    ua: chooseUA(resolveProfile('desktop')),
+    log: (...a) => console.log(...a)
+  });
   if (USE_DISCOVERY_GRAPH) {
     try {
       let gPath = path.join(outputRoot, '_crawl', 'graph.json');
@@ -1534,44 +1704,11 @@ function writeSkuPaymentMap(outDir){
     }
   }
 
-  // Internal discovery (BFS) before capture when enabled and no graph-derived order was set
+  // Internal discovery before capture when enabled and no graph-derived order was set
   if (DISCOVER_IN_ARCHIVER && finalSeeds.length === seeds.length) {
-    console.log(`[DISCOVER] start inside archiver maxPages=${DISCOVER_MAX_PAGES} maxDepth=${DISCOVER_MAX_DEPTH}`);
-  const crawlDir = path.join(outputRoot, '_crawl');
-  ensureDir(crawlDir);
-    // Discovery graph: nodes (url -> depth) and edges (from -> to with optional anchor text)
-    const graphNodeDepth = new Map();
-    const graphEdges = [];
-    const edgeSeen = new Set();
-    const parentOf = new Map(); // childUrl -> parentUrl (first discoverer)
-    function recordNode(u, d){
-      if(!u) return;
-      const cur = graphNodeDepth.get(u);
-      if(cur==null || d < cur) graphNodeDepth.set(u, d);
-    }
-    function recordEdge(from, to, text, dFrom){
-      if(!from || !to) return;
-      const key = from + ' -> ' + to;
-      if(edgeSeen.has(key)) return;
-      edgeSeen.add(key);
-      const t = (text||'').replace(/\s+/g,' ').trim().slice(0, 160);
-      graphEdges.push({ from, to, text: t });
-      if(typeof dFrom==='number') recordNode(from, dFrom);
-    }
-    const visited = new Set();
-    const queue = [];
-    const depths = new Map();
-    const pushQ = (u, d, parent) => {
-      if (!u) return;
-      if (visited.has(u)) return;
-      if (d > DISCOVER_MAX_DEPTH) return;
-      visited.add(u);
-      depths.set(u, d);
-      if (parent!=null && !parentOf.has(u)) parentOf.set(u, parent);
-      queue.push({ url: u, depth: d });
-    };
-    for (const s of seeds) pushQ(s, 0);
-
+    console.log(`[DISCOVER] start inside archiver maxPages=${DISCOVER_MAX_PAGES} maxDepth=${DISCOVER_MAX_DEPTH} sources=${DISCOVERY_SOURCES}`);
+    const crawlDir = path.join(outputRoot, '_crawl');
+    ensureDir(crawlDir);
     const proxy = nextProxy(0);
     let browser, context, page;
     try {
@@ -1589,13 +1726,17 @@ function writeSkuPaymentMap(outDir){
       page = await context.newPage();
       page.setDefaultNavigationTimeout(NAV_TIMEOUT);
 
-    const discovered = [];
-      while (queue.length && discovered.length < DISCOVER_MAX_PAGES) {
-        const { url, depth } = queue.shift();
+      // Single reused page; the engine calls this once per frontier URL
+      async function fetchPage(url, node, { needsHtml }) {
+        const release = await hostSched.acquire(url);
+        if (!release) { console.log('[DISCOVER] robots.txt disallows', url); return { ok: false }; }
         // Navigate with fallback to commit if needed
         let navigated = false;
+        let navStatus = 0;
+        const navStart = Date.now();
         try {
-          await page.goto(url, { waitUntil: PAGE_WAIT_UNTIL, timeout: NAV_TIMEOUT });
+          const r = await page.goto(url, { waitUntil: PAGE_WAIT_UNTIL, timeout: NAV_TIMEOUT });
+          navStatus = r ? r.status() : 0;
           navigated = true;
         } catch (e) {
           console.log(`[DISCOVER_WARN] goto (${PAGE_WAIT_UNTIL}) failed ${e.message}`);
@@ -1607,80 +1748,58 @@ function writeSkuPaymentMap(outDir){
             console.log('[DISCOVER_ERR]', e2.message);
           }
         }
+        release({ status: navStatus, durationMs: Date.now() - navStart });
+        if (!navigated) return { ok: false, status: navStatus };
 
         // Consent attempt to reveal links
-        if (navigated) {
-          try { await attemptConsent(page); } catch {}
-          try { await page.waitForTimeout(300); } catch {}
-        }
+        try { await attemptConsent(page, url); } catch {}
+        try { await page.waitForTimeout(300); } catch {}
 
-        // Extract anchors (DOM if navigated, fallback to regex from page.content())
-        let hrefs = [];
-        let linkPairs = [];
+        // Extract anchors with text (DOM), fallback to regex from page.content()
+        let links = [];
+        let html;
         try {
-          if (navigated) {
-            try { await page.waitForSelector('a[href]', { timeout: 5000 }); } catch {}
-            // Collect href + anchor text to preserve some context for the graph
-            linkPairs = await page.$$eval('a[href]', as => as.map(a => ({
-              href: a.getAttribute('href'),
-              text: (a.textContent||'').replace(/\s+/g,' ').trim().slice(0,160)
-            })).filter(x=>x && x.href));
-            hrefs = linkPairs.map(x=>x.href);
-          }
+          try { await page.waitForSelector('a[href]', { timeout: 5000 }); } catch {}
+          links = await page.$$eval('a[href]', as => as.map(a => ({
+            href: a.getAttribute('href'),
+            text: (a.textContent||'').replace(/\s+/g,' ').trim().slice(0,160)
+          })).filter(x=>x && x.href));
         } catch {}
-        if (!hrefs.length) {
-          try {
-            const html = navigated ? await page.content() : '';
-            const re = /href\s*=\s*([\"'])(.*?)\1/gi;
-            let m; while ((m = re.exec(html))) { hrefs.push(m[2]); if (hrefs.length > 2000) break; }
-          } catch {}
-        }
-
-        // Normalize and enqueue
-        const baseOrigin = (()=>{ try { return new URL(url).origin; } catch { return ''; } })();
-        const normed = [];
-        const textByAbs = new Map();
-        const pairMap = new Map();
-        try{ for(const lp of linkPairs){
-          try{ const abs = new URL(lp.href, baseOrigin).toString();
-            textByAbs.set(abs, textByAbs.get(abs)||lp.text||'');
-            pairMap.set(lp.href, abs);
-          }catch{}
-        } }catch{}
-        for (const raw of hrefs) {
-          let abs;
-          try {
-            abs = pairMap.has(raw) ? pairMap.get(raw) : new URL(raw, baseOrigin).toString();
-          } catch { continue; }
-          // strip hash
-          try { const u = new URL(abs); u.hash=''; abs=u.toString(); } catch {}
-          // same-site check
-          try { if (!isSameSite(abs)) continue; } catch {}
-          // For traversal: respect deny strictly, but don't require allow to expand (we may need intermediates)
-          if (DISCOVER_DENY_RX && DISCOVER_DENY_RX.test(abs)) continue;
-          normed.push(abs);
-          // Graph: record edge from current URL -> normalized absolute with anchor text when available
-          try { recordEdge(url, abs, textByAbs.get(abs)||'', depth); } catch {}
-        }
-        // Record (only if allowed) and expand next depth
-        if (!DISCOVER_ALLOW_RX && !DISCOVER_DENY_RX) {
-          discovered.push(url);
-        } else {
-          // Allow recording only when the current URL matches filters; seed (depth 0) is not forced
-          if (isAllowedByDiscover(url)) discovered.push(url);
+        if (!links.length || needsHtml) {
+          try { html = await page.content(); } catch { html = ''; }
         }
-        // Graph: ensure node (url) is recorded with depth
-        try { recordNode(url, depth); } catch {}
-        if (depth < DISCOVER_MAX_DEPTH) {
-          for (const n of normed) {
-            if (discovered.length + queue.length >= DISCOVER_MAX_PAGES) break;
-            if (!visited.has(n)) pushQ(n, depth + 1, url);
-          }
+        if (!links.length && html) {
+          const re = /href\s*=\s*(["'])(.*?)\1/gi;
+          let m; while ((m = re.exec(html))) { links.push({ href: m[2], text: '' }); if (links.length > 2000) break; }
         }
-        console.log(`[DISCOVER] d=${depth} url=${url} +links=${normed.length} total=${discovered.length}`);
+        const canonTag = html || await page.$eval('link[rel~="canonical" i]', l => l.outerHTML).catch(() => '');
+        const canonical = canonicalFromHtml(canonTag, page.url(), { sameSite: (x) => isSameSite(x) });
+        return { ok: true, status: navStatus, links, html, canonical, page };
       }
 
-      finalSeeds = discovered.slice(0, DISCOVER_MAX_PAGES);
+      const result = await runDiscovery({
+        startUrls: seeds,
+        sources: buildDiscoverySources(DISCOVERY_SOURCES, {
+          log: (...a) => console.log(...a),
+          sitemap: { since: SITEMAP_SINCE || null, includeUndated: SITEMAP_INCLUDE_UNDATED, max: SITEMAP_MAX }
+        }),
+        fetchPage,
+        // For traversal: same-site and deny strictly, but don't require allow to expand (we may need intermediates)
+        normalize: (u) => {
+          const abs = canonicalizeUrl(u);
+          if (!abs) return null;
+          try { if (!isSameSite(abs)) return null; } catch {}
+          if (DISCOVER_DENY_RX && DISCOVER_DENY_RX.test(abs)) return null;
+          return abs;
+        },
+        // Recorded as seeds only when the URL matches the filters; seeds (depth 0) are not forced
+        isAllowed: (u) => isAllowedByDiscover(u),
+        maxPages: DISCOVER_MAX_PAGES,
+        maxDepth: DISCOVER_MAX_DEPTH,
+        log: (...a) => console.log(...a)
+      });
+
+      finalSeeds = result.seeds.slice(0, DISCOVER_MAX_PAGES);
       // Make sure PRIMARY_START_URL stays first and present
       try {
         if (PRIMARY_START_URL) {
@@ -1689,34 +1808,24 @@ function writeSkuPaymentMap(outDir){
           finalSeeds = [PRIMARY_START_URL, ...set];
         }
       } catch {}
-      // Persist for transparency
-      try { fs.writeFileSync(path.join(crawlDir, 'urls.txt'), finalSeeds.join('\n') + '\n', 'utf8'); } catch {}
-      // Persist link graph (nodes + edges)
+      // Persist seeds and link graph (nodes with their discovery source + edges) for transparency
       try {
-        const nodes = {};
-        for (const [u,d] of graphNodeDepth.entries()) nodes[u] = { depth: d };
-        const tree = {};
-        for (const [child, parent] of parentOf.entries()) { tree[child] = parent; }
-        const graph = {
+        writeDiscoveryOutputs(crawlDir, { ...result, seeds: finalSeeds }, {
           start: PRIMARY_START_URL || seeds[0] || '',
-          counts: { nodes: Object.keys(nodes).length, edges: graphEdges.length },
-          nodes,
-          edges: graphEdges,
-          tree,
           config: {
             maxDepth: DISCOVER_MAX_DEPTH,
             maxPages: DISCOVER_MAX_PAGES,
+            sources: DISCOVERY_SOURCES,
+            sitemapSince: SITEMAP_SINCE || null,
             allow: DISCOVER_ALLOW_REGEX || null,
             deny: DISCOVER_DENY_REGEX || null,
             sameSiteMode: SAME_SITE_MODE
-          },
-          createdAt: new Date().toISOString()
-        };
-        fs.writeFileSync(path.join(crawlDir, 'graph.json'), JSON.stringify(graph, null, 2), 'utf8');
+          }
+        });
       } catch(e) {
         console.warn('[DISCOVER_GRAPH_ERR]', e.message);
       }
-      console.log(`[DISCOVER_DONE] seeds=${finalSeeds.length}`);
+      console.log(`[DISCOVER_DONE] seeds=${finalSeeds.length} discovered=${result.stats.discovered}`, JSON.stringify(result.stats.bySource));
       await browser.close();
     } catch (e) {
       console.log('[DISCOVER_FATAL]', e.message);
@@ -1751,15 +1860,121 @@ function writeSkuPaymentMap(outDir){
     }
   }
 
-  const manifest=[];
+  let manifest=[];
   const partial=path.join(outputRoot,'manifest.partial.jsonl');
+
+  // Resume: reuse ok* captures from a previous (possibly killed) run of this directory
+  let priorState=null;
+  let refreshSkip=null;
+  if (RESUME) {
+    try {
+      priorState = loadCaptureState(outputRoot);
+      let skipPages = 0, retryPages = 0;
+      for (const u of finalSeeds) {
+        const done = capturedProfiles(priorState, outputRoot, u, PROFILES_LIST);
+        if (done.size === PROFILES_LIST.length) skipPages++;
+        else if (PROFILES_LIST.some(p => priorState.has(recordKey(u, p)))) retryPages++;
+      }
+      console.log('[RESUME]', { priorRecords: priorState.size, skipPages, retryPages, pending: finalSeeds.length - skipPages });
+    } catch (e) {
+      console.warn('[RESUME_ERR]', e.message);
+      priorState = null;
+    }
+  }
+
+  // Refresh: conditional requests against stored validators; unchanged/gone pages keep their archived copy
+  if (REFRESH) {
+    try {
+      if (!priorState) priorState = loadCaptureState(outputRoot);
+      const px = nextProxy(0);
+      const agent = px ? new HttpsProxyAgent(`http://${px.username}:${px.password}@${px.server.replace(/^https?:\/\//,'')}`) : null;
+      const { decisions, report } = await planRefresh(outputRoot, priorState, finalSeeds, {
+        concurrency: REFRESH_CHECK_CONCURRENCY, agent, ua: chooseUA(resolveProfile('desktop')), timeoutMs: NAV_TIMEOUT, scheduler: hostSched,
+        log: (...a) => console.log(...a)
+      });
+      refreshSkip = new Set();
+      const recapture = [];
+      for (const [u, d] of decisions) {
+        if (d.state === 'added' || d.state === 'changed') recapture.push(u);
+        else refreshSkip.add(u);
+      }
+      // Keep capture order stable: scheduled seeds first, then previously archived pages that changed
+      const order = new Set(recapture);
+      finalSeeds = [...finalSeeds.filter(u => order.has(u)), ...recapture.filter(u => !finalSeeds.includes(u))];
+      writeChangeReport(outputRoot, report);
+      console.log('[REFRESH]', { ...report.counts, recapture: finalSeeds.length });
+    } catch (e) {
+      console.warn('[REFRESH_ERR]', e.message);
+      refreshSkip = null;
+    }
+  }
+
+  // Resume/refresh skips are settled up front so they never take a host slot
+  const skipByUrl = new Map();
+  const pendingUrls = [];
+  for (const url of finalSeeds) {
+    if (refreshSkip && refreshSkip.has(url)) continue;
+    if (priorState && !REFRESH) {
+      const skip = capturedProfiles(priorState, outputRoot, url, PROFILES_LIST);
+      if (!RESUME_RETRY_FAILED) {
+        for (const p of PROFILES_LIST) if (priorState.has(recordKey(url, p))) skip.add(p);
+      }
+      if (skip.size === PROFILES_LIST.length) {
+        console.log(`[RESUME] resume-skip ${url}`);
+        continue;
+      }
+      skipByUrl.set(url, skip);
+    }
+    pendingUrls.push(url);
+  }
+  hostSched.add(pendingUrls);
+
+  // Locale mode: hreflang siblings of captured pages join the queue once per canonical URL
+  const localeSeen=new Set(finalSeeds.map(u=>canonicalizeUrl(u)||u));
+  let localeQueued=0;
+  function queueLocaleSiblings(recs){
+    for(const r of recs){
+      for(const a of r.hreflang||[]){
+        if(localeQueued>=LOCALE_MAX_PAGES) return;
+        if(a.hreflang!=='x-default' && !localeAllowed(a.hreflang, LOCALES_ALLOW)) continue;
+        try{ if(!isSameSite(a.href)) continue; }catch{ continue; }
+        if(localeSeen.has(a.href)) continue;
+        localeSeen.add(a.href);
+        localeQueued++;
+        pendingUrls.push(a.href);
+        hostSched.add([a.href]);
+        console.log('[LOCALE] queued', a.hreflang, a.href);
+      }
+    }
+  }
+
   let idx=0;
+  let activeWorkers=0;
   async function worker(wid){
     while(true){
-      if(idx>=finalSeeds.length) break;
-      const url=finalSeeds[idx++];
-      console.log(`[W${wid}] (${idx}/${seeds.length}) ${url}`);
-      const recs=await capture(idx,url,outputRoot);
+      const job=await hostSched.next();
+      if(!job){
+        // Pages still in flight may queue more locale siblings
+        if(LOCALE_MODE && activeWorkers>0){ await new Promise(r=>setTimeout(r,200)); continue; }
+        break;
+      }
+      activeWorkers++;
+      const url=job.url;
+      idx++;
+      console.log(`[W${wid}] (${idx}/${pendingUrls.length}) ${url}`);
+      let recs=[];
+      try{
+        recs=await capture(idx,url,outputRoot,skipByUrl.get(url)||null,wid);
+      } finally {
+        const main=recs.find(r=>r.profile==='desktop')||recs[0];
+        job.release({
+          status: main ? main.mainStatus : 0,
+          durationMs: main && main.timings ? main.timings.gotoMs : undefined,
+          blocked: recs.some(r=>r.code==='bot-block')
+        });
+        if(LOCALE_MODE) queueLocaleSiblings(recs);
+        activeWorkers--;
+      }
       for(const r of recs){
         manifest.push(r);
         try{ fs.appendFileSync(partial, JSON.stringify(r)+'\n'); }catch{}
@@ -1767,25 +1982,78 @@ function writeSkuPaymentMap(outDir){
     }
   }
   await Promise.all(Array.from({length:CONCURRENCY},(_,i)=>worker(i+1)));
+  await browserPool.closeAll();
+  const schedStats = hostSched.stats();
+  if (schedStats.robotsSkipped.length) {
+    console.log('[ROBOTS] skipped', schedStats.robotsSkipped.length, 'disallowed URL(s)');
+    try { ensureDir(path.join(outputRoot, '_crawl')); fs.writeFileSync(path.join(outputRoot, '_crawl', 'robots-skipped.json'), JSON.stringify(schedStats.robotsSkipped, null, 2)); } catch {}
+  }
+  console.log('[HOSTS]', schedStats.hosts.map(h => h.host + ' delay=' + h.delayMs + 'ms' + (h.crawlDelay != null ? ' crawlDelay=' + h.crawlDelay + 's' : '')).join(', '));
 
+  if (priorState) {
+    manifest = mergeManifest([...priorState.values()], manifest);
+    console.log(`[${REFRESH ? 'REFRESH' : 'RESUME'}] merged manifest records=${manifest.length}`);
+  }
   manifest.sort((a,b)=> (a.url===b.url ? a.profile.localeCompare(b.profile) : a.url.localeCompare(b.url)));
+  // Translation sets from hreflang: per-record locale/alternates plus the run-level locales.json
+  if (LOCALE_MODE || manifest.some(r=>r.hreflang)) {
+    try {
+      const graph = buildLocaleGraph(manifest);
+      writeLocaleGraph(outputRoot, graph);
+      console.log('[LOCALE]', LOCALES_FILE, 'groups=' + graph.groups.length, 'locales=' + Object.keys(graph.locales).join(','), 'queued=' + localeQueued);
+    } catch (e) { console.warn('[LOCALE_ERR]', e.message); }
+  }
   const manifestPath = path.join(outputRoot,'manifest.json');
   fs.writeFileSync(manifestPath, JSON.stringify(manifest,null,2));
   const failures=manifest.filter(m=>!String(m.status||'').startsWith('ok'));
   const totalAssets=[...new Set(manifest.filter(m=>m.profile==='desktop').map(m=>m.assets))].reduce((a,b)=>a+b,0);
   console.log(`DONE pages=${finalSeeds.length} profiles=${PROFILES_LIST.length} records=${manifest.length} failures=${failures.length} (desktop assets approx=${totalAssets})`);
+  console.log('[CODES]', groupByCode(manifest).map(g=>g.code+'='+g.count).join(' '));
 
   // Guarantee a root index.html exists and redirects to the captured page
   ensureRootIndex(outputRoot, manifest);
 
+  // Close WARC (writes CDXJ) and package WACZ with pages.jsonl built from the manifest
+  if (warcWriter) {
+    try {
+      const w = warcWriter; warcWriter = null;
+      const res = w.close();
+      console.log('[WARC] records=', res.records, 'cdxj=', path.relative(outputRoot, res.cdxj));
+      if (WACZ_OUTPUT) {
+        const wacz = writeWaczPackage(outputRoot, manifest, zipDirectory, {
+          mainPageURL: PRIMARY_START_URL || finalSeeds[0] || undefined,
+          log: (m) => console.warn('[WACZ]', m)
+        });
+        if (wacz) console.log('[WACZ] written', path.relative(outputRoot, wacz));
+      }
+    } catch (e) { console.warn('[WARC_FINALIZE_ERR]', e.message); }
+  }
+
   // Write/merge _payment-map.json with placeholders for discovered product IDs
   try { writeAutoPaymentMap(outputRoot); } catch {}
 
   // Persist catalog + SKU map
   try { saveCatalog(outputRoot); console.log('[CATALOG] entries=', CATALOG.length, 'nextSku=', SKU_MAP.next); } catch {}
+  if (ENABLE_CATALOG && CATALOG_HISTORY && CATALOG.length) {
+    try {
+      const h = recordRunFromDir(outputRoot, { site: catalogSite });
+      mergeSharedSkuMap(h.dir, SKU_MAP);
+      console.log('[CATALOG_HISTORY]', h.recorded ? `recorded new=${h.added} changes=${h.changes}` : `skipped (${h.reason})`, 'store=', h.dir);
+    } catch (e) { console.warn('[CATALOG_HISTORY_ERR]', e.message); }
+  }
   // Derive/merge SKU-based payment mappings for host-time rewrites
   try { writeSkuPaymentMap(outputRoot); } catch {}
 
+  // Recipe transforms: saved as the run's transforms.json and applied to every captured page
+  const recipeSteps = SITE_RECIPE && SITE_RECIPE.settings.transforms ? (SITE_RECIPE.settings.transforms.steps || []) : [];
+  if (recipeSteps.length) {
+    try {
+      saveTransformRecipe(outputRoot, { steps: recipeSteps });
+      const t = applyTransforms(outputRoot, { steps: recipeSteps }, { preview: false });
+      console.log('[TRANSFORMS]', 'steps=' + recipeSteps.length, 'pages=' + t.changedPages + '/' + t.pages);
+    } catch (e) { console.warn('[TRANSFORMS_ERR]', e.message); }
+  }
+
   if(failures.length){
     console.log('Sample failures:');
     failures.slice(0,8).forEach(f=>console.log('-',f.url,f.profile,f.status));
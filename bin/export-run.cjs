@@ -2,21 +2,52 @@
 /* eslint-disable no-console */
 const path = require('path');
 const { exportRun } = require('../platform/exporter.cjs');
+const { listExporters } = require('../platform/registry.cjs');
 
 function arg(name, def) {
   const idx = process.argv.indexOf(`--${name}`);
   return idx > -1 ? process.argv[idx+1] : def;
 }
 
+// --opt key=value (repeatable) -> { key: 'value' }; the registry validates and coerces them
+function optArgs() {
+  const out = {};
+  process.argv.forEach((a, i) => {
+    if (a !== '--opt') return;
+    const kv = process.argv[i+1] || '';
+    const eq = kv.indexOf('=');
+    if (eq < 1) throw new Error(`--opt expects key=value (got "${kv}")`);
+    out[kv.slice(0, eq)] = kv.slice(eq + 1);
+  });
+  return out;
+}
+
+function printList() {
+  for (const ex of listExporters()) {
+    console.log(`${ex.name}${ex.aliases.length ? ` (${ex.aliases.join(', ')})` : ''} - ${ex.title}: ${ex.description}`);
+    for (const o of ex.options) {
+      const type = o.type === 'enum' ? o.values.join('|') : o.type;
+      console.log(`    --opt ${o.key}=<${type}>${o.default !== undefined && o.default !== '' ? ` [${o.default}]` : ''}  ${o.description}`);
+    }
+  }
+}
+
 (async () => {
   try {
+    if (process.argv.includes('--list')) {
+      if (process.argv.includes('--json')) console.log(JSON.stringify(listExporters(), null, 2));
+      else printList();
+      return;
+    }
     const platform = arg('platform');
     const runDir = path.resolve(arg('run-dir', './downloaded_pages/latest'));
     const outDir = path.resolve(arg('out', `./out/${platform || 'export'}`));
-    if (!platform) throw new Error('Missing --platform (shopify|woocommerce)');
+    if (!platform) throw new Error(`Missing --platform (${listExporters().map(e => e.name).join('|')}); --list shows options`);
+    const options = optArgs();
     console.log(`[export-run] platform=${platform} runDir=${runDir} outDir=${outDir}`);
-    await exportRun({ runDir, outDir, platform });
-    console.log('[export-run] OK');
+    const result = await exportRun({ runDir, outDir, platform, options });
+    for (const f of result.files || []) console.log(`[export-run] wrote ${f}`);
+    console.log('[export-run] OK', JSON.stringify(result.stats || {}));
   } catch (e) {
     console.error('[export-run] ERROR:', e.message);
     process.exit(1);
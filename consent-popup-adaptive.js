@@ -1,12 +1,10 @@
 const fs = require('fs');
 const path = require('path');
+const { loadProviders: loadCatalog, providerMap } = require('./lib/consent-automation.cjs');
 
-let PROVIDERS=null;
+// Same catalog as the consent engine (consent-providers.json + CONSENT_PROVIDERS_FILE)
 function loadProviders(){
-  if(PROVIDERS) return PROVIDERS;
-  const p=path.join(__dirname,'consent-providers.json');
-  PROVIDERS = JSON.parse(fs.readFileSync(p,'utf8'));
-  return PROVIDERS;
+  return providerMap(loadCatalog());
 }
 
 function loadLearning(){
@@ -176,7 +174,7 @@ async function adaptiveConsent(page, targetUrl, opts={}){
     }
 
     loop();
-  };
+  });
 
   const result = await page.evaluate(script, providers, learned, key, {maxMs: process.env.CONSENT_MAX_MS?parseInt(process.env.CONSENT_MAX_MS,10):20000});
   // Learning logic (simplified)
@@ -3,7 +3,8 @@
  * crawler.cjs  (Advanced / Seed-Limiter Version)
  *
  * Purpose:
- *   Lightweight breadth-first crawler used in two modes:
+ *   Lightweight crawler (BFS plus optional sitemap/deep/id-enum sources, see
+ *   lib/discovery/engine.cjs) used in two modes:
  *     1. Stand-alone ?Crawl Only? (GUI crawl form)
  *     2. Auto-Discover (Direct Run Depth) prior to archiving
  *
@@ -27,6 +28,7 @@
  *   DENY_REGEX=            optional deny pattern
  *   KEEP_QUERY_PARAMS=     comma list of query params to keep (others stripped)
  *   STRIP_ALL_QUERIES=false
+ *   URL_RULES_FILE=        per-site canonicalization rules (default: url-rules.json)
  *   WAIT_AFTER_LOAD=500    ms wait after domcontentloaded
  *   NAV_TIMEOUT=15000      per navigation
  *   PAGE_TIMEOUT=45000     (not heavily used yet; placeholder for per-page budget)
@@ -37,6 +39,12 @@
  *   STABLE_SESSION=true
  *   ROTATE_SESSION=false
  *   ROTATE_EVERY=0         rotate proxy/session every N pages (when not stable)
+ *   DISCOVERY_SOURCES=bfs  comma list of bfs,sitemap,deep,id-enum (one shared frontier)
+ *   SITEMAP_SINCE=         sitemap source: only URLs with lastmod on/after this date (ISO)
+ *   SITEMAP_INCLUDE_UNDATED=true  keep sitemap URLs without lastmod when SITEMAP_SINCE is set
+ *   SITEMAP_MAX=5000       max URLs taken from sitemaps per origin
+ *   CRAWL_CONSENT=true     accept cookie banners with lib/consent-automation.cjs (providers from
+ *                          consent-providers.json, CONSENT_* settings as in archiver.cjs)
  *
  * Optional STOP MECHANISM (used by GUI stop-run escalation):
  *   If a file named STOP in OUTPUT_DIR/_crawl is created during crawl,
@@ -45,7 +53,7 @@
  * Outputs (in OUTPUT_DIR/_crawl):
  *   urls.txt               (ONLY fetched pages, in visit order; what archiver will use)
  *   discovered-debug.txt   (all normalized URLs ever seen; for diagnostics)
- *   graph.json             simple graph (nodes/edges) of discovered links
+ *   graph.json             nodes (depth, source that found them, crawled) + edges
  *   report.json            metadata summary
  *
  * Exit Codes:
@@ -59,6 +67,9 @@ const path = require('path');
 const crypto = require('crypto');
 const { chromium, firefox, webkit } = require('playwright');
 const { HttpsProxyAgent } = require('https-proxy-agent');
+const { buildSources, runDiscovery, writeDiscoveryOutputs } = require('./lib/discovery/engine.cjs');
+const { canonicalizeUrl, canonicalFromHtml } = require('./lib/url-canon.cjs');
+const { createConsentEngine } = require('./lib/consent-automation.cjs');
 const https = require('https');
 const http = require('http');
 
@@ -119,6 +130,12 @@ const PROXIES_FILE  = process.env.PROXIES_FILE || '';
 const STABLE_SESSION= flag('STABLE_SESSION', true);
 const ROTATE_SESSION= flag('ROTATE_SESSION', false);
 const ROTATE_EVERY  = parseInt(process.env.ROTATE_EVERY||'0',10);
+// Discovery sources feeding the shared frontier (lib/discovery/engine.cjs)
+const DISCOVERY_SOURCES = process.env.DISCOVERY_SOURCES || 'bfs';
+const SITEMAP_SINCE = process.env.SITEMAP_SINCE || '';
+const SITEMAP_INCLUDE_UNDATED = flag('SITEMAP_INCLUDE_UNDATED', true);
+const SITEMAP_MAX = parseInt(process.env.SITEMAP_MAX||'5000',10) || 5000;
+const CRAWL_CONSENT = flag('CRAWL_CONSENT', true);
 
 /* Regex compile */
 let allowRx=null, denyRx=null;
@@ -168,21 +185,12 @@ function normalizeURL(raw, rootHost, opts={}){
     if (!same && !sub) return null;
   }
 
-  u.hash='';
-  if (STRIP_ALL_QUERIES){
-    u.search='';
-  } else if (KEEP_QUERY_PARAMS.length){
-    const params=new URLSearchParams(u.search);
-    [...params.keys()].forEach(k=>{
-      if(!KEEP_QUERY_PARAMS.includes(k)) params.delete(k);
-    });
-    u.search = params.toString()?('?'+params.toString()):'';
-  }
-
-  let final=u.toString();
-  try {
-    if (u.pathname !== '/' && final.endsWith('/')) final=final.slice(0,-1);
-  } catch {}
+  // Shared with archiver/server (lib/url-canon.cjs); env settings override url-rules.json
+  const overrides={};
+  if (STRIP_ALL_QUERIES) overrides.stripAllQueries=true;
+  if (KEEP_QUERY_PARAMS.length) overrides.keepParams=KEEP_QUERY_PARAMS;
+  const final=canonicalizeUrl(u.toString(), { overrides });
+  if (!final) return null;
   if (!opts.bypassAllow && allowRx && !allowRx.test(final)) return null;
   if (denyRx && denyRx.test(final)) return null;
   return final;
@@ -328,23 +336,12 @@ async function crawl(){
   const rootURL=START_URLS[0];
   const rootHost=(()=>{ try { return new URL(rootURL).hostname; } catch { return ''; }})();
 
-  const queue=[];               // BFS queue: {url, depth}
-  const seen=new Set();         // all normalized URLs ever seen (discovered)
-  const visitedOrder=[];        // order of ACTUAL FETCHES (pages we opened)
-  const visitedSeeds=[];        // subset of visited that match allow (or all if no allow)
-  const depths=new Map();       // url -> depth (for graph)
-  const edges=[];               // {from,to}
-
-  START_URLS.forEach(u=>{
-    const n=normalizeURL(u, rootHost, { bypassAllow:true });
-    if(n && !seen.has(n)){
-      seen.add(n);
-      depths.set(n,0);
-      queue.push({url:n, depth:0});
-    }
-  });
+  let consent=null;
+  if (CRAWL_CONSENT) {
+    try { consent=createConsentEngine(); }
+    catch(e){ console.error('[CONSENT_PROVIDERS_ERR]', e.message); process.exit(3); }
+  }
 
-  let pagesCrawled=0;
   let browser=await createBrowser(nextProxy(0));
   const context=await browser.newContext({
     userAgent:USER_AGENT,
@@ -353,139 +350,102 @@ async function crawl(){
   });
   await applyStealth(context);
 
-  async function processItem(item){
-    if (visitedSeeds.length >= MAX_PAGES) return;
-    if (item.depth > MAX_DEPTH) return;
-    if (stopRequested(OUTPUT_DIR)) return;
-
-    let page;
-    let ok=false;
-    let linkCount=0;
+  // One page per URL; the deep source inspects it before the engine calls close()
+  async function fetchPage(url, node, { needsHtml }){
+    const page=await context.newPage();
+    const close=()=>page.close().catch(()=>{});
+    page.setDefaultNavigationTimeout(NAV_TIMEOUT);
     try {
-      page=await context.newPage();
-      page.setDefaultNavigationTimeout(NAV_TIMEOUT);
+      if (consent) { try { await consent.prepare(context, url); } catch {} }
       // Primary navigation with configured lifecycle
-      let navigated=false;
       try {
-        await page.goto(item.url,{ waitUntil: PAGE_WAIT_UNTIL, timeout: NAV_TIMEOUT });
-        navigated=true;
+        await page.goto(url,{ waitUntil: PAGE_WAIT_UNTIL, timeout: NAV_TIMEOUT });
       } catch (e) {
         console.log(`[CRAWL_WARN] primary goto failed (${PAGE_WAIT_UNTIL}) ${e.message}`);
         // Fallback A: try fast commit to bypass long blocking (e.g., bot checks), then best-effort DOM wait
         try {
-          await page.goto(item.url, { waitUntil: 'commit', timeout: Math.min(15000, NAV_TIMEOUT) });
-          navigated=true;
+          await page.goto(url, { waitUntil: 'commit', timeout: Math.min(15000, NAV_TIMEOUT) });
           try { await page.waitForLoadState('domcontentloaded', { timeout: Math.min(15000, NAV_TIMEOUT) }); } catch {}
         } catch (e2) {
           // Fallback B: raw HTML fetch + anchor extraction (no JS)
-          const raw = await fetchHtmlRaw(item.url);
-          if (raw) {
-            const anchors = extractAnchors(raw);
-            // Mark visited even if headless navigation failed; we at least fetched HTML
-            visitedOrder.push(item.url);
-            pagesCrawled++;
-            const allowedForSeed = allowRx ? allowRx.test(item.url) : true;
-            if (allowedForSeed) visitedSeeds.push(item.url);
-            // feed anchors to queue
-            for(const rawHref of anchors){
-              const resolved = (()=>{ try{ return new URL(rawHref, item.url).toString(); }catch{ return null; } })();
-              if(!resolved) continue;
-              const norm=normalizeURL(resolved, rootHost);
-              if(!norm) continue;
-              edges.push({ from:item.url, to:norm });
-              if(!seen.has(norm)){
-                seen.add(norm);
-                const d=item.depth+1;
-                depths.set(norm,d);
-                if (d <= MAX_DEPTH && visitedOrder.length < MAX_PAGES){
-                  queue.push({ url:norm, depth:d });
-                }
-              }
-            }
-            console.log(`[CRAWL_FALLBACK] used raw HTML fetch, anchors=${anchors.length}`);
-            // continue to link extraction path without DOM
-          } else {
-            throw e; // give up
-          }
+          await close();
+          const raw = await fetchHtmlRaw(url);
+          if (!raw) throw e;
+          const anchors = extractAnchors(raw);
+          console.log(`[CRAWL_FALLBACK] used raw HTML fetch, anchors=${anchors.length}`);
+          return { ok:true, links: anchors.map(href=>({ href, text:'' })), html: raw, canonical: canonicalFromHtml(raw, url, { sameSite: ()=>true }) };
         }
       }
-  if (WAIT_AFTER_LOAD>0) await page.waitForTimeout(WAIT_AFTER_LOAD);
-  try{ await humanizePage(page); }catch{}
-      // Mark visited
-  visitedOrder.push(item.url);
-  pagesCrawled++;
-  const allowedForSeed = allowRx ? allowRx.test(item.url) : true;
-  if (allowedForSeed) visitedSeeds.push(item.url);
-
-  // Extract links only if we can still expand and we have a DOM (navigated true)
-  if (navigated && pagesCrawled < MAX_PAGES && item.depth < MAX_DEPTH){
-        let hrefs=[];
+      if (WAIT_AFTER_LOAD>0) await page.waitForTimeout(WAIT_AFTER_LOAD);
+      if (consent) {
         try {
-          hrefs=await page.$$eval('a[href]', as=>as.map(a=>a.getAttribute('href')));
-          if (!hrefs || hrefs.length===0) {
-            // wait briefly for dynamic anchors to appear
-            try { await page.waitForSelector('a[href]', { timeout: Math.min(8000, NAV_TIMEOUT) }); } catch {}
-            hrefs=await page.$$eval('a[href]', as=>as.map(a=>a.getAttribute('href')));
-          }
+          const c=await consent.handle(page, { url });
+          if (c.provider || c.method!=='none') console.log(`[CRAWL_CONSENT] ${url} provider=${c.provider||'-'} method=${c.method}`);
         } catch {}
-        for(const raw of hrefs){
-          if(!raw) continue;
-          let resolved;
-            try { resolved=new URL(raw, item.url).toString(); } catch { continue; }
-          const norm=normalizeURL(resolved, rootHost, { bypassAllow:true });
-          if(!norm) continue;
-          edges.push({ from:item.url, to:norm });
-          if(!seen.has(norm)){
-            seen.add(norm);
-            const d=item.depth+1;
-            depths.set(norm,d);
-            // Enqueue only if we still can fetch more pages and depth within limit
-            if (d <= MAX_DEPTH && visitedSeeds.length < MAX_PAGES){
-              queue.push({ url:norm, depth:d });
-            }
-          }
-        }
-        linkCount=hrefs.length;
       }
-      ok=true;
-      console.log(`[CRAWL] d=${item.depth} ok url=${item.url} links=${linkCount}`);
+      try{ await humanizePage(page); }catch{}
+      let links=[];
+      try {
+        const grab=()=>page.$$eval('a[href]', as=>as.map(a=>({ href:a.getAttribute('href'), text:(a.textContent||'').replace(/\s+/g,' ').trim().slice(0,160) })));
+        links=await grab();
+        if (!links || links.length===0) {
+          // wait briefly for dynamic anchors to appear
+          try { await page.waitForSelector('a[href]', { timeout: Math.min(8000, NAV_TIMEOUT) }); } catch {}
+          links=await grab();
+        }
+      } catch {}
+      const html = needsHtml ? await page.content().catch(()=>'') : undefined;
+      // Same-site filtering of the canonical happens in normalizeURL
+      const canonTag = html || await page.$eval('link[rel~="canonical" i]', l=>l.outerHTML).catch(()=>'');
+      const canonical = canonicalFromHtml(canonTag, page.url(), { sameSite: ()=>true });
+      console.log(`[CRAWL] d=${node.depth} ok url=${url} links=${links.length}`);
+      return { ok:true, links: links.filter(l=>l && l.href), html, canonical, page, close };
     } catch(e){
-      console.log(`[CRAWL_ERR] ${item.url} ${e.message}`);
-    } finally {
-      try { if(page) await page.close(); } catch {}
+      console.log(`[CRAWL_ERR] ${url} ${e.message}`);
+      await close();
+      return { ok:false };
     }
   }
 
-  while(queue.length && visitedSeeds.length < MAX_PAGES){
-    if (stopRequested(OUTPUT_DIR)) break;
-    const item=queue.shift();
-    await processItem(item);
+  let result;
+  try {
+    result = await runDiscovery({
+      startUrls: START_URLS.map(u=>normalizeURL(u, rootHost, { bypassAllow:true })).filter(Boolean),
+      sources: buildSources(DISCOVERY_SOURCES, {
+        log: (...a)=>console.log(...a),
+        sitemap: { since: SITEMAP_SINCE || null, includeUndated: SITEMAP_INCLUDE_UNDATED, max: SITEMAP_MAX }
+      }),
+      fetchPage,
+      // Traverse through pages that fail ALLOW_REGEX; only matching pages become seeds
+      normalize: (u)=>normalizeURL(u, rootHost, { bypassAllow:true }),
+      isAllowed: (u)=> allowRx ? allowRx.test(u) : true,
+      maxPages: MAX_PAGES,
+      maxDepth: MAX_DEPTH,
+      shouldStop: ()=>stopRequested(OUTPUT_DIR),
+      log: (...a)=>console.log(...a)
+    });
+  } finally {
+    try { await browser.close(); } catch {}
   }
 
-  try { await browser.close(); } catch {}
-
-  // seedsForArchive: exactly the visited pages (limit enforced)
-  const seedsForArchive = visitedSeeds.slice(0, MAX_PAGES);
+  // seedsForArchive: exactly the visited pages that pass ALLOW_REGEX (limit enforced)
+  const seedsForArchive = result.seeds.slice(0, MAX_PAGES);
+  const stats = result.stats;
   // For debugging: full discovered set
-  fs.writeFileSync(path.join(crawlDir,'discovered-debug.txt'), Array.from(seen).join('\n')+'\n','utf8');
-  // Output only fetched pages to urls.txt
-  fs.writeFileSync(path.join(crawlDir,'urls.txt'), seedsForArchive.join('\n')+'\n','utf8');
-
-  // Graph & report use all discovered but highlight actual crawled subset
-  fs.writeFileSync(path.join(crawlDir,'graph.json'), JSON.stringify({
-    nodes: Array.from(seen).map(u=>({
-      url:u,
-      depth: depths.get(u) ?? null,
-      crawled: visitedOrder.includes(u)
-    })),
-    edges
-  }, null, 2),'utf8');
+  fs.writeFileSync(path.join(crawlDir,'discovered-debug.txt'), result.frontier.urls().join('\n')+'\n','utf8');
+  // urls.txt (fetched pages only) + graph.json (all discovered, with the source per node)
+  writeDiscoveryOutputs(crawlDir, { ...result, seeds: seedsForArchive }, {
+    start: rootURL,
+    config: { maxDepth: MAX_DEPTH, maxPages: MAX_PAGES, sources: DISCOVERY_SOURCES, sitemapSince: SITEMAP_SINCE || null, allow: ALLOW_REGEX_STR || null, deny: DENY_REGEX_STR || null }
+  });
 
   fs.writeFileSync(path.join(crawlDir,'report.json'), JSON.stringify({
     startURLs: START_URLS,
-    pagesCrawled: visitedOrder.length,
+    pagesCrawled: stats.crawled,
     seedsForArchive: seedsForArchive.length,
-    totalDiscovered: seen.size,
+    totalDiscovered: stats.discovered,
+    sources: DISCOVERY_SOURCES,
+    bySource: stats.bySource,
     maxDepth: MAX_DEPTH,
     maxPages: MAX_PAGES,
     sameHostOnly: SAME_HOST_ONLY,
@@ -498,7 +458,7 @@ async function crawl(){
     timestamp: new Date().toISOString()
   }, null, 2),'utf8');
 
-  console.log(`[CRAWL_DONE] discovered=${seen.size} crawled=${visitedOrder.length} seedsForArchive=${seedsForArchive.length}${stopRequested(OUTPUT_DIR)?' (STOP)':''}`);
+  console.log(`[CRAWL_DONE] discovered=${stats.discovered} crawled=${stats.crawled} seedsForArchive=${seedsForArchive.length}${stopRequested(OUTPUT_DIR)?' (STOP)':''}`);
 
   if (!seedsForArchive.length){
     process.exit(2);
@@ -7,9 +7,17 @@
  *  - /api/export-zip creates a zip or tar.gz and returns download link
  *  - keeps all existing endpoints and behavior
  *
+ * Jobs:
+ *  - runs, crawls, exports and hosting prepares go through a persistent queue (lib/job-queue.cjs)
+ *    with per-type worker slots (GUI_JOB_SLOTS="run=2,crawl=2,export=2,prepare=1"); each job has
+ *    its own log (/api/jobs/:id/log) and stop control, and the queue survives a restart (_jobs/).
+ *  - login with local accounts or API tokens, viewer/operator/admin roles and an audit log
+ *    (lib/auth.cjs, GUI_AUTH_DIR); GUI_AUTH=false turns login off for trusted local use.
+ *  - site recipes (/api/recipes, lib/recipes.cjs): named, versioned run settings; runs record the one they used.
+ *  - schedules (/api/schedules, lib/schedules.cjs) queue recurring captures by cron expression and
+ *    prune each schedule's older runs (keep last N / newer than X days); GUI_SCHEDULER=false disables.
+ *
  * Minimal reliability and speed fixes:
- *  - Prevent double starts via `startingJob` gate.
- *  - Guard currentJob in launchArchiver with ensureCurrentJob() to prevent null phase crash.
  *  - Preserve MAX_CAPTURE_MS=0 (unlimited) instead of defaulting to 15000.
  *  - Force pages-only discovery in auto-expand via DISABLE_AUTO_ALLOW env (crawler may use it to skip product auto-allow).
  */
@@ -19,12 +27,20 @@ const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
 const { nanoid } = require('nanoid');
-const { applyTransforms, resetTransforms, findRootIndex } = require('./transform.cjs');
+const { applyTransforms, resetTransforms, logoAssetsDir, loadRecipe, saveRecipe } = require('./transform.cjs');
 const { prepareHosting } = require('./lib/hostingPrep.cjs');
 const { deriveRunId } = require('./lib/run-id.cjs');
+const { readFinalManifest, readPartialManifest, mergeManifest } = require('./lib/run-state.cjs');
+const { groupByCode } = require('./lib/capture-codes.cjs');
+const { HISTORY_DIR_NAME, historyDirFor, readRunCatalog, queryHistory, diffCatalogs } = require('./lib/catalog-history.cjs');
 const { SETTINGS_CONFIG, getSetting, getAllSettings } = require('./lib/settings.cjs');
+const { createJobQueue } = require('./lib/job-queue.cjs');
+const { createScheduler } = require('./lib/schedules.cjs');
+const { createAuth, roleAtLeast, auditParams } = require('./lib/auth.cjs');
+const { RECIPES_DIR, RUN_RECIPE_FILE, createRecipeStore, recipeSchema, recipeOptions, maskProxy, maskRecipeSecrets, restoreRecipeSecrets, writeRunRecipe, readRunRecipe, parseProxyToObject } = require('./lib/recipes.cjs');
 
 const PORT = parseInt(process.env.GUI_PORT || '8090', 10);
+const SCHEDULER_ON = String(process.env.GUI_SCHEDULER || 'true').toLowerCase() !== 'false';
 const BASE = path.join(__dirname,'downloaded_pages');
 const ARCHIVER = path.join(__dirname,'archiver.cjs');
 const CRAWLER = path.join(__dirname,'crawler.cjs');
@@ -32,6 +48,12 @@ const HOST_SERVER = path.join(__dirname,'server.cjs');
 const HOSTING_OUT_BASE = path.join(__dirname,'hosting_packages');
 const OUT_BASE = path.join(__dirname,'out'); // Exposed at /download
 const SMART_MAP = path.join(__dirname,'tools','smart-map.cjs');
+const VALIDATE_REPLAY = path.join(__dirname,'validate-replay.cjs');
+const JOBS_DIR = path.join(BASE,'_jobs'); // job queue state + per-job logs (lib/job-queue.cjs)
+const JOB_WORKER = path.join(__dirname,'lib','job-worker.cjs');
+const SCHEDULES_DIR = path.join(BASE,'_schedules'); // recurring captures (lib/schedules.cjs)
+const RUN_SUMMARY = 'run-summary.json'; // per-run outcome of scheduled runs, shown in the runs list
+const RUN_OPTIONS = 'run-options.json'; // effective options a run was launched with, reused by resume/refresh
 
 fs.mkdirSync(BASE,{recursive:true});
 fs.mkdirSync(HOSTING_OUT_BASE,{recursive:true});
@@ -39,12 +61,165 @@ fs.mkdirSync(OUT_BASE,{recursive:true}); // ensure exists
 
 const app = express();
 app.use(express.json({limit:'35mb'}));
+
+/* ---------- Authentication, roles, audit ---------- */
+// Local accounts and API tokens (lib/auth.cjs). Browsers log in at /login (session cookie); scripts send
+// "Authorization: Bearer <token>". Roles: viewer reads, operator starts/stops/exports, admin also
+// deletes, installs and manages users. Every state-changing request lands in the audit log.
+// GUI_AUTH=false turns login off (trusted localhost only); actions are still audited.
+const AUTH_ON = String(process.env.GUI_AUTH || 'true').toLowerCase() !== 'false';
+const AUTH_DIR = process.env.GUI_AUTH_DIR ? path.resolve(process.env.GUI_AUTH_DIR) : path.join(__dirname,'.gui-auth');
+const SESSION_COOKIE = 'gui_session';
+const SESSION_HOURS = parseFloat(process.env.GUI_SESSION_HOURS || '12') || 12;
+const auth = createAuth({ dir: AUTH_DIR, sessionHours: SESSION_HOURS, log: (l)=>push(l) });
+
+// Routes that need admin; other writes need operator, reads viewer
+const ADMIN_ROUTES = [
+  /^\/api\/delete-run$/, /^\/api\/playwright\/install$/, /^\/api\/users(\/|$)/, /^\/api\/audit$/,
+  /^\/api\/debug\//, /^\/api\/jobs\/slots$/, /^\/api\/schedules\/[^/]+\/(delete|prune)$/, /^\/api\/recipes\/[^/]+\/delete$/
+];
+function requiredRole(req){
+  if(ADMIN_ROUTES.some(rx=>rx.test(req.path))) return 'admin';
+  // own session, password and tokens
+  if(/^\/api\/(auth|tokens)(\/|$)/.test(req.path)) return 'viewer';
+  return (req.method==='GET' || req.method==='HEAD') ? 'viewer' : 'operator';
+}
+
+function parseCookies(req){
+  const out={};
+  String(req.headers.cookie||'').split(';').forEach(p=>{
+    const i=p.indexOf('=');
+    if(i>0){ try{ out[p.slice(0,i).trim()]=decodeURIComponent(p.slice(i+1).trim()); }catch{} }
+  });
+  return out;
+}
+function identify(req){
+  const bearer=/^Bearer\s+(\S+)$/i.exec(String(req.headers.authorization||''));
+  if(bearer){ const u=auth.tokenUser(bearer[1]); return u ? { ...u, via:'token' } : null; }
+  const u=auth.sessionUser(parseCookies(req)[SESSION_COOKIE]);
+  return u ? { ...u, via:'session' } : null;
+}
+function sessionCookie(req, value, maxAgeSec){
+  const secure = req.secure || String(req.headers['x-forwarded-proto']||'').split(',')[0].trim()==='https';
+  return `${SESSION_COOKIE}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAgeSec}${secure?'; Secure':''}`;
+}
+
+// Audit every state-changing request, downloads, and refused requests
+app.use((req,res,next)=>{
+  res.on('finish',()=>{
+    if(req.path==='/api/auth/login') return; // the login route records the outcome itself
+    const read = req.method==='GET' || req.method==='HEAD';
+    const download = req.path.startsWith('/download/') || /\/download$/.test(req.path);
+    if(read && !download && res.statusCode!==403) return;
+    auth.audit({
+      user: req.user ? req.user.name : null, role: req.user ? req.user.role : null, via: req.user ? req.user.via : (AUTH_ON ? 'none' : 'open'),
+      method: req.method, path: req.originalUrl.split('?')[0], status: res.statusCode, ip: req.ip,
+      params: read ? undefined : auditParams(req.body)
+    });
+  });
+  next();
+});
+
+app.use((req,res,next)=>{
+  if(!AUTH_ON) return next();
+  if(req.path.startsWith('/static/') || req.path==='/login' || req.path==='/api/auth/login') return next();
+  req.user=identify(req);
+  if(!req.user){
+    if(req.path.startsWith('/api/') || req.method!=='GET') return res.status(401).json({ error:'login required' });
+    return res.redirect('/login?next='+encodeURIComponent(req.originalUrl));
+  }
+  const need=requiredRole(req);
+  if(!roleAtLeast(req.user.role, need)) return res.status(403).json({ error:`${need} role required` });
+  next();
+});
+
+app.get('/login',(req,res)=>{
+  if(!AUTH_ON) return res.redirect('/');
+  res.sendFile(path.join(__dirname,'public','login.html'));
+});
+
+// Failed logins per IP: more than LOGIN_MAX_FAILS within LOGIN_WINDOW_MS answers 429
+const LOGIN_MAX_FAILS = 10;
+const LOGIN_WINDOW_MS = 15*60*1000;
+const loginFails = new Map();
+app.post('/api/auth/login',(req,res)=>{
+  if(!AUTH_ON) return res.json({ ok:true, auth:false });
+  const { username='', password='' } = req.body||{};
+  const f=loginFails.get(req.ip);
+  if(f && Date.now()-f.first<LOGIN_WINDOW_MS && f.count>=LOGIN_MAX_FAILS){
+    auth.audit({ user:String(username).slice(0,64), via:'password', method:'POST', path:'/api/auth/login', status:429, ip:req.ip });
+    return res.status(429).json({ error:'too many failed logins, try again later' });
+  }
+  const s=auth.login(username, password);
+  auth.audit({ user:String(username).slice(0,64), via:'password', method:'POST', path:'/api/auth/login', status:s?200:401, ip:req.ip });
+  if(!s){
+    loginFails.set(req.ip, f && Date.now()-f.first<LOGIN_WINDOW_MS ? { first:f.first, count:f.count+1 } : { first:Date.now(), count:1 });
+    return res.status(401).json({ error:'invalid username or password' });
+  }
+  loginFails.delete(req.ip);
+  res.setHeader('Set-Cookie', sessionCookie(req, s.sessionId, Math.round(SESSION_HOURS*3600)));
+  res.json({ ok:true, user:s.user, expiresAt:s.expiresAt });
+});
+app.post('/api/auth/logout',(req,res)=>{
+  const sid=parseCookies(req)[SESSION_COOKIE];
+  if(sid) auth.logout(sid);
+  res.setHeader('Set-Cookie', sessionCookie(req, '', 0));
+  res.json({ ok:true });
+});
+app.get('/api/auth/me',(req,res)=>{
+  res.json({ ok:true, auth:AUTH_ON, user: AUTH_ON ? req.user : null });
+});
+app.post('/api/auth/password',(req,res)=>{
+  if(!AUTH_ON || req.user.via!=='session') return res.status(400).json({ error:'log in with a password to change it' });
+  const { current='', password='' } = req.body||{};
+  if(!auth.login(req.user.name, current)) return res.status(403).json({ error:'current password is wrong' });
+  try { auth.upsertUser({ name:req.user.name, password }); }
+  catch(e){ return res.status(400).json({ error:e.message }); }
+  res.setHeader('Set-Cookie', sessionCookie(req, '', 0));
+  res.json({ ok:true, message:'Password changed, log in again.' });
+});
+
+/* Users (admin) */
+app.get('/api/users',(req,res)=> res.json({ ok:true, users:auth.listUsers() }));
+app.post('/api/users',(req,res)=>{
+  const { name, password, role, disabled } = req.body||{};
+  try { res.json({ ok:true, user:auth.upsertUser({ name, password: password || undefined, role: role || undefined, disabled }) }); }
+  catch(e){ res.status(400).json({ error:e.message }); }
+});
+app.post('/api/users/:name/delete',(req,res)=>{
+  try {
+    if(!auth.removeUser(req.params.name)) return res.status(404).json({ error:'user not found' });
+    res.json({ ok:true });
+  } catch(e){ res.status(400).json({ error:e.message }); }
+});
+
+/* API tokens: your own; admins see and revoke everyone's */
+app.get('/api/tokens',(req,res)=>{
+  if(!AUTH_ON) return res.json({ ok:true, tokens:[] });
+  const all = req.user.role==='admin' && req.query.all==='1';
+  res.json({ ok:true, tokens:auth.listTokens(all ? '' : req.user.name) });
+});
+app.post('/api/tokens',(req,res)=>{
+  if(!AUTH_ON) return res.status(400).json({ error:'authentication is disabled (GUI_AUTH=false)' });
+  const { name, role } = req.body||{};
+  try { res.json({ ok:true, ...auth.createToken(req.user.name, { name, role }) }); }
+  catch(e){ res.status(400).json({ error:e.message }); }
+});
+app.post('/api/tokens/:id/revoke',(req,res)=>{
+  if(!AUTH_ON) return res.status(400).json({ error:'authentication is disabled (GUI_AUTH=false)' });
+  const ok = auth.revokeToken(req.params.id, req.user.role==='admin' ? '' : req.user.name);
+  if(!ok) return res.status(404).json({ error:'token not found' });
+  res.json({ ok:true });
+});
+
+/* Audit log (admin) */
+app.get('/api/audit',(req,res)=>{
+  res.json({ ok:true, entries:auth.readAudit({ user:req.query.user||'', path:req.query.path||'', limit:Math.min(parseInt(req.query.limit||'200',10)||200, 2000) }) });
+});
+
 app.use('/static', express.static(path.join(__dirname,'public')));
 app.use('/download', express.static(OUT_BASE, { dotfiles:'allow' })); // expose exports
 
-let currentJob=null;
-let currentChildProc=null;
-let startingJob=false; // gate to prevent double start
 let logBuf=[];
 const MAX_LOG=6000;
 let sseClients=[];
@@ -190,22 +365,32 @@ function getCrawlerDefaults(){
   };
 }
 
+// crawler.cjs and archiver discovery get the same source list, so both paths build the same frontier
+function discoverySourcesFor(o){
+  if(o && o.discoverySources) return String(o.discoverySources);
+  const list=['bfs'];
+  if(o && o.discoverSitemap) list.push('sitemap');
+  if(o && o.discoverComplete) list.push('deep');
+  if(o && o.discoverIdEnum) list.push('id-enum');
+  return list.join(',');
+}
+
+// Proxy list (site recipe) or single proxy string -> <dir>/_crawl/proxies.json for PROXIES_FILE ('' when none)
+function writeProxiesFile(dir, o, log=push){
+  const list = (Array.isArray(o && o.proxies) && o.proxies.length) ? o.proxies : [String((o && o.proxy) || '').trim()].filter(Boolean);
+  if(!list.length) return '';
+  try{
+    const parsed = list.map(parseProxyToObject);
+    const jsonPath = path.join(dir,'_crawl','proxies.json');
+    fs.mkdirSync(path.dirname(jsonPath),{recursive:true});
+    fs.writeFileSync(jsonPath, JSON.stringify(parsed,null,2));
+    return jsonPath;
+  }catch(e){ log('[WARN] invalid proxy '+e.message); return ''; }
+}
+
 function buildCrawlEnv(options, dir, startUrls) {
   const o = options || {};
-  // Optional single proxy string -> ephemeral PROXIES_FILE JSON
-  let proxiesFile='';
-  if(o.proxy){
-    try{
-      const pStr=String(o.proxy||'').trim();
-      if(pStr){
-        const parsed = parseProxyToObject(pStr);
-        const jsonPath = path.join(dir,'_crawl','proxies.json');
-        fs.mkdirSync(path.dirname(jsonPath),{recursive:true});
-        fs.writeFileSync(jsonPath, JSON.stringify([parsed],null,2));
-        proxiesFile = jsonPath;
-      }
-    }catch(e){ push('[WARN] invalid proxy '+e.message); }
-  }
+  const proxiesFile = writeProxiesFile(dir, o);
   return {
     ...process.env,
     START_URLS: (startUrls||[]).join('\n'),
@@ -225,6 +410,8 @@ function buildCrawlEnv(options, dir, startUrls) {
     PAGE_WAIT_UNTIL: o.pageWaitUntil || 'domcontentloaded',
     STEALTH: (o.stealth===false?'false':'true'),
     PROXIES_FILE: proxiesFile,
+    DISCOVERY_SOURCES: discoverySourcesFor(o),
+    SITEMAP_SINCE: o.sitemapSince || '',
     // Optional tracker blocking for crawler: merge with deny regex
     TRACKER_BLOCK: (o.blockTrackers ? '1' : ''),
     TRACKER_DENY_REGEX: (o.blockTrackers ? '(analytics|gtm|google-?tag|doubleclick|facebook|pixel|hotjar|clarity|segment|fullstory|optimizely|datadog|newrelic|sentry|bugsnag|mixpanel|adservice|googlesyndication|stats|beacon)' : '')
@@ -269,6 +456,8 @@ function getArchiverDefaults(){
     consentDebug: false,
     consentDebugScreenshot: false,
     forceConsentWaitMs: 0,
+    consentProvidersFile: (process.env.CONSENT_PROVIDERS_FILE || ''),
+    injectAcceptCookie: false,
     removeSelectors: '',
     skipDownloadPatterns: '',
   // Keep legacy layout with /index/desktop, not flattening by default
@@ -323,6 +512,8 @@ function buildArchiverEnv(options){
     CONSENT_DEBUG: (o.consentDebug?'true':'false'),
     CONSENT_DEBUG_SCREENSHOT: (o.consentDebugScreenshot?'true':'false'),
     FORCE_CONSENT_WAIT_MS: String(o.forceConsentWaitMs ?? d.forceConsentWaitMs),
+    CONSENT_PROVIDERS_FILE: String(o.consentProvidersFile || d.consentProvidersFile).trim(),
+    INJECT_ACCEPT_COOKIE: (o.injectAcceptCookie ? 'true' : 'false'),
     REMOVE_SELECTORS: (o.removeSelectors || d.removeSelectors).trim(),
     SKIP_DOWNLOAD_PATTERNS: (o.skipDownloadPatterns || d.skipDownloadPatterns).trim(),
   FLATTEN_ROOT_INDEX: (o.flattenRoot ? '1' : '0'),
@@ -331,12 +522,30 @@ function buildArchiverEnv(options){
     SAME_SITE_MODE: o.sameSiteMode || d.sameSiteMode,
     INTERNAL_HOSTS_REGEX: o.internalHostsRegex || d.internalHostsRegex,
     TARGET_PLATFORM: (o.targetPlatform || d.targetPlatform),
+    // resume: skip pages already captured ok in this run dir, retry failures only
+    RESUME: (o.resume ? 'true' : 'false'),
+    // refresh: conditional re-capture of an existing run (writes changes.json)
+    REFRESH: (o.refresh ? 'true' : 'false'),
+    // standard archive formats: <run>/_warc/ (WARC + CDXJ) and <run>/<id>.wacz
+    WARC_OUTPUT: (o.warcOutput ? 'true' : 'false'),
+    SCREENSHOTS: (o.screenshots ? 'true' : 'false'),
+    LISTING_EXPAND: (o.listingExpand ? 'true' : 'false'),
+    CAPTURE_API: (o.captureApi === false ? 'false' : 'true'),
+    // locale mode: hreflang siblings + locales.json
+    LOCALE_MODE: (o.localeMode ? 'true' : 'false'),
+    LOCALES: o.locales || '',
+    // politeness: robots.txt is honoured unless explicitly overridden; per-host rate limits
+    IGNORE_ROBOTS: (o.ignoreRobots ? 'true' : 'false'),
+    ...(o.hostConcurrency ? { HOST_CONCURRENCY: String(o.hostConcurrency) } : {}),
+    ...(o.hostMinDelayMs != null ? { HOST_MIN_DELAY_MS: String(o.hostMinDelayMs) } : {}),
     // network hardening
     DISABLE_HTTP2: (o.disableHttp2 ? 'true' : 'false'),
     // proxy (single string turned into file in run dir by caller of /api/run)
     PROXIES_FILE: (options && options.__proxiesFile) || process.env.PROXIES_FILE || '',
     // optional internal discovery mode (replace external crawler)
     DISCOVER_IN_ARCHIVER: (o.discoverInArchiver ? 'true' : 'false'),
+    DISCOVERY_SOURCES: discoverySourcesFor(o),
+    SITEMAP_SINCE: o.sitemapSince || '',
     DISCOVER_MAX_PAGES: String(o.autoExpandMaxPages ?? 50),
     DISCOVER_MAX_DEPTH: String(o.autoExpandDepth ?? 1),
     DISCOVER_ALLOW_REGEX: o.autoExpandAllowRegex || '',
@@ -351,24 +560,6 @@ function buildArchiverEnv(options){
   };
 }
 
-// Parse proxy string host:port[:user:pass] or http(s)://user:pass@host:port -> {server,username,password}
-function parseProxyToObject(input){
-  const s=String(input||'').trim(); if(!s) throw new Error('empty proxy');
-  let urlStr=s;
-  if(!/^https?:\/\//i.test(urlStr)){
-    // support user:pass@host:port and host:port or host:port:user:pass
-    if(/^[^@]+@/.test(urlStr)) urlStr='http://'+urlStr; // user:pass@host:port
-    else if(/^[^:]+:[0-9]+:[^:]+:.+/.test(urlStr)){
-      const [host,port,user,pass]=urlStr.split(':');
-      return { server:`http://${host}:${port}`, username:user, password:pass };
-    } else {
-      urlStr='http://'+urlStr; // host:port
-    }
-  }
-  const u=new URL(urlStr);
-  return { server:`${u.protocol}//${u.hostname}:${u.port}`, username:decodeURIComponent(u.username||''), password:decodeURIComponent(u.password||'') };
-}
-
 // API: settings help and defaults for UI tooltips/hints
 app.get('/api/settings',(req,res)=>{
   res.json({
@@ -417,6 +608,9 @@ function buildRunFromDir(dirName){
   }
   const stDir=safeStat(runDir);
   const startedAt=stDir?stDir.ctimeMs:Date.now();
+  let summary=null;
+  try{ summary=JSON.parse(fs.readFileSync(path.join(runDir,RUN_SUMMARY),'utf8')); }catch{}
+  const recipe=readRunRecipe(runDir);
   return {
     id:dirName,
     dir:runDir,
@@ -425,6 +619,8 @@ function buildRunFromDir(dirName){
     finishedAt:stats?finishedAt:undefined,
     stats,
     stopped:false,
+    ...(summary ? { scheduleId:summary.scheduleId, scheduleName:summary.scheduleName, summary:summary.summary, outcome:summary.status } : {}),
+    ...(recipe ? { recipe:recipeRef(recipe) } : {}),
     reconstructed:true
   };
 }
@@ -432,7 +628,7 @@ function scanExistingRuns(){
   const names = fs.readdirSync(BASE,{withFileTypes:true})
     .filter(d=>d.isDirectory())
     .map(d=>d.name)
-    .filter(n=>/^[A-Za-z0-9_.-]+$/.test(n));
+    .filter(n=>/^[A-Za-z0-9_.-]+$/.test(n) && n!==HISTORY_DIR_NAME && n!=='_jobs' && n!=='_schedules');
   for(const name of names){
     if(!findRun(name)){
       const rec=buildRunFromDir(name);
@@ -441,22 +637,6 @@ function scanExistingRuns(){
   }
 }
 
-/* Ensure job exists before phase transitions (prevents null crash) */
-function ensureCurrentJob(id, dir, startedAt, phase){
-  if(!currentJob || currentJob.id !== id){
-    currentJob = {
-      id,
-      dir,
-      startedAt: startedAt || Date.now(),
-      phase: phase || 'archive',
-      totalUrls: (currentJob && currentJob.totalUrls) || 0,
-      stopRequested: false
-    };
-  } else {
-    currentJob.phase = phase || currentJob.phase || 'archive';
-  }
-}
-
 /* ---------- Serve UI (auto-inject helper scripts) ---------- */
 app.get('/',(req,res)=>{
   try{
@@ -494,36 +674,13 @@ app.get('/api/logs',(req,res)=>{
 
 /* ---------- Debug ---------- */
 app.get('/api/debug/runs',(req,res)=> res.json({count:runs.length,runs}));
-app.get('/api/debug/job',(req,res)=> res.json({currentJob}));
+app.get('/api/debug/job',(req,res)=> res.json({ currentJob: compatJob(findRunJob()), jobs: jobQueue.list({ active:true }) }));
 
 /* ---------- Settings Configuration ---------- */
 app.get('/api/settings', (req,res) => {
   res.json({ settings: getAllSettings() });
 });
 
-/* ---------- finalizePartialManifest ---------- */
-function finalizePartialManifest(dir){
-  const partial = path.join(dir,'manifest.partial.jsonl');
-  const final = path.join(dir,'manifest.json');
-  if (!fs.existsSync(partial)){
-    fs.writeFileSync(final,'[]','utf8');
-    return { pages:0, failures:0, assets:0 };
-  }
-  const lines = fs.readFileSync(partial,'utf8').split(/\r?\n/).filter(Boolean);
-  const map = new Map();
-  for(const line of lines){
-    try{
-      const rec=JSON.parse(line);
-      map.set(rec.url, rec);
-    }catch{}
-  }
-  const manifest=[...map.values()].sort((a,b)=>a.url.localeCompare(b.url));
-  fs.writeFileSync(final, JSON.stringify(manifest,null,2));
-  const failures=manifest.filter(m=>!m.status.startsWith('ok')).length;
-  const assets=manifest.reduce((s,m)=>s+m.assets,0);
-  return { pages:manifest.length, failures, assets };
-}
-
 // Mount products-only API
 const attachProductsOnlyApi = require('./server/products-only-api.cjs');
 attachProductsOnlyApi(app, {
@@ -539,12 +696,20 @@ app.get('/api/runs',(req,res)=>{
     .sort((a,b)=> (a.startedAt>b.startedAt? -1:1))
     .map(r=>({
       id:r.id, dir:r.dir, startedAt:r.startedAt, finishedAt:r.finishedAt,
-      stats:r.stats, stopped: !!r.stopped, pending: !!r.pending
+      stats:r.stats, stopped: !!r.stopped, pending: !!r.pending || jobQueue.activeForRun(r.id),
+      jobId: (findRunJob(r.id) || {}).id,
+      scheduleId:r.scheduleId, scheduleName:r.scheduleName, summary:r.summary, outcome:r.outcome,
+      recipe:r.recipe
     }))
   });
 });
 app.get('/api/status',(req,res)=>{
-  res.json({ running: !!currentJob, currentJob, lastRun: runs.slice(-1)[0] || null, hosts: [...hosts.keys()] });
+  const jobs = jobQueue.list({ active:true }).map(j=>jobForUser(req, j));
+  res.json({
+    running: jobs.some(j=>j.status==='running'), currentJob: compatJob(findRunJob()),
+    jobs, slots: jobQueue.slots(),
+    lastRun: runs.slice(-1)[0] || null, hosts: [...hosts.keys()]
+  });
 });
 app.get('/api/manifest',(req,res)=>{
   const id=req.query.id;
@@ -625,435 +790,661 @@ app.post('/api/plan/:runId', (req,res)=>{
   } catch(e){ res.status(500).json({ error:e.message }); }
 });
 
-/* ---------- Stop Run ---------- */
-app.post('/api/stop-run',(req,res)=>{
-  if(!currentJob || !currentChildProc){
-    return res.status(400).json({error:'no run in progress'});
+/* ---------- Job handlers (run, crawl, export, prepare) ---------- */
+// Each handler runs inside a queue slot (lib/job-queue.cjs); child processes go through ctx.spawn so
+// the job's stop control can reach them and their output lands in the job's log.
+function ensureRunRecord(id, dir){
+  let rec=findRun(id);
+  if(!rec){
+    rec={ id, dir, seedsFile:null, startedAt:Date.now(), stats:null, stopped:false, pending:true };
+    runs.push(rec);
   }
-  const jobId=currentJob.id;
-  push(`[STOP_REQUEST] id=${jobId} phase=${currentJob.phase}`);
-  currentJob.stopRequested=true;
-  // If currently in a crawling phase, drop a STOP flag file to encourage graceful exit
-  try {
-    if(/crawl/i.test(String(currentJob.phase||''))){
-      const flagDir = path.join(currentJob.dir,'_crawl');
-      fs.mkdirSync(flagDir,{recursive:true});
-      fs.writeFileSync(path.join(flagDir,'STOP'),'1');
-      push('[STOP_FLAG] wrote _crawl/STOP');
+  return rec;
+}
+
+function crawlStats(dir){
+  const seedsFile=path.join(dir,'_crawl','urls.txt');
+  if(!fs.existsSync(seedsFile)) return null;
+  return { pagesCrawled: fs.readFileSync(seedsFile,'utf8').trim().split(/\r?\n/).filter(Boolean).length };
+}
+
+// Stats from manifest.json, built from manifest.partial.jsonl when the archiver did not write it (stopped, crashed)
+function archiveStats(dir){
+  const manifestPath=path.join(dir,'manifest.json');
+  try{
+    let mf;
+    if(fs.existsSync(manifestPath)){
+      mf=JSON.parse(fs.readFileSync(manifestPath,'utf8'));
+    } else {
+      const partial = path.join(dir,'manifest.partial.jsonl');
+      if(!fs.existsSync(partial)) return null;
+      const map = new Map();
+      for(const line of fs.readFileSync(partial,'utf8').split(/\r?\n/).filter(Boolean)){ try{ const rec=JSON.parse(line); map.set(rec.url+':'+rec.profile, rec); }catch{} }
+      mf=[...map.values()];
+      fs.writeFileSync(manifestPath, JSON.stringify(mf,null,2));
     }
-  } catch(e){ push('[STOP_FLAG_ERR] '+e.message); }
-  try { currentChildProc.kill('SIGTERM'); } catch(e){ push('[STOP_ERR] '+e.message); }
-  const pid=currentChildProc.pid;
-  setTimeout(()=>{
-    try{
-      process.kill(pid,0);
-      push(`[STOP_FORCE] SIGKILL pid=${pid}`);
-      process.kill(pid,'SIGKILL');
-    }catch{}
-  },1500);
+    const failures=mf.filter(m=>!String(m.status||'').startsWith('ok')).length;
+    const totalAssets=mf.reduce((s,m)=>s+(m.assets||0),0);
+    return { pages:mf.length, failures, assets:totalAssets };
+  }catch{ return null; }
+}
 
+// Drop a STOP flag file so the crawler exits gracefully
+function writeCrawlStopFlag(dir, log){
   try {
-    const runRec=findRun(jobId);
-    if(currentJob.phase==='archive'){
-      const stats=finalizePartialManifest(currentJob.dir);
-      if(runRec){
-        runRec.stats=stats;
-        runRec.finishedAt=Date.now();
-        runRec.stopped=true;
-        runRec.pending=false;
-      } else {
-        runs.push({ id:jobId, dir:currentJob.dir, startedAt:currentJob.startedAt,
-          finishedAt:Date.now(), stats, stopped:true, pending:false });
-      }
-      push(`[JOB_EXIT] id=${jobId} code=137 (stopped early)`);
-    } else {
-      const crawlDir=path.join(currentJob.dir,'_crawl');
-      let seedsFile=path.join(crawlDir,'urls.txt');
-      let stats=null;
-      if(fs.existsSync(seedsFile)){
-        const lines=fs.readFileSync(seedsFile,'utf8').trim().split(/\r?\n/).filter(Boolean);
-        stats={ pagesCrawled: lines.length };
-      } else seedsFile=null;
-      if(runRec){
-        runRec.stats=stats;
-        runRec.finishedAt=Date.now();
-        runRec.pending=false;
-        runRec.stopped=true;
-      } else {
-        runs.push({
-          id:jobId, dir:currentJob.dir, seedsFile,
-          startedAt:currentJob.startedAt, finishedAt:Date.now(),
-          stats, stopped:true, pending:false
-        });
-      }
-      push(`[CRAWL_EXIT] id=${jobId} code=137 (stopped early)`);
+    const flagDir = path.join(dir,'_crawl');
+    fs.mkdirSync(flagDir,{recursive:true});
+    fs.writeFileSync(path.join(flagDir,'STOP'),'1');
+    log('[STOP_FLAG] wrote _crawl/STOP');
+  } catch(e){ log('[STOP_FLAG_ERR] '+e.message); }
+}
+
+function autoExpandEnv(dir, directURLs, options, crawlOptions){
+  const autoDepth = parseInt(options.autoExpandDepth || 0,10);
+  const autoMax = parseInt(options.autoExpandMaxPages || 0,10) || 200;
+  return buildCrawlEnv({
+    maxPages: autoMax,
+    maxDepth: autoDepth,
+    sameHostOnly: options.autoExpandSameHostOnly,
+    includeSubdomains: options.autoExpandSubdomains,
+    allowRegex: options.autoExpandAllowRegex,
+    denyRegex: options.autoExpandDenyRegex,
+    // Prefer crawlOptions overrides, otherwise fall back to capture options where sensible
+    waitAfterLoad: (crawlOptions.waitAfterLoad ?? options.waitExtra ?? getCrawlerDefaults().waitAfterLoad),
+    navTimeout: (crawlOptions.navTimeout ?? options.navTimeout ?? getCrawlerDefaults().navTimeout),
+    pageTimeout: (crawlOptions.pageTimeout ?? options.pageTimeout ?? getCrawlerDefaults().pageTimeout),
+    // Network/protocol
+    disableHttp2: (options.disableHttp2 || crawlOptions.disableHttp2),
+    proxy: options.proxy,
+    proxies: options.proxies,
+    // Pass key archiver options to crawler for parity
+    pageWaitUntil: (options.pageWaitUntil || 'domcontentloaded'),
+    stealth: (options.stealth !== false),
+    // Keep engine/headless in sync with capture settings
+    engine: (options.engine || getCrawlerDefaults().engine),
+    headless: (typeof options.headless === 'boolean' ? options.headless : getCrawlerDefaults().headless),
+    blockTrackers: !!options.blockTrackers,
+    discoverySources: discoverySourcesFor(options),
+    sitemapSince: options.sitemapSince || ''
+  }, dir, directURLs);
+}
+
+function crawlFirstEnv(dir, options, crawlOptions){
+  const startUrls = (crawlOptions.startUrlsText||'').split(/\r?\n/).map(x=>x.trim()).filter(Boolean);
+  // Merge crawlOptions with sensible fallbacks from capture options
+  const mergedCrawl = {
+    ...crawlOptions,
+    waitAfterLoad: (crawlOptions.waitAfterLoad ?? options.waitExtra ?? getCrawlerDefaults().waitAfterLoad),
+    navTimeout: (crawlOptions.navTimeout ?? options.navTimeout ?? getCrawlerDefaults().navTimeout),
+    pageTimeout: (crawlOptions.pageTimeout ?? options.pageTimeout ?? getCrawlerDefaults().pageTimeout),
+    disableHttp2: (crawlOptions.disableHttp2 ?? options.disableHttp2 ?? false),
+    pageWaitUntil: (crawlOptions.pageWaitUntil ?? options.pageWaitUntil ?? 'domcontentloaded'),
+    stealth: (typeof crawlOptions.stealth === 'boolean' ? crawlOptions.stealth : (options.stealth !== false)),
+    proxy: options.proxy,
+    proxies: options.proxies,
+    engine: (crawlOptions.engine || options.engine || getCrawlerDefaults().engine),
+    headless: (typeof crawlOptions.headless === 'boolean' ? crawlOptions.headless : (typeof options.headless === 'boolean' ? options.headless : getCrawlerDefaults().headless))
+  };
+  return buildCrawlEnv({ ...mergedCrawl, blockTrackers: !!options.blockTrackers, discoverySources: discoverySourcesFor({ ...options, ...crawlOptions }), sitemapSince: options.sitemapSince || '' }, dir, startUrls);
+}
+
+// Plan-first: generate explicit seeds via smart-map, falling back to the direct URLs
+async function planSeeds(ctx, id, dir, directURLs, options, crawlOptions){
+  const seedsFile = path.join(dir,'seeds.txt');
+  const fallback = (why) => {
+    if(!directURLs.length) throw new Error(why);
+    fs.writeFileSync(seedsFile, directURLs.join('\n')+'\n','utf8');
+    return seedsFile;
+  };
+  const env = { ...process.env };
+  const startUrls = directURLs.length ? directURLs : ((crawlOptions.startUrlsText||'').split(/\r?\n/).map(s=>s.trim()).filter(Boolean));
+  env.START_URLS = (startUrls||[]).join('\n');
+  env.SAME_HOST_ONLY = (options.autoExpandSameHostOnly===false ? 'false' : 'true');
+  env.INCLUDE_SUBDOMAINS = (options.autoExpandSubdomains===false ? 'false' : 'true');
+  if (options.autoExpandAllowRegex) env.ALLOW_REGEX = options.autoExpandAllowRegex;
+  if (options.autoExpandDenyRegex) env.DENY_REGEX = options.autoExpandDenyRegex;
+  // Defaults suitable for e-com
+  env.MAX_CATEGORIES = String(80);
+  env.MAX_CATEGORY_PAGES = String(5);
+  env.MAX_PRODUCTS_PER_CATEGORY = String(300);
+  ctx.log(`[PLAN_START] id=${id} urls=${(env.START_URLS||'').split(/\n/).length}`);
+  const code = await ctx.spawn(process.execPath, [SMART_MAP, dir], { env }, 'PLAN');
+  if (code !== 0) {
+    ctx.log('[PLAN_ERR] mapper exited with code '+code);
+    return fallback('Plan-first mapper failed and no direct URLs fallback');
+  }
+  const planned = path.join(dir,'_plan','seeds.txt');
+  if (fs.existsSync(planned)) { ctx.log('[PLAN_DONE] '+planned); return planned; }
+  return fallback('smart-map produced no seeds');
+}
+
+function archiverEnv(dir, options, log){
+  const env = buildArchiverEnv(options);
+  // Proxy string or recipe proxy list -> proxies.json in the run dir, passed via env
+  const proxiesFile = writeProxiesFile(dir, options, log);
+  if(proxiesFile) env.PROXIES_FILE = proxiesFile;
+  return env;
+}
+
+/**
+ * 'run' job: optional auto-expand / crawl-first / plan phase that produces the seeds, then the archiver.
+ * params: { id, dir, kind:'auto-expand'|'crawl'|'plan'|'direct', mode?:'resume'|'refresh', seedsFile,
+ *           directURLs, primaryForId, options, crawlOptions }
+ * A job re-queued after a server restart in its archive phase continues with the archiver's resume mode.
+ */
+async function runJobHandler(job, ctx){
+  const p = job.params;
+  const { id, dir, kind, mode, directURLs=[], options={}, crawlOptions={} } = p;
+  const rec = ensureRunRecord(id, dir);
+  Object.assign(rec, { pending:true, stopped:false, finishedAt:undefined });
+  if(!p.seedsFile && (kind==='auto-expand' || kind==='crawl')){
+    ctx.setPhase(kind);
+    ctx.onStop(()=>writeCrawlStopFlag(dir, ctx.log));
+    const env = kind==='auto-expand' ? autoExpandEnv(dir, directURLs, options, crawlOptions) : crawlFirstEnv(dir, options, crawlOptions);
+    const code = await ctx.spawn('node',[CRAWLER],{ env },'C');
+    ctx.log(`[${kind==='auto-expand' ? 'AUTO_EXPAND_EXIT' : 'CRAWL_PHASE_EXIT'}] id=${id} code=${code}`);
+    const crawled=path.join(dir,'_crawl','urls.txt');
+    if(ctx.stopRequested() || code!==0 || !fs.existsSync(crawled)){
+      ctx.log(`[JOB_ABORT] ${kind==='auto-expand' ? 'auto expand' : 'crawl'} produced no seeds`);
+      Object.assign(rec, { pending:false, finishedAt:Date.now(), stats:ctx.stopRequested() ? crawlStats(dir) : null, stopped:ctx.stopRequested() });
+      if(ctx.stopRequested()) return { runId:id, stats:rec.stats };
+      throw new Error(`${kind} produced no seeds (code ${code})`);
     }
-  } catch(e){
-    push('[STOP_FINALIZE_ERR] '+e.message);
+    p.seedsFile=crawled;
+  } else if(!p.seedsFile && kind==='plan'){
+    ctx.setPhase('plan');
+    p.seedsFile = await planSeeds(ctx, id, dir, directURLs, options, crawlOptions);
+  }
+  rec.seedsFile=p.seedsFile;
+  if(ctx.stopRequested()){
+    Object.assign(rec, { pending:false, finishedAt:Date.now(), stopped:true });
+    return { runId:id, stats:null };
   }
-  currentChildProc=null;
-  currentJob=null;
-  startingJob=false; // release gate
-  res.json({ ok:true, message:'Run stopped & finalized.' });
+  let archiveOpts = mode ? { ...options, [mode]:true } : { ...options, __primaryStartUrl: p.primaryForId };
+  if(job.restarts && job.phase==='archive' && mode!=='refresh') archiveOpts = { ...archiveOpts, resume:true };
+  ctx.setPhase('archive');
+  const env = archiverEnv(dir, archiveOpts, ctx.log);
+  ctx.log(`[JOB_PHASE] archive start id=${id} target=${env.TARGET_PLATFORM}${archiveOpts.resume ? ' resume' : ''}`);
+  // The run's recipe snapshot: the archiver applies its transforms after capture
+  const recipeArgs = fs.existsSync(path.join(dir, RUN_RECIPE_FILE)) ? ['--recipe', path.join(dir, RUN_RECIPE_FILE)] : [];
+  const code = await ctx.spawn('node',[ARCHIVER,p.seedsFile,dir,...recipeArgs],{ env },'A');
+  ctx.log(`[JOB_EXIT] id=${id} code=${code}${ctx.stopRequested() ? ' (stopped early)' : ''}`);
+  Object.assign(rec, { stats:archiveStats(dir), finishedAt:Date.now(), pending:false, stopped:ctx.stopRequested() });
+  if(code!==0 && !ctx.stopRequested()) throw new Error(`archiver exited with code ${code}`);
+  return { runId:id, stats:rec.stats };
+}
+
+/** 'crawl' job: crawl only, seeds land in <run>/_crawl/urls.txt. params: { id, dir, startUrls, crawlOptions } */
+async function crawlJobHandler(job, ctx){
+  const { id, dir, startUrls, crawlOptions={} } = job.params;
+  const rec = ensureRunRecord(id, dir);
+  Object.assign(rec, { pending:true, stopped:false, finishedAt:undefined });
+  ctx.setPhase('crawl-only');
+  ctx.onStop(()=>writeCrawlStopFlag(dir, ctx.log));
+  ctx.log(`[CRAWL_START] id=${id} seeds=${startUrls.length}`);
+  const code = await ctx.spawn('node',[CRAWLER],{ env:buildCrawlEnv(crawlOptions, dir, startUrls) },'C');
+  ctx.log(`[CRAWL_EXIT] id=${id} code=${code}${ctx.stopRequested() ? ' (stopped early)' : ''}`);
+  Object.assign(rec, { stats:crawlStats(dir), finishedAt:Date.now(), pending:false, stopped:ctx.stopRequested() });
+  if(code!==0 && !ctx.stopRequested()) throw new Error(`crawler exited with code ${code}`);
+  return { runId:id, stats:rec.stats };
+}
+
+// Call an exported async function in lib/job-worker.cjs (a child process, so stop can kill it)
+async function runInWorker(job, ctx, modulePath, fnName, args, prefix){
+  const resultFile = path.join(JOBS_DIR, `${job.id}.result.json`);
+  fs.rmSync(resultFile, { force:true });
+  const code = await ctx.spawn(process.execPath, [JOB_WORKER, modulePath, fnName, resultFile],
+    { env:{ ...process.env, JOB_ARGS:JSON.stringify(args) } }, prefix);
+  let out = null;
+  try { out = JSON.parse(fs.readFileSync(resultFile,'utf8')); } catch {}
+  fs.rmSync(resultFile, { force:true });
+  if(ctx.stopRequested()) return null;
+  if(code!==0 || !out || !out.ok) throw new Error((out && out.error) || `${fnName} exited with code ${code}`);
+  return out.result;
+}
+
+function toDownloadUrl(abs){
+  const rel = path.relative(OUT_BASE, abs);
+  return rel.startsWith('..') ? null : ('/download/' + rel.split(path.sep).join('/'));
+}
+
+/** 'export' job: platform/exporter.cjs exportRun. params: { runId, runDir, outDir, platform, options } */
+async function exportJobHandler(job, ctx){
+  const { runDir, outDir, platform, options } = job.params;
+  ctx.setPhase('export');
+  ctx.log(`[EXPORT_START] run=${job.runId} platform=${platform} out=${outDir}`);
+  const result = await runInWorker(job, ctx, path.join(__dirname,'platform','exporter.cjs'), 'exportRun', [{ runDir, outDir, platform, options }], 'EXPORT');
+  if(!result) return null;
+  const payload = {
+    ok:true, outDir: result.outDir || outDir, result,
+    folderUrl: toDownloadUrl(result.outDir || outDir),
+    productsCsvUrl: result.productsCsv ? toDownloadUrl(result.productsCsv) : null,
+    pagesWxrUrl: result.pagesWxr ? toDownloadUrl(result.pagesWxr) : null,
+    fileUrls: (result.files || []).map(f => ({ name: path.basename(f), url: toDownloadUrl(f) })).filter(f => f.url)
+  };
+  ctx.log(`[EXPORT] ${payload.folderUrl || payload.outDir} files=${payload.fileUrls.length}`);
+  return payload;
+}
+
+/** 'prepare' job: lib/hostingPrep.cjs prepareHosting. params: { runId, runDir, outDir, options } */
+async function prepareJobHandler(job, ctx){
+  const { runDir, outDir, options } = job.params;
+  ctx.setPhase('prepare');
+  const result = await runInWorker(job, ctx, path.join(__dirname,'lib','hostingPrep.cjs'), 'prepareHosting', [runDir, outDir, options], 'PREP');
+  if(!result) return null;
+  return { outDir: result.outDir, pages: (result.pages || []).length, zipPath: result.zipPath || null };
+}
+
+const jobQueue = createJobQueue({
+  dir: JOBS_DIR,
+  handlers: { run: runJobHandler, crawl: crawlJobHandler, export: exportJobHandler, prepare: prepareJobHandler },
+  slots: { run: 2, crawl: 2, export: 2, prepare: 1 },
+  envSlots: process.env.GUI_JOB_SLOTS || '',
+  log: push,
+  // Jobs interrupted by a restart run again (runs in their archive phase resume); give up after 3 restarts
+  recover: (job) => job.restarts <= 3
+});
+
+// Active run/crawl job of a run (or the most recently started one)
+function findRunJob(runId){
+  const active = jobQueue.list({ active:true }).filter(j => j.type==='run' || j.type==='crawl');
+  if(runId) return active.find(j => j.runId===runId) || null;
+  return active.filter(j => j.status==='running').sort((a,b)=>(b.startedAt||0)-(a.startedAt||0))[0] || active[0] || null;
+}
+
+// Shape of the single-job currentJob the UI and /api/debug/job used before the queue
+function compatJob(j){
+  return j ? { id:j.runId, jobId:j.id, type:j.type, dir:j.params && j.params.dir, startedAt:j.startedAt || j.createdAt, phase:j.phase || j.status, status:j.status, stopRequested: !!j.stopRequested } : null;
+}
+
+function newRunId(primary){
+  return deriveRunId(primary, {
+    format: process.env.RUN_ID_FORMAT || 'domain-date-rand',
+    baseDir: BASE,
+    stripWWW: String(process.env.RUN_ID_STRIP_WWW || 'true').toLowerCase() !== 'false'
+  });
+}
+
+/* ---------- Stop Run ---------- */
+// Stops a run/crawl job: body { jobId } or { runId }, else the most recently started one.
+// The job finalizes the run (manifest from the partial records, stats) once its child has exited.
+app.post('/api/stop-run',(req,res)=>{
+  const { jobId, runId } = req.body||{};
+  const job = jobId ? jobQueue.get(jobId) : findRunJob(runId);
+  if(!job) return res.status(400).json({error:'no run in progress'});
+  const r = jobQueue.stop(job.id);
+  if(!r.ok) return res.status(400).json({ error:r.error });
+  res.json({ ok:true, jobId:job.id, runId:job.runId, status:r.status, message: r.status==='cancelled' ? 'Queued run cancelled.' : 'Run stop requested.' });
 });
 
 /* ---------- Stop Crawler ---------- */
 app.post('/api/stop-crawler',(req,res)=>{
-  if(!currentJob || !currentChildProc){
-    return res.status(400).json({error:'no crawler running'});
-  }
-  
-  // Create STOP file for crawler if it's a crawl-only or crawl phase
-  if(currentJob.phase === 'crawl-only' || currentJob.phase === 'crawl'){
-    const stopFile = path.join(currentJob.dir,'_crawl','STOP');
-    try {
-      fs.mkdirSync(path.dirname(stopFile), {recursive: true});
-      fs.writeFileSync(stopFile, 'STOP', 'utf8');
-      push(`[STOP_CRAWLER] Stop file created: ${stopFile}`);
-    } catch(e) {
-      push(`[STOP_CRAWLER_ERR] Failed to create stop file: ${e.message}`);
-    }
-  }
-  
-  // Also send SIGTERM as backup
-  try { 
-    currentChildProc.kill('SIGTERM'); 
-  } catch(e){ 
-    push('[STOP_CRAWLER_ERR] '+e.message); 
-  }
-  
-  res.json({ ok:true, message:'Crawler stop requested.' });
+  const { jobId, runId } = req.body||{};
+  const job = jobId ? jobQueue.get(jobId) : findRunJob(runId);
+  if(!job) return res.status(400).json({error:'no crawler running'});
+  const r = jobQueue.stop(job.id);
+  if(!r.ok) return res.status(400).json({ error:r.error });
+  res.json({ ok:true, jobId:job.id, runId:job.runId, status:r.status, message:'Crawler stop requested.' });
 });
 
 /* ---------- Crawl Only ---------- */
 app.post('/api/crawl',(req,res)=>{
-  if (currentJob || startingJob) return res.status(400).json({error:'job running'});
   const { startUrlsText, crawlOptions={} } = req.body||{};
   if(!startUrlsText) return res.status(400).json({error:'startUrlsText required'});
   const startUrls=startUrlsText.split(/\r?\n/).map(x=>x.trim()).filter(Boolean);
   if(!startUrls.length) return res.status(400).json({error:'no start urls'});
 
-  const id = deriveRunId(startUrlsText, {
-    format: process.env.RUN_ID_FORMAT || 'domain-date-rand',
-    baseDir: BASE,
-    stripWWW: String(process.env.RUN_ID_STRIP_WWW || 'true').toLowerCase() !== 'false'
-  });
+  const id = newRunId(startUrlsText);
   const dir=path.join(BASE,id);
   fs.mkdirSync(dir,{recursive:true});
-
-  const env = buildCrawlEnv(crawlOptions, dir, startUrls);
-  startingJob = true;
-  currentJob={ id, dir, startedAt:Date.now(), phase:'crawl-only', totalUrls:startUrls.length };
-  startingJob = false;
-  runs.push({ id, dir, startedAt:currentJob.startedAt, stats:null, stopped:false, pending:true });
-  push(`[CRAWL_START] id=${id} seeds=${startUrls.length}`);
-  const child=spawn('node',[CRAWLER],{ env });
-  currentChildProc=child;
-  child.stdout.on('data',d=>d.toString().split(/\r?\n/).filter(Boolean).forEach(l=>push('[C] '+l)));
-  child.stderr.on('data',d=>d.toString().split(/\r?\n/).filter(Boolean).forEach(l=>push('[C:ERR] '+l)));
-  child.on('exit',code=>{
-    push(`[CRAWL_EXIT] id=${id} code=${code}`);
-    let seedsFile = path.join(dir,'_crawl','urls.txt');
-    let stats=null;
-    if(fs.existsSync(seedsFile)){
-      stats={ pagesCrawled: fs.readFileSync(seedsFile,'utf8').trim().split(/\r?\n/).filter(Boolean).length };
-    }
-    const rec=findRun(id);
-    if(rec){
-      rec.stats=stats;
-      rec.finishedAt=Date.now();
-      rec.pending=false;
-      rec.stopped= !!currentJob?.stopRequested;
-    }
-    currentJob=null; currentChildProc=null;
-    startingJob=false;
-  });
-  res.json({ ok:true, crawlId:id, dir });
+  runs.push({ id, dir, startedAt:Date.now(), stats:null, stopped:false, pending:true });
+  const job = jobQueue.enqueue('crawl', { runId:id, label:startUrls[0], params:{ id, dir, startUrls, crawlOptions } });
+  res.json({ ok:true, crawlId:id, dir, jobId:job.id, queued:job.status==='queued' });
 });
 
-/* ---------- Launch Archiver ---------- */
-function launchArchiver(id, dir, seedsFile, options, startedAt){
-  // Ensure job state exists (prevents null crash)
-  ensureCurrentJob(id, dir, startedAt, 'archive');
-  const env = buildArchiverEnv(options);
-  // If a single proxy string is provided, write it to a proxies.json in run dir and pass via env
-  try{
-    if(options && options.proxy){
-      const parsed = parseProxyToObject(options.proxy);
-      const jsonPath = path.join(dir, '_crawl', 'proxies.json');
-      fs.mkdirSync(path.dirname(jsonPath), { recursive: true });
-      fs.writeFileSync(jsonPath, JSON.stringify([parsed], null, 2));
-      env.PROXIES_FILE = jsonPath;
-    }
-  }catch(e){ push('[WARN] archiver proxy parse failed '+e.message); }
-  push(`[JOB_PHASE] archive start id=${id} target=${env.TARGET_PLATFORM}`);
-  const child=spawn('node',[ARCHIVER,seedsFile,dir],{ env });
-  currentChildProc=child;
-  
-  attachChildProcessLoggers(child, 'A');
-  
-  child.on('exit', createJobExitHandler(id, 'JOB', (code) => {
-    let stats=null;
-    const manifestPath=path.join(dir,'manifest.json');
-    if(!fs.existsSync(manifestPath)){
-      try{
-        const partial = path.join(dir,'manifest.partial.jsonl');
-        if(fs.existsSync(partial)){
-          const lines = fs.readFileSync(partial,'utf8').split(/\r?\n/).filter(Boolean);
-          const map = new Map();
-          for(const line of lines){ try{ const rec=JSON.parse(line); map.set(rec.url+':'+rec.profile, rec); }catch{} }
-          const manifest=[...map.values()];
-          fs.writeFileSync(manifestPath, JSON.stringify(manifest,null,2));
-          const failures=manifest.filter(m=>!String(m.status||'').startsWith('ok')).length;
-          const totalAssets=manifest.reduce((s,m)=>s+(m.assets||0),0);
-          stats={ pages:manifest.length, failures, assets:totalAssets };
-        }
-      }catch{}
-    } else {
-      try{
-        const mf=JSON.parse(fs.readFileSync(manifestPath,'utf8'));
-        const failures=mf.filter(m=>!String(m.status||'').startsWith('ok')).length;
-        const totalAssets=mf.reduce((s,m)=>s+(m.assets||0),0);
-        stats={ pages:mf.length, failures, assets:totalAssets };
-      }catch{}
-    }
-    const rec=findRun(id);
-    if(rec){
-      rec.stats=stats;
-      rec.finishedAt=Date.now();
-      rec.pending=false;
-      rec.stopped= !!currentJob?.stopRequested;
-    } else {
-      runs.push({
-        id, dir, seedsFile, startedAt,
-        finishedAt:Date.now(), stats,
-        stopped: !!currentJob?.stopRequested, pending:false
-      });
-    }
-    currentJob=null; currentChildProc=null;
-    startingJob=false;
-  }));
+/* ---------- Site recipes ---------- */
+// Named, versioned run settings (lib/recipes.cjs, SITE_RECIPES_DIR). /api/run { recipe:'name' | 'name@3' }
+// applies one; the run keeps the exact version in site-recipe.json, which resume/refresh reuse.
+const recipes = createRecipeStore(RECIPES_DIR);
+// Proxy credentials in a recipe are for admins; other roles see them masked
+const recipeForUser = (req, r)=> (!AUTH_ON || roleAtLeast(req.user.role,'admin')) ? r : maskRecipeSecrets(r);
+
+// JSON replacer masking proxy credentials (options.proxy, options.proxies, recipe proxy lists)
+function proxyMasker(k, v){
+  if(k==='proxy' && typeof v==='string' && v) return maskProxy(v);
+  if(k==='proxies' && Array.isArray(v)) return v.map(maskProxy);
+  return v;
+}
+// Job records carry the run options they were queued with; non-admins get them without credentials
+function jobForUser(req, job){
+  if(!job || !AUTH_ON || roleAtLeast(req.user.role,'admin')) return job;
+  return JSON.parse(JSON.stringify(job, proxyMasker));
 }
 
-/* ---------- RUN Endpoint ---------- */
-app.post('/api/run',(req,res)=>{
-  push('[DEBUG] /api/run incoming body=' + JSON.stringify(req.body||{}));
+function recipeRef(r){ return { name:r.name, version:r.version || null, hash:r.hash }; }
 
-  // Prevent duplicate starts (double click, double submit)
-  if(currentJob || startingJob) return res.status(400).json({error:'job running'});
-  startingJob = true;
+function withRecipe(recipe, options, crawlOptions){
+  const ro = recipeOptions(recipe);
+  return {
+    options: { ...options, ...ro.options, ...(ro.proxies.length ? { proxies:ro.proxies } : {}) },
+    crawlOptions: { ...crawlOptions, ...ro.crawlOptions }
+  };
+}
 
-  const { urlsText, options={}, crawlOptions={}, crawlFirst=false } = req.body||{};
+app.get('/api/recipes',(req,res)=> res.json({ ok:true, dir:RECIPES_DIR, recipes:recipes.list() }));
+app.get('/api/recipes/schema',(req,res)=> res.json(recipeSchema()));
+app.get('/api/recipes/:name',(req,res)=>{
+  try {
+    const ref = req.params.name + (req.query.version ? '@'+req.query.version : '');
+    res.json({ ok:true, recipe:recipeForUser(req, recipes.load(ref)), versions:recipes.versions(req.params.name) });
+  } catch(e){ res.status(404).json({ error:e.message }); }
+});
+app.get('/api/recipes/:name/export',(req,res)=>{
+  try {
+    const r = recipeForUser(req, recipes.load(req.params.name + (req.query.version ? '@'+req.query.version : '')));
+    res.setHeader('Content-Disposition', `attachment; filename="${r.name}-v${r.version}.json"`);
+    res.type('application/json').send(JSON.stringify(r, null, 2));
+  } catch(e){ res.status(404).json({ error:e.message }); }
+});
+// Save or import: a changed recipe becomes a new version, an unchanged one is reported as such
+app.post('/api/recipes',(req,res)=>{
+  const { recipe, note='' } = req.body||{};
+  try {
+    let stored = null;
+    try { stored = recipes.load(String(recipe && recipe.name || '')); } catch {}
+    const saved = recipes.save(restoreRecipeSecrets(recipe, stored), { savedBy: req.user ? req.user.name : '', note });
+    if(!saved.unchanged) push(`[RECIPE_SAVE] ${saved.name}@${saved.version}`);
+    res.json({ ok:true, recipe:saved, unchanged:!!saved.unchanged });
+  } catch(e){ res.status(400).json({ error:e.message }); }
+});
+app.post('/api/recipes/:name/delete',(req,res)=>{
+  if(!recipes.remove(req.params.name)) return res.status(404).json({ error:'recipe not found' });
+  push(`[RECIPE_DELETE] ${req.params.name}`);
+  res.json({ ok:true });
+});
+
+/* ---------- RUN Endpoint ---------- */
+// Queue a capture from an /api/run body (also used by schedules). Returns { error, status } or the response payload.
+// extra is stored on the run record (scheduled runs: scheduleId, scheduleName).
+function queueRun(body, extra={}){
+  const { urlsText, crawlFirst=false } = body||{};
+  let { options={}, crawlOptions={} } = body||{};
+  // Site recipe (name, name@version): its settings override the form's options
+  let recipe = null;
+  if(body && body.recipe){
+    try { recipe = recipes.load(body.recipe); }
+    catch(e){ return { status:400, error:e.message }; }
+    ({ options, crawlOptions } = withRecipe(recipe, options, crawlOptions));
+  }
   const directURLs = urlsText ? urlsText.split(/\r?\n/).map(x=>x.trim()).filter(Boolean) : [];
-  if(!directURLs.length && !crawlFirst && !(options.autoExpandDepth>0) && !(Array.isArray(options.planSeeds) && options.planSeeds.length)){
-    startingJob = false;
-    return res.status(400).json({error:'No direct URLs and no crawl/auto-expand requested'});
+  const planSeedList = Array.isArray(options.planSeeds) && options.planSeeds.length ? options.planSeeds : null;
+  if(!directURLs.length && !crawlFirst && !(options.autoExpandDepth>0) && !planSeedList){
+    return { status:400, error:'No direct URLs and no crawl/auto-expand requested' };
   }
+  const crawlStartUrls = (crawlOptions.startUrlsText||'').split(/\r?\n/).map(x=>x.trim()).filter(Boolean);
+  if(crawlFirst && !crawlStartUrls.length) return { status:400, error:'crawlFirst set but no startUrls' };
+
+  const autoDepth = parseInt(options.autoExpandDepth || 0,10);
+  const kind = (!crawlFirst && autoDepth>0 && !options.planFirst) ? 'auto-expand'
+    : crawlFirst ? 'crawl'
+    : (options.planFirst && !planSeedList) ? 'plan' : 'direct';
+  if(kind==='direct' && !directURLs.length && !planSeedList) return { status:400, error:'no direct URLs' };
 
   const primaryForId =
     (directURLs[0] || '') ||
-    (crawlFirst ? (crawlOptions.startUrlsText || '').split(/\r?\n/).map(s=>s.trim()).filter(Boolean)[0] || '' : '') ||
+    (crawlFirst ? crawlStartUrls[0] || '' : '') ||
     (urlsText || '');
-
-  const id = deriveRunId(primaryForId, {
-    format: process.env.RUN_ID_FORMAT || 'domain-date-rand',
-    baseDir: BASE,
-    stripWWW: String(process.env.RUN_ID_STRIP_WWW || 'true').toLowerCase() !== 'false'
-  });
-
+  const id = newRunId(primaryForId);
   const dir=path.join(BASE,id);
   fs.mkdirSync(dir,{recursive:true});
 
-  const autoDepth = parseInt(options.autoExpandDepth || 0,10);
-  const autoMax = parseInt(options.autoExpandMaxPages || 0,10) || 200;
-
-  runs.push({ id, dir, seedsFile:null, startedAt:Date.now(), stats:null, stopped:false, pending:true });
-
-  if(!crawlFirst && autoDepth>0 && !options.planFirst){
-    currentJob={ id, dir, startedAt:Date.now(), phase:'auto-expand', totalUrls:directURLs.length };
-    startingJob = false; // gate released
-    push(`[JOB_START] id=${id} autoExpandDepth=${autoDepth} seeds=${directURLs.length}`);
-    const env = {
-      ...buildCrawlEnv({
-        maxPages: autoMax,
-        maxDepth: autoDepth,
-        sameHostOnly: options.autoExpandSameHostOnly,
-        includeSubdomains: options.autoExpandSubdomains,
-        allowRegex: options.autoExpandAllowRegex,
-        denyRegex: options.autoExpandDenyRegex,
-        // Prefer crawlOptions overrides, otherwise fall back to capture options where sensible
-        waitAfterLoad: (crawlOptions.waitAfterLoad ?? options.waitExtra ?? getCrawlerDefaults().waitAfterLoad),
-        navTimeout: (crawlOptions.navTimeout ?? options.navTimeout ?? getCrawlerDefaults().navTimeout),
-        pageTimeout: (crawlOptions.pageTimeout ?? options.pageTimeout ?? getCrawlerDefaults().pageTimeout),
-        // Network/protocol
-        disableHttp2: (options.disableHttp2 || crawlOptions.disableHttp2),
-        proxy: options.proxy,
-        // Pass key archiver options to crawler for parity
-        pageWaitUntil: (options.pageWaitUntil || 'domcontentloaded'),
-        stealth: (options.stealth !== false),
-        // Keep engine/headless in sync with capture settings
-        engine: (options.engine || getCrawlerDefaults().engine),
-        headless: (typeof options.headless === 'boolean' ? options.headless : getCrawlerDefaults().headless),
-        blockTrackers: !!options.blockTrackers
-      }, dir, directURLs)
-    };
-    const crawlChild=spawn('node',[CRAWLER],{ env });
-    currentChildProc=crawlChild;
-    crawlChild.stdout.on('data',d=>d.toString().split(/\r?\n/).filter(Boolean).forEach(l=>push('[C] '+l)));
-    crawlChild.stderr.on('data',d=>d.toString().split(/\r?\n/).filter(Boolean).forEach(l=>push('[C:ERR] '+l)));
-    crawlChild.on('exit', code=>{
-      push(`[AUTO_EXPAND_EXIT] id=${id} code=${code}`);
-      const seedsFile=path.join(dir,'_crawl','urls.txt');
-      if(code!==0 || !fs.existsSync(seedsFile)){
-        push('[JOB_ABORT] auto expand produced no seeds');
-        const rec=findRun(id);
-        if(rec){ rec.pending=false; rec.finishedAt=Date.now(); rec.stats=null; }
-        startingJob = false;
-        try{ if(currentChildProc){ currentChildProc.kill('SIGTERM'); } }catch{}
-        currentChildProc=null;
-        currentJob=null;
-        return;
-      }
-      const rec=findRun(id);
-      if(rec){ rec.seedsFile=seedsFile; }
+  // Direct runs write their seeds now; the other kinds produce them in the job
+  let seedsFile = null;
+  if(kind==='direct'){
+    seedsFile = path.join(dir,'seeds.txt');
+    try { fs.writeFileSync(seedsFile, (planSeedList || directURLs).join('\n')+'\n','utf8'); }
+    catch(e){ return { status:500, error:'failed to write seeds: '+e.message }; }
+  }
+  let recipeSnap = null;
+  if(recipe){
+    try { recipeSnap = writeRunRecipe(dir, recipe, body.recipe); }
+    catch(e){ return { status:500, error:'failed to record recipe: '+e.message }; }
+  }
+  try { fs.writeFileSync(path.join(dir,RUN_OPTIONS), JSON.stringify({ options, crawlOptions, savedAt:new Date().toISOString() }, null, 2)); }
+  catch(e){ return { status:500, error:'failed to record run options: '+e.message }; }
+  runs.push({ id, dir, seedsFile, startedAt:Date.now(), stats:null, stopped:false, pending:true, ...(recipeSnap ? { recipe:recipeRef(recipeSnap) } : {}), ...extra });
 
-      // Ensure job exists before moving to archiver (prevents null crash)
-      ensureCurrentJob(id, dir, rec ? rec.startedAt : Date.now(), 'archive');
+  const job = jobQueue.enqueue('run', {
+    runId:id, label:primaryForId,
+    params:{ id, dir, kind, seedsFile, directURLs, primaryForId, options, crawlOptions }
+  });
+  if(kind==='auto-expand') push(`[JOB_START] id=${id} autoExpandDepth=${autoDepth} seeds=${directURLs.length}`);
+  else if(kind==='crawl') push(`[JOB_START] id=${id} crawlFirst=true startSeeds=${crawlStartUrls.length}`);
+  else push(`[JOB_START] id=${id} ${kind==='plan' ? 'planFirst' : 'direct'} urls=${directURLs.length}`);
+  if(recipe) push(`[RECIPE] run=${id} recipe=${recipe.name}@${recipe.version}`);
+  return {
+    ok:true, runId:id, dir, crawling: kind==='auto-expand' || kind==='crawl',
+    ...(kind==='auto-expand' ? { autoExpand:true } : {}),
+    jobId:job.id, queued:job.status==='queued'
+  };
+}
+app.post('/api/run',(req,res)=>{
+  // the log stream is readable by viewers: no proxy credentials in it
+  push('[DEBUG] /api/run incoming body=' + JSON.stringify(req.body||{}, proxyMasker));
+  const r = queueRun(req.body||{});
+  if(r.error) return res.status(r.status||400).json({ error:r.error });
+  res.json(r);
+});
 
-      // Annotate the options with the primary submitted URL so archiver can prefer it for root redirect
-      const archiverOpts = { ...options, __primaryStartUrl: primaryForId };
-      launchArchiver(id, dir, seedsFile, archiverOpts, rec?rec.startedAt:Date.now());
-    });
-    return res.json({ ok:true, runId:id, dir, crawling:true, autoExpand:true });
-  }
+/* ---------- Resume / Refresh Run ---------- */
+// Re-launch the archiver on an existing run directory.
+//  - resume:  pages with an ok* record in manifest.partial.jsonl or <rel>/<profile>/index.json are skipped, failures retried
+//  - refresh: conditional requests decide which pages changed; writes changes.json next to manifest.json
+function relaunchRun(req, res, mode){
+  const { runId } = req.body||{};
+  let { options={} } = req.body||{};
+  if(!runId) return res.status(400).json({error:'runId required'});
+  scanExistingRuns();
+  const run=findRun(runId);
+  if(!run || !fs.existsSync(run.dir)) return res.status(404).json({error:'run not found'});
+  if(jobQueue.activeForRun(run.id)) return res.status(400).json({error:'job running'});
+  const seedsFile=[
+    run.seedsFile,
+    path.join(run.dir,'_plan','seeds.txt'),
+    path.join(run.dir,'_crawl','urls.txt'),
+    path.join(run.dir,'seeds.txt')
+  ].find(f=>f && fs.existsSync(f));
+  if(!seedsFile) return res.status(400).json({error:'no seeds file for run'});
+  // Same settings as the first pass: the options recorded at launch; runs from before that was
+  // recorded take the request's options plus the recipe recorded with the run
+  let saved = null;
+  try { saved = JSON.parse(fs.readFileSync(path.join(run.dir,RUN_OPTIONS),'utf8')); } catch {}
+  const used = readRunRecipe(run.dir);
+  if(saved && saved.options) options = saved.options;
+  else if(used) options = withRecipe(used, options, {}).options;
+  Object.assign(run, { seedsFile, pending:true, stopped:false, finishedAt:undefined });
+  push(`[JOB_${mode.toUpperCase()}] id=${run.id} seeds=${path.relative(run.dir,seedsFile)}`);
+  const job = jobQueue.enqueue('run', { runId:run.id, label:mode, params:{ id:run.id, dir:run.dir, kind:'direct', mode, seedsFile, options } });
+  res.json({ ok:true, runId:run.id, dir:run.dir, seedsFile, mode, jobId:job.id, queued:job.status==='queued' });
+}
+app.post('/api/resume-run',(req,res)=>relaunchRun(req,res,'resume'));
+app.post('/api/refresh-run',(req,res)=>relaunchRun(req,res,'refresh'));
+
+/* ---------- Schedules ---------- */
+// Recurring captures: a schedule holds an /api/run body, a cron expression and a retention policy
+// (keep the last N runs and/or runs newer than X days). GUI_SCHEDULER=false keeps schedules from firing
+// on their own ("Run now" still works).
+function writeRunSummary(rec, data){
+  Object.assign(rec, { scheduleId:data.scheduleId, scheduleName:data.scheduleName, summary:data.summary, outcome:data.status });
+  try { fs.writeFileSync(path.join(rec.dir, RUN_SUMMARY), JSON.stringify({ ...data, updatedAt:new Date().toISOString() }, null, 2)); }
+  catch(e){ push('[SCHEDULE_ERR] summary '+rec.id+' '+e.message); }
+}
 
-  if(crawlFirst){
-    const startUrls = (crawlOptions.startUrlsText||'').split(/\r?\n/).map(x=>x.trim()).filter(Boolean);
-    if(!startUrls.length){
-      startingJob = false;
-      return res.status(400).json({error:'crawlFirst set but no startUrls'});
-    }
-    currentJob={ id, dir, startedAt:Date.now(), phase:'crawl', totalUrls:0 };
-    startingJob = false;
-    push(`[JOB_START] id=${id} crawlFirst=true startSeeds=${startUrls.length}`);
-    // Merge crawlOptions with sensible fallbacks from capture options
-    const mergedCrawl = {
-      ...crawlOptions,
-      waitAfterLoad: (crawlOptions.waitAfterLoad ?? options.waitExtra ?? getCrawlerDefaults().waitAfterLoad),
-      navTimeout: (crawlOptions.navTimeout ?? options.navTimeout ?? getCrawlerDefaults().navTimeout),
-      pageTimeout: (crawlOptions.pageTimeout ?? options.pageTimeout ?? getCrawlerDefaults().pageTimeout),
-      disableHttp2: (crawlOptions.disableHttp2 ?? options.disableHttp2 ?? false),
-      pageWaitUntil: (crawlOptions.pageWaitUntil ?? options.pageWaitUntil ?? 'domcontentloaded'),
-      stealth: (typeof crawlOptions.stealth === 'boolean' ? crawlOptions.stealth : (options.stealth !== false)),
-      proxy: options.proxy,
-      engine: (crawlOptions.engine || options.engine || getCrawlerDefaults().engine),
-      headless: (typeof crawlOptions.headless === 'boolean' ? crawlOptions.headless : (typeof options.headless === 'boolean' ? options.headless : getCrawlerDefaults().headless))
-    };
-  const env = buildCrawlEnv({ ...mergedCrawl, blockTrackers: !!options.blockTrackers }, dir, startUrls);
-    const crawlChild=spawn('node',[CRAWLER],{ env });
-    currentChildProc=crawlChild;
-    crawlChild.stdout.on('data',d=>d.toString().split(/\r?\n/).filter(Boolean).forEach(l=>push('[C] '+l)));
-    crawlChild.stderr.on('data',d=>d.toString().split(/\r?\n/).filter(Boolean).forEach(l=>push('[C:ERR] '+l)));
-    crawlChild.on('exit',code=>{
-      push(`[CRAWL_PHASE_EXIT] id=${id} code=${code}`);
-      const seedsFile=path.join(dir,'_crawl','urls.txt');
-      if(code!==0 || !fs.existsSync(seedsFile)){
-        push('[JOB_ABORT] crawl produced no seeds');
-        const rec=findRun(id);
-        if(rec){ rec.pending=false; rec.finishedAt=Date.now(); }
-        startingJob = false;
-        try{ if(currentChildProc){ currentChildProc.kill('SIGTERM'); } }catch{}
-        currentChildProc=null;
-        currentJob=null;
-        return;
-      }
-      const rec=findRun(id);
-      if(rec){ rec.seedsFile=seedsFile; }
+// Retention: delete a scheduled run's folder unless it is busy (queued/running job or being hosted)
+function pruneRun(runId){
+  scanExistingRuns();
+  const idx=runs.findIndex(r=>r.id===runId);
+  if(idx===-1) return true;
+  if(jobQueue.activeForRun(runId) || [...hosts.values()].some(h=>h.runId===runId)) return false;
+  try { fs.rmSync(runs[idx].dir,{recursive:true, force:true}); }
+  catch(e){ push('[SCHEDULE_PRUNE_ERR] '+runId+' '+e.message); return false; }
+  runs.splice(idx,1);
+  return true;
+}
 
-      // Ensure job exists before archiver
-      ensureCurrentJob(id, dir, rec ? rec.startedAt : Date.now(), 'archive');
+const scheduler = createScheduler({
+  dir: SCHEDULES_DIR,
+  launch: (sched) => {
+    const r = queueRun(sched.request, { scheduleId:sched.id, scheduleName:sched.name });
+    if(r.error) throw new Error(r.error);
+    writeRunSummary(findRun(r.runId), { scheduleId:sched.id, scheduleName:sched.name, status:'queued', summary:'' });
+    return { runId:r.runId, jobId:r.jobId };
+  },
+  waitFor: (jobId) => jobQueue.get(jobId) ? jobQueue.wait(jobId) : null,
+  prune: pruneRun,
+  onFinish: (sched, entry) => {
+    scanExistingRuns();
+    const rec=findRun(entry.runId);
+    if(rec) writeRunSummary(rec, { scheduleId:sched.id, scheduleName:sched.name, status:entry.status, summary:entry.summary, firedAt:entry.firedAt, finishedAt:entry.finishedAt });
+  },
+  log: push
+});
 
-      const archiverOpts = { ...options, __primaryStartUrl: primaryForId };
-      launchArchiver(id, dir, seedsFile, archiverOpts, rec?rec.startedAt:Date.now());
-    });
-    return res.json({ ok:true, runId:id, dir, crawling:true });
+app.get('/api/schedules',(req,res)=>{
+  res.json({ ok:true, active: SCHEDULER_ON, schedules: scheduler.list() });
+});
+// Create or update (body.id) a schedule: { name, cron, enabled, request:{ urlsText, options, crawlFirst, crawlOptions }, retention:{ keepLast, maxAgeDays } }
+// Retention deletes runs, which is admin-only: operators may only keep a schedule's current policy
+app.post('/api/schedules',(req,res)=>{
+  const body=req.body||{};
+  if(AUTH_ON && !roleAtLeast(req.user.role,'admin')){
+    const cur=body.id ? scheduler.get(body.id) : null;
+    const have=(cur && cur.retention) || {};
+    const want=body.retention || {};
+    const same=(parseInt(want.keepLast||0,10)||0)===(have.keepLast||0) && (parseFloat(want.maxAgeDays||0)||0)===(have.maxAgeDays||0);
+    if(!same) return res.status(403).json({ error:'admin role required to set or change retention' });
   }
+  try { res.json({ ok:true, schedule: scheduler.upsert(req.body||{}) }); }
+  catch(e){ res.status(/not found/.test(e.message) ? 404 : 400).json({ error:e.message }); }
+});
+app.post('/api/schedules/:id/run',(req,res)=>{
+  try { res.json({ ok:true, run: scheduler.runNow(req.params.id) }); }
+  catch(e){ res.status(/not found/.test(e.message) ? 404 : 400).json({ error:e.message }); }
+});
+app.post('/api/schedules/:id/prune',(req,res)=>{
+  if(!scheduler.get(req.params.id)) return res.status(404).json({ error:'schedule not found' });
+  res.json({ ok:true, pruned: scheduler.applyRetention(req.params.id) });
+});
+// Deleting a schedule keeps its runs
+app.post('/api/schedules/:id/delete',(req,res)=>{
+  if(!scheduler.remove(req.params.id)) return res.status(404).json({ error:'schedule not found' });
+  res.json({ ok:true });
+});
 
-  if(!directURLs.length && !options.planFirst && !(Array.isArray(options.planSeeds) && options.planSeeds.length)){
-    startingJob = false;
-    return res.status(400).json({error:'no direct URLs'});
-  }
-  let seedsFile = path.join(dir,'seeds.txt');
-  // If explicit planSeeds array provided, write and use it directly
-  if (Array.isArray(options.planSeeds) && options.planSeeds.length) {
-    try {
-      fs.writeFileSync(seedsFile, options.planSeeds.join('\n')+'\n','utf8');
-    } catch (e) {
-      return res.status(500).json({ error:'failed to write planSeeds: '+e.message });
-    }
-  } else if (options.planFirst) {
-    // Plan-first: generate explicit seeds via smart-map
-    try {
-      // Prepare env for mapper
-      const env = { ...process.env };
-      const startUrls = directURLs.length ? directURLs : ((crawlOptions.startUrlsText||'').split(/\r?\n/).map(s=>s.trim()).filter(Boolean));
-      env.START_URLS = (startUrls||[]).join('\n');
-      env.SAME_HOST_ONLY = (options.autoExpandSameHostOnly===false ? 'false' : 'true');
-      env.INCLUDE_SUBDOMAINS = (options.autoExpandSubdomains===false ? 'false' : 'true');
-      if (options.autoExpandAllowRegex) env.ALLOW_REGEX = options.autoExpandAllowRegex;
-      if (options.autoExpandDenyRegex) env.DENY_REGEX = options.autoExpandDenyRegex;
-      // Defaults suitable for e-com
-      env.MAX_CATEGORIES = String(80);
-      env.MAX_CATEGORY_PAGES = String(5);
-      env.MAX_PRODUCTS_PER_CATEGORY = String(300);
-      // Run mapper synchronously
-      push(`[PLAN_START] id=${id} urls=${(env.START_URLS||'').split(/\n/).length}`);
-      const out = require('child_process').spawnSync(process.execPath, [SMART_MAP, dir], { env, encoding:'utf8' });
-      if (out.status !== 0) {
-        push('[PLAN_ERR] ' + (out.stderr || out.stdout || 'mapper failed'));
-        // Fallback: if directURLs exist, write them; otherwise abort
-        if (directURLs.length) {
-          fs.writeFileSync(seedsFile, directURLs.join('\n')+'\n','utf8');
-        } else {
-          startingJob = false; currentJob=null; currentChildProc=null;
-          return res.status(500).json({ error:'Plan-first mapper failed and no direct URLs fallback' });
-        }
-      } else {
-        push('[PLAN_DONE] ' + (out.stdout||'').trim().split(/\r?\n/).slice(-1)[0]);
-        const planned = path.join(dir,'_plan','seeds.txt');
-        if (fs.existsSync(planned)) {
-          seedsFile = planned;
-        } else {
-          // Fallback to direct
-          if (directURLs.length) {
-            fs.writeFileSync(seedsFile, directURLs.join('\n')+'\n','utf8');
-          } else {
-            startingJob = false; currentJob=null; currentChildProc=null;
-            return res.status(500).json({ error:'smart-map produced no seeds' });
-          }
-        }
-      }
-    } catch (e) {
-      push('[PLAN_EXC] ' + e.message);
-      if (directURLs.length) {
-        fs.writeFileSync(seedsFile, directURLs.join('\n')+'\n','utf8');
-      } else {
-        startingJob = false; currentJob=null; currentChildProc=null;
-        return res.status(500).json({ error:'Plan-first failed: ' + e.message });
-      }
-    }
-  } else {
-    // No plan-first: write provided URLs directly
-    fs.writeFileSync(seedsFile, directURLs.join('\n')+'\n','utf8');
+/* ---------- Jobs ---------- */
+app.get('/api/jobs',(req,res)=>{
+  const { type, runId, active } = req.query;
+  const jobs = jobQueue.list({ type, runId, active: active==='1' || active==='true' })
+    .sort((a,b)=>(b.createdAt||0)-(a.createdAt||0))
+    .slice(0, parseInt(req.query.limit||'100',10) || 100)
+    .map(j=>jobForUser(req, j));
+  res.json({ ok:true, slots:jobQueue.slots(), jobs });
+});
+app.get('/api/jobs/:id',(req,res)=>{
+  const job=jobQueue.get(req.params.id);
+  if(!job) return res.status(404).json({error:'job not found'});
+  res.json({ ok:true, job:jobForUser(req, job) });
+});
+app.post('/api/jobs/:id/stop',(req,res)=>{
+  const r=jobQueue.stop(req.params.id);
+  if(!r.ok) return res.status(r.error==='job not found' ? 404 : 400).json({ error:r.error });
+  res.json(r);
+});
+// Per-job log: JSON tail (?lines=N), or an SSE stream with ?stream=1
+app.get('/api/jobs/:id/log',(req,res)=>{
+  const job=jobQueue.get(req.params.id);
+  if(!job) return res.status(404).json({error:'job not found'});
+  const n=parseInt(req.query.lines||'200',10) || 200;
+  if(req.query.stream!=='1') return res.json({ ok:true, id:job.id, status:job.status, lines:jobQueue.logTail(job.id, n) });
+  res.writeHead(200,{
+    'Content-Type':'text/event-stream',
+    'Cache-Control':'no-cache',
+    Connection:'keep-alive'
+  });
+  jobQueue.logTail(job.id, n).forEach(l=>res.write(`data: ${l}\n\n`));
+  const off=jobQueue.subscribe(job.id, l=>res.write(`data: ${l}\n\n`));
+  req.on('close',off);
+});
+app.post('/api/jobs/slots',(req,res)=>{
+  try { res.json({ ok:true, slots:jobQueue.setSlots((req.body||{}).slots || req.body) }); }
+  catch(e){ res.status(400).json({ error:e.message }); }
+});
+app.get('/api/runs/:id/changes',(req,res)=>{
+  const run=findRun(req.params.id);
+  const file=run && path.join(run.dir,'changes.json');
+  if(!file || !fs.existsSync(file)) return res.status(404).json({error:'no change report'});
+  res.sendFile(file);
+});
+// Manifest records grouped by failure code (lib/capture-codes.cjs); works while a run is still writing the partial manifest
+app.get('/api/runs/:id/codes',(req,res)=>{
+  scanExistingRuns();
+  const run=findRun(req.params.id);
+  if(!run) return res.status(404).json({error:'run not found'});
+  const records=mergeManifest(readFinalManifest(run.dir), readPartialManifest(run.dir));
+  const timings={};
+  for(const rec of records){
+    for(const [k,v] of Object.entries(rec.timings||{})){ if(typeof v==='number'){ timings[k]=(timings[k]||0)+v; } }
   }
-  const rec=findRun(id);
-  if(rec){ rec.seedsFile=seedsFile; }
-  currentJob={ id, dir, startedAt:Date.now(), phase:'archive', totalUrls:directURLs.length };
-  startingJob = false;
-  push(`[JOB_START] id=${id} direct urls=${directURLs.length}`);
-  const archiverOpts = { ...options, __primaryStartUrl: primaryForId };
-  launchArchiver(id, dir, seedsFile, archiverOpts, rec?rec.startedAt:Date.now());
-  res.json({ ok:true, runId:id, dir, crawling:false });
+  for(const k of Object.keys(timings)) timings[k]=Math.round(timings[k]/Math.max(1,records.length));
+  res.json({ ok:true, id:run.id, records:records.length, groups:groupByCode(records), avgTimings:timings });
+});
+// Offline replay fidelity (validate-replay.cjs): POST starts a check, GET returns the last report
+const fidelityJobs = new Map();
+app.post('/api/runs/:id/fidelity',(req,res)=>{
+  scanExistingRuns();
+  const run=findRun(req.params.id);
+  if(!run || !fs.existsSync(path.join(run.dir,'manifest.json'))) return res.status(404).json({error:'run not found or not finished'});
+  if(fidelityJobs.has(run.id)) return res.status(409).json({error:'fidelity check already running'});
+  const { limit, profiles } = req.body||{};
+  const args=[VALIDATE_REPLAY, run.dir];
+  if(parseInt(limit,10)>0) args.push('--limit', String(parseInt(limit,10)));
+  if(profiles) args.push('--profiles', String(profiles));
+  const child=spawn(process.execPath, args, { env:process.env });
+  attachChildProcessLoggers(child, 'FIDELITY');
+  fidelityJobs.set(run.id, child);
+  child.on('exit', createJobExitHandler(run.id, 'FIDELITY', () => { fidelityJobs.delete(run.id); }));
+  push(`[FIDELITY_START] id=${run.id} pid=${child.pid}`);
+  res.json({ ok:true, runId:run.id, pid:child.pid });
+});
+app.get('/api/runs/:id/fidelity',(req,res)=>{
+  const run=findRun(req.params.id);
+  if(!run) return res.status(404).json({error:'run not found'});
+  const file=path.join(run.dir,'fidelity.json');
+  const running=fidelityJobs.has(run.id);
+  if(!fs.existsSync(file)) return res.json({ ok:true, running, report:null });
+  try { res.json({ ok:true, running, report:JSON.parse(fs.readFileSync(file,'utf8')) }); }
+  catch(e){ res.status(500).json({ error:'bad fidelity.json: '+e.message }); }
+});
+// Catalog diff between two runs and the per-site catalog history (lib/catalog-history.cjs)
+app.get('/api/catalog/diff',(req,res)=>{
+  scanExistingRuns();
+  const a=findRun(String(req.query.from||'')), b=findRun(String(req.query.to||''));
+  if(!a || !b) return res.status(404).json({error:'run not found'});
+  try {
+    const report=diffCatalogs(readRunCatalog(a.dir), readRunCatalog(b.dir), { minPct: parseFloat(req.query.minPct)||0 });
+    res.json({ ok:true, report });
+  } catch(e){ res.status(400).json({ error:e.message }); }
+});
+app.get('/api/catalog/history',(req,res)=>{
+  scanExistingRuns();
+  const run=findRun(String(req.query.run||''));
+  if(!run) return res.status(404).json({error:'run not found'});
+  try {
+    const snap=readRunCatalog(run.dir);
+    const { sku, q, field } = req.query;
+    const history=queryHistory(historyDirFor(run.dir, snap.site), { sku, q, field, limit: parseInt(req.query.limit,10)||100 });
+    res.json({ ok:true, ...history });
+  } catch(e){ res.status(400).json({ error:e.message }); }
 });
 
 /* ---------- Delete Run ---------- */
@@ -1062,7 +1453,7 @@ app.post('/api/delete-run',(req,res)=>{
   if(!runId) return res.status(400).json({error:'runId required'});
   const idx=runs.findIndex(r=>r.id===runId);
   if(idx===-1) return res.status(404).json({error:'not found'});
-  if(currentJob && currentJob.id===runId) return res.status(400).json({error:'job running'});
+  if(jobQueue.activeForRun(runId)) return res.status(400).json({error:'job running'});
   try{
     fs.rmSync(runs[idx].dir,{recursive:true, force:true});
   }catch(e){
@@ -1128,24 +1519,38 @@ app.get('/api/hosts',(req,res)=>{
 });
 
 /* ---------- Transforms & Hosting Prep ---------- */
+// Transforms apply to every page of the run (transform.cjs); actions: legacy { price, name, logo } or a
+// recipe { steps }; none = the run's saved transforms.json. Preview results carry per-page diffs.
+app.get('/api/runs/:id/transforms',(req,res)=>{
+  const run=findRun(req.params.id);
+  if(!run) return res.status(404).json({error:'run not found'});
+  try { res.json({ ok:true, recipe:loadRecipe(run.dir) }); }
+  catch(e){ res.status(400).json({ error:e.message }); }
+});
+app.post('/api/runs/:id/transforms',(req,res)=>{
+  const run=findRun(req.params.id);
+  if(!run) return res.status(404).json({error:'run not found'});
+  try { res.json({ ok:true, recipe:saveRecipe(run.dir, (req.body||{}).recipe||{}) }); }
+  catch(e){ res.status(400).json({ error:e.message }); }
+});
 app.post('/api/transform-preview',(req,res)=>{
   try{
-    const { runId, actions } = req.body||{};
+    const { runId, actions, recipe } = req.body||{};
     if(!runId) return res.status(400).json({error:'runId required'});
     const run=findRun(runId);
     if(!run) return res.status(404).json({error:'run not found'});
-    const result=applyTransforms(run.dir, actions||{}, { preview:true });
+    const result=applyTransforms(run.dir, recipe||actions||{}, { preview:true });
     res.json({ ok:true, result });
   }catch(e){ res.status(500).send(JSON.stringify({ error:e.message })); }
 });
 app.post('/api/transform-apply',(req,res)=>{
   try{
-    const { runId, actions } = req.body||{};
+    const { runId, actions, recipe } = req.body||{};
     if(!runId) return res.status(400).json({error:'runId required'});
     const run=findRun(runId);
     if(!run) return res.status(404).json({error:'run not found'});
-    const result=applyTransforms(run.dir, actions||{}, { preview:false });
-    push('[TRANSFORM_APPLY] run='+runId);
+    const result=applyTransforms(run.dir, recipe||actions||{}, { preview:false });
+    push(`[TRANSFORM_APPLY] run=${runId} pages=${result.changedPages}/${result.pages}`);
     res.json({ ok:true, result });
   }catch(e){ res.status(500).json({ error:e.message }); }
 });
@@ -1156,7 +1561,7 @@ app.post('/api/transform-reset',(req,res)=>{
     const run=findRun(runId);
     if(!run) return res.status(404).json({error:'run not found'});
     const info=resetTransforms(run.dir);
-    push('[TRANSFORM_RESET] run='+runId);
+    push(`[TRANSFORM_RESET] run=${runId} pages=${info.pages}`);
     res.json({ ok:true, info });
   }catch(e){ res.status(500).json({ error:e.message }); }
 });
@@ -1166,7 +1571,7 @@ app.post('/api/upload-logo',(req,res)=>{
     if(!runId || !fileName || !dataBase64) return res.status(400).json({error:'runId,fileName,dataBase64 required'});
     const run=findRun(runId);
     if(!run) return res.status(404).json({error:'run not found'});
-    const { assetsDir } = findRootIndex(run.dir);
+    const assetsDir = logoAssetsDir(run.dir);
     if(!fs.existsSync(assetsDir)) fs.mkdirSync(assetsDir,{recursive:true});
     const safe=fileName.replace(/[^a-zA-Z0-9._-]+/g,'_');
     const buf=Buffer.from(dataBase64,'base64');
@@ -1305,44 +1710,100 @@ app.get('/api/page-map', (req, res) => {
   }
 });
 
+/* Exporters discovered in platform/exporters/ (platform/registry.cjs) */
+app.get('/api/exporters', (req,res)=>{
+  try{
+    const { listExporters } = require(path.join(__dirname, 'platform', 'registry.cjs'));
+    res.json({ ok:true, exporters: listExporters() });
+  }catch(e){
+    res.status(500).json({ error:e.message });
+  }
+});
+
+// Queued as an 'export' job; waits for it and answers with the download links unless body.queue is set
 app.post('/api/export', async (req,res)=>{
   try{
-    const { runId, platform, out, inlineCss } = req.body || {};
+    const { runId, platform, out, inlineCss, options, queue } = req.body || {};
     if(!runId) return res.status(400).json({ error:'runId required' });
-    if(!platform) return res.status(400).json({ error:'platform required (shopify|woocommerce)' });
+    if(!platform) return res.status(400).json({ error:'platform required (see GET /api/exporters)' });
+    const { getExporter, validateOptions } = require(path.join(__dirname, 'platform', 'registry.cjs'));
+    let ex;
+    try { ex = getExporter(platform); } catch(e){ return res.status(400).json({ error:e.message }); }
 
     const run = runs.find(r=>r.id===runId);
     if(!run) return res.status(404).json({ error:'run not found' });
 
-    const exporterPath = path.join(__dirname, 'platform', 'exporter.cjs');
-    if(!fs.existsSync(exporterPath)) return res.status(500).json({ error:'exporter missing (platform/exporter.cjs)' });
-    const { exportRun } = require(exporterPath);
-
-    const OUT_DIR_BASE = path.join(__dirname, 'out'); // ensure this exists and is exposed via /download
-    fs.mkdirSync(OUT_DIR_BASE, { recursive: true });
-
-    const outDir = out ? path.resolve(out) : path.join(OUT_DIR_BASE, platform, `${runId}-${Date.now().toString(36)}`);
+    fs.mkdirSync(OUT_BASE, { recursive: true }); // exposed via /download
+    const outDir = out ? path.resolve(out) : path.join(OUT_BASE, ex.name, `${runId}-${Date.now().toString(36)}`);
+    // a custom out outside OUT_BASE writes anywhere on disk: admins only
+    const underOut = outDir === OUT_BASE || outDir.startsWith(OUT_BASE + path.sep);
+    if(!underOut && AUTH_ON && !roleAtLeast(req.user.role,'admin')) return res.status(403).json({ error:'admin role required for an out directory outside '+OUT_BASE });
     fs.mkdirSync(outDir, { recursive: true });
 
-    const result = await exportRun({ runDir: run.dir, outDir, platform, options: { inlineCss } });
-
-    const toWebLocal = (abs) => {
-      const rel = path.relative(OUT_DIR_BASE, abs);
-      return rel.startsWith('..') ? null : ('/download/' + rel.split(path.sep).join('/'));
-    };
-
-    const folderUrl = toWebLocal(result.outDir || outDir);
-    const productsCsvUrl = result.productsCsv ? toWebLocal(result.productsCsv) : null;
-    const pagesWxrUrl = result.pagesWxr ? toWebLocal(result.pagesWxr) : null;
+    // inlineCss is the older top-level form of the woocommerce option
+    const exportOptions = { ...(options || {}) };
+    if(inlineCss !== undefined && ex.name === 'woocommerce' && exportOptions.inlineCss === undefined) exportOptions.inlineCss = inlineCss;
+    try { validateOptions(ex, exportOptions); } catch(e){ return res.status(400).json({ error:e.message }); }
 
-    const payload = { ok:true, outDir: result.outDir || outDir, result, folderUrl, productsCsvUrl, pagesWxrUrl };
-    try { console.log('[EXPORT]', payload); } catch {}
-    res.json(payload);
+    const job = jobQueue.enqueue('export', { runId, label:ex.name, params:{ runDir: run.dir, outDir, platform: ex.name, options: exportOptions } });
+    if(queue) return res.json({ ok:true, queued:true, jobId:job.id, outDir });
+    const done = await jobQueue.wait(job.id);
+    if(done.status !== 'done') return res.status(500).json({ error: done.error || `export ${done.status}`, jobId:job.id });
+    res.json({ ...done.result, jobId:job.id });
   }catch(e){
     res.status(500).json({ error:e.message });
   }
 });
 
+/* ---------- Hosting prepare (queued 'prepare' jobs) ---------- */
+function hostingJobView(j, withLog){
+  const r = j.result || {};
+  return {
+    id:j.id, runId:j.runId, status:j.status, createdAt:j.createdAt, startedAt:j.startedAt || j.createdAt, finishedAt:j.finishedAt,
+    outDir: r.outDir || (j.params && j.params.outDir), pages: r.pages, zip: !!r.zipPath, error: j.error,
+    ...(withLog ? { log: jobQueue.logTail(j.id, 400) } : {})
+  };
+}
+app.post('/api/hosting/prepare',(req,res)=>{
+  const { runId, options={} } = req.body||{};
+  if(!runId) return res.status(400).json({ error:'runId required' });
+  scanExistingRuns();
+  const run=findRun(runId);
+  if(!run) return res.status(404).json({ error:'run not found' });
+  if(!fs.existsSync(path.join(run.dir,'manifest.json'))) return res.status(400).json({ error:'run has no manifest.json yet' });
+  const outDir = path.join(HOSTING_OUT_BASE, `${runId}-${Date.now().toString(36)}`);
+  // UI checkboxes are positive (includeMobile, serviceWorker, sitemap); prepareHosting takes no* flags
+  const prepOptions = {
+    mode: options.mode || 'switch',
+    noMobile: options.includeMobile === false,
+    stripAnalytics: !!options.stripAnalytics,
+    noServiceWorker: options.serviceWorker === false,
+    noSitemap: options.sitemap === false,
+    precompress: !!options.precompress,
+    baseUrl: options.baseUrl || '',
+    extraAnalyticsRegex: options.extraAnalyticsRegex || '',
+    platform: options.platform || 'generic',
+    addShopifyEmbed: !!options.shopifyEmbed,
+    createZip: !!options.createZip
+  };
+  const job = jobQueue.enqueue('prepare', { runId, label:prepOptions.platform, params:{ runDir: run.dir, outDir, options: prepOptions } });
+  res.json({ ok:true, jobId:job.id, id:job.id, status:job.status, outDir });
+});
+app.get('/api/hosting/jobs',(req,res)=>{
+  res.json(jobQueue.list({ type:'prepare' }).map(j=>hostingJobView(j, false)));
+});
+app.get('/api/hosting/jobs/:id',(req,res)=>{
+  const j=jobQueue.get(req.params.id);
+  if(!j || j.type!=='prepare') return res.status(404).json({ error:'job not found' });
+  res.json(hostingJobView(j, true));
+});
+app.get('/api/hosting/jobs/:id/download',(req,res)=>{
+  const j=jobQueue.get(req.params.id);
+  const zipPath=j && j.type==='prepare' && j.result && j.result.zipPath;
+  if(!zipPath || !fs.existsSync(zipPath)) return res.status(404).json({ error:'zip not found' });
+  res.download(zipPath);
+});
+
 /* ---------- Zip exported folder (optional) ---------- */
 function execShell(cmd){
   return new Promise((resolve,reject)=>{
@@ -1382,6 +1843,15 @@ app.post('/api/export-zip', async (req,res)=>{
 
 /* ---------- Startup ---------- */
 scanExistingRuns();
+jobQueue.start();
+if(AUTH_ON){
+  // First start: an admin account, password from GUI_ADMIN_PASSWORD or generated (printed once, not sent to the UI log)
+  const pw = auth.ensureAdmin(process.env.GUI_ADMIN_USER || 'admin', process.env.GUI_ADMIN_PASSWORD || '');
+  if(pw && !process.env.GUI_ADMIN_PASSWORD) console.log(`[AUTH] created admin user "${process.env.GUI_ADMIN_USER || 'admin'}" with password: ${pw}`);
+} else {
+  console.warn(`[AUTH] login disabled (GUI_AUTH=false): anyone who can reach ${inferPublicUrl(PORT)} can start, stop and delete runs`);
+}
+scheduler.start({ fire: SCHEDULER_ON });
     // Back-compat alias; accept empty body and mirror /api/host-stop behavior
     app.post('/api/stop-host',(req,res)=>{
       const body = req.body || {};
@@ -0,0 +1,263 @@
+// lib/auth.cjs
+// Local accounts, API tokens, sessions and the audit log for gui-server.cjs. Everything lives in one
+// directory (GUI_AUTH_DIR, default .gui-auth/):
+//   users.json     { users:[{ name, role, passwordHash, disabled }], tokens:[{ id, name, user, role, hash }] }
+//   sessions.json  { <sha256 of session id>: { user, expiresAt } }
+//   audit.jsonl    one JSON line per action: { at, user, role, via, method, path, status, ip, params }
+// Passwords are scrypt hashes, tokens and session ids are stored as sha256 only.
+// Roles, least to most: viewer (read), operator (start/stop/export), admin (delete, users, installs).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 32 };
+const TOKEN_PREFIX = 'gat_';
+const NAME_RE = /^[A-Za-z0-9_.@-]{1,64}$/;
+
+function roleAtLeast(role, min) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(min) && ROLES.includes(role);
+}
+
+function sha256(s) { return crypto.createHash('sha256').update(String(s)).digest('hex'); }
+
+/** scrypt$N$r$p$salt$hash (base64) */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT.keylen, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+function verifyPassword(password, stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+  const [, N, r, p, salt, hash] = parts;
+  const expected = Buffer.from(hash, 'base64');
+  // an empty or truncated digest would compare equal to any password of the same (short) length
+  if (expected.length !== SCRYPT.keylen || !salt) return false;
+  try {
+    const got = crypto.scryptSync(String(password), Buffer.from(salt, 'base64'), SCRYPT.keylen, { N: +N, r: +r, p: +p });
+    return crypto.timingSafeEqual(expected, got);
+  } catch { return false; }
+}
+
+function readJson(file, def) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch { return def; }
+}
+
+function writeJson(file, obj) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = file + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(obj, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+// Request fields worth keeping in the audit log; anything secret-looking is dropped
+const AUDIT_PARAMS = ['runId', 'jobId', 'id', 'platform', 'port', 'mode', 'name', 'role', 'user', 'username', 'cron', 'enabled', 'dir', 'recipe'];
+
+function auditParams(body) {
+  if (!body || typeof body !== 'object') return undefined;
+  const out = {};
+  for (const k of AUDIT_PARAMS) {
+    const v = body[k];
+    if (v != null && typeof v !== 'object' && !/pass|token|secret/i.test(k)) out[k] = String(v).slice(0, 200);
+  }
+  return Object.keys(out).length ? out : undefined;
+}
+
+/**
+ * createAuth({ dir, sessionHours, log }) -> account, token, session and audit operations.
+ * User records returned to callers never include the password hash.
+ */
+function createAuth({ dir, sessionHours = 12, log = () => {} }) {
+  const usersFile = path.join(dir, 'users.json');
+  const sessionsFile = path.join(dir, 'sessions.json');
+  const auditFile = path.join(dir, 'audit.jsonl');
+  let store = { users: [], tokens: [] };
+  let sessions = {};
+  let tokenUseSaved = 0;
+  let storeMtime = 0;
+  const dummyHash = hashPassword(crypto.randomBytes(12).toString('hex'));
+
+  function loadStore() {
+    const s = readJson(usersFile, null);
+    store = { users: Array.isArray(s && s.users) ? s.users : [], tokens: Array.isArray(s && s.tokens) ? s.tokens : [] };
+    try { storeMtime = fs.statSync(usersFile).mtimeMs; } catch { storeMtime = 0; }
+  }
+  // users.json is also edited by tools/gui-users.cjs; reread it when it changed on disk
+  function sync() {
+    let m = 0;
+    try { m = fs.statSync(usersFile).mtimeMs; } catch {}
+    if (m !== storeMtime) loadStore();
+  }
+  function load() {
+    loadStore();
+    sessions = readJson(sessionsFile, {}) || {};
+    const now = Date.now();
+    for (const [k, v] of Object.entries(sessions)) if (!v || v.expiresAt < now) delete sessions[k];
+  }
+  function saveStore() {
+    writeJson(usersFile, store);
+    try { storeMtime = fs.statSync(usersFile).mtimeMs; } catch {}
+  }
+  function saveSessions() { writeJson(sessionsFile, sessions); }
+
+  const publicUser = (u) => u && ({ name: u.name, role: u.role, disabled: !!u.disabled, createdAt: u.createdAt, updatedAt: u.updatedAt, lastLoginAt: u.lastLoginAt });
+  const publicToken = (t) => t && ({ id: t.id, name: t.name, user: t.user, role: t.role, createdAt: t.createdAt, lastUsedAt: t.lastUsedAt });
+  const findUser = (name) => { sync(); return store.users.find(u => u.name === name) || null; };
+
+  function hasUsers() { sync(); return store.users.length > 0; }
+  function listUsers() { sync(); return store.users.map(publicUser); }
+
+  /** Create or update a user. New users need a password; role defaults to viewer. */
+  function upsertUser({ name, password, role, disabled } = {}) {
+    if (!NAME_RE.test(String(name || ''))) throw new Error('name must be 1-64 characters of A-Z a-z 0-9 _ . @ -');
+    if (role != null && !ROLES.includes(role)) throw new Error(`role must be one of ${ROLES.join(', ')}`);
+    if (password != null && String(password).length < 8) throw new Error('password must be at least 8 characters');
+    const u = findUser(name);
+    if (!u && !password) throw new Error('password required for a new user');
+    const next = { ...(u || { name, role: 'viewer', createdAt: Date.now() }) };
+    if (role) next.role = role;
+    if (disabled != null) next.disabled = !!disabled;
+    if (![...store.users.filter(x => x !== u), next].some(x => x.role === 'admin' && !x.disabled)) throw new Error('at least one enabled admin is required');
+    if (password) { next.passwordHash = hashPassword(password); next.passwordChangedAt = Date.now(); }
+    next.updatedAt = Date.now();
+    if (u) Object.assign(u, next); else store.users.push(next);
+    // a password change or lock-out ends the user's sessions
+    if (password || next.disabled) dropSessions(name);
+    saveStore();
+    return publicUser(next);
+  }
+
+  function removeUser(name) {
+    const u = findUser(name);
+    if (!u) return false;
+    if (u.role === 'admin' && !store.users.some(x => x !== u && x.role === 'admin' && !x.disabled)) throw new Error('cannot delete the last admin');
+    store.users = store.users.filter(x => x !== u);
+    store.tokens = store.tokens.filter(t => t.user !== name);
+    dropSessions(name);
+    saveStore();
+    return true;
+  }
+
+  /** First start: create an admin with the given (or a random) password. Returns the password used, or null. */
+  function ensureAdmin(name = 'admin', password = '') {
+    if (hasUsers()) return null;
+    const pw = password || crypto.randomBytes(12).toString('base64url');
+    upsertUser({ name, password: pw, role: 'admin' });
+    return pw;
+  }
+
+  function dropSessions(name) {
+    let n = 0;
+    for (const [k, v] of Object.entries(sessions)) if (v.user === name) { delete sessions[k]; n++; }
+    if (n) saveSessions();
+  }
+
+  /** Password login -> { sessionId, user, expiresAt } or null */
+  function login(name, password) {
+    const u = findUser(String(name || ''));
+    // still hash for unknown users so timing does not reveal which names exist
+    if (!u || u.disabled) { verifyPassword(password, dummyHash); return null; }
+    if (!verifyPassword(password, u.passwordHash)) return null;
+    const sessionId = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = Date.now() + sessionHours * 3600 * 1000;
+    sessions[sha256(sessionId)] = { user: u.name, createdAt: Date.now(), expiresAt };
+    u.lastLoginAt = Date.now();
+    saveSessions();
+    saveStore();
+    return { sessionId, user: publicUser(u), expiresAt };
+  }
+
+  function logout(sessionId) {
+    const k = sha256(sessionId);
+    if (!sessions[k]) return false;
+    delete sessions[k];
+    saveSessions();
+    return true;
+  }
+
+  function sessionUser(sessionId) {
+    if (!sessionId) return null;
+    const s = sessions[sha256(sessionId)];
+    if (!s || s.expiresAt < Date.now()) return null;
+    const u = findUser(s.user);
+    // sessions from before a password change end, also when it was changed by the CLI
+    if (!u || u.disabled || s.createdAt < (u.passwordChangedAt || 0)) return null;
+    return publicUser(u);
+  }
+
+  /** New API token for a user; role is capped at the user's role. The token itself is only returned here. */
+  function createToken(userName, { name = '', role } = {}) {
+    const u = findUser(userName);
+    if (!u) throw new Error('user not found');
+    if (role != null && !ROLES.includes(role)) throw new Error(`role must be one of ${ROLES.join(', ')}`);
+    const r = role && roleAtLeast(u.role, role) ? role : u.role;
+    const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const t = { id: crypto.randomBytes(6).toString('hex'), name: String(name || '').slice(0, 80) || 'token', user: u.name, role: r, hash: sha256(token), createdAt: Date.now() };
+    store.tokens.push(t);
+    saveStore();
+    return { token, ...publicToken(t) };
+  }
+
+  function listTokens(userName) {
+    sync();
+    return store.tokens.filter(t => !userName || t.user === userName).map(publicToken);
+  }
+
+  function revokeToken(id, userName) {
+    sync();
+    const t = store.tokens.find(x => x.id === id && (!userName || x.user === userName));
+    if (!t) return false;
+    store.tokens = store.tokens.filter(x => x !== t);
+    saveStore();
+    return true;
+  }
+
+  /** Token -> { user, role, tokenId } (role = the lower of token and current user role) or null */
+  function tokenUser(token) {
+    if (!String(token || '').startsWith(TOKEN_PREFIX)) return null;
+    sync();
+    const h = sha256(token);
+    const t = store.tokens.find(x => x.hash === h);
+    const u = t && findUser(t.user);
+    if (!u || u.disabled) return null;
+    t.lastUsedAt = Date.now();
+    // lastUsedAt is informational; write it at most once a minute
+    if (t.lastUsedAt - tokenUseSaved > 60000) { tokenUseSaved = t.lastUsedAt; saveStore(); }
+    return { ...publicUser(u), role: roleAtLeast(u.role, t.role) ? t.role : u.role, tokenId: t.id };
+  }
+
+  function audit(entry) {
+    const line = JSON.stringify({ at: new Date().toISOString(), ...entry });
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.appendFileSync(auditFile, line + '\n', { mode: 0o600 });
+    } catch (e) { log(`[AUDIT_ERR] ${e.message}`); }
+  }
+
+  /** Newest audit entries first; filters user, path (substring), limit. */
+  function readAudit({ user = '', path: p = '', limit = 200 } = {}) {
+    let lines = [];
+    try { lines = fs.readFileSync(auditFile, 'utf8').split('\n').filter(Boolean); } catch {}
+    const out = [];
+    for (let i = lines.length - 1; i >= 0 && out.length < limit; i--) {
+      let e; try { e = JSON.parse(lines[i]); } catch { continue; }
+      if (user && e.user !== user) continue;
+      if (p && !String(e.path || '').includes(p)) continue;
+      out.push(e);
+    }
+    return out;
+  }
+
+  load();
+  return {
+    hasUsers, listUsers, upsertUser, removeUser, ensureAdmin,
+    login, logout, sessionUser,
+    createToken, listTokens, revokeToken, tokenUser,
+    audit, readAudit
+  };
+}
+
+module.exports = { ROLES, roleAtLeast, hashPassword, verifyPassword, auditParams, createAuth };
@@ -0,0 +1,75 @@
+// lib/browser-pool.cjs
+// One long-lived browser per archiver worker. Captures open a fresh context on the
+// leased browser (proxy/UA/viewport are context options), so Chromium startup is paid
+// once per worker instead of once per URL and profile. A browser is recycled after
+// `maxPages` captures, when it disconnects, or when a capture reports a crash.
+
+function createBrowserPool({ launch, maxPages = 50, reuse = true, log = () => {} } = {}) {
+  const slots = new Map(); // worker id -> { browser, pages, dead, busy, retiring }
+  const retiring = new Set(); // slots taken out of the pool while still leased
+  let launches = 0;
+
+  async function retire(key, slot, why) {
+    if (slots.get(key) === slot) slots.delete(key);
+    if (why) log('[BROWSER_POOL] recycle worker=' + key, why, 'pages=' + slot.pages);
+    try { await slot.browser.close(); } catch {}
+  }
+
+  async function fresh(key) {
+    const browser = await launch();
+    launches++;
+    const slot = { browser, pages: 0, dead: false, busy: false, retiring: false };
+    try { browser.on('disconnected', () => { slot.dead = true; }); } catch {}
+    if (reuse) slots.set(key, slot);
+    return slot;
+  }
+
+  /**
+   * Lease the worker's browser (launching or recycling as needed).
+   * Returns { browser, release({ crashed }) }; release() must be called once per lease.
+   */
+  async function acquire(workerId) {
+    const key = String(workerId ?? 0);
+    let slot = reuse ? slots.get(key) : null;
+    if (slot && (slot.dead || slot.busy)) {
+      // A busy slot means the caller leaked a lease; never share one browser between captures
+      // The leaked lease keeps its browser until released; it is closed then (or by closeAll)
+      if (slot.dead) await retire(key, slot, 'disconnected');
+      else { slots.delete(key); slot.retiring = true; retiring.add(slot); log('[BROWSER_POOL] retiring busy browser worker=' + key); }
+      slot = null;
+    }
+    if (!slot) slot = await fresh(key);
+    slot.busy = true;
+    slot.pages++;
+    let released = false;
+    return {
+      browser: slot.browser,
+      async release({ crashed = false } = {}) {
+        if (released) return;
+        released = true;
+        slot.busy = false;
+        if (!reuse) { try { await slot.browser.close(); } catch {} return; }
+        if (slot.retiring) { retiring.delete(slot); return retire(key, slot, 'retired'); }
+        if (crashed || slot.dead) return retire(key, slot, crashed ? 'crash' : 'disconnected');
+        if (maxPages > 0 && slot.pages >= maxPages) return retire(key, slot, 'maxPages');
+      }
+    };
+  }
+
+  async function closeAll() {
+    const all = [...slots.values(), ...retiring];
+    slots.clear();
+    retiring.clear();
+    await Promise.all(all.map(s => s.browser.close().catch(() => {})));
+    log('[BROWSER_POOL] closed', all.length, 'browser(s); launches=' + launches);
+  }
+
+  return { acquire, closeAll, get launches() { return launches; } };
+}
+
+// Errors that mean the browser process (not just the page) is unusable
+function isBrowserCrash(err) {
+  return /Target (?:page, context or browser )?(?:has been )?closed|Browser (?:has been )?closed|browser has disconnected|crash/i.test(String((err && err.message) || err || ''));
+}
+
+module.exports = { createBrowserPool, isBrowserCrash };
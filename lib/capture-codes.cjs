@@ -0,0 +1,154 @@
+// lib/capture-codes.cjs
+// Structured failure taxonomy for capture records.
+//
+// record.status stays the legacy string ('ok', 'okRaw', 'error:nav ...'); record.code
+// carries one of CAPTURE_CODES so manifests can be grouped without parsing messages,
+// and record.timings holds per-phase durations in ms.
+
+const CAPTURE_CODES = {
+  ok: 'Captured',
+  dns: 'DNS lookup failed',
+  tls: 'TLS/certificate error',
+  timeout: 'Navigation or capture timeout',
+  network: 'Connection refused/reset or proxy error',
+  'bot-block': 'Bot protection / challenge page (status "blocked" when retries ran out)',
+  'http-4xx': 'HTTP 4xx response',
+  'http-5xx': 'HTTP 5xx response',
+  'consent-stuck': 'Consent overlay still visible after capture',
+  'empty-body': 'Empty or near-empty document body',
+  'raw-fallback': 'Browser capture failed, raw HTTP body saved',
+  error: 'Other error'
+};
+
+// Consent containers that should be gone once consent was handled
+const CONSENT_OVERLAY_SELECTORS = [
+  '#onetrust-banner-sdk', '#CybotCookiebotDialog', '#usercentrics-root',
+  'div[id^="sp_message_container_"]', '.sp-message-container',
+  '.cm-wrapper', '.cm__container', '.cc-window', '.cookie-consent', '.cookieconsent', '.cookiebar'
+];
+
+// Titles only interstitials use; a match is enough on its own
+const CHALLENGE_TITLES = [
+  /<title>\s*just a moment\.{0,3}\s*<\/title>/i,
+  /<title>\s*attention required!?\s*\|\s*cloudflare/i,
+  /<title>\s*access denied\s*<\/title>/i,
+  /<title>\s*pardon our interruption/i
+];
+
+// Markers of the challenge itself. Vendor scripts that ordinary pages load too (Cloudflare JSD,
+// DataDome tags.js, the PerimeterX sensor, Incapsula resources) are deliberately not listed, and
+// even these only count on a page that looks like an interstitial (see looksInterstitial).
+const CHALLENGE_MARKERS = [
+  /cf-browser-verification|cf_chl_opt/i,
+  /sorry, you have been blocked|cf-error-details/i,
+  /errors\.edgesuite\.net|<h1>\s*access denied\s*<\/h1>[\s\S]{0,400}reference\s*(?:#|&#35;)/i,
+  /captcha-delivery\.com/i,
+  /px-captcha/i,
+  /incapsula incident id|request unsuccessful\. incapsula/i,
+  /\/_sec\/cp_challenge\//i,
+  /checking (?:if the site connection is secure|your browser before accessing)/i,
+  /please verify you are a human|are you a robot\?/i
+];
+
+/** Blocking status, or a small document (little visible text when known, else little HTML). */
+function looksInterstitial({ mainStatus, html, bodyTextLength } = {}) {
+  const st = Number(mainStatus) || 0;
+  if (st === 403 || st === 429 || st === 503) return true;
+  if (typeof bodyTextLength === 'number') return bodyTextLength < 400;
+  return String(html || '').length < 50000;
+}
+
+/**
+ * Does `html` look like an anti-bot interstitial rather than the real page?
+ * Pass mainStatus/bodyTextLength when known. Returns the matching pattern source or ''.
+ */
+function detectChallenge(html, { mainStatus, bodyTextLength } = {}) {
+  const s = String(html || '');
+  if (!s) return '';
+  // Challenge pages are small; a full storefront mentioning "captcha" in a form is not one
+  if (s.length > 400000) return '';
+  const head = s.slice(0, 20000);
+  for (const rx of CHALLENGE_TITLES) { if (rx.test(head)) return rx.source; }
+  if (!looksInterstitial({ mainStatus, html: s, bodyTextLength })) return '';
+  for (const rx of CHALLENGE_MARKERS) { if (rx.test(s)) return rx.source; }
+  return '';
+}
+
+/** Map a thrown navigation/capture error to a code. */
+function classifyError(err) {
+  const m = String((err && err.message) || err || '');
+  if (/ERR_NAME_NOT_RESOLVED|ENOTFOUND|EAI_AGAIN|getaddrinfo|ERR_NAME_RESOLUTION/i.test(m)) return 'dns';
+  if (/ERR_CERT|ERR_SSL|SSL_|TLS|certificate|self[- ]signed|UNABLE_TO_VERIFY|EPROTO/i.test(m)) return 'tls';
+  if (/timeout|timed out|ETIMEDOUT|ERR_TIMED_OUT/i.test(m)) return 'timeout';
+  if (/ECONNREFUSED|ECONNRESET|EPIPE|EHOSTUNREACH|ENETUNREACH|ERR_CONNECTION|ERR_PROXY|ERR_TUNNEL|ERR_EMPTY_RESPONSE|socket hang up/i.test(m)) return 'network';
+  return 'error';
+}
+
+/**
+ * Challenge heuristics beyond known markers: blocking status codes with a tiny or
+ * captcha-ish body, and near-empty pages that only ask for JavaScript/cookies.
+ * Returns a short reason or ''.
+ */
+function detectBlock({ mainStatus, html, bodyTextLength } = {}) {
+  const marker = detectChallenge(html, { mainStatus, bodyTextLength });
+  if (marker) return 'marker:' + marker.slice(0, 60);
+  const s = String(html || '');
+  const st = Number(mainStatus) || 0;
+  const tiny = typeof bodyTextLength === 'number' ? bodyTextLength < 200 : s.length < 3000;
+  if (st === 403 || st === 429 || st === 503) {
+    if (s.length < 20000 && /captcha|challenge|robot|blocked|denied/i.test(s)) return 'status' + st + ':keywords';
+    if (tiny) return 'status' + st + ':tinyBody';
+  }
+  if (typeof bodyTextLength === 'number' && bodyTextLength < 80 && s.length < 8000 &&
+      /enable (?:javascript|cookies)|javascript is (?:disabled|required)/i.test(s)) return 'tinyBody:jsGate';
+  return '';
+}
+
+/** Code for a completed navigation, from HTTP status and the rendered document. */
+function classifyPage({ mainStatus, html, bodyTextLength, consentStuck } = {}) {
+  if (detectBlock({ mainStatus, html, bodyTextLength })) return 'bot-block';
+  const st = Number(mainStatus) || 0;
+  if (st >= 500) return 'http-5xx';
+  if (st >= 400) return 'http-4xx';
+  if (typeof bodyTextLength === 'number' && bodyTextLength < 20 && String(html || '').length < 2048) return 'empty-body';
+  if (consentStuck) return 'consent-stuck';
+  return 'ok';
+}
+
+function recordCode(rec) {
+  if (!rec) return 'error';
+  if (rec.code) return rec.code;
+  // Records written before the taxonomy existed
+  const st = String(rec.status || '');
+  if (st === 'okRaw') return 'raw-fallback';
+  if (st === 'blocked') return 'bot-block';
+  if (st.startsWith('ok')) return 'ok';
+  return classifyError(st);
+}
+
+/**
+ * Group manifest records by code.
+ * Returns [{ code, label, count, urls: [...] }] sorted by count (ok last).
+ */
+function groupByCode(records, { maxUrls = 20 } = {}) {
+  const map = new Map();
+  for (const rec of records || []) {
+    const code = recordCode(rec);
+    if (!map.has(code)) map.set(code, { code, label: CAPTURE_CODES[code] || code, count: 0, urls: [] });
+    const g = map.get(code);
+    g.count++;
+    if (g.urls.length < maxUrls) g.urls.push(rec.profile ? rec.url + ' [' + rec.profile + ']' : rec.url);
+  }
+  return [...map.values()].sort((a, b) => (a.code === 'ok') - (b.code === 'ok') || b.count - a.count);
+}
+
+module.exports = {
+  CAPTURE_CODES,
+  CONSENT_OVERLAY_SELECTORS,
+  detectChallenge,
+  detectBlock,
+  classifyError,
+  classifyPage,
+  recordCode,
+  groupByCode
+};
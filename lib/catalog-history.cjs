@@ -0,0 +1,268 @@
+// lib/catalog-history.cjs
+// Catalog history across runs. Each run writes <runDir>/catalog/catalog.json; this module keeps a
+// per-site store next to the runs (downloaded_pages/_catalog-history/<host>/):
+//   history.json  { runs:[{runId,at,products}], products:{ <sku>: {key,url,title,firstSeen,lastSeen,
+//                   current:{title,price,currency,available,image}, changes:[{at,runId,field,from,to}]} } }
+//   sku-map.json  shared key -> SKU map, so a new run directory keeps the SKUs of earlier runs;
+//                 new SKUs are reserved in it under a lock file, so concurrent runs never share one
+// and diffs two runs' catalogs (new, removed, repriced, renamed, availability and image changes).
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_DIR_NAME = '_catalog-history';
+const TRACKED_FIELDS = ['title', 'price', 'currency', 'available', 'image'];
+const LOCK_WAIT_MS = 10000;
+const LOCK_STALE_MS = 30000;
+
+function readJson(file, def) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch { return def; }
+}
+
+function writeJson(file, obj) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = file + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(obj, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/** Store key of a URL: hostname without www. */
+function siteOf(url) {
+  try { return new URL(url).hostname.toLowerCase().replace(/^www\./, ''); } catch { return ''; }
+}
+
+/** Store directory for a site: CATALOG_HISTORY_DIR or <parent of the run dir>/_catalog-history, plus <host>. */
+function historyDirFor(runDir, site) {
+  const root = process.env.CATALOG_HISTORY_DIR
+    ? path.resolve(process.env.CATALOG_HISTORY_DIR)
+    : path.join(path.dirname(path.resolve(runDir)), HISTORY_DIR_NAME);
+  return path.join(root, String(site || 'unknown').replace(/[^a-z0-9.-]+/gi, '_'));
+}
+
+// Catalog entry availability: explicit flag, else any available variant (null = unknown)
+function availabilityOfEntry(e) {
+  if (typeof e.available === 'boolean') return e.available;
+  const vs = Array.isArray(e.variants) ? e.variants.filter(v => v && typeof v.available === 'boolean') : [];
+  return vs.length ? vs.some(v => v.available) : null;
+}
+
+function normalizeEntry(e) {
+  const price = e.price && typeof e.price === 'object' ? e.price.amount : e.price;
+  const image = Array.isArray(e.images) ? (e.images[0] || '') : (e.image || '');
+  return {
+    sku: e.sku || '',
+    key: e.key || '',
+    url: e.source?.url || e.url || '',
+    title: String(e.name || e.title || '').trim(),
+    price: price != null && price !== '' && isFinite(Number(price)) ? Number(price) : null,
+    currency: (e.price && typeof e.price === 'object' ? e.price.currency : e.currency) || '',
+    available: availabilityOfEntry(e),
+    image: String(image || ''),
+    capturedAt: e.capturedAt || ''
+  };
+}
+
+/**
+ * Snapshot of a run's catalog: { runId, runDir, at, site, products:[normalized entries] }.
+ * at = catalog.json mtime (the archiver rewrites it at the end of every run or refresh).
+ */
+function readRunCatalog(runDir) {
+  const dir = path.resolve(runDir);
+  const file = path.join(dir, 'catalog', 'catalog.json');
+  const list = readJson(file, null);
+  if (!Array.isArray(list)) throw new Error(`no catalog/catalog.json in ${dir}`);
+  const products = list.filter(e => e && e.sku).map(normalizeEntry);
+  let at = '';
+  try { at = fs.statSync(file).mtime.toISOString(); } catch {}
+  const sites = new Map();
+  for (const p of products) { const s = siteOf(p.url); if (s) sites.set(s, (sites.get(s) || 0) + 1); }
+  const site = [...sites.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || '';
+  return { runId: path.basename(dir), runDir: dir, at, site, products };
+}
+
+function loadHistory(dir) {
+  const h = readJson(path.join(dir, 'history.json'), null);
+  return h && typeof h === 'object' && h.products ? h : { version: 1, site: '', runs: [], products: {} };
+}
+
+function saveHistory(dir, h) {
+  h.updatedAt = new Date().toISOString();
+  writeJson(path.join(dir, 'history.json'), h);
+}
+
+/** Shared key -> SKU map of a site: { next, byKey } (empty map when none was written yet). */
+function loadSharedSkuMap(dir) {
+  const o = readJson(path.join(dir, 'sku-map.json'), {}) || {};
+  return { next: Number(o.next) || 1, byKey: o.byKey || {} };
+}
+
+// Run fn holding the store's sku-map.json.lock (exclusive create; a lock older than
+// LOCK_STALE_MS is left over from a crashed run and taken over). Synchronous like its callers.
+function withSkuMapLock(dir, fn) {
+  fs.mkdirSync(dir, { recursive: true });
+  const lock = path.join(dir, 'sku-map.json.lock');
+  const pause = new Int32Array(new SharedArrayBuffer(4));
+  const until = Date.now() + LOCK_WAIT_MS;
+  for (;;) {
+    try { fs.closeSync(fs.openSync(lock, 'wx')); break; } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+      try { if (Date.now() - fs.statSync(lock).mtimeMs > LOCK_STALE_MS) { fs.unlinkSync(lock); continue; } } catch {}
+      if (Date.now() >= until) throw new Error(`timed out waiting for ${lock}`);
+      Atomics.wait(pause, 0, 0, 25);
+    }
+  }
+  try { return fn(); } finally { try { fs.unlinkSync(lock); } catch {} }
+}
+
+/**
+ * SKU of a product key from the shared map, reserving the next number for a new key:
+ * { sku, next }. format turns the number into the SKU string.
+ */
+function reserveSharedSku(dir, key, format) {
+  return withSkuMapLock(dir, () => {
+    const shared = loadSharedSkuMap(dir);
+    if (!shared.byKey[key]) {
+      shared.byKey[key] = format(shared.next++);
+      writeJson(path.join(dir, 'sku-map.json'), shared);
+    }
+    return { sku: shared.byKey[key], next: shared.next };
+  });
+}
+
+// Union with the run's map; the shared SKU wins so both stay in agreement for later runs
+function mergeSharedSkuMap(dir, map) {
+  return withSkuMapLock(dir, () => {
+    const shared = loadSharedSkuMap(dir);
+    const byKey = { ...(map.byKey || {}), ...shared.byKey };
+    const next = Math.max(shared.next, Number(map.next) || 1);
+    writeJson(path.join(dir, 'sku-map.json'), { next, byKey });
+    return { next, byKey };
+  });
+}
+
+/**
+ * Append a run snapshot to the site's history: new products and every change of a tracked field
+ * become entries in products[sku].changes. Recording the same run (runId + at) twice is a no-op,
+ * and runs older than the last recorded one are skipped (rebuild the store to backfill them).
+ */
+function recordRun(dir, snap) {
+  const h = loadHistory(dir);
+  const last = h.runs[h.runs.length - 1];
+  if (h.runs.some(r => r.runId === snap.runId && r.at === snap.at)) return { recorded: false, reason: 'already recorded', changes: 0 };
+  if (last && snap.at && last.at && snap.at < last.at) return { recorded: false, reason: `older than last recorded run ${last.runId}`, changes: 0 };
+  h.site = h.site || snap.site;
+  let changes = 0, added = 0;
+  for (const p of snap.products) {
+    const at = p.capturedAt || snap.at;
+    let rec = h.products[p.sku];
+    if (!rec) {
+      rec = h.products[p.sku] = { key: p.key, url: p.url, title: p.title, firstSeen: at, lastSeen: at, current: {}, changes: [] };
+      added++;
+    }
+    for (const f of TRACKED_FIELDS) {
+      const to = p[f];
+      const from = Object.prototype.hasOwnProperty.call(rec.current, f) ? rec.current[f] : null;
+      // unknown values (failed extraction) do not overwrite known ones
+      if (to == null || to === '' || to === from) continue;
+      rec.changes.push({ at, runId: snap.runId, field: f, from, to });
+      rec.current[f] = to;
+      changes++;
+    }
+    rec.key = p.key || rec.key;
+    rec.url = p.url || rec.url;
+    rec.title = rec.current.title || rec.title;
+    if (!rec.lastSeen || at > rec.lastSeen) rec.lastSeen = at;
+  }
+  h.runs.push({ runId: snap.runId, at: snap.at, products: snap.products.length });
+  saveHistory(dir, h);
+  return { recorded: true, added, changes };
+}
+
+/**
+ * Record a run directory into its site's store; returns { dir, site, ...recordRun result }.
+ * site defaults to the most common host of the catalog's product URLs.
+ */
+function recordRunFromDir(runDir, { site = '' } = {}) {
+  const snap = readRunCatalog(runDir);
+  if (site) snap.site = site;
+  const dir = historyDirFor(runDir, snap.site);
+  return { dir, site: snap.site, ...recordRun(dir, snap) };
+}
+
+/**
+ * Products of a site's history, newest change first. Filters: sku (exact), q (title/url/sku
+ * substring), field (only changes of that field), limit.
+ */
+function queryHistory(dir, { sku = '', q = '', field = '', limit = 200 } = {}) {
+  const h = loadHistory(dir);
+  const needle = String(q || '').toLowerCase();
+  const out = [];
+  for (const [s, rec] of Object.entries(h.products)) {
+    if (sku && s !== sku) continue;
+    if (needle && ![s, rec.title, rec.url].some(x => String(x || '').toLowerCase().includes(needle))) continue;
+    const changes = field ? rec.changes.filter(c => c.field === field) : rec.changes;
+    if (field && !changes.length) continue;
+    out.push({ sku: s, ...rec, changes });
+  }
+  out.sort((a, b) => String(b.changes[b.changes.length - 1]?.at || '').localeCompare(String(a.changes[a.changes.length - 1]?.at || '')));
+  return { site: h.site, runs: h.runs, total: out.length, products: out.slice(0, limit > 0 ? limit : undefined) };
+}
+
+// Products match by product key (stable across runs even without a shared SKU map), else by SKU
+function matchKey(p) { return p.key ? 'k:' + p.key : 's:' + p.sku; }
+
+/**
+ * Diff two run snapshots. Returns { from, to, summary, added, removed, repriced, renamed,
+ * availability, images }; repriced entries carry delta and pct (relative to the old price).
+ */
+function diffCatalogs(a, b, { minPct = 0 } = {}) {
+  const before = new Map(a.products.map(p => [matchKey(p), p]));
+  const after = new Map(b.products.map(p => [matchKey(p), p]));
+  const pick = (p) => ({ sku: p.sku, title: p.title, url: p.url, price: p.price, currency: p.currency });
+  const out = { added: [], removed: [], repriced: [], renamed: [], availability: [], images: [] };
+  let unchanged = 0;
+  for (const [k, p] of after) {
+    const o = before.get(k);
+    if (!o) { out.added.push(pick(p)); continue; }
+    let changed = false;
+    if (o.price != null && p.price != null && o.price !== p.price) {
+      const delta = Math.round((p.price - o.price) * 100) / 100;
+      const pct = o.price ? Math.round(delta / o.price * 10000) / 100 : null;
+      if (pct == null || Math.abs(pct) >= minPct) {
+        out.repriced.push({ ...pick(p), from: o.price, to: p.price, fromCurrency: o.currency, delta, pct });
+        changed = true;
+      }
+    }
+    if (o.title && p.title && o.title !== p.title) { out.renamed.push({ ...pick(p), from: o.title, to: p.title }); changed = true; }
+    if (o.available != null && p.available != null && o.available !== p.available) { out.availability.push({ ...pick(p), from: o.available, to: p.available }); changed = true; }
+    if (o.image && p.image && o.image !== p.image) { out.images.push({ ...pick(p), from: o.image, to: p.image }); changed = true; }
+    if (!changed) unchanged++;
+  }
+  for (const [k, o] of before) if (!after.has(k)) out.removed.push(pick(o));
+  out.repriced.sort((x, y) => Math.abs(y.pct || 0) - Math.abs(x.pct || 0));
+  const meta = (s) => ({ runId: s.runId, at: s.at, site: s.site, products: s.products.length });
+  return {
+    generatedAt: new Date().toISOString(),
+    from: meta(a),
+    to: meta(b),
+    summary: {
+      added: out.added.length, removed: out.removed.length, repriced: out.repriced.length,
+      renamed: out.renamed.length, availability: out.availability.length, images: out.images.length, unchanged
+    },
+    ...out
+  };
+}
+
+module.exports = {
+  HISTORY_DIR_NAME,
+  siteOf,
+  historyDirFor,
+  readRunCatalog,
+  loadHistory,
+  loadSharedSkuMap,
+  mergeSharedSkuMap,
+  reserveSharedSku,
+  recordRun,
+  recordRunFromDir,
+  queryHistory,
+  diffCatalogs
+};
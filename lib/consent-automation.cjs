@@ -1,299 +1,488 @@
 /**
- * Robust, framework-agnostic consent automation for Puppeteer or Playwright pages.
- * No configuration required. Will:
- *  - Try to click "accept all" for common CMPs (in all frames)
- *  - Retry upon DOM mutations for a while (late banners)
- *  - Force-remove overlays if clicking fails
- *  - Mark consent in storage/cookies for many libraries to prevent re-appearance
+ * lib/consent-automation.cjs
+ *
+ * The one consent engine shared by archiver.cjs, crawler.cjs, lib/deep-discover.cjs and
+ * tools/commerce-flow.cjs. Consent management platforms (CMPs) are described in
+ * consent-providers.json, not here:
+ *   providers.<id>: { name, scripts, globals, ids, containers, frameUrls,   <- fingerprints
+ *                     acceptSelectors, jsApi,                               <- how to accept
+ *                     injectCookies: [{ name, valueTemplate, domainScope, maxAge }],
+ *                     localStorage, sessionStorage }                        <- how to persist
+ *   buttonTexts, acceptSelectors, containers, forceRemove                  <- generic fallbacks
+ * CONSENT_PROVIDERS_FILE points at an extra file in the same shape (or the old flat
+ * { <id>: provider } map); its providers are added to, or replace fields of, the bundled ones.
+ * Cookie templates know {STAMP}, {NOW} (epoch ms) and {ISO}.
+ *
+ * Per page: detect the provider (DOM ids/containers, script src, JS globals, frame URL), click its
+ * accept selectors, call its JS API, then sweep generic selectors / button texts / containers /
+ * shadow roots, and finally force-remove overlays. The result says how it was resolved:
+ *   { provider, name, detectedBy, method, clicked, removed, selector, attempts, cookies, ms }
+ *   method: 'selector' | 'text' | 'container' | 'shadow' | 'js-api' | 'cookie' | 'force-remove' | 'none'
  *
  * Usage:
- *   const consent = require('./lib/consent-automation.cjs');
- *   await consent.handleConsent(page, { debug:true });
+ *   const { createConsentEngine } = require('./lib/consent-automation.cjs');
+ *   const consent = createConsentEngine({ retryAttempts: 6 });
+ *   await consent.prepare(context, url);              // accept cookies before navigating (injectCookies)
+ *   const res = await consent.handle(page, { url });  // after navigating
  *
- * Works with both Puppeteer and Playwright because it only uses shared APIs:
- *   - page.frames()
- *   - frame.evaluate()
- *   - page.addInitScript / page.evaluateOnNewDocument (best-effort)
+ * Only page.frames(), frame.evaluate() and context.addCookies() are used, so Playwright pages work
+ * and Puppeteer pages work apart from cookie injection.
  */
 
+const fs = require('fs');
+const path = require('path');
+const { getETLDPlusOne } = require('./domain.cjs');
+
+const PROVIDERS_FILE = path.join(__dirname, '..', 'consent-providers.json');
+const ACCEPTED = ['selector', 'text', 'container', 'shadow', 'js-api', 'cookie'];
+
+function envB(name, def) { const v = process.env[name]; return v == null || v === '' ? def : /^(1|true|yes|on)$/i.test(v); }
+function envN(name, def) { const n = parseInt(process.env[name], 10); return Number.isFinite(n) ? n : def; }
+
 const DEFAULTS = {
-  retryAttempts: parseInt(process.env.CONSENT_RETRY_ATTEMPTS || '15', 10),
-  retryInterval: parseInt(process.env.CONSENT_RETRY_INTERVAL || '800', 10), // ms
-  mutationWindow: parseInt(process.env.CONSENT_MUTATION_WINDOW || '7000', 10),
-  iframeScan: (process.env.CONSENT_IFRAME_SCAN || 'true').toLowerCase() !== 'false',
-  forceWaitMs: parseInt(process.env.FORCE_CONSENT_WAIT_MS || process.env.FORCE_CONSENT_WAIT || '0', 10),
-  debug: (process.env.CONSENT_DEBUG || 'false').toLowerCase() === 'true',
-  debugScreenshot: (process.env.CONSENT_DEBUG_SCREENSHOT || 'false').toLowerCase() === 'true',
-  // Optional user-provided lists (newline or comma separated)
+  retryAttempts: envN('CONSENT_RETRY_ATTEMPTS', 15),
+  retryInterval: envN('CONSENT_RETRY_INTERVAL_MS', envN('CONSENT_RETRY_INTERVAL', 800)),
+  mutationWindow: envN('CONSENT_MUTATION_WINDOW_MS', envN('CONSENT_MUTATION_WINDOW', 12000)),
+  // attempts for later pages of a site that was already handled, unless its banner is showing
+  settledAttempts: 2,
+  // frames whose URL matches a provider are always scanned; this adds every other frame
+  iframeScan: envB('CONSENT_IFRAME_SCAN', true),
+  injectCookies: envB('INJECT_ACCEPT_COOKIE', false),
+  providersFile: (process.env.CONSENT_PROVIDERS_FILE || '').trim(),
+  debug: envB('CONSENT_DEBUG', false),
+  debugScreenshot: envB('CONSENT_DEBUG_SCREENSHOT', false),
+  // Optional user-provided lists (arrays, or newline/comma separated)
   extraSelectors: (process.env.CONSENT_EXTRA_SELECTORS || '').trim(),
   forceRemoveSelectors: (process.env.CONSENT_FORCE_REMOVE_SELECTORS || '').trim(),
   buttonTexts: (process.env.CONSENT_BUTTON_TEXTS || '').trim(),
+  log: (...a) => console.log(...a)
 };
 
-const BUILTIN_BUTTON_TEXTS = [
-  // German
-  'alle cookies akzeptieren','accept all','allow all','akzeptieren','zustimmen','einverstanden','alles akzeptieren','einwilligen',
-  // English
-  'accept','agree','i agree','got it','allow','yes, i agree','ok','okay',
-  // Spanish/Portuguese/Italian/French/etc.
-  'aceptar','aceitar','aceptar todo','aceitar tudo','aceptar todas','aceitar todos',
-  'accetta','accetta tutti','j\'accepte','tout accepter',
-  // Nordics / Dutch
-  'akzeptér alle','godta alle','tillåt alla','accepteren','alles toestaan'
-];
-
-const BUILTIN_SELECTORS = [
-  // OneTrust
-  '#onetrust-accept-btn-handler', '.ot-pc-accept-all', '.ot-sdk-container #accept-recommended-btn-handler',
-  // Usercentrics
-  'button[data-testid="uc-accept-all-button"]', 'button[id^="uc-center-container"] button[aria-label*="accept" i]',
-  // Cookiebot
-  '#CybotCookiebotDialogBodyLevelButtonAccept', '#CybotCookiebotDialogBodyButtonAccept',
-  // consentmanager / Sourcepoint
-  'button.sp_choice_type_11', '.sp-message-button[data-qa="accept-all"]', '.sp_msg_choice.sp_choice_type_11',
-  // Klaro
-  '.klaro .cm-btn-accept', '.klaro .cookie-modal-accept-all',
-  // Didomi
-  'div#didomi-host button[aria-label*="acept" i], #didomi-accept-button, .didomi-accept-button',
-  // Complianz
-  '.cmplz-accept', '.cmplz-btn-accept',
-  // Generic accept labels
-  'button[aria-label*="accept" i]', 'button[id*="accept" i]', 'button[class*="accept" i]',
-  'button[aria-label*="zustimm" i]', 'button[class*="zustimm" i]'
-];
-
-const BUILTIN_FORCE_REMOVE = [
-  // Common containers
-  '#onetrust-banner-sdk', '#usercentrics-root', '#CybotCookiebotDialog',
-  'div[id^="sp_message_container_"]', '.sp-message-container',
-  '.cm-wrapper', '.cm__container', '.cc-window', '.cookie-consent', '.cookieconsent', '.cookiebar',
-  'div[id*="cookie"]', 'div[class*="cookie"]', 'div[id*="consent"]', 'div[class*="consent"]',
-  // Trusted Shops badges etc.
-  '.ts-trustbadge', 'iframe[src*="trustedshops"]', '.trustbadge'
-];
-
-function mergeList(a, b) {
-  const A = (Array.isArray(a) ? a : parseList(a)).filter(Boolean);
-  const B = (Array.isArray(b) ? b : parseList(b)).filter(Boolean);
-  return Array.from(new Set([...A, ...B]));
-}
 function parseList(text) {
   if (!text) return [];
-  return text.split(/\r?\n|,/).map(s => s.trim()).filter(Boolean);
+  return String(text).split(/\r?\n|,/).map(s => s.trim()).filter(Boolean);
+}
+function mergeList(...lists) {
+  const out = [];
+  for (const l of lists) out.push(...(Array.isArray(l) ? l : parseList(l)));
+  return Array.from(new Set(out.map(s => String(s || '').trim()).filter(Boolean)));
 }
+function normText(t) { return String(t).replace(/\u00A0/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase(); }
 
-async function handleConsent(page, opts={}) {
-  const cfg = {
-    ...DEFAULTS,
-    ...opts,
-  };
+/* ---------- Provider catalog ---------- */
 
-  // Best effort: add a small init script that marks our intent and removes "overflow:hidden" lock patterns later
-  try {
-    if (page.addInitScript) {
-      await page.addInitScript(() => {
-        try { window.__ARCHIVER_AUTO_CONSENT__ = true; } catch {}
-      });
-    } else if (page.evaluateOnNewDocument) {
-      await page.evaluateOnNewDocument(() => { try { window.__ARCHIVER_AUTO_CONSENT__ = true; } catch {} });
-    }
-  } catch {}
+const fileCache = new Map();   // file -> { mtimeMs, data }
 
-  if (cfg.forceWaitMs > 0) { await safeWait(page, cfg.forceWaitMs); }
+function readCatalogFile(file) {
+  let st;
+  try { st = fs.statSync(file); } catch (e) { throw new Error(`consent providers file ${file}: ${e.message}`); }
+  const c = fileCache.get(file);
+  if (c && c.mtimeMs === st.mtimeMs) return c.data;
+  let data;
+  try { data = JSON.parse(fs.readFileSync(file, 'utf8')); } catch (e) { throw new Error(`consent providers file ${file}: ${e.message}`); }
+  // v1 files are a plain { <id>: provider } map
+  if (!data || typeof data !== 'object') throw new Error(`consent providers file ${file}: not an object`);
+  if (!data.providers || typeof data.providers !== 'object') data = { providers: data };
+  fileCache.set(file, { mtimeMs: st.mtimeMs, data });
+  return data;
+}
 
-  // Try sequence: click → retry on mutations → force remove → storage flags
-  const clicked = await tryClickAllFrames(page, cfg);
-  if (!clicked) {
-    if (cfg.debug) console.log('[CONSENT] no click, will retry with mutations');
-    const retried = await retryWithMutations(page, cfg);
-    if (!retried) {
-      if (cfg.debug) console.log('[CONSENT] fallback: force remove overlays');
-      await forceRemoveOverlays(page, cfg);
+function normalizeProvider(id, p) {
+  const ids = mergeList(p.ids);
+  return {
+    id,
+    name: p.name || id,
+    scripts: mergeList(p.scripts),
+    globals: mergeList(p.globals),
+    ids,
+    containers: mergeList(ids.map(x => '#' + x), p.containers),
+    frameUrls: mergeList(p.frameUrls),
+    acceptSelectors: mergeList(p.acceptSelectors),
+    // cookieSetFunction is the v1 name
+    jsApi: String(p.jsApi || p.cookieSetFunction || '').trim(),
+    injectCookies: (Array.isArray(p.injectCookies) ? p.injectCookies : []).filter(c => c && c.name),
+    localStorage: p.localStorage && typeof p.localStorage === 'object' ? p.localStorage : {},
+    sessionStorage: p.sessionStorage && typeof p.sessionStorage === 'object' ? p.sessionStorage : {}
+  };
+}
+
+/**
+ * Bundled consent-providers.json plus an optional extra file -> catalog:
+ *   { files, providers: [normalized], byId, buttonTexts, acceptSelectors, containers, forceRemove }
+ * The generic lists are the files' top-level lists; provider lists are not folded in here.
+ */
+function loadProviders(extraFile = DEFAULTS.providersFile) {
+  const files = [PROVIDERS_FILE];
+  if (extraFile && path.resolve(extraFile) !== PROVIDERS_FILE) files.push(path.resolve(extraFile));
+  const raw = {};
+  const lists = { buttonTexts: [], acceptSelectors: [], containers: [], forceRemove: [] };
+  for (const f of files) {
+    const data = readCatalogFile(f);
+    for (const [id, p] of Object.entries(data.providers)) {
+      if (p && typeof p === 'object' && !Array.isArray(p)) raw[id] = { ...(raw[id] || {}), ...p };
     }
+    for (const k of Object.keys(lists)) lists[k] = mergeList(lists[k], data[k]);
   }
+  const providers = Object.entries(raw).map(([id, p]) => normalizeProvider(id, p));
+  const byId = Object.fromEntries(providers.map(p => [p.id, p]));
+  return { files, providers, byId, ...lists };
+}
 
-  // Set storage/cookies flags to prevent reappearing on inner navigations
-  await setStorageFlags(page, cfg);
+/** { <id>: provider } view of a catalog, the shape consent-popup-adaptive.js works with */
+function providerMap(catalog = loadProviders()) { return { ...catalog.byId }; }
 
-  // Finally, remove scroll locks
-  await unlockScrolling(page);
+/* ---------- Cookies ---------- */
 
-  if (cfg.debugScreenshot && page.screenshot) {
-    try {
-      await page.screenshot({ path: `consent-after-${Date.now()}.png`, fullPage: true });
-    } catch {}
+function hostOf(url) { try { return new URL(url).hostname.toLowerCase(); } catch { return ''; } }
+
+function fillTemplate(t, now = Date.now()) {
+  const vars = { STAMP: Buffer.from(String(now)).toString('base64').replace(/=+$/, ''), NOW: String(now), ISO: new Date(now).toISOString() };
+  return String(t == null ? '' : t).replace(/\{(STAMP|NOW|ISO)\}/g, (_, k) => vars[k]);
+}
+
+/** Playwright cookie objects for a provider's injectCookies templates on url's host */
+function providerCookies(provider, url, now = Date.now()) {
+  const host = hostOf(url);
+  if (!host || !provider) return [];
+  let secure = false;
+  try { secure = new URL(url).protocol === 'https:'; } catch {}
+  return provider.injectCookies.map(c => ({
+    name: String(c.name),
+    value: fillTemplate(c.valueTemplate != null ? c.valueTemplate : c.value, now),
+    domain: c.domainScope === 'root' ? '.' + getETLDPlusOne(host) : host,
+    path: c.path || '/',
+    expires: Math.floor(now / 1000) + (parseInt(c.maxAge, 10) || 31536000),
+    secure,
+    sameSite: 'Lax'
+  }));
+}
+
+/* ---------- In-page routines (serialized into frames) ---------- */
+
+function detectInPage(sigs) {
+  const q = (sel) => { try { return document.querySelector(sel); } catch { return null; } };
+  for (const s of sigs) {
+    if (s.ids.some(id => document.getElementById(id))) return { id: s.id, by: 'id' };
+    if (s.containers.some(q)) return { id: s.id, by: 'container' };
   }
+  const srcs = Array.from(document.scripts).map(x => x.src || '').filter(Boolean);
+  for (const s of sigs) {
+    if (s.scripts.some(f => srcs.some(src => src.includes(f)))) return { id: s.id, by: 'script' };
+  }
+  for (const s of sigs) {
+    if (s.globals.some(g => { try { return window[g] !== undefined; } catch { return false; } })) return { id: s.id, by: 'global' };
+  }
+  return null;
 }
 
-/* ---------- Core routines ---------- */
+function visibleInPage(containers) {
+  for (const c of containers) {
+    let el = null;
+    try { el = document.querySelector(c); } catch {}
+    if (!el) continue;
+    const r = el.getBoundingClientRect();
+    const st = getComputedStyle(el);
+    if (r.width > 0 && r.height > 0 && st.display !== 'none' && st.visibility !== 'hidden' && st.opacity !== '0') return true;
+  }
+  return false;
+}
 
-async function tryClickAllFrames(page, cfg) {
-  const frames = page.frames ? page.frames() : [];
-  const btnTexts = mergeList(BUILTIN_BUTTON_TEXTS, cfg.buttonTexts);
-  const selectors = mergeList(BUILTIN_SELECTORS, cfg.extraSelectors);
+function sweepInPage({ selectors, texts, containers, byText, shadow }) {
+  const norm = s => String(s || '').replace(/\u00A0/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+  function clickable(el) {
+    if (!el) return false;
+    const r = el.getBoundingClientRect();
+    const st = getComputedStyle(el);
+    if (!r || r.width === 0 || r.height === 0) return false;
+    if (st.display === 'none' || st.visibility === 'hidden' || st.opacity === '0') return false;
+    return true;
+  }
+  const labelOf = el => norm(el.innerText || el.textContent || el.value || '');
+  const matches = label => label && texts.some(t => label.includes(t));
 
-  // include main frame first always
-  const ordered = orderFrames(frames);
-  for (const frame of ordered) {
+  for (const sel of selectors) {
+    try {
+      const el = document.querySelector(sel);
+      if (el && clickable(el)) { el.click(); return { ok: true, how: 'selector', sel }; }
+    } catch {}
+  }
+  for (const c of containers) {
     try {
-      const res = await frame.evaluate(async (btnTexts, selectors) => {
-        function findByText(root, texts) {
-          const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
-          const matchers = texts.map(t => t.trim().toLowerCase()).filter(Boolean);
-          const candidates = [];
-          while (walker.nextNode()) {
-            const el = walker.currentNode;
-            if (!(el instanceof HTMLElement)) continue;
-            const label = (el.innerText || el.textContent || '').trim().toLowerCase();
-            if (!label) continue;
-            for (const t of matchers) {
-              if (label.includes(t)) {
-                // prefer button-like
-                if (el.tagName === 'BUTTON' || el.getAttribute('role') === 'button') candidates.unshift(el);
-                else candidates.push(el);
-                break;
-              }
-            }
+      const box = document.querySelector(c);
+      if (!box) continue;
+      for (const el of box.querySelectorAll('button,[role="button"],input[type="button"],input[type="submit"],a')) {
+        const label = labelOf(el);
+        if (matches(label) && clickable(el)) { el.click(); return { ok: true, how: 'container', sel: c, label: label.slice(0, 80) }; }
+      }
+    } catch {}
+  }
+  if (byText) {
+    for (const el of document.querySelectorAll('button,[role="button"],input[type="button"],input[type="submit"],a')) {
+      const label = labelOf(el);
+      if (label.length <= 80 && matches(label) && clickable(el)) { el.click(); return { ok: true, how: 'text', label }; }
+    }
+  }
+  if (shadow) {
+    const hosts = Array.from(document.querySelectorAll('*')).filter(e => e.shadowRoot);
+    for (const host of hosts) {
+      const root = host.shadowRoot;
+      for (const sel of selectors.concat(['button', '.accept', '.ok', '.agree'])) {
+        try {
+          const el = root.querySelector(sel);
+          if (el && clickable(el) && (sel !== 'button' || matches(labelOf(el)))) {
+            el.click();
+            return { ok: true, how: 'shadow', sel: (host.id ? '#' + host.id : host.tagName.toLowerCase()) + ' >> ' + sel };
           }
-          return candidates;
-        }
-
-        function clickable(el) {
-          if (!el) return false;
-          const rect = el.getBoundingClientRect();
-          const invisible = rect.width === 0 || rect.height === 0;
-          const style = getComputedStyle(el);
-          const hidden = (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0');
-          return !(invisible || hidden);
-        }
-
-        // 1) selector hits
-        for (const sel of selectors) {
-          try {
-            const el = document.querySelector(sel);
-            if (el && clickable(el)) { el.click(); return { ok:true, how:'selector', sel }; }
-          } catch {}
-        }
-        // 2) text hits
-        const textCandidates = findByText(document.documentElement, btnTexts);
-        for (const el of textCandidates) {
-          try { if (clickable(el)) { el.click(); return { ok:true, how:'text', label: (el.innerText||'').slice(0,80) }; } } catch {}
-        }
-        // 3) try visible buttons inside typical containers
-        const containers = [
-          '#onetrust-banner-sdk', '#CybotCookiebotDialog', '#usercentrics-root',
-          'div[id^="sp_message_container_"]', '.sp-message-container', '.cm-wrapper', '.cc-window', '.cookie-consent'
-        ];
-        for (const c of containers) {
-          try {
-            const box = document.querySelector(c);
-            if (!box) continue;
-            const buttons = box.querySelectorAll('button, [role="button"]');
-            for (const b of buttons) {
-              const lbl = (b.innerText||b.textContent||'').toLowerCase();
-              if (lbl && btnTexts.some(t => lbl.includes(t))) {
-                b.click();
-                return { ok:true, how:'container', sel:c };
-              }
-            }
-          } catch {}
-        }
-
-        return { ok:false };
-      }, btnTexts, selectors);
-
-      if (res?.ok) {
-        if (cfg.debug) console.log('[CONSENT] clicked via', res);
-        return true;
+        } catch {}
       }
-    } catch (e) {
-      if (cfg.debug) console.log('[CONSENT] frame eval error', e?.message);
     }
   }
-  return false;
-}
-
-function orderFrames(frames) {
-  if (!frames || !frames.length) return [];
-  // Put main frame first; then others
-  const main = frames.find(f => f === f.page?.mainFrame?.() || f === f._page?.mainFrame?.()) || frames[0];
-  const rest = frames.filter(f => f !== main);
-  return [main, ...rest];
+  return { ok: false };
 }
 
-async function retryWithMutations(page, cfg) {
-  const timeoutAt = Date.now() + cfg.mutationWindow;
-  let attempts = 0;
-  while (Date.now() < timeoutAt && attempts < cfg.retryAttempts) {
-    await safeWait(page, cfg.retryInterval);
-    const ok = await tryClickAllFrames(page, cfg);
-    if (ok) return true;
-    attempts++;
+function removeInPage(sels) {
+  let cnt = 0;
+  const kill = (root) => {
+    for (const sel of sels) {
+      try { root.querySelectorAll(sel).forEach(el => { el.remove(); cnt++; }); } catch {}
+    }
+  };
+  kill(document);
+  for (const fr of document.querySelectorAll('iframe')) {
+    try { if (fr.contentDocument) kill(fr.contentDocument); } catch {}
   }
-  return false;
+  return cnt;
 }
 
-async function forceRemoveOverlays(page, cfg) {
-  const removeSelectors = mergeList(BUILTIN_FORCE_REMOVE, cfg.forceRemoveSelectors);
+function storageInPage(flags) {
   try {
-    await page.evaluate((sels) => {
-      let removed = 0;
-      for (const sel of sels) {
-        document.querySelectorAll(sel).forEach(el => { try { el.remove(); removed++; } catch {} });
-      }
-      // common scroll lock classes
-      const classes = ['modal-open','no-scroll','overflow-hidden','overflowHidden','fixed','stop-scrolling'];
-      classes.forEach(c => document.documentElement.classList.remove(c));
-      classes.forEach(c => document.body?.classList.remove(c));
-      document.documentElement.style.overflow = '';
-      if (document.body) document.body.style.overflow = '';
-      return removed;
-    }, removeSelectors);
+    for (const [k, v] of Object.entries(flags.local)) localStorage.setItem(k, v);
+    for (const [k, v] of Object.entries(flags.session)) sessionStorage.setItem(k, v);
   } catch {}
+  try { window.dispatchEvent(new StorageEvent('storage')); } catch {}
 }
 
-async function setStorageFlags(page, cfg) {
-  try {
-    await page.evaluate(() => {
+// containers: known consent containers; only those left covering the viewport are removed
+function unlockInPage(containers) {
+  const clear = (el) => { if (!el) return; el.style.setProperty('overflow', '', 'important'); el.style.setProperty('position', '', 'important'); el.style.setProperty('height', '', 'important'); };
+  clear(document.documentElement); clear(document.body);
+  const classes = ['modal-open', 'no-scroll', 'overflow-hidden', 'overflowHidden', 'fixed', 'stop-scrolling'];
+  classes.forEach(c => document.documentElement.classList.remove(c));
+  classes.forEach(c => document.body && document.body.classList.remove(c));
+  // full-viewport consent overlays left behind after the banner closed
+  for (const sel of containers || []) {
+    try {
+      document.querySelectorAll(sel).forEach(el => {
+        const st = getComputedStyle(el);
+        if (st.position === 'fixed' && (el.offsetHeight || 0) >= window.innerHeight * 0.6) el.remove();
+      });
+    } catch {}
+  }
+}
+
+/* ---------- Engine ---------- */
+
+/**
+ * createConsentEngine(opts) -> { catalog, prepare(context, url), handle(page, { url }), forceRemove(page) }
+ * opts override DEFAULTS (retryAttempts, retryInterval, mutationWindow, settledAttempts, iframeScan,
+ * injectCookies, providersFile, extraSelectors, forceRemoveSelectors, buttonTexts, debug, log).
+ * The engine remembers per host which provider it found, so later pages of a site are quick.
+ */
+function createConsentEngine(opts = {}) {
+  const cfg = { ...DEFAULTS };
+  for (const [k, v] of Object.entries(opts)) if (v !== undefined) cfg[k] = v;
+  const catalog = loadProviders(cfg.providersFile);
+  const dbg = (...a) => { if (cfg.debug) cfg.log('[CONSENT]', ...a); };
+
+  const texts = mergeList(cfg.buttonTexts, catalog.buttonTexts).map(normText);
+  const allSelectors = mergeList(catalog.providers.map(p => p.acceptSelectors).flat(), catalog.acceptSelectors, cfg.extraSelectors);
+  const allContainers = mergeList(catalog.providers.map(p => p.containers).flat(), catalog.containers);
+  const removeList = mergeList(allContainers, catalog.forceRemove, cfg.forceRemoveSelectors);
+  const storage = { local: {}, session: {} };
+  for (const p of catalog.providers) { Object.assign(storage.local, p.localStorage); Object.assign(storage.session, p.sessionStorage); }
+  const sigs = catalog.providers.map(p => ({ id: p.id, ids: p.ids, containers: p.containers.filter(c => !c.startsWith('#') || !p.ids.includes(c.slice(1))), scripts: p.scripts, globals: p.globals }));
+  const frameHints = catalog.providers.map(p => ({ id: p.id, parts: mergeList(p.frameUrls, p.scripts) }));
+
+  const hosts = new Map();          // host -> provider id last found there (for prepare)
+  const contexts = new WeakMap();   // browser context -> Map(host -> { provider, method, injected: Set })
+
+  // Consent given in a browser context sticks to it, so "already handled" is tracked per context
+  function hostState(context, host) {
+    let m = contexts.get(context);
+    if (!m) { m = new Map(); contexts.set(context, m); }
+    let st = m.get(host);
+    if (!st) { st = { provider: null, method: null, injected: new Set() }; m.set(host, st); }
+    return st;
+  }
+  function contextOf(page) { try { return (page.context && page.context()) || page; } catch { return page; } }
+
+  function frameUrl(f) { try { return f.url(); } catch { return ''; } }
+  function frameProvider(f) {
+    const u = frameUrl(f);
+    const hit = u && frameHints.find(h => h.parts.some(x => u.includes(x)));
+    return hit ? hit.id : null;
+  }
+  function framesOf(page) {
+    const frames = page.frames ? page.frames() : [];
+    if (!frames.length) return [];
+    const main = (page.mainFrame && page.mainFrame()) || frames[0];
+    const rest = frames.filter(f => f !== main && (cfg.iframeScan || frameProvider(f)));
+    return [main, ...rest];
+  }
+  async function inFrames(page, fn, arg) {
+    for (const f of framesOf(page)) {
       try {
-        localStorage.setItem('cookieconsent_status','allow');
-        localStorage.setItem('cmplz_consentstatus','allow');
-        localStorage.setItem('uc_user_interaction','true'); // usercentrics
-        localStorage.setItem('didomi_token','{"purposes":{"consent":{"all":true}}}');
-        sessionStorage.setItem('cookieconsent_status','allow');
-      } catch {}
+        const res = await f.evaluate(fn, arg);
+        if (res && (res.ok || res.id)) return { ...res, frame: f };
+      } catch (e) { dbg('frame eval error:', e && e.message); }
+    }
+    return null;
+  }
+
+  async function detect(page) {
+    for (const f of framesOf(page).slice(1)) {
+      const id = frameProvider(f);
+      if (id) return { provider: catalog.byId[id], by: 'frame' };
+    }
+    const hit = await inFrames(page, detectInPage, sigs);
+    return hit ? { provider: catalog.byId[hit.id], by: hit.by } : null;
+  }
+
+  async function bannerVisible(page, p) {
+    const frames = framesOf(page);
+    for (const f of frames) {
+      if (f !== frames[0] && frameProvider(f) === p.id) return true;
+      try { if (await f.evaluate(visibleInPage, p.containers)) return true; } catch {}
+    }
+    return false;
+  }
+
+  async function callJsApi(page, p) {
+    const code = `(() => { try { return !!(${p.jsApi}); } catch (e) { return false; } })()`;
+    for (const f of framesOf(page)) {
+      try { if (await f.evaluate(code)) return true; } catch {}
+    }
+    return false;
+  }
+
+  async function addCookies(context, url, providers) {
+    if (!context || typeof context.addCookies !== 'function') return 0;
+    const host = hostOf(url);
+    const cookies = providers.map(p => providerCookies(p, url)).flat();
+    if (!host || !cookies.length) return 0;
+    try { await context.addCookies(cookies); } catch (e) { dbg('addCookies failed:', e.message); return 0; }
+    const st = hostState(context, host);
+    providers.forEach(p => st.injected.add(p.id));
+    return cookies.length;
+  }
+
+  /** Before navigating: add accept cookies for the provider seen on this host (all templates when none seen yet). */
+  async function prepare(context, url) {
+    if (!cfg.injectCookies) return 0;
+    const known = catalog.byId[hosts.get(hostOf(url))];
+    const providers = known ? [known] : catalog.providers;
+    const n = await addCookies(context, url, providers.filter(p => p.injectCookies.length));
+    if (n) dbg(`injected ${n} cookie(s) for ${hostOf(url)}`);
+    return n;
+  }
+
+  async function handle(page, { url = '' } = {}) {
+    const t0 = Date.now();
+    const pageUrl = url || (() => { try { return page.url(); } catch { return ''; } })();
+    const host = hostOf(pageUrl);
+    const state = hostState(contextOf(page), host);
+    const seen = state.method ? state : null;
+    const res = { provider: null, name: null, detectedBy: null, method: 'none', clicked: false, removed: false, selector: '', attempts: 0, cookies: 0, ms: 0 };
+    let attempts = Math.max(1, seen ? Math.min(cfg.settledAttempts, cfg.retryAttempts) : cfg.retryAttempts);
+    const deadline = t0 + cfg.mutationWindow;
+    let found = null;
+    let hit = null;
+    let shown = false;
+
+    dbg(`start ${pageUrl} frames=${framesOf(page).length}${seen ? ' (seen ' + (seen.provider || '-') + ')' : ''}`);
+    for (let i = 0; i < attempts; i++) {
+      res.attempts = i + 1;
+      if (!found) {
+        found = await detect(page);
+        if (found) { res.provider = found.provider.id; res.name = found.provider.name; res.detectedBy = found.by; dbg('provider', found.provider.id, 'via', found.by); }
+      }
+      const p = found && found.provider;
+      if (p) {
+        const visible = await bannerVisible(page, p);
+        shown = shown || visible;
+        // our accept cookies went in before navigation and the banner stayed away
+        if (!visible && state.injected.has(p.id)) { res.method = 'cookie'; break; }
+        if (visible && seen && attempts < cfg.retryAttempts) attempts = cfg.retryAttempts;
+        hit = await inFrames(page, sweepInPage, { selectors: p.acceptSelectors, texts, containers: p.containers, byText: false, shadow: false });
+        if (hit) break;
+        if (p.jsApi && await callJsApi(page, p)) { res.method = 'js-api'; res.clicked = true; break; }
+      }
+      hit = await inFrames(page, sweepInPage, { selectors: allSelectors, texts, containers: allContainers, byText: true, shadow: true });
+      if (hit) break;
+      if (i + 1 >= attempts || Date.now() + cfg.retryInterval > deadline) break;
+      await safeWait(page, cfg.retryInterval);
+    }
+    if (hit) {
+      res.method = hit.how;
+      res.clicked = true;
+      res.selector = hit.sel || hit.label || '';
+      dbg(`clicked via ${hit.how}`, res.selector);
+    } else if (found && !shown && seen && seen.provider === found.provider.id && ACCEPTED.includes(seen.method)) {
+      // accepted on an earlier page of this site; the consent cookies it set keep the banner away
+      res.method = 'cookie';
+    }
+
+    if (!res.clicked && res.method !== 'cookie') {
       try {
-        document.cookie = 'cookieconsent_status=allow; path=/; max-age='+(3600*24*365);
-        document.cookie = 'cmplz_consentstatus=allow; path=/; max-age='+(3600*24*365);
-      } catch {}
-      try { window.dispatchEvent(new StorageEvent('storage')); } catch {}
-    });
-  } catch {}
-}
+        const n = await page.evaluate(removeInPage, removeList);
+        if (n > 0) { res.removed = true; res.method = 'force-remove'; }
+        dbg('removed=', n);
+      } catch (e) { dbg('force-remove error:', e && e.message); }
+    }
+    // Nothing accepted for real: keep later navigations on this host from showing the banner again
+    if (res.removed && found && found.provider.injectCookies.length) {
+      res.cookies = await addCookies(contextOf(page), pageUrl, [found.provider]);
+    }
 
-async function unlockScrolling(page) {
-  try {
-    await page.evaluate(() => {
-      const clear = (el)=>{ if(!el) return; el.style.setProperty('overflow','', 'important'); el.style.setProperty('position','', 'important'); el.style.setProperty('height','', 'important'); };
-      clear(document.documentElement); clear(document.body);
-      // Remove overlays with full viewport
-      document.querySelectorAll('*').forEach(el=>{
-        const st = getComputedStyle(el);
-        if (st.position==='fixed' && parseInt(st.zIndex||'0',10) >= 1000 && (el.offsetHeight||0) >= window.innerHeight*0.6) {
-          if (el.innerText && /cookie|consent/i.test(el.innerText)) {
-            el.remove();
-          }
-        }
-      });
-    });
-  } catch {}
+    try { await page.evaluate(storageInPage, storage); } catch {}
+    try { await page.evaluate(unlockInPage, allContainers); } catch {}
+
+    if (cfg.debugScreenshot && page.screenshot) {
+      try { await page.screenshot({ path: `consent-after-${Date.now()}.png`, fullPage: true }); } catch {}
+    }
+    state.provider = res.provider || state.provider;
+    state.method = res.method;
+    if (host && state.provider) hosts.set(host, state.provider);
+    res.ms = Date.now() - t0;
+    return res;
+  }
+
+  async function forceRemove(page) {
+    try { return await page.evaluate(removeInPage, removeList); } catch { return 0; }
+  }
+
+  return { catalog, prepare, handle, forceRemove };
 }
 
 async function safeWait(page, ms) {
-  try { await page.waitForTimeout ? page.waitForTimeout(ms) : new Promise(r=>setTimeout(r,ms)); } catch {}
+  try { if (page.waitForTimeout) await page.waitForTimeout(ms); else await new Promise(r => setTimeout(r, ms)); } catch {}
+}
+
+/** One-off: handleConsent(page, opts) with a fresh engine; resolves to the engine result */
+async function handleConsent(page, opts = {}) {
+  return createConsentEngine(opts).handle(page, opts);
+}
+
+async function forceRemoveOverlays(page, opts = {}) {
+  return createConsentEngine(opts).forceRemove(page);
 }
 
 module.exports = {
+  PROVIDERS_FILE,
+  loadProviders,
+  providerMap,
+  providerCookies,
+  createConsentEngine,
   handleConsent,
-  forceRemoveOverlays,
+  forceRemoveOverlays
 };
@@ -8,6 +8,8 @@
  *  - Visit all discovered product pages.
  *  - Respects same-site rules and optional allow/deny regexes.
  *  - Uses Playwright with stealth and light "humanization".
+ *  - Runs on the shared frontier in lib/discovery/engine.cjs ("deep" source), so
+ *    graph.json has the same shape as crawler.cjs and archiver discovery output.
  *
  * Inputs:
  *   deepDiscover({
@@ -27,8 +29,8 @@
  *       categoryLinkSelector?: string,   // override for category links from home/menus
  *       nextPageSelectors?: string[],    // override for pagination "next"
  *       maxTotalPages?: number,          // 0 = unlimited
- *       stagnationRounds?: number,       // stop when no new URLs N rounds (default 3)
- *       stopFilePath?: string            // optional STOP file path to end early
+ *       stopFilePath?: string,           // optional STOP file path to end early
+ *       consent?: boolean                // accept cookie banners (lib/consent-automation.cjs), default true
  *     }
  *   })
  *
@@ -41,11 +43,13 @@
 const fs = require('fs');
 const path = require('path');
 const { chromium, firefox, webkit } = require('playwright');
+const { canonicalizeUrl } = require('./url-canon.cjs');
+const { createConsentEngine } = require('./consent-automation.cjs');
 
 function envB(v, def=false){ return v==null ? def : /^(1|true|yes|on)$/i.test(String(v)); }
 function ensureDir(d){ fs.mkdirSync(d,{recursive:true}); }
 function uniq(a){ return [...new Set(a)]; }
-function normalizeUrl(u){ try{ const x=new URL(u); x.hash=''; return x.toString().replace(/(?<!:)\/$/,''); }catch{ return null; } }
+function normalizeUrl(u){ return canonicalizeUrl(u); }
 function stopRequested(p){ if(!p) return false; try{ return fs.existsSync(p); }catch{ return false; } }
 
 function pickBrowser(engine){
@@ -112,6 +116,14 @@ function defaultNextPageSelectors(){
     'a[href*="page="], a[href*="/page/"]'
   ];
 }
+// In-page "load more" controls (lib/listing-expand.cjs); matched by selector or by text
+function defaultLoadMoreSelectors(){
+  return [
+    '[class*="load-more"], [class*="loadmore"], [class*="show-more"], [id*="load-more"], [id*="loadMore"]',
+    '[data-action*="load-more"], [data-role*="load-more"], .ais-InfiniteHits-loadMore, .js-load-more'
+  ];
+}
+const LOAD_MORE_TEXT_RX = /\b(?:load|show|view|see)\s+more\b|\bmore\s+(?:products|results|items)\b|mehr\s+(?:anzeigen|laden|produkte)|weitere\s+(?:produkte|artikel|laden)|voir\s+plus|afficher\s+plus|charger\s+plus|cargar\s+m[aá]s|ver\s+m[aá]s|mostra\s+(?:di\s+)?pi[uù]|carica\s+altri|meer\s+(?:laden|tonen|weergeven)|poka[zż]\s+wi[eę]cej|zobrazit\s+v[ií]ce|načíst\s+další/i;
 const INFO_HINTS = ['about','contact','information','delivery','shipping','returns','policy','terms','privacy'];
 
 function looksInfoUrl(url){ const u=String(url).toLowerCase(); return INFO_HINTS.some(h=>u.includes(h)); }
@@ -188,8 +200,6 @@ async function findCategoryLinks(page, overrideSelector){
   return uniq(out);
 }
 
-function withinLimits(count, maxTotal){ return maxTotal<=0 ? true : count < maxTotal; }
-
 async function deepDiscover({ startUrls, outDir, isSameSite, options={} }){
   const {
     engine='chromium',
@@ -204,9 +214,11 @@ async function deepDiscover({ startUrls, outDir, isSameSite, options={} }){
     categoryLinkSelector='',
     nextPageSelectors=[],
     maxTotalPages=0,             // 0 = unlimited
-    stagnationRounds=3,
-    stopFilePath=''
+    stopFilePath='',
+    consent: consentOn=true
   } = options;
+  // Lazy: lib/discovery/engine.cjs requires this module for its "deep" source
+  const { runDiscovery, deepSource } = require('./discovery/engine.cjs');
 
   const allowRx = compileRx(allowRegex);
   const denyRx  = compileRx(denyRegex);
@@ -222,171 +234,80 @@ async function deepDiscover({ startUrls, outDir, isSameSite, options={} }){
     } catch { return false; }
   }
 
+  const consent = consentOn ? createConsentEngine() : null;
   const browserType = pickBrowser(engine);
   const browser = await browserType.launch({ headless, args:['--no-sandbox','--disable-dev-shm-usage','--disable-blink-features=AutomationControlled'] });
   const context = await browser.newContext({ viewport:{width:1366,height:900}, locale:'en-US' });
   if (stealth) await applyStealth(context);
 
-  const allSeen = new Set();              // all normalized URLs seen
-  const categoriesVisited = new Set();    // categories we processed
-  const productsVisited = new Set();      // product PDPs processed
-  const infoKept = new Set();             // a few info pages
-  const queue = [];                       // { url, type: 'home'|'category'|'product', depth }
-
-  // Seed normalization and classification
-  for (const raw of uniq(startUrls||[])){
-    const n = normalizeUrl(raw); if(!n) continue;
-    if (!urlAllowed(n)) continue;
-    allSeen.add(n);
-    const type = looksProductUrl(n) ? 'product' : looksCategoryUrl(n) ? 'category' : 'home';
-    queue.push({ url: n, type, depth: 0 });
-  }
-
-  let processedCount = 0;
-  let roundsWithoutNew = 0;
-  let discoveredNewInRound = false;
-
-  async function processHomeOrCategory(item){
-    if (categoriesVisited.has(item.url)) return;
-    const page = await context.newPage();
-    try{
-      await gotoSmart(page, item.url, pageWaitUntil, navTimeout, waitAfterLoad);
-
-      // If home, try to find top-level categories
-      if (item.type === 'home'){
-        const cats = (await findCategoryLinks(page, categoryLinkSelector)).filter(urlAllowed);
-        for (const c of cats){
-          if(!allSeen.has(c)){
-            allSeen.add(c);
-            queue.push({ url:c, type:'category', depth: item.depth+1 });
-            discoveredNewInRound = true;
-          }
-        }
-      }
-
-      // Treat the page as a category (home may also be a category)
-      const productLinks = (await findProductLinksOnCategory(page, productLinkSelector)).filter(urlAllowed);
-      for (const p of productLinks){
-        if(!allSeen.has(p)){
-          allSeen.add(p);
-          queue.push({ url: p, type:'product', depth: item.depth+1 });
-          discoveredNewInRound = true;
-        }
-      }
-      const nexts = (await findNextPageLinks(page, nextPageSelectors)).filter(urlAllowed);
-      for (const nx of nexts){
-        if(!allSeen.has(nx)){
-          allSeen.add(nx);
-          queue.push({ url: nx, type:'category', depth: item.depth+1 });
-          discoveredNewInRound = true;
-        }
-      }
-
-      // Keep a few info pages encountered
-      const anchors = await extractAnchors(page);
-      for (const a of anchors){
-        const n = normalizeUrl(a);
-        if (!n) continue;
-        if (!urlAllowed(n)) continue;
-        if (looksInfoUrl(n) && !infoKept.has(n)){
-          infoKept.add(n);
-          discoveredNewInRound = true;
-        }
-      }
-    } finally {
-      try { await page.close(); } catch {}
-    }
-    categoriesVisited.add(item.url);
-    processedCount++;
-  }
-
-  async function processProduct(item){
-    if (productsVisited.has(item.url)) return;
-    const page = await context.newPage();
-    try{
-      await gotoSmart(page, item.url, pageWaitUntil, navTimeout, waitAfterLoad);
-      // Sanity check PDP; If it’s actually a grid, it will be picked up by category logic elsewhere.
-      const pdp = await isProductPage(page);
-      if (!pdp){
-        const anchors = await extractAnchors(page);
-        for (const a of anchors){
-          const n = normalizeUrl(a); if(!n) continue;
-          if (!urlAllowed(n)) continue;
-          if (looksProductUrl(n) && !allSeen.has(n)){
-            allSeen.add(n);
-            queue.push({ url:n, type:'product', depth:item.depth+1 });
-            discoveredNewInRound = true;
-          }
+  const seedList = uniq((startUrls||[]).map(normalizeUrl).filter(urlAllowed));
+  let result;
+  try {
+    result = await runDiscovery({
+      startUrls: seedList,
+      sources: [deepSource({ productLinkSelector, categoryLinkSelector, nextPageSelectors })],
+      normalize: (u) => { const n = normalizeUrl(u); return n && urlAllowed(n) ? n : null; },
+      maxPages: maxTotalPages,
+      maxDepth: Infinity,
+      shouldStop: () => stopRequested(stopFilePath),
+      log: (...a) => console.log(...a),
+      fetchPage: async (url, node) => {
+        if (!node.type) node.type = looksProductUrl(url) ? 'product' : looksCategoryUrl(url) ? 'category' : 'home';
+        const page = await context.newPage();
+        try {
+          if (consent) { try { await consent.prepare(context, url); } catch {} }
+          await gotoSmart(page, url, pageWaitUntil, navTimeout, waitAfterLoad);
+          if (consent) { try { await consent.handle(page, { url }); } catch {} }
+          // A "product" that turns out to be a grid is expanded like a category
+          if (node.type === 'product' && !(await isProductPage(page))) node.type = 'category';
+        } catch (e) {
+          try { await page.close(); } catch {}
+          console.log('[DEEP_DISCOVER_ERR]', url, e.message);
+          return { ok:false };
         }
-      } else {
-        try{
-          const rel = await page.$$eval('a[href*="product"], a[href*="/p/"], a[href*="product_id="]', as=>as.map(a=>a.href).filter(Boolean).slice(0,40));
-          for (const r of rel){
-            const n = normalizeUrl(r); if(!n) continue;
-            if (!urlAllowed(n)) continue;
-            if (looksProductUrl(n) && !allSeen.has(n)){
-              allSeen.add(n);
-              queue.push({ url:n, type:'product', depth:item.depth+1 });
-              discoveredNewInRound = true;
-            }
-          }
-        }catch{}
+        return { ok:true, page, links: [], close: () => page.close() };
       }
-    } finally {
-      try { await page.close(); } catch {}
-    }
-    productsVisited.add(item.url);
-    processedCount++;
-  }
-
-  while (queue.length){
-    if (stopRequested(stopFilePath)) break;
-    if (!withinLimits(processedCount, maxTotalPages)) break;
-
-    discoveredNewInRound = false;
-    const item = queue.shift();
-    if (!urlAllowed(item.url)) continue;
-
-    if (item.type==='product' && productsVisited.has(item.url)) continue;
-    if ((item.type==='category' || item.type==='home') && categoriesVisited.has(item.url)) continue;
-
-    try {
-      if (item.type === 'product') await processProduct(item);
-      else await processHomeOrCategory(item);
-    } catch (e) {
-      console.log('[DEEP_DISCOVER_ERR]', item.url, e.message);
-    }
-
-    if (queue.length === 0){
-      if (!discoveredNewInRound) roundsWithoutNew++;
-      else roundsWithoutNew = 0;
-      if (roundsWithoutNew >= stagnationRounds) break;
-    }
+    });
+  } finally {
+    try { await context.close(); } catch {}
+    try { await browser.close(); } catch {}
   }
 
-  try { await context.close(); } catch {}
-  try { await browser.close(); } catch {}
-
-  const seeds = uniq([
-    ...categoriesVisited,
-    ...productsVisited,
-    ...Array.from(infoKept).slice(0, 50)
-  ]);
+  const nodes = result.frontier.urls().map(u => result.frontier.get(u));
+  const crawled = nodes.filter(n => n.state === 'crawled');
+  // Info pages are kept without being visited
+  const infoKept = result.frontier.urls().filter(u => looksInfoUrl(u)).slice(0, 50);
+  const seeds = uniq([...result.seeds, ...infoKept]);
 
   const crawlDir = path.join(outDir, '_crawl'); ensureDir(crawlDir);
   fs.writeFileSync(path.join(crawlDir, 'urls.txt'), seeds.join('\n')+'\n', 'utf8');
-  fs.writeFileSync(path.join(crawlDir, 'report.json'), JSON.stringify({
-    pagesProcessed: processedCount,
-    categories: categoriesVisited.size,
-    products: productsVisited.size,
-    infoKept: infoKept.size,
+  fs.writeFileSync(path.join(crawlDir, 'graph.json'), JSON.stringify(result.frontier.graph({ start: seedList[0] || '', config: { mode: 'deep', allow: allowRegex || null, deny: denyRegex || null } }), null, 2), 'utf8');
+  const report = {
+    pagesProcessed: crawled.length,
+    categories: crawled.filter(n => n.type === 'category' || n.type === 'home').length,
+    products: crawled.filter(n => n.type === 'product').length,
+    infoKept: infoKept.length,
     seeds: seeds.length,
-    stoppedEarly: stopRequested(stopFilePath),
+    sources: result.stats.bySource,
+    stoppedEarly: result.stopped,
     ts: new Date().toISOString()
-  }, null, 2), 'utf8');
+  };
+  fs.writeFileSync(path.join(crawlDir, 'report.json'), JSON.stringify(report, null, 2), 'utf8');
 
-  console.log('[DEEP_DISCOVER_DONE]', { processedCount, categories: categoriesVisited.size, products: productsVisited.size, seeds: seeds.length });
+  console.log('[DEEP_DISCOVER_DONE]', { processedCount: report.pagesProcessed, categories: report.categories, products: report.products, seeds: seeds.length });
   return { seeds };
 }
 
-module.exports = { deepDiscover };
+module.exports = {
+  deepDiscover,
+  looksInfoUrl,
+  looksProductUrl,
+  looksCategoryUrl,
+  isProductPage,
+  findProductLinksOnCategory,
+  findNextPageLinks,
+  findCategoryLinks,
+  defaultNextPageSelectors,
+  defaultLoadMoreSelectors,
+  LOAD_MORE_TEXT_RX
+};
@@ -0,0 +1,359 @@
+// lib/discovery/engine.cjs
+// One discovery loop for crawler.cjs, archiver.cjs (DISCOVER_IN_ARCHIVER) and deepDiscover().
+// Sources (BFS links, sitemaps, category/product heuristics, ID enumeration) feed a single
+// deduplicated frontier ordered by source priority + depth; every node remembers which
+// source found it first and which others saw it too. graph.json is written in one format.
+//
+// A source is { name, needsHtml?, seed(ctx)?, expand(node, res, ctx)?, drain(ctx)? }:
+//   seed   - before the loop (e.g. sitemap URLs)
+//   expand - after each fetched page; `res` is what fetchPage returned
+//   drain  - when the frontier runs dry; may add fallback candidates (e.g. ID ranges)
+
+const fs = require('fs');
+const path = require('path');
+const { readSitemaps } = require('./sitemap.cjs');
+const { extractIds, deriveRangeFrom, buildUrls } = require('./id-enum.cjs');
+
+// Lower runs first; depth is added on top
+const SOURCE_PRIORITY = { seed: 0, sitemap: 1, deep: 2, bfs: 3, 'id-enum': 6 };
+const SOURCE_NAMES = ['bfs', 'sitemap', 'deep', 'id-enum'];
+
+function stripHash(u) { try { const x = new URL(u); x.hash = ''; return x.toString(); } catch { return null; } }
+
+function createFrontier({ normalize = stripHash, canVisit = () => true, maxDepth = Infinity } = {}) {
+  const nodes = new Map(); // url -> { url, depth, source, sources, type, parent, priority, state }
+  const edges = [];
+  const edgeSeen = new Set();
+  const heap = []; // [priority, seq, url]
+  let seq = 0;
+  let queued = 0;
+
+  const less = (a, b) => a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]);
+  function heapPush(e) {
+    heap.push(e);
+    for (let i = heap.length - 1; i > 0;) {
+      const p = (i - 1) >> 1;
+      if (!less(heap[i], heap[p])) break;
+      [heap[i], heap[p]] = [heap[p], heap[i]];
+      i = p;
+    }
+  }
+  function heapPop() {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length) {
+      heap[0] = last;
+      for (let i = 0; ;) {
+        const l = 2 * i + 1, r = l + 1;
+        let m = i;
+        if (l < heap.length && less(heap[l], heap[m])) m = l;
+        if (r < heap.length && less(heap[r], heap[m])) m = r;
+        if (m === i) break;
+        [heap[i], heap[m]] = [heap[m], heap[i]];
+        i = m;
+      }
+    }
+    return top;
+  }
+
+  function edge(from, to, text) {
+    const key = from + ' -> ' + to;
+    if (edgeSeen.has(key)) return;
+    edgeSeen.add(key);
+    edges.push({ from, to, text: String(text || '').replace(/\s+/g, ' ').trim().slice(0, 160) });
+  }
+
+  /**
+   * Record a URL. Returns true when it was new to the frontier. It is queued for
+   * fetching when within maxDepth and canVisit() agrees; a better priority from
+   * another source moves an already queued URL forward. `meta` (e.g. sitemap lastmod and
+   * hreflang alternates) is merged into the node and written to graph.json.
+   */
+  function add(raw, { source = 'bfs', depth = 0, parent = null, text = '', type = null, priority, meta } = {}) {
+    let abs = raw;
+    if (parent) { try { abs = new URL(raw, parent).toString(); } catch { return false; } }
+    const url = normalize(abs);
+    if (!url) return false;
+    if (parent && parent !== url) edge(parent, url, text);
+    let n = nodes.get(url);
+    const isNew = !n;
+    if (!n) {
+      n = { url, depth, source, sources: new Set(), type, parent, priority: Infinity, state: 'seen' };
+      nodes.set(url, n);
+    }
+    n.sources.add(source);
+    if (depth < n.depth) n.depth = depth;
+    if (type && !n.type) n.type = type;
+    if (meta) n.meta = { ...(n.meta || {}), ...meta };
+    const pr = (priority != null ? priority : (SOURCE_PRIORITY[source] ?? 4)) + depth;
+    if ((n.state === 'seen' || n.state === 'queued') && depth <= maxDepth && pr < n.priority && canVisit(url)) {
+      if (n.state === 'seen') queued++;
+      n.state = 'queued';
+      n.priority = pr;
+      heapPush([pr, seq++, url]);
+    }
+    return isNew;
+  }
+
+  /** Highest-priority queued node (marked active) or null. */
+  function next() {
+    while (heap.length) {
+      const [pr, , url] = heapPop();
+      const n = nodes.get(url);
+      if (!n || n.state !== 'queued' || n.priority !== pr) continue;
+      n.state = 'active';
+      queued--;
+      return n;
+    }
+    return null;
+  }
+
+  function mark(url, state) {
+    const n = nodes.get(url);
+    if (!n) return;
+    if (n.state === 'queued' && state !== 'queued') queued--;
+    n.state = state;
+  }
+
+  function stats() {
+    const bySource = {};
+    for (const n of nodes.values()) {
+      const s = bySource[n.source] || (bySource[n.source] = { found: 0, crawled: 0, alsoSeen: 0 });
+      s.found++;
+      if (n.state === 'crawled') s.crawled++;
+      for (const o of n.sources) {
+        if (o === n.source) continue;
+        (bySource[o] || (bySource[o] = { found: 0, crawled: 0, alsoSeen: 0 })).alsoSeen++;
+      }
+    }
+    return { discovered: nodes.size, crawled: [...nodes.values()].filter(n => n.state === 'crawled').length, queued, edges: edges.length, bySource };
+  }
+
+  /** graph.json payload: nodes keyed by URL (depth, source, sources, crawled, type, meta), edges, parent tree. */
+  function graph({ start = '', config = {} } = {}) {
+    const out = {};
+    const tree = {};
+    for (const n of nodes.values()) {
+      out[n.url] = { depth: n.depth, source: n.source, sources: [...n.sources], crawled: n.state === 'crawled' };
+      if (n.type) out[n.url].type = n.type;
+      if (n.state === 'failed') out[n.url].failed = true;
+      if (n.canonical) out[n.url].canonical = n.canonical;
+      if (n.meta) Object.assign(out[n.url], n.meta);
+      if (n.parent && n.parent !== n.url) tree[n.url] = n.parent;
+    }
+    return {
+      start,
+      counts: { nodes: nodes.size, edges: edges.length },
+      nodes: out,
+      edges,
+      tree,
+      sources: stats().bySource,
+      config,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  return { add, next, mark, stats, graph, has: (u) => nodes.has(u), get: (u) => nodes.get(u), urls: () => [...nodes.keys()], get pending() { return queued; } };
+}
+
+/* ---------------- Sources ---------------- */
+
+function bfsSource() {
+  return {
+    name: 'bfs',
+    expand(node, res, { frontier }) {
+      for (const l of res.links || []) frontier.add(l.href, { source: 'bfs', depth: node.depth + 1, parent: node.url, text: l.text });
+    }
+  };
+}
+
+/**
+ * Seeds from each start origin's sitemaps (lib/discovery/sitemap.cjs). Nodes carry the entry's
+ * lastmod and hreflang alternates; `since` drops URLs not modified since that date.
+ */
+function sitemapSource({ max = 5000, since = null, includeUndated = true, sitemaps = null } = {}) {
+  return {
+    name: 'sitemap',
+    async seed({ frontier, startUrls, log }) {
+      const origins = [...new Set(startUrls.map(u => { try { return new URL(u).origin; } catch { return ''; } }).filter(Boolean))];
+      for (const origin of origins) {
+        const res = await readSitemaps(origin, { max, since, includeUndated, sitemaps, log });
+        let added = 0;
+        for (const e of res.urls) {
+          const meta = {};
+          if (e.lastmod) meta.lastmod = e.lastmod;
+          if (e.alternates.length) meta.alternates = e.alternates;
+          if (frontier.add(e.loc, { source: 'sitemap', depth: 0, meta: Object.keys(meta).length ? meta : undefined })) added++;
+        }
+        log('[DISCOVER_SITEMAP]', origin, 'urls=' + res.urls.length, 'new=' + added, 'sitemaps=' + res.sitemaps.length, since ? 'since=' + since : '');
+      }
+    }
+  };
+}
+
+/**
+ * Category/product heuristics from lib/deep-discover.cjs. With a live Playwright page it
+ * uses the selector-based finders; otherwise it classifies the extracted links.
+ * Pagination stays at the category's depth so listings are exhausted regardless of maxDepth.
+ */
+function deepSource(opts = {}) {
+  const dd = require('../deep-discover.cjs');
+  return {
+    name: 'deep',
+    async expand(node, res, { frontier }) {
+      const add = (u, type, depth) => frontier.add(u, { source: 'deep', depth, parent: node.url, type });
+      if (res.page) {
+        if (node.depth === 0 || node.type === 'home' || !node.type) {
+          for (const u of await dd.findCategoryLinks(res.page, opts.categoryLinkSelector)) add(u, 'category', node.depth + 1);
+        }
+        if (node.type !== 'product') {
+          for (const u of await dd.findProductLinksOnCategory(res.page, opts.productLinkSelector)) add(u, 'product', node.depth + 1);
+          for (const u of await dd.findNextPageLinks(res.page, opts.nextPageSelectors)) add(u, 'category', node.depth);
+        }
+        return;
+      }
+      for (const l of res.links || []) {
+        if (dd.looksProductUrl(l.href)) add(l.href, 'product', node.depth + 1);
+        else if (dd.looksCategoryUrl(l.href)) add(l.href, 'category', node.depth + 1);
+      }
+    }
+  };
+}
+
+/** OpenCart-style product_id ranges derived from IDs seen in crawled HTML; only used once the frontier is empty. */
+function idEnumSource({ max = 2000 } = {}) {
+  const ids = new Set();
+  let done = false;
+  return {
+    name: 'id-enum',
+    needsHtml: true,
+    expand(node, res) { if (res.html) for (const id of extractIds(res.html)) ids.add(id); },
+    drain({ frontier, startUrls, log }) {
+      if (done || ids.size < 3) return;
+      done = true;
+      const range = deriveRangeFrom([...ids]);
+      if (!range) return;
+      let origin;
+      try { origin = new URL(startUrls[0]).origin; } catch { return; }
+      let added = 0;
+      for (const u of buildUrls(origin, 'product_id', range).slice(0, max)) {
+        if (frontier.add(u, { source: 'id-enum', depth: 1, type: 'product' })) added++;
+      }
+      log('[DISCOVER_IDENUM]', 'ids=' + ids.size, 'range=' + range.min + '-' + range.max, 'new=' + added);
+    }
+  };
+}
+
+/** Parse a DISCOVERY_SOURCES list ("bfs,sitemap,deep,id-enum"); unknown names are reported and skipped. */
+function buildSources(spec, opts = {}) {
+  const { log = () => {} } = opts;
+  const names = String(spec || 'bfs').split(/[\s,]+/).map(s => s.trim().toLowerCase()).filter(Boolean);
+  const out = [];
+  for (const name of [...new Set(names)]) {
+    if (name === 'bfs') out.push(bfsSource());
+    else if (name === 'sitemap') out.push(sitemapSource(opts.sitemap));
+    else if (name === 'deep') out.push(deepSource(opts.deep));
+    else if (name === 'id-enum' || name === 'idenum') out.push(idEnumSource(opts.idEnum));
+    else log('[DISCOVER_WARN] unknown discovery source', name, '(known: ' + SOURCE_NAMES.join(',') + ')');
+  }
+  return out.length ? out : [bfsSource()];
+}
+
+/**
+ * Run the shared loop.
+ * opts: {
+ *   startUrls, sources, fetchPage(url, node, { needsHtml }) -> { ok, status, links: [{ href, text }], html?, canonical?, page?, close? },
+ *   normalize(url) -> url|null, canVisit(url), isAllowed(url) (kept as a seed), maxPages, maxDepth, shouldStop(), log
+ * }
+ * Returns { seeds, frontier, stats, stopped }. Seeds are fetched pages passing isAllowed, in fetch
+ * order; start URLs are kept even when their fetch failed. A page whose `canonical` normalizes to
+ * another URL is kept under that URL.
+ */
+async function runDiscovery(opts) {
+  const {
+    startUrls = [],
+    sources = [bfsSource()],
+    fetchPage,
+    normalize = stripHash,
+    canVisit = () => true,
+    isAllowed = () => true,
+    maxPages = 200,
+    maxDepth = 3,
+    shouldStop = () => false,
+    log = () => {}
+  } = opts;
+  const frontier = createFrontier({ normalize, canVisit, maxDepth });
+  const ctx = { frontier, startUrls, log };
+  for (const u of startUrls) frontier.add(u, { source: 'seed', depth: 0 });
+  for (const s of sources) {
+    if (!s.seed) continue;
+    try { await s.seed(ctx); } catch (e) { log('[DISCOVER_SRC_ERR]', s.name, e.message); }
+  }
+  const needsHtml = sources.some(s => s.needsHtml);
+  const seeds = [];
+  let stopped = false;
+  while (!maxPages || seeds.length < maxPages) {
+    if (shouldStop()) { stopped = true; break; }
+    let node = frontier.next();
+    if (!node) {
+      for (const s of sources) {
+        if (!s.drain) continue;
+        try { await s.drain(ctx); } catch (e) { log('[DISCOVER_SRC_ERR]', s.name, e.message); }
+      }
+      node = frontier.next();
+      if (!node) break;
+    }
+    let res = null;
+    try { res = await fetchPage(node.url, node, { needsHtml }); } catch (e) { log('[DISCOVER_ERR]', node.url, e.message); }
+    if (!res || !res.ok) {
+      frontier.mark(node.url, 'failed');
+      if (node.source === 'seed' && isAllowed(node.url)) seeds.push(node.url);
+      try { if (res && res.close) await res.close(); } catch {}
+      continue;
+    }
+    // A page whose rel=canonical names another URL is recorded under that URL, once
+    const canon = res.canonical ? normalize(res.canonical) : null;
+    if (canon && canon !== node.url) {
+      node.canonical = canon;
+      frontier.add(canon, { source: node.source, depth: node.depth, parent: node.url });
+      frontier.mark(node.url, 'alias');
+      const c = frontier.get(canon);
+      if (c && c.state !== 'crawled' && c.state !== 'active') {
+        frontier.mark(canon, 'crawled');
+        if (isAllowed(canon)) seeds.push(canon);
+      }
+    } else {
+      frontier.mark(node.url, 'crawled');
+      if (isAllowed(node.url)) seeds.push(node.url);
+    }
+    if (node.depth < maxDepth || node.type === 'category') {
+      for (const s of sources) {
+        if (!s.expand) continue;
+        try { await s.expand(node, res, ctx); } catch (e) { log('[DISCOVER_SRC_ERR]', s.name, e.message); }
+      }
+    }
+    try { if (res.close) await res.close(); } catch {}
+    log(`[DISCOVER] d=${node.depth} src=${node.source} url=${node.url} links=${(res.links || []).length} seeds=${seeds.length} queued=${frontier.pending}`);
+  }
+  return { seeds, frontier, stats: frontier.stats(), stopped };
+}
+
+/** Write <crawlDir>/urls.txt and graph.json for a finished run. */
+function writeDiscoveryOutputs(crawlDir, result, { start = '', config = {} } = {}) {
+  fs.mkdirSync(crawlDir, { recursive: true });
+  fs.writeFileSync(path.join(crawlDir, 'urls.txt'), result.seeds.join('\n') + '\n', 'utf8');
+  fs.writeFileSync(path.join(crawlDir, 'graph.json'), JSON.stringify(result.frontier.graph({ start, config }), null, 2), 'utf8');
+}
+
+module.exports = {
+  SOURCE_PRIORITY,
+  SOURCE_NAMES,
+  createFrontier,
+  bfsSource,
+  sitemapSource,
+  deepSource,
+  idEnumSource,
+  buildSources,
+  runDiscovery,
+  writeDiscoveryOutputs
+};
@@ -1,18 +1,47 @@
-const { fetchHTML, looksLikeHTML } = require('../http-fetch.cjs');
+// lib/discovery/sitemap.cjs
+// Sitemap reader for discovery and seeding: robots.txt "Sitemap:" lines (falling back to
+// /sitemap.xml, /sitemap_index.xml and /sitemap.xml.gz), nested sitemap indexes, gzip bodies,
+// plain-text sitemaps, <lastmod>, hreflang alternates (<xhtml:link rel="alternate">) and the
+// image/news extensions. `since` keeps only URLs (and child sitemaps) modified on or after it.
 const https = require('https');
 const http = require('http');
+const zlib = require('zlib');
 
-async function fetchText(u){
-  try{
-    const U = new URL(u);
+const FALLBACK_PATHS = ['/sitemap.xml', '/sitemap_index.xml', '/sitemap.xml.gz'];
+const MAX_BODY = 60 * 1024 * 1024; // protocol limit is 50MB uncompressed
+const UA = 'Mozilla/5.0 (compatible; ArchiveSitemapReader/1.0)';
+
+/** GET with redirects; gunzips .gz bodies and gzip/deflate/br transfer encodings. Resolves { status, body } ('' on failure). */
+function fetchBody(u, { timeoutMs = 20000, redirects = 5 } = {}){
+  return new Promise((resolve)=>{
+    let U;
+    try { U = new URL(u); } catch { return resolve({ status: 0, body: '' }); }
     const mod = U.protocol === 'https:' ? https : http;
-    return await new Promise((res)=> {
-      const r = mod.get(u, resp => {
-        const chunks=[]; resp.on('data', c=>chunks.push(c));
-        resp.on('end', ()=>res(Buffer.concat(chunks).toString('utf8')));
-      }).on('error', ()=>res(''));
+    const req = mod.get(U, { headers: { 'User-Agent': UA, 'Accept': 'application/xml,text/xml,text/plain,*/*;q=0.8', 'Accept-Encoding': 'gzip, deflate, br' }, timeout: timeoutMs }, (resp)=>{
+      const status = resp.statusCode || 0;
+      if (status >= 300 && status < 400 && resp.headers.location && redirects > 0){
+        resp.resume();
+        let next; try { next = new URL(resp.headers.location, U).toString(); } catch { return resolve({ status, body: '' }); }
+        return resolve(fetchBody(next, { timeoutMs, redirects: redirects - 1 }));
+      }
+      const chunks = []; let size = 0;
+      resp.on('data', c=>{ size += c.length; if (size > MAX_BODY) { req.destroy(); return; } chunks.push(c); });
+      resp.on('end', ()=>{
+        let buf = Buffer.concat(chunks);
+        const enc = String(resp.headers['content-encoding'] || '').toLowerCase();
+        try {
+          if (enc.includes('br')) buf = zlib.brotliDecompressSync(buf, { maxOutputLength: MAX_BODY });
+          else if (enc.includes('deflate')) buf = zlib.inflateSync(buf, { maxOutputLength: MAX_BODY });
+          // Content-Encoding gzip, or a .xml.gz file served as application/x-gzip
+          if (buf[0] === 0x1f && buf[1] === 0x8b) buf = zlib.gunzipSync(buf, { maxOutputLength: MAX_BODY });
+        } catch { return resolve({ status, body: '' }); }
+        resolve({ status, body: status >= 200 && status < 300 ? buf.toString('utf8') : '' });
+      });
+      resp.on('error', ()=>resolve({ status, body: '' }));
     });
-  }catch{return '';}
+    req.on('timeout', ()=>{ try{ req.destroy(); }catch{} });
+    req.on('error', ()=>resolve({ status: 0, body: '' }));
+  });
 }
 
 function parseRobotsForSitemaps(txt, origin){
@@ -26,36 +55,148 @@ function parseRobotsForSitemaps(txt, origin){
   return out;
 }
 
-function extractUrlsFromXml(xml, origin){
-  const out=[];
-  const re = /<loc>([\s\S]*?)<\/loc>/gi; let m;
-  while((m=re.exec(xml))){ const raw=(m[1]||'').trim(); if(!raw) continue;
-    try{ out.push(new URL(raw, origin).toString()); }catch{}
+function decodeXml(s){
+  return String(s || '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (m, n)=>String.fromCodePoint(+n)).replace(/&#x([0-9a-f]+);/gi, (m, n)=>String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+// Text of the first <tag> (any namespace prefix) inside `block`
+function tagText(block, tag){
+  const m = block.match(new RegExp('<(?:[\\w-]+:)?' + tag + '\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?' + tag + '>', 'i'));
+  return m ? decodeXml(m[1]) : '';
+}
+function blocks(xml, tag){
+  const re = new RegExp('<(?:[\\w-]+:)?' + tag + '\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?' + tag + '>', 'gi');
+  const out = []; let m;
+  while ((m = re.exec(xml))) out.push(m[1]);
+  return out;
+}
+function attr(tag, name){
+  const m = tag.match(new RegExp('\\b' + name + '\\s*=\\s*(?:"([^"]*)"|\'([^\']*)\')', 'i'));
+  return m ? decodeXml(m[1] != null ? m[1] : m[2]) : '';
+}
+function abs(u, base){ try { return new URL(u, base).toString(); } catch { return null; } }
+function toTime(s){ const t = s ? Date.parse(s) : NaN; return isFinite(t) ? t : null; }
+
+/**
+ * Parse one sitemap body. Returns { kind: 'index'|'urlset'|'text', sitemaps: [{ loc, lastmod }],
+ * urls: [{ loc, lastmod, changefreq, priority, alternates: [{ hreflang, href }], images: [loc], news }] }.
+ */
+function parseSitemap(body, base){
+  const text = String(body || '').replace(/^\uFEFF/, '');
+  const out = { kind: 'urlset', sitemaps: [], urls: [] };
+  if (!/<(?:[\w-]+:)?(?:urlset|sitemapindex)\b/i.test(text)){
+    // Plain-text sitemap: one absolute URL per line
+    out.kind = 'text';
+    for (const line of text.split(/\r?\n/)){
+      const l = line.trim();
+      if (/^https?:\/\//i.test(l)){ const loc = abs(l, base); if (loc) out.urls.push({ loc, lastmod: null, alternates: [], images: [] }); }
+    }
+    return out;
+  }
+  if (/<(?:[\w-]+:)?sitemapindex\b/i.test(text)){
+    out.kind = 'index';
+    for (const b of blocks(text, 'sitemap')){
+      const loc = abs(tagText(b, 'loc'), base);
+      if (loc) out.sitemaps.push({ loc, lastmod: tagText(b, 'lastmod') || null });
+    }
+    return out;
+  }
+  for (const b of blocks(text, 'url')){
+    // <image:loc> would match a bare "loc" search, so drop the extension blocks first
+    const core = b.replace(/<(?:[\w-]+:)?(?:image|video|news)\b[\s\S]*?<\/(?:[\w-]+:)?(?:image|video|news)>/gi, '');
+    const loc = abs(tagText(core, 'loc'), base);
+    if (!loc) continue;
+    const entry = { loc, lastmod: tagText(core, 'lastmod') || null, alternates: [], images: [] };
+    const cf = tagText(core, 'changefreq'); if (cf) entry.changefreq = cf;
+    const pr = tagText(core, 'priority'); if (pr) entry.priority = Number(pr);
+    for (const m of b.match(/<(?:[\w-]+:)?link\b[^>]*>/gi) || []){
+      if (!/\brel\s*=\s*["']alternate["']/i.test(m)) continue;
+      const hreflang = attr(m, 'hreflang'); const href = abs(attr(m, 'href'), base);
+      if (hreflang && href) entry.alternates.push({ hreflang, href });
+    }
+    for (const ib of blocks(b, 'image')){ const il = abs(tagText(ib, 'loc'), base); if (il) entry.images.push(il); }
+    const nb = blocks(b, 'news')[0];
+    if (nb){
+      entry.news = { title: tagText(nb, 'title') || null, publicationDate: tagText(nb, 'publication_date') || null };
+      // News sitemaps often omit <lastmod>; the publication date stands in for it
+      if (!entry.lastmod && entry.news.publicationDate) entry.lastmod = entry.news.publicationDate;
+    }
+    out.urls.push(entry);
   }
   return out;
 }
 
-async function discoverFromSitemaps(origin, max=5000){
-  const robots = await fetchText(new URL('/robots.txt', origin).toString());
-  const sitemaps = parseRobotsForSitemaps(robots, origin);
-  const urls=new Set();
-  for (const sm of sitemaps){
-    const xml = await fetchText(sm);
-    const locs = extractUrlsFromXml(xml, origin);
-    for (const loc of locs){
-      if (urls.size>=max) break;
-      // If this is another sitemap, fetch it
-      if (/\.xml(\.gz)?$/i.test(loc)){
-        const xml2 = await fetchText(loc);
-        const locs2 = extractUrlsFromXml(xml2, origin);
-        for (const l2 of locs2){ if (urls.size<max) urls.add(l2); }
-      } else {
-        urls.add(loc);
+/**
+ * Read every sitemap reachable from `origin`. Options:
+ * - since: Date|string|ms, keep only entries with lastmod >= since
+ * - includeUndated (true): keep entries without <lastmod> when `since` is set
+ * - max (5000): stop after this many URLs; maxSitemaps (500): sitemap files to fetch
+ * - sitemaps: explicit sitemap URLs (skip robots.txt and the fallbacks)
+ * Resolves { urls: [entry], sitemaps: [{ url, kind, urls, status }], skipped: { old, undated } }.
+ */
+async function readSitemaps(origin, { since = null, includeUndated = true, max = 5000, maxSitemaps = 500, sitemaps = null, fetcher = fetchBody, log = ()=>{} } = {}){
+  const sinceMs = since == null || since === '' ? null : (since instanceof Date ? since.getTime() : (typeof since === 'number' ? since : toTime(since)));
+  const report = { urls: [], sitemaps: [], skipped: { old: 0, undated: 0 } };
+  const byLoc = new Map();
+  let queue = Array.isArray(sitemaps) && sitemaps.length ? sitemaps.slice() : null;
+  let fallbacks = new Set();
+  if (!queue){
+    const robots = await fetcher(new URL('/robots.txt', origin).toString());
+    queue = parseRobotsForSitemaps(robots.body, origin);
+    if (!queue.length) { queue = FALLBACK_PATHS.map(p=>new URL(p, origin).toString()); fallbacks = new Set(queue); }
+  }
+  const seen = new Set();
+  while (queue.length && seen.size < maxSitemaps && byLoc.size < max){
+    const sm = queue.shift();
+    if (seen.has(sm)) continue;
+    seen.add(sm);
+    const res = await fetcher(sm);
+    if (!res.body){
+      report.sitemaps.push({ url: sm, kind: null, urls: 0, status: res.status });
+      continue;
+    }
+    const parsed = parseSitemap(res.body, sm);
+    // A fallback /sitemap.xml that is really an HTML page is not a sitemap
+    if (parsed.kind === 'text' && fallbacks.has(sm) && !parsed.urls.length) continue;
+    report.sitemaps.push({ url: sm, kind: parsed.kind, urls: parsed.urls.length, status: res.status });
+    for (const child of parsed.sitemaps){
+      const t = toTime(child.lastmod);
+      if (sinceMs != null && t != null && t < sinceMs) { report.skipped.old++; continue; }
+      queue.push(child.loc);
+    }
+    for (const e of parsed.urls){
+      if (byLoc.size >= max) break;
+      if (sinceMs != null){
+        const t = toTime(e.lastmod);
+        if (t == null && !includeUndated) { report.skipped.undated++; continue; }
+        if (t != null && t < sinceMs) { report.skipped.old++; continue; }
+      }
+      const prev = byLoc.get(e.loc);
+      if (prev){
+        // Same URL in several sitemaps: merge alternates, keep the newest lastmod
+        for (const a of e.alternates) if (!prev.alternates.some(x=>x.hreflang === a.hreflang && x.href === a.href)) prev.alternates.push(a);
+        if ((toTime(e.lastmod) || 0) > (toTime(prev.lastmod) || 0)) prev.lastmod = e.lastmod;
+        continue;
       }
+      byLoc.set(e.loc, e);
     }
-    if (urls.size>=max) break;
+    // The fallbacks usually name the same sitemap; stop at the first one that answered
+    if (fallbacks.has(sm) && parsed.urls.length + parsed.sitemaps.length) queue = queue.filter(u=>!fallbacks.has(u));
   }
-  return Array.from(urls);
+  report.urls = [...byLoc.values()];
+  log('[SITEMAP]', origin, 'sitemaps=' + report.sitemaps.length, 'urls=' + report.urls.length, 'skippedOld=' + report.skipped.old, 'skippedUndated=' + report.skipped.undated);
+  return report;
+}
+
+/** URL list only (older callers). */
+async function discoverFromSitemaps(origin, max=5000, opts={}){
+  const { urls } = await readSitemaps(origin, { ...opts, max });
+  return urls.map(e=>e.loc);
 }
 
-module.exports = { discoverFromSitemaps };
+module.exports = { fetchBody, parseRobotsForSitemaps, parseSitemap, readSitemaps, discoverFromSitemaps };
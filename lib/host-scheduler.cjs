@@ -0,0 +1,253 @@
+// lib/host-scheduler.cjs
+// Per-host politeness for archiver.cjs: robots.txt (Disallow/Allow/Crawl-delay), a per-host
+// concurrency cap and minimum delay between request starts, and an adaptive delay that
+// backs off on 429/503/bot challenges or slow responses and recovers on healthy ones.
+
+const { fetchHTML } = require('./http-fetch.cjs');
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+function hostOf(url) { try { return new URL(url).host.toLowerCase(); } catch { return ''; } }
+function originOf(url) { try { return new URL(url).origin; } catch { return ''; } }
+
+/**
+ * Parse robots.txt for `agentToken` (falls back to the `*` group).
+ * Returns { rules: [{ allow, path }], crawlDelay (seconds|null), sitemaps: [] }.
+ */
+function parseRobots(text, agentToken = 'archiver') {
+  const groups = [];
+  const sitemaps = [];
+  let cur = null;
+  let lastWasAgent = false;
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) continue;
+    const i = line.indexOf(':');
+    if (i < 0) continue;
+    const key = line.slice(0, i).trim().toLowerCase();
+    const val = line.slice(i + 1).trim();
+    if (key === 'sitemap') { if (val) sitemaps.push(val); continue; }
+    if (key === 'user-agent') {
+      if (!cur || !lastWasAgent) { cur = { agents: [], rules: [], crawlDelay: null }; groups.push(cur); }
+      cur.agents.push(val.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!cur) continue;
+    if (key === 'disallow') { if (val) cur.rules.push({ allow: false, path: val }); }
+    else if (key === 'allow') { if (val) cur.rules.push({ allow: true, path: val }); }
+    else if (key === 'crawl-delay') { const n = parseFloat(val); if (isFinite(n) && n >= 0) cur.crawlDelay = n; }
+  }
+  // RFC 9309: the group whose user-agent equals our product token (case-insensitive) applies, else
+  // the "*" group; several groups for the same agent are combined
+  const token = String(agentToken || '').trim().toLowerCase().split('/')[0];
+  const agentOf = a => a.split('/')[0].trim();
+  let matched = token ? groups.filter(g => g.agents.some(a => agentOf(a) === token)) : [];
+  if (!matched.length) matched = groups.filter(g => g.agents.includes('*'));
+  const delay = matched.find(g => g.crawlDelay != null);
+  return { rules: matched.flatMap(g => g.rules), crawlDelay: delay ? delay.crawlDelay : null, sitemaps };
+}
+
+function ruleRegex(p) {
+  const anchored = p.endsWith('$');
+  const body = (anchored ? p.slice(0, -1) : p).split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp('^' + body + (anchored ? '$' : ''));
+}
+
+/** Longest matching rule wins; Allow wins a tie. */
+function isAllowed(robots, url) {
+  if (!robots || !robots.rules || !robots.rules.length) return true;
+  let target;
+  try { const u = new URL(url); target = (u.pathname || '/') + (u.search || ''); } catch { return true; }
+  let best = null;
+  for (const r of robots.rules) {
+    let hit = false;
+    try { hit = ruleRegex(r.path).test(target); } catch {}
+    if (!hit) continue;
+    if (!best || r.path.length > best.path.length || (r.path.length === best.path.length && r.allow)) best = r;
+  }
+  return best ? best.allow : true;
+}
+
+/**
+ * opts: {
+ *   perHostConcurrency, minDelayMs, maxDelayMs, slowMs,
+ *   respectRobots, ignoreCrawlDelay, agentToken, ua, log
+ * }
+ */
+function createHostScheduler(opts = {}) {
+  const {
+    perHostConcurrency = 2,
+    minDelayMs = 0,
+    maxDelayMs = 60000,
+    slowMs = 15000,
+    respectRobots = true,
+    ignoreCrawlDelay = false,
+    agentToken = 'archiver',
+    ua,
+    log = () => {}
+  } = opts;
+  const hosts = new Map(); // host -> state
+  const robotsCache = new Map(); // origin -> Promise<robots|null>
+  const queues = new Map(); // host -> [{ url, seq }] in add order
+  let seq = 0;
+  let pending = 0;
+  const skipped = [];
+
+  // robots.txt redirects (http -> https, apex -> www) are followed, up to 5 hops
+  async function fetchRobots(url) {
+    let r = null;
+    for (let hop = 0; hop <= 5; hop++) {
+      r = await fetchHTML(url, 8000, ua);
+      if (!r || !r.ok || r.status < 300 || r.status >= 400 || !r.location) return r;
+      try { url = new URL(r.location, url).href; } catch { return r; }
+    }
+    return r;
+  }
+
+  function robotsFor(url) {
+    const origin = originOf(url);
+    if (!respectRobots || !origin) return Promise.resolve(null);
+    if (!robotsCache.has(origin)) {
+      robotsCache.set(origin, fetchRobots(origin + '/robots.txt').then(r => {
+        if (!r || !r.ok || r.status >= 300) {
+          log('[ROBOTS]', origin, r && r.ok ? 'status=' + r.status + ' (allow all)' : 'unreachable (allow all)');
+          return null;
+        }
+        const parsed = parseRobots(r.body, agentToken);
+        log('[ROBOTS]', origin, 'rules=' + parsed.rules.length, 'crawlDelay=' + (parsed.crawlDelay ?? '-'));
+        return parsed;
+      }).catch(() => null));
+    }
+    return robotsCache.get(origin);
+  }
+
+  async function hostState(url) {
+    const host = hostOf(url);
+    if (!hosts.has(host)) {
+      const st = { host, inflight: 0, lastStart: 0, baseDelay: minDelayMs, delay: minDelayMs, robots: null, ready: null, loaded: false };
+      hosts.set(host, st);
+      st.ready = robotsFor(url).then(robots => {
+        st.robots = robots;
+        st.loaded = true;
+        if (robots && robots.crawlDelay != null && !ignoreCrawlDelay) {
+          st.baseDelay = Math.max(minDelayMs, Math.min(maxDelayMs, robots.crawlDelay * 1000));
+          st.delay = Math.max(st.delay, st.baseDelay);
+        }
+      });
+    }
+    const st = hosts.get(host);
+    await st.ready;
+    return st;
+  }
+
+  async function allowed(url) {
+    if (!respectRobots) return true;
+    const st = await hostState(url);
+    return isAllowed(st.robots, url);
+  }
+
+  function waitFor(st) {
+    if (st.inflight >= perHostConcurrency) return Infinity;
+    return Math.max(0, st.lastStart + st.delay - Date.now());
+  }
+
+  // counted: false for a sub-request made under a slot the caller already holds
+  function start(st, counted = true) {
+    if (counted) st.inflight++;
+    st.lastStart = Date.now();
+    let released = false;
+    // outcome: { status, durationMs, blocked }
+    return function release(outcome = {}) {
+      if (released) return;
+      released = true;
+      if (counted) st.inflight = Math.max(0, st.inflight - 1);
+      adapt(st, outcome);
+    };
+  }
+
+  function adapt(st, { status, durationMs, blocked } = {}) {
+    const prev = st.delay;
+    if (blocked || status === 429 || status === 503) {
+      st.delay = Math.min(maxDelayMs, Math.max(st.delay * 2, st.baseDelay * 2, 2000));
+    } else if (typeof durationMs === 'number' && durationMs > slowMs) {
+      st.delay = Math.min(maxDelayMs, Math.max(st.delay * 1.5, st.baseDelay, 1000));
+    } else if (st.delay > st.baseDelay) {
+      st.delay = Math.max(st.baseDelay, Math.round(st.delay * 0.8));
+    }
+    if (Math.round(st.delay) !== Math.round(prev)) {
+      log('[HOST_RATE]', st.host, 'delay=' + Math.round(prev) + 'ms->' + Math.round(st.delay) + 'ms', status ? 'status=' + status : '', blocked ? 'blocked' : '');
+    }
+  }
+
+  /**
+   * Wait for a slot on url's host; resolves to release(outcome) or null when robots.txt disallows it.
+   * nested: the caller already holds a slot on this host (e.g. a product JSON fetch during a page
+   * capture), so only the delay between request starts applies.
+   */
+  async function acquire(url, { nested = false } = {}) {
+    const st = await hostState(url);
+    if (respectRobots && !isAllowed(st.robots, url)) { skipped.push(url); return null; }
+    for (;;) {
+      const w = nested ? Math.max(0, st.lastStart + st.delay - Date.now()) : waitFor(st);
+      if (w === 0) return start(st, !nested);
+      await sleep(w === Infinity ? 100 : Math.min(w, 1000));
+    }
+  }
+
+  function add(urls) {
+    for (const url of urls || []) {
+      const host = hostOf(url);
+      if (!queues.has(host)) queues.set(host, []);
+      queues.get(host).push({ url, seq: seq++ });
+      pending++;
+    }
+  }
+
+  /**
+   * Next URL whose host is ready, in queue order otherwise. Resolves
+   * { url, release } or null once the queue is drained.
+   * Only robots loading is awaited; the pick and start happen in one synchronous step, so
+   * concurrent workers never take the same entry or one another's robots verdict.
+   */
+  async function next() {
+    for (;;) {
+      if (!pending) return null;
+      await Promise.all([...queues.values()].map(q => q.length ? hostState(q[0].url) : null));
+      let best = null, bestWait = Infinity;
+      for (const [host, q] of queues) {
+        const st = hosts.get(host);
+        if (!st || !st.loaded) continue; // added while robots were loading: next round
+        while (q.length && respectRobots && !isAllowed(st.robots, q[0].url)) {
+          const { url } = q.shift();
+          pending--;
+          log('[ROBOTS] disallowed', url);
+          skipped.push(url);
+        }
+        if (!q.length) { queues.delete(host); continue; }
+        const w = waitFor(st);
+        if (w === 0 && (!best || q[0].seq < best.q[0].seq)) best = { st, q };
+        else if (w < bestWait) bestWait = w;
+      }
+      if (best) {
+        const { url } = best.q.shift();
+        pending--;
+        return { url, release: start(best.st) };
+      }
+      if (!pending) return null;
+      await sleep(bestWait === Infinity ? 100 : Math.max(10, Math.min(bestWait, 1000)));
+    }
+  }
+
+  function stats() {
+    return {
+      hosts: [...hosts.values()].map(s => ({ host: s.host, delayMs: Math.round(s.delay), baseDelayMs: Math.round(s.baseDelay), crawlDelay: s.robots ? s.robots.crawlDelay : null })),
+      robotsSkipped: skipped.slice()
+    };
+  }
+
+  return { add, next, acquire, allowed, robotsFor, stats, get pending() { return pending; } };
+}
+
+module.exports = { parseRobots, isAllowed, createHostScheduler };
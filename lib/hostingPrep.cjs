@@ -293,6 +293,11 @@ See DEPLOY-${options.platform.toUpperCase()}.md for deployment notes.
 `);
 }
 
+// Stored (uncompressed) zip of sourceDir, written file by file in chunks (no whole file in memory).
+// ZIP64 records are added when an entry, an offset or the entry count exceeds the 32/16-bit fields.
+const ZIP_CHUNK=1024*1024;
+const U32_MAX=0xFFFFFFFF;
+
 function zipDirectory(sourceDir, outZip, log){
   let crcLib;
   try { crcLib=require('crc'); }
@@ -308,59 +313,107 @@ function zipDirectory(sourceDir, outZip, log){
     }
   }
   walk('');
-  const buffers=[], central=[];
+  const fd=fs.openSync(outZip,'w');
+  const central=[];
   let offset=0;
-  for(const rel of files){
-    const data=fs.readFileSync(path.join(sourceDir,rel));
-    const name=rel.replace(/\\/g,'/');
-    const nameBuf=Buffer.from(name);
-    const header=Buffer.alloc(30);
-    header.writeUInt32LE(0x04034b50,0);
-    header.writeUInt16LE(20,4);
-    header.writeUInt16LE(0,6);
-    header.writeUInt16LE(0,8);
-    header.writeUInt16LE(0,10);
-    header.writeUInt16LE(0,12);
-    const crc=crcLib.crc32(data);
-    header.writeUInt32LE(crc>>>0,14);
-    header.writeUInt32LE(data.length,18);
-    header.writeUInt32LE(data.length,22);
-    header.writeUInt16LE(nameBuf.length,26);
-    header.writeUInt16LE(0,28);
-    buffers.push(header,nameBuf,data);
-
-    const c=Buffer.alloc(46);
-    c.writeUInt32LE(0x02014b50,0);
-    c.writeUInt16LE(20,4);
-    c.writeUInt16LE(20,6);
-    c.writeUInt16LE(0,8);
-    c.writeUInt16LE(0,10);
-    c.writeUInt16LE(0,12);
-    c.writeUInt16LE(0,14);
-    c.writeUInt32LE(crc>>>0,16);
-    c.writeUInt32LE(data.length,20);
-    c.writeUInt32LE(data.length,24);
-    c.writeUInt16LE(nameBuf.length,28);
-    c.writeUInt16LE(0,30);
-    c.writeUInt16LE(0,32);
-    c.writeUInt16LE(0,34);
-    c.writeUInt32LE(0,36);
-    c.writeUInt32LE(offset,42);
-    central.push(c,nameBuf);
-    offset += header.length + nameBuf.length + data.length;
-  }
-  const centralSize=central.reduce((s,b)=>s+b.length,0);
-  const centralOffset=offset;
-  const end=Buffer.alloc(22);
-  end.writeUInt32LE(0x06054b50,0);
-  end.writeUInt16LE(0,4);
-  end.writeUInt16LE(0,6);
-  end.writeUInt16LE(files.length,8);
-  end.writeUInt16LE(files.length,10);
-  end.writeUInt32LE(centralSize,12);
-  end.writeUInt32LE(centralOffset,16);
-  end.writeUInt16LE(0,20);
-  fs.writeFileSync(outZip, Buffer.concat([...buffers,...central,end]));
+  const write=(buf)=>{ fs.writeSync(fd, buf, 0, buf.length, offset); offset+=buf.length; };
+  try {
+    const chunk=Buffer.alloc(ZIP_CHUNK);
+    for(const rel of files){
+      const abs=path.join(sourceDir,rel);
+      const size=fs.statSync(abs).size;
+      const nameBuf=Buffer.from(rel.replace(/\\/g,'/'));
+      const big=size>=U32_MAX;
+      const localOffset=offset;
+      // local header; the CRC is patched in once the data is written
+      const header=Buffer.alloc(30);
+      header.writeUInt32LE(0x04034b50,0);
+      header.writeUInt16LE(big?45:20,4);
+      header.writeUInt32LE(big?U32_MAX:size,18);
+      header.writeUInt32LE(big?U32_MAX:size,22);
+      header.writeUInt16LE(nameBuf.length,26);
+      let extra=Buffer.alloc(0);
+      if(big){
+        extra=Buffer.alloc(20);
+        extra.writeUInt16LE(0x0001,0);
+        extra.writeUInt16LE(16,2);
+        extra.writeBigUInt64LE(BigInt(size),4);
+        extra.writeBigUInt64LE(BigInt(size),12);
+      }
+      header.writeUInt16LE(extra.length,28);
+      write(header); write(nameBuf); write(extra);
+
+      let crc=0, done=0;
+      const src=fs.openSync(abs,'r');
+      try {
+        for(;;){
+          const n=fs.readSync(src, chunk, 0, ZIP_CHUNK, null);
+          if(!n) break;
+          const part=chunk.subarray(0,n);
+          crc=done ? crcLib.crc32(part, crc) : crcLib.crc32(part);
+          fs.writeSync(fd, part, 0, n, offset);
+          offset+=n; done+=n;
+        }
+      } finally { fs.closeSync(src); }
+      if(done!==size) throw new Error(`file changed while zipping: ${rel}`);
+      const crcBuf=Buffer.alloc(4);
+      crcBuf.writeUInt32LE(crc>>>0,0);
+      fs.writeSync(fd, crcBuf, 0, 4, localOffset+14);
+
+      // central directory entry; ZIP64 extra holds the fields that overflow, in spec order
+      const far=localOffset>=U32_MAX;
+      const z64=[];
+      if(big) z64.push(size, size);
+      if(far) z64.push(localOffset);
+      let cExtra=Buffer.alloc(0);
+      if(z64.length){
+        cExtra=Buffer.alloc(4+8*z64.length);
+        cExtra.writeUInt16LE(0x0001,0);
+        cExtra.writeUInt16LE(8*z64.length,2);
+        z64.forEach((v,i)=>cExtra.writeBigUInt64LE(BigInt(v),4+8*i));
+      }
+      const c=Buffer.alloc(46);
+      c.writeUInt32LE(0x02014b50,0);
+      c.writeUInt16LE(z64.length?45:20,4);
+      c.writeUInt16LE(z64.length?45:20,6);
+      c.writeUInt32LE(crc>>>0,16);
+      c.writeUInt32LE(big?U32_MAX:size,20);
+      c.writeUInt32LE(big?U32_MAX:size,24);
+      c.writeUInt16LE(nameBuf.length,28);
+      c.writeUInt16LE(cExtra.length,30);
+      c.writeUInt32LE(far?U32_MAX:localOffset,42);
+      central.push(c,nameBuf,cExtra);
+    }
+    const centralOffset=offset;
+    central.forEach(write);
+    const centralSize=offset-centralOffset;
+    const zip64=files.length>=0xFFFF || centralSize>=U32_MAX || centralOffset>=U32_MAX;
+    if(zip64){
+      const z64EndOffset=offset;
+      const rec=Buffer.alloc(56);
+      rec.writeUInt32LE(0x06064b50,0);
+      rec.writeBigUInt64LE(44n,4);
+      rec.writeUInt16LE(45,12);
+      rec.writeUInt16LE(45,14);
+      rec.writeBigUInt64LE(BigInt(files.length),24);
+      rec.writeBigUInt64LE(BigInt(files.length),32);
+      rec.writeBigUInt64LE(BigInt(centralSize),40);
+      rec.writeBigUInt64LE(BigInt(centralOffset),48);
+      write(rec);
+      const loc=Buffer.alloc(20);
+      loc.writeUInt32LE(0x07064b50,0);
+      loc.writeBigUInt64LE(BigInt(z64EndOffset),8);
+      loc.writeUInt32LE(1,16);
+      write(loc);
+    }
+    const end=Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50,0);
+    end.writeUInt16LE(Math.min(files.length,0xFFFF),8);
+    end.writeUInt16LE(Math.min(files.length,0xFFFF),10);
+    end.writeUInt32LE(Math.min(centralSize,U32_MAX),12);
+    end.writeUInt32LE(Math.min(centralOffset,U32_MAX),16);
+    write(end);
+  } finally { fs.closeSync(fd); }
   return outZip;
 }
 
@@ -429,4 +482,4 @@ async function prepareHosting(runDir, outDir, options={}, log=()=>{}) {
   return { outDir, pages: rels, zipPath };
 }
 
-module.exports = { prepareHosting };
\ No newline at end of file
+module.exports = { prepareHosting, zipDirectory };
\ No newline at end of file
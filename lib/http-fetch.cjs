@@ -46,7 +46,7 @@ async function fetchHTML(url, timeoutMs=8000, ua='Mozilla/5.0 (UniversalProducts
           const raw = Buffer.concat(chunks);
           const bodyBuf = await decompress(raw, ce);
           const body = bodyBuf.toString('utf8');
-          resolve({ ok:true, status, ct, body });
+          resolve({ ok:true, status, ct, body, location: res.headers.location || '' });
         });
       });
       req.on('timeout', () => { try{ req.destroy(); }catch{} resolve({ ok:false }); });
@@ -0,0 +1,295 @@
+// lib/job-queue.cjs
+// Persistent job queue for gui-server.cjs: runs, crawls, exports and prepares are queued per type
+// and started while that type has a free worker slot. State lives in <dir>/queue.json (the runs
+// directory's _jobs/), every job logs to <dir>/<jobId>.log, and jobs that were running when the
+// server stopped are handed to recover() on the next start (re-queue or give up).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ACTIVE = ['queued', 'running'];
+const KEEP_FINISHED = 300;   // finished jobs kept in queue.json
+const LOG_TAIL = 400;        // lines kept in memory per running job
+
+function newJobId(type) {
+  return `${type}-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/** "run=2,crawl=1" or "3" (every type) -> { run: 2, crawl: 1 } */
+function parseSlots(spec, types) {
+  const out = {};
+  const s = String(spec || '').trim();
+  if (!s) return out;
+  if (/^\d+$/.test(s)) { for (const t of types) out[t] = Math.max(1, parseInt(s, 10)); return out; }
+  for (const part of s.split(',')) {
+    const [k, v] = part.split('=').map(x => x.trim());
+    if (types.includes(k) && parseInt(v, 10) > 0) out[k] = parseInt(v, 10);
+  }
+  return out;
+}
+
+function isAlive(pid) {
+  if (!pid) return false;
+  try { process.kill(pid, 0); return true; } catch { return false; }
+}
+
+/**
+ * createJobQueue({ dir, handlers, slots, envSlots, log, recover })
+ *  - handlers: { <type>: async (job, ctx) => result }; ctx = { log(line), spawn(cmd, args, opts, prefix)
+ *    -> Promise<exit code>, setPhase(phase), onStop(fn), stopRequested() }
+ *  - slots: default worker slots per type; persisted changes (setSlots) and then envSlots
+ *    ("run=2,export=1") override them
+ *  - recover(job): called at start() for jobs that were running; return true to queue them again
+ *    (the handler sees job.restarts > 0), false to mark them interrupted
+ */
+function createJobQueue({ dir, handlers, slots = {}, envSlots = '', log = () => {}, recover = () => false }) {
+  const types = Object.keys(handlers);
+  const stateFile = path.join(dir, 'queue.json');
+  const state = { slots: {}, jobs: [] };
+  const live = new Map();   // jobId -> { child, stopHooks, tail, stream, subscribers, waiters }
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  function save() {
+    const finished = state.jobs.filter(j => !ACTIVE.includes(j.status));
+    const drop = new Set(finished.slice(0, Math.max(0, finished.length - KEEP_FINISHED)).map(j => j.id));
+    state.jobs = state.jobs.filter(j => !drop.has(j.id));
+    const tmp = stateFile + '.tmp';
+    try {
+      fs.writeFileSync(tmp, JSON.stringify({ version: 1, savedAt: new Date().toISOString(), slots: state.slots, jobs: state.jobs }, null, 2));
+      fs.renameSync(tmp, stateFile);
+    } catch (e) { log(`[QUEUE_SAVE_ERR] ${e.message}`); }
+  }
+
+  function logFile(id) { return path.join(dir, `${id}.log`); }
+
+  function entry(id) {
+    let e = live.get(id);
+    if (!e) { e = { child: null, stopHooks: [], tail: [], stream: null, subscribers: new Set(), waiters: [] }; live.set(id, e); }
+    return e;
+  }
+
+  function jobLog(job, line) {
+    const l = `[${new Date().toISOString()}] ${line}`;
+    const e = entry(job.id);
+    e.tail.push(l);
+    if (e.tail.length > LOG_TAIL) e.tail.splice(0, e.tail.length - LOG_TAIL);
+    if (!e.stream) e.stream = fs.createWriteStream(logFile(job.id), { flags: 'a' });
+    e.stream.write(l + '\n');
+    e.subscribers.forEach(fn => { try { fn(l); } catch {} });
+    log(line);
+  }
+
+  // Close a job's log file until it logs again (jobLog reopens it)
+  function closeLog(job) {
+    const e = live.get(job.id);
+    if (!e || !e.stream) return;
+    e.stream.end();
+    e.stream = null;
+    if (!e.subscribers.size && !e.waiters.length && !e.child) live.delete(job.id);
+  }
+
+  function view(job) {
+    const position = job.status === 'queued'
+      ? state.jobs.filter(j => j.type === job.type && j.status === 'queued').indexOf(job) + 1
+      : undefined;
+    return { ...job, position };
+  }
+
+  function running(type) { return state.jobs.filter(j => j.type === type && j.status === 'running').length; }
+  function slotsFor(type) { return state.slots[type] || 1; }
+
+  function finish(job, status, fields = {}) {
+    Object.assign(job, { status, finishedAt: Date.now(), pid: undefined }, fields);
+    const e = entry(job.id);
+    jobLog(job, `[JOB_DONE] job=${job.id} type=${job.type} status=${status}${fields.error ? ' error=' + fields.error : ''}`);
+    save();
+    e.waiters.forEach(fn => fn(view(job)));
+    e.waiters = [];
+    if (e.stream) { e.stream.end(); e.stream = null; }
+    e.child = null;
+    e.stopHooks = [];
+    // keep subscribers' entry only while someone listens
+    if (!e.subscribers.size) live.delete(job.id);
+    setImmediate(pump);
+  }
+
+  async function runJob(job) {
+    const e = entry(job.id);
+    job.status = 'running';
+    job.startedAt = Date.now();
+    job.stopRequested = false;
+    delete job.finishedAt; delete job.error; delete job.result;
+    save();
+    jobLog(job, `[JOB_RUN] job=${job.id} type=${job.type}${job.runId ? ' run=' + job.runId : ''}${job.restarts ? ' restart=' + job.restarts : ''}`);
+    const ctx = {
+      log: (line) => jobLog(job, line),
+      setPhase: (phase) => { job.phase = phase; save(); },
+      onStop: (fn) => e.stopHooks.push(fn),
+      stopRequested: () => !!job.stopRequested,
+      spawn: (cmd, args, opts = {}, prefix = job.type.toUpperCase()) => new Promise((resolve) => {
+        if (job.stopRequested) return resolve(null);
+        let child;
+        try { child = require('child_process').spawn(cmd, args, opts); }
+        catch (err) { jobLog(job, `[${prefix}:ERR] spawn failed: ${err.message}`); return resolve(-1); }
+        e.child = child;
+        job.pid = child.pid;
+        save();
+        const pipe = (stream, tag) => stream && stream.on('data', d => d.toString().split(/\r?\n/).filter(Boolean).forEach(l => jobLog(job, `[${tag}] ${l}`)));
+        pipe(child.stdout, prefix);
+        pipe(child.stderr, prefix + ':ERR');
+        child.on('error', err => jobLog(job, `[${prefix}:ERR] ${err.message}`));
+        child.on('exit', (code, signal) => {
+          if (e.child === child) { e.child = null; job.pid = undefined; }
+          resolve(code == null ? (signal ? 128 + 15 : -1) : code);
+        });
+      })
+    };
+    try {
+      const result = await handlers[job.type](job, ctx);
+      finish(job, job.stopRequested ? 'stopped' : 'done', { result: result === undefined ? null : result });
+    } catch (err) {
+      finish(job, job.stopRequested ? 'stopped' : 'failed', { error: err.message });
+    }
+  }
+
+  function pump() {
+    for (const type of types) {
+      let free = slotsFor(type) - running(type);
+      for (const job of state.jobs) {
+        if (free <= 0) break;
+        if (job.type !== type || job.status !== 'queued') continue;
+        free--;
+        runJob(job);
+      }
+    }
+  }
+
+  function enqueue(type, { runId = '', label = '', params = {} } = {}) {
+    if (!handlers[type]) throw new Error(`unknown job type "${type}"`);
+    const job = { id: newJobId(type), type, runId, label, params, status: 'queued', phase: '', createdAt: Date.now(), restarts: 0 };
+    state.jobs.push(job);
+    save();
+    jobLog(job, `[JOB_QUEUED] job=${job.id} type=${type}${runId ? ' run=' + runId : ''} slots=${running(type)}/${slotsFor(type)}`);
+    setImmediate(pump);
+    return view(job);
+  }
+
+  function stop(id) {
+    const job = state.jobs.find(j => j.id === id);
+    if (!job) return { ok: false, error: 'job not found' };
+    if (job.status === 'queued') { finish(job, 'cancelled'); return { ok: true, status: 'cancelled' }; }
+    if (job.status !== 'running') return { ok: false, error: `job is ${job.status}` };
+    job.stopRequested = true;
+    save();
+    jobLog(job, `[STOP_REQUEST] job=${job.id} phase=${job.phase || '-'}`);
+    const e = entry(job.id);
+    for (const fn of e.stopHooks) { try { fn(); } catch (err) { jobLog(job, `[STOP_HOOK_ERR] ${err.message}`); } }
+    const child = e.child;
+    if (child) {
+      try { child.kill('SIGTERM'); } catch (err) { jobLog(job, `[STOP_ERR] ${err.message}`); }
+      setTimeout(() => {
+        if (child.exitCode == null && child.signalCode == null) {
+          jobLog(job, `[STOP_FORCE] SIGKILL pid=${child.pid}`);
+          try { child.kill('SIGKILL'); } catch {}
+        }
+      }, 1500);
+    }
+    return { ok: true, status: 'stopping' };
+  }
+
+  /** Resolves with the job once it is finished (done, failed, stopped, cancelled, interrupted). */
+  function wait(id) {
+    const job = state.jobs.find(j => j.id === id);
+    if (!job) return Promise.reject(new Error('job not found'));
+    if (!ACTIVE.includes(job.status)) return Promise.resolve(view(job));
+    return new Promise(resolve => entry(id).waiters.push(resolve));
+  }
+
+  /** Last n log lines of a job (memory while running, else its log file). */
+  function logTail(id, n = 200) {
+    const e = live.get(id);
+    if (e && e.tail.length) return e.tail.slice(-n);
+    try { return fs.readFileSync(logFile(id), 'utf8').split('\n').filter(Boolean).slice(-n); } catch { return []; }
+  }
+
+  function subscribe(id, fn) {
+    const e = entry(id);
+    e.subscribers.add(fn);
+    return () => {
+      e.subscribers.delete(fn);
+      const job = state.jobs.find(j => j.id === id);
+      if (!e.subscribers.size && (!job || !ACTIVE.includes(job.status))) live.delete(id);
+    };
+  }
+
+  function setSlots(next) {
+    for (const [k, v] of Object.entries(next || {})) {
+      if (!types.includes(k)) throw new Error(`unknown job type "${k}"`);
+      const n = parseInt(v, 10);
+      if (!(n >= 1 && n <= 32)) throw new Error(`slots for ${k} must be 1-32`);
+      state.slots[k] = n;
+    }
+    save();
+    setImmediate(pump);
+    return { ...state.slots };
+  }
+
+  function list({ type, runId, active } = {}) {
+    return state.jobs
+      .filter(j => (!type || j.type === type) && (!runId || j.runId === runId) && (!active || ACTIVE.includes(j.status)))
+      .map(view);
+  }
+
+  function get(id) { const j = state.jobs.find(x => x.id === id); return j ? view(j) : null; }
+
+  function activeForRun(runId) { return state.jobs.some(j => j.runId === runId && ACTIVE.includes(j.status)); }
+
+  // Load persisted state, hand interrupted jobs to recover(), then start what fits
+  function start() {
+    let saved = null;
+    try { saved = JSON.parse(fs.readFileSync(stateFile, 'utf8')); } catch {}
+    state.slots = { ...slots, ...((saved && saved.slots) || {}), ...parseSlots(envSlots, types) };
+    state.jobs = Array.isArray(saved && saved.jobs) ? saved.jobs.filter(j => j && handlers[j.type]) : [];
+    for (const job of state.jobs) {
+      if (job.status !== 'running') continue;
+      // the old server's child may still be running (it was not detached, but a kill -9 leaves it)
+      if (isAlive(job.pid)) {
+        Object.assign(job, { status: 'interrupted', finishedAt: Date.now(), error: `server restarted while pid ${job.pid} was still running` });
+        jobLog(job, `[JOB_RECOVER] job=${job.id} left interrupted: pid ${job.pid} still alive`);
+        closeLog(job);
+        continue;
+      }
+      job.restarts = (job.restarts || 0) + 1;
+      job.pid = undefined;
+      if (recover(job)) {
+        job.status = 'queued';
+        jobLog(job, `[JOB_RECOVER] job=${job.id} re-queued after server restart (phase=${job.phase || '-'})`);
+      } else {
+        Object.assign(job, { status: 'interrupted', finishedAt: Date.now() });
+        jobLog(job, `[JOB_RECOVER] job=${job.id} interrupted by server restart`);
+      }
+      closeLog(job);
+    }
+    save();
+    pump();
+  }
+
+  return {
+    types,
+    start,
+    enqueue,
+    stop,
+    wait,
+    get,
+    list,
+    logTail,
+    subscribe,
+    setSlots,
+    slots: () => ({ ...state.slots }),
+    activeForRun
+  };
+}
+
+module.exports = { createJobQueue, parseSlots };
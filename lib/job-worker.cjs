@@ -0,0 +1,31 @@
+// lib/job-worker.cjs
+// Runs one exported async function in its own process for a queued job (lib/job-queue.cjs), so the
+// job can be stopped like a crawl or archive and its console output lands in the job's log.
+//   node lib/job-worker.cjs <module> <function> <resultFile>   (arguments as JSON array in JOB_ARGS)
+// The function gets the arguments plus a log callback; the result is written to resultFile as
+// { ok:true, result } or { ok:false, error }.
+/* eslint-disable no-console */
+const fs = require('fs');
+const path = require('path');
+
+async function main() {
+  const [modulePath, fnName, resultFile] = process.argv.slice(2);
+  if (!modulePath || !fnName || !resultFile) {
+    console.error('Usage: node lib/job-worker.cjs <module> <function> <resultFile>');
+    process.exit(2);
+  }
+  const write = (o) => fs.writeFileSync(resultFile, JSON.stringify(o));
+  try {
+    const fn = require(path.resolve(modulePath))[fnName];
+    if (typeof fn !== 'function') throw new Error(`${fnName} is not exported by ${modulePath}`);
+    const args = JSON.parse(process.env.JOB_ARGS || '[]');
+    const result = await fn(...args, (m) => console.log(m));
+    write({ ok: true, result: result === undefined ? null : result });
+  } catch (e) {
+    console.error(e.stack || e.message);
+    write({ ok: false, error: e.message });
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,216 @@
+// lib/listing-expand.cjs
+// Listing expansion for archiver.cjs captures: keeps scrolling the window and any scrollable
+// (virtual-scroll) containers and clicking "load more" controls until no new listing items
+// appear or a cap is hit. Only pages that look like listings are expanded (at least `minItems`
+// repeated items and not a product detail page), and the data-archive-expand* marks are removed
+// before the page is saved. XHR/fetch responses seen during expansion are returned so the
+// archiver can store them for offline replay (server.cjs serves them from _xhr/).
+//
+// Pagination and load-more heuristics are shared with lib/deep-discover.cjs: links to real
+// next pages are reported (not clicked); script-driven ones ("#", javascript:) are clicked.
+
+const { findNextPageLinks, defaultNextPageSelectors, defaultLoadMoreSelectors, LOAD_MORE_TEXT_RX } = require('./deep-discover.cjs');
+
+const XHR_TYPES = new Set(['xhr', 'fetch']);
+const XHR_CT_RX = /json|javascript|html|xml|text\/plain/i;
+
+// In page: keys of the current listing items (itemSelector, else the largest run of
+// same-tag/same-class siblings that contain links) plus the document height
+function measureListing(itemSelector) {
+  let items = [];
+  if (itemSelector) {
+    try { items = Array.from(document.querySelectorAll(itemSelector)); } catch {}
+  } else {
+    let best = null, bestN = 0;
+    for (const el of document.querySelectorAll('ul,ol,div,section,tbody,main')) {
+      const kids = el.children;
+      if (kids.length < 4) continue;
+      const sig = new Map();
+      for (const k of kids) {
+        const s = k.tagName + '.' + (k.classList && k.classList[0] || '');
+        sig.set(s, (sig.get(s) || 0) + 1);
+      }
+      const n = Math.max.apply(null, Array.from(sig.values()));
+      if (n > bestN && el.querySelector('a[href]')) { bestN = n; best = el; }
+    }
+    items = best ? Array.from(best.children) : [];
+  }
+  const keys = items.map(it => {
+    const a = it.querySelector && (it.matches && it.matches('a[href]') ? it : it.querySelector('a[href]'));
+    return a ? a.href : String(it.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 120);
+  }).filter(Boolean);
+  const s = document.scrollingElement || document.documentElement;
+  return { keys, height: s ? s.scrollHeight : 0 };
+}
+
+// In page: true when the document describes a single product (og:type or JSON-LD Product)
+function isProductPage() {
+  const og = document.querySelector('meta[property="og:type"]');
+  if (og && /product/i.test(og.getAttribute('content') || '')) return true;
+  let products = 0;
+  const visit = (n) => {
+    if (Array.isArray(n)) return n.forEach(visit);
+    if (!n || typeof n !== 'object') return;
+    const t = [].concat(n['@type'] || []);
+    if (t.some(x => /^(Product|ProductGroup)$/i.test(String(x)))) products++;
+    if (n['@graph']) visit(n['@graph']);
+  };
+  for (const s of document.querySelectorAll('script[type="application/ld+json"]')) {
+    try { visit(JSON.parse(s.textContent)); } catch {}
+  }
+  return products === 1;
+}
+
+// In page: scroll the window and scrollable containers to their end; returns containers moved
+function scrollToEnds() {
+  const s = document.scrollingElement || document.documentElement;
+  if (s) s.scrollTo(0, s.scrollHeight);
+  let moved = 0;
+  for (const el of document.querySelectorAll('div,ul,ol,section,main')) {
+    if (el.clientHeight < 100 || el.scrollHeight <= el.clientHeight + 100) continue;
+    const oy = getComputedStyle(el).overflowY;
+    if (oy !== 'auto' && oy !== 'scroll') continue;
+    if (el.scrollTop + el.clientHeight >= el.scrollHeight - 2) continue;
+    el.scrollTop = el.scrollHeight;
+    moved++;
+  }
+  return moved;
+}
+
+// In page: best visible, not yet tried "load more" control; marks it with data-archive-expand
+function pickLoadMore({ selectors, nextSelectors, textRx, mark }) {
+  const rx = new RegExp(textRx.source, textRx.flags);
+  const visible = (el) => {
+    const r = el.getBoundingClientRect();
+    const st = getComputedStyle(el);
+    return r.width > 0 && r.height > 0 && st.display !== 'none' && st.visibility !== 'hidden' && !el.disabled && el.getAttribute('aria-disabled') !== 'true';
+  };
+  // Anchors that would leave the page are pagination, not expansion
+  const inPage = (el) => {
+    if (el.tagName !== 'A') return true;
+    const h = (el.getAttribute('href') || '').trim();
+    if (!h || h === '#' || /^javascript:/i.test(h)) return true;
+    try { const u = new URL(h, location.href); return u.pathname === location.pathname && u.search === location.search; } catch { return false; }
+  };
+  const cands = new Map();
+  const add = (el, score) => { if (el && !el.hasAttribute('data-archive-expanded')) cands.set(el, Math.max(cands.get(el) || 0, score)); };
+  for (const sel of selectors) { try { document.querySelectorAll(sel).forEach(el => add(el.closest('button,a,[role="button"]') || el, 2)); } catch {} }
+  for (const sel of nextSelectors) { try { document.querySelectorAll(sel).forEach(el => add(el, 1)); } catch {} }
+  for (const el of document.querySelectorAll('button,a,[role="button"],input[type="button"]')) {
+    const t = String(el.innerText || el.value || el.getAttribute('aria-label') || '').trim();
+    if (t && t.length < 60 && rx.test(t)) add(el, 1 + (cands.get(el) || 0));
+  }
+  let best = null, bestScore = 0, bestTop = -1;
+  for (const [el, score] of cands) {
+    if (!visible(el) || !inPage(el)) continue;
+    if (el.closest('header,nav,footer,aside,[role="navigation"]')) continue;
+    const top = el.getBoundingClientRect().top + window.scrollY;
+    if (score > bestScore || (score === bestScore && top > bestTop)) { best = el; bestScore = score; bestTop = top; }
+  }
+  if (!best) return null;
+  best.setAttribute('data-archive-expand', mark);
+  best.setAttribute('data-archive-expanded', '1');
+  return { text: String(best.innerText || best.value || '').trim().slice(0, 60), tag: best.tagName.toLowerCase() };
+}
+
+/**
+ * Expand a listing in place. Options: maxRounds (30), maxMs (60000), maxItems (0 = no cap),
+ * minItems (8 repeated items before the page counts as a listing),
+ * idleRounds (2 rounds without new items or height), settleMs (800), roundTimeoutMs (8000),
+ * itemSelector, buttonSelectors (extra load-more selectors), recordXhr (true), maxXhr (200),
+ * maxXhrBytes (2MB), log.
+ * Returns { rounds, clicks, containersScrolled, itemsBefore, itemsAfter, stoppedBy, nextPages, xhr: [{ method, url, status, contentType, postData, round, body }] }.
+ */
+async function expandListing(page, opts = {}) {
+  const {
+    maxRounds = 30, maxMs = 60000, maxItems = 0, minItems = 8, idleRounds = 2, settleMs = 800, roundTimeoutMs = 8000,
+    itemSelector = '', buttonSelectors = [], recordXhr = true, maxXhr = 200, maxXhrBytes = 2 * 1024 * 1024,
+    log = () => {}
+  } = opts;
+  const startUrl = page.url();
+  const deadline = Date.now() + maxMs;
+  const out = { rounds: 0, clicks: 0, containersScrolled: 0, itemsBefore: 0, itemsAfter: 0, stoppedBy: 'maxRounds', nextPages: [], xhr: [] };
+  let round = 0;
+  let lastNet = Date.now();
+  const pendingBodies = [];
+  let bodiesInFlight = 0; // counted toward maxXhr until read (pendingBodies keeps settled ones too)
+  const onResponse = (resp) => {
+    lastNet = Date.now();
+    if (!recordXhr || out.xhr.length + bodiesInFlight >= maxXhr) return;
+    const rq = resp.request();
+    if (!XHR_TYPES.has(rq.resourceType()) || resp.status() < 200 || resp.status() >= 300) return;
+    const ct = (resp.headers()['content-type'] || '').toLowerCase();
+    if (!XHR_CT_RX.test(ct)) return;
+    const entry = { method: rq.method(), url: rq.url(), status: resp.status(), contentType: ct, postData: rq.postData() || null, round };
+    bodiesInFlight++;
+    pendingBodies.push(resp.body().then(body => { if (body.length <= maxXhrBytes) out.xhr.push({ ...entry, body }); }).catch(() => {})
+      .finally(() => { bodiesInFlight--; }));
+  };
+  const onRequest = () => { lastNet = Date.now(); };
+  page.on('response', onResponse);
+  page.on('request', onRequest);
+
+  async function settle() {
+    const until = Math.min(deadline, Date.now() + roundTimeoutMs);
+    await page.waitForTimeout(Math.min(300, settleMs));
+    while (Date.now() < until && Date.now() - lastNet < settleMs) await page.waitForTimeout(100);
+  }
+
+  try {
+    const seen = new Set();
+    let m = await page.evaluate(measureListing, itemSelector || '');
+    m.keys.forEach(k => seen.add(k));
+    out.itemsBefore = out.itemsAfter = seen.size;
+    if (seen.size < minItems || await page.evaluate(isProductPage).catch(() => false)) { out.stoppedBy = 'notListing'; return out; }
+    let lastHeight = m.height;
+    let idle = 0;
+    const selectors = [...defaultLoadMoreSelectors(), ...buttonSelectors];
+    const nextSelectors = defaultNextPageSelectors();
+    while (round < maxRounds) {
+      if (Date.now() >= deadline) { out.stoppedBy = 'time'; break; }
+      if (maxItems && seen.size >= maxItems) { out.stoppedBy = 'maxItems'; break; }
+      round++;
+      out.containersScrolled += await page.evaluate(scrollToEnds).catch(() => 0);
+      await settle();
+      const btn = await page.evaluate(pickLoadMore, { selectors, nextSelectors, textRx: { source: LOAD_MORE_TEXT_RX.source, flags: LOAD_MORE_TEXT_RX.flags }, mark: String(round) }).catch(() => null);
+      if (btn) {
+        try {
+          await page.click(`[data-archive-expand="${round}"]`, { timeout: 3000 });
+          out.clicks++;
+          log('[LISTING] click', JSON.stringify(btn.text));
+        } catch (e) { log('[LISTING_WARN] click failed', e.message.split('\n')[0]); }
+        await settle();
+        // A control that navigated away is not expansion: go back and stop
+        const now = page.url().split('#')[0];
+        if (now !== startUrl.split('#')[0]) {
+          out.stoppedBy = 'navigated';
+          try { await page.goBack({ timeout: roundTimeoutMs }); } catch {}
+          break;
+        }
+      }
+      m = await page.evaluate(measureListing, itemSelector || '').catch(() => ({ keys: [], height: lastHeight }));
+      const before = seen.size;
+      m.keys.forEach(k => seen.add(k));
+      const grew = seen.size > before || m.height > lastHeight + 50;
+      lastHeight = Math.max(lastHeight, m.height);
+      idle = grew ? 0 : idle + 1;
+      if (idle >= idleRounds) { out.stoppedBy = 'idle'; break; }
+    }
+    out.rounds = round;
+    out.itemsAfter = seen.size;
+    try { out.nextPages = await findNextPageLinks(page); } catch {}
+  } finally {
+    page.off('response', onResponse);
+    page.off('request', onRequest);
+    await Promise.all(pendingBodies);
+    await page.evaluate(() => {
+      for (const el of document.querySelectorAll('[data-archive-expand],[data-archive-expanded]')) {
+        el.removeAttribute('data-archive-expand');
+        el.removeAttribute('data-archive-expanded');
+      }
+    }).catch(() => {});
+  }
+  return out;
+}
+
+module.exports = { expandListing };
@@ -0,0 +1,187 @@
+// lib/locales.cjs
+// Locale mode helpers: hreflang alternates of a captured page, the locale of a page, the
+// run-level locale graph (locales.json) and Accept-Language matching for server.cjs.
+//
+// Locale tags are compared in a normalized form: lowercase, "_" -> "-" ("en_GB" -> "en-gb").
+
+const fs = require('fs');
+const path = require('path');
+const { canonicalizeUrl } = require('./url-canon.cjs');
+
+const LOCALES_FILE = 'locales.json';
+const X_DEFAULT = 'x-default';
+
+function normalizeLang(tag) {
+  return String(tag || '').trim().toLowerCase().replace(/_/g, '-');
+}
+
+function primaryLang(tag) { return normalizeLang(tag).split('-')[0]; }
+
+/** <link rel="alternate" hreflang="..." href="..."> entries as [{ hreflang, href }] (absolute, canonical). */
+function extractHreflang(html, pageUrl) {
+  const out = [];
+  const seen = new Set();
+  for (const tag of String(html || '').match(/<link\b[^>]*>/gi) || []) {
+    if (!/\brel\s*=\s*["']?alternate\b/i.test(tag) || !/\bhreflang\s*=/i.test(tag)) continue;
+    const lang = tag.match(/\bhreflang\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+    const href = tag.match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+    const hreflang = normalizeLang(lang && (lang[1] || lang[2] || lang[3]));
+    const raw = href && (href[1] || href[2] || href[3]);
+    if (!hreflang || !raw) continue;
+    const abs = canonicalizeUrl(raw.replace(/&amp;/g, '&'), { base: pageUrl });
+    if (!abs || seen.has(hreflang + ' ' + abs)) continue;
+    seen.add(hreflang + ' ' + abs);
+    out.push({ hreflang, href: abs });
+  }
+  return out;
+}
+
+// "/fr/", "/en-gb/", "/pt_BR/", "/fra-fr/" path prefixes
+const PATH_LOCALE_RX = /^\/([a-z]{2,3}(?:[-_](?:[a-z]{2}|\d{3}))?)(?=\/|$)/i;
+
+/**
+ * Locale of a page: the hreflang whose href is the page itself, then <html lang>, then a
+ * locale-looking first path segment. Returns '' when nothing matches.
+ */
+function pageLocale(pageUrl, { html = '', alternates = null } = {}) {
+  const self = canonicalizeUrl(pageUrl);
+  for (const a of alternates || extractHreflang(html, pageUrl)) {
+    if (a.hreflang !== X_DEFAULT && a.href === self) return a.hreflang;
+  }
+  const m = String(html || '').match(/<html\b[^>]*\blang\s*=\s*["']?([a-z]{2,3}(?:[-_][a-z0-9]{2,8})*)/i);
+  if (m) return normalizeLang(m[1]);
+  try {
+    const p = new URL(pageUrl).pathname.match(PATH_LOCALE_RX);
+    // Three-letter segments only count with a region ("fra-fr"), "/faq/" is not a locale
+    if (p && (p[1].length <= 2 || /[-_]/.test(p[1]))) return normalizeLang(p[1]);
+  } catch {}
+  return '';
+}
+
+/** True when `lang` passes an allow-list of tags ("fr-fr" exact, "fr" for every French variant). */
+function localeAllowed(lang, allow) {
+  if (!allow || !allow.length) return true;
+  const l = normalizeLang(lang);
+  return allow.some(a => { const x = normalizeLang(a); return x === l || x === primaryLang(l); });
+}
+
+/**
+ * Group manifest records into translation sets through their hreflang links and annotate each
+ * record with `locale`, `localeGroup` and `alternates` ([{ hreflang, url, relPath|null }]).
+ * Returns the locales.json payload { locales: { tag: pages }, groups: [{ id, xDefault, pages }] }.
+ */
+function buildLocaleGraph(records) {
+  const parent = new Map();
+  const find = (u) => { while (parent.get(u) !== u) { parent.set(u, parent.get(parent.get(u))); u = parent.get(u); } return u; };
+  const node = (u) => { if (!parent.has(u)) parent.set(u, u); return u; };
+  const union = (a, b) => { const ra = find(node(a)), rb = find(node(b)); if (ra !== rb) parent.set(rb, ra); };
+
+  const relByUrl = new Map();
+  const langByUrl = new Map();
+  const xDefaultOf = new Map();
+  for (const r of records || []) {
+    if (!r || !String(r.status || '').startsWith('ok')) continue;
+    const u = canonicalizeUrl(r.finalURL || r.url) || r.url;
+    const orig = canonicalizeUrl(r.url) || r.url;
+    node(u); union(u, orig);
+    if (!relByUrl.has(u)) relByUrl.set(u, r.relPath);
+    if (!relByUrl.has(orig)) relByUrl.set(orig, r.relPath);
+    if (r.locale && !langByUrl.has(u)) langByUrl.set(u, normalizeLang(r.locale));
+    for (const a of r.hreflang || []) {
+      union(u, a.href);
+      if (a.hreflang === X_DEFAULT) xDefaultOf.set(u, a.href);
+      else if (!langByUrl.has(a.href)) langByUrl.set(a.href, a.hreflang);
+    }
+  }
+
+  const byRoot = new Map();
+  for (const u of parent.keys()) {
+    const root = find(u);
+    if (!byRoot.has(root)) byRoot.set(root, []);
+    byRoot.get(root).push(u);
+  }
+  const groups = [];
+  const groupOf = new Map();
+  const locales = {};
+  for (const urls of byRoot.values()) {
+    const pages = {};
+    let xDefault = null;
+    for (const u of urls.sort()) {
+      const lang = langByUrl.get(u);
+      if (xDefaultOf.has(u)) xDefault = xDefaultOf.get(u);
+      if (!lang) continue;
+      const rel = relByUrl.has(u) ? relByUrl.get(u) : null;
+      // Several URLs may claim one locale (redirects); prefer the captured one
+      if (pages[lang] && (pages[lang].relPath != null || rel == null)) continue;
+      pages[lang] = { url: u, relPath: rel };
+    }
+    if (Object.keys(pages).length < 2) continue;
+    const id = groups.length + 1;
+    groups.push({ id, xDefault, pages });
+    for (const u of urls) groupOf.set(u, id);
+    for (const [lang, p] of Object.entries(pages)) if (p.relPath != null) locales[lang] = (locales[lang] || 0) + 1;
+  }
+
+  for (const r of records || []) {
+    if (!r || !String(r.status || '').startsWith('ok')) continue;
+    const u = canonicalizeUrl(r.finalURL || r.url) || r.url;
+    const id = groupOf.get(u) || groupOf.get(canonicalizeUrl(r.url) || r.url);
+    if (!id) continue;
+    const g = groups[id - 1];
+    r.localeGroup = id;
+    if (!r.locale) { const own = Object.entries(g.pages).find(([, p]) => p.relPath === r.relPath); if (own) r.locale = own[0]; }
+    r.alternates = Object.entries(g.pages).map(([hreflang, p]) => ({ hreflang, url: p.url, relPath: p.relPath }));
+  }
+  return { generatedAt: new Date().toISOString(), locales, groups };
+}
+
+function writeLocaleGraph(outDir, graph) {
+  fs.writeFileSync(path.join(outDir, LOCALES_FILE), JSON.stringify(graph, null, 2), 'utf8');
+}
+
+/**
+ * Index a run's locales.json for server.cjs: { groupByRel: Map(relPath -> group), locales }.
+ * Missing or unreadable file -> null.
+ */
+function loadLocaleIndex(root) {
+  let j;
+  try { j = JSON.parse(fs.readFileSync(path.join(root, LOCALES_FILE), 'utf8')); } catch { return null; }
+  if (!j || !Array.isArray(j.groups) || !j.groups.length) return null;
+  const groupByRel = new Map();
+  for (const g of j.groups) {
+    for (const p of Object.values(g.pages || {})) if (p && p.relPath != null) groupByRel.set(p.relPath, g);
+  }
+  return groupByRel.size ? { groupByRel, locales: Object.keys(j.locales || {}) } : null;
+}
+
+/**
+ * Best of `available` locale tags for an Accept-Language header (or a single tag): exact
+ * match by q-order, then same primary language. Returns '' when nothing fits.
+ */
+function pickLocale(acceptLanguage, available) {
+  const avail = (available || []).map(normalizeLang);
+  const wanted = String(acceptLanguage || '').split(',').map((part, i) => {
+    const [tag, ...params] = part.trim().split(';');
+    const q = params.map(s => s.trim()).find(s => s.startsWith('q='));
+    return { tag: normalizeLang(tag), q: q ? parseFloat(q.slice(2)) || 0 : 1, i };
+  }).filter(w => w.tag && w.tag !== '*' && w.q > 0).sort((a, b) => b.q - a.q || a.i - b.i);
+  for (const w of wanted) {
+    if (avail.includes(w.tag)) return w.tag;
+    const prim = primaryLang(w.tag);
+    const same = avail.find(a => a === prim) || avail.find(a => primaryLang(a) === prim);
+    if (same) return same;
+  }
+  return '';
+}
+
+module.exports = {
+  LOCALES_FILE,
+  normalizeLang,
+  extractHreflang,
+  pageLocale,
+  localeAllowed,
+  buildLocaleGraph,
+  writeLocaleGraph,
+  loadLocaleIndex,
+  pickLocale
+};
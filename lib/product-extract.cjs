@@ -3,8 +3,11 @@
    - Open Graph product tags
    - OpenCart product pages (index.php?route=product/product&product_id=...)
    - OpenCart category listings (index.php?route=product/category&path=...)  <-- listing cards
+   Product pages also get options/variants (size, colour, per-variant SKU/price/stock) from
+   lib/product-variants.cjs.
 */
 const cheerio = require('cheerio');
+const { extractVariants } = require('./product-variants.cjs');
 
 function asArray(x){ return Array.isArray(x) ? x : (x!=null ? [x] : []); }
 function unwrap(x){
@@ -28,7 +31,10 @@ function readJSONLD($){
 function walkProducts(node, acc){
   if (!node || typeof node !== 'object') return;
   const t=node['@type']; const arr=t ? (Array.isArray(t)?t:[t]) : [];
-  if (arr.map(x=>String(x).toLowerCase()).includes('product')) acc.push(node);
+  const types=arr.map(x=>String(x).toLowerCase());
+  // A ProductGroup is one product; its hasVariant entries are variants, not more products
+  if (types.includes('productgroup')) { acc.push(node); return; }
+  if (types.includes('product')) acc.push(node);
   for (const k of Object.keys(node)){
     const v=node[k];
     if (Array.isArray(v)) v.forEach(ch=>walkProducts(ch,acc));
@@ -156,6 +162,21 @@ function extractProductsFromHTML(html, pageUrl){
   if (!products.length) products = fromOpenCartProduct($, pageUrl);
   if (!products.length) products = fromOpenCartCategory($, pageUrl);
 
+  // One product on a product page: attach its options/variants
+  if (products.length === 1 && products[0].source !== 'opencart-category'){
+    const p = products[0];
+    const v = extractVariants($, pageUrl, { basePrice: p.price });
+    if (v){
+      p.options = v.options;
+      p.variants = v.variants;
+      if (!p.price){
+        const prices = v.variants.map(x=>x.price).filter(x=>x!=null);
+        if (prices.length) p.price = String(Math.min(...prices));
+      }
+      if (!p.currency) p.currency = (v.variants.find(x=>x.currency)||{}).currency || '';
+    }
+  }
+
   const seen=new Set(); const out=[];
   for (const p of products){
     const key = (p.sku && p.sku.trim())
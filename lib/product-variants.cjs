@@ -0,0 +1,303 @@
+// lib/product-variants.cjs
+// Variants and options (size, colour, ...) of a captured product page, with per-variant SKU,
+// price, availability, stock and image. Sources, first match wins:
+//   - Shopify product JSON (embedded <script data-product-json>, or /products/<handle>.json|.js)
+//   - WooCommerce variations form (data-product_variations)
+//   - JSON-LD ProductGroup/Product hasVariant, or a Product with several offers
+//   - OpenCart option selects/radios (price modifiers on the base price, no per-variant SKU)
+//
+// Result: { source, options: [{ name, values }], variants: [{ sku, title, options: { Size: 'M' },
+//   option1, option2, option3, price, regularPrice, currency, available, availability, stock, image, gtin }] }
+// price/regularPrice are numbers or null; available is true/false/null (unknown).
+
+const cheerio = require('cheerio');
+
+const MAX_COMBINATIONS = 100;
+
+function asArray(x) { return Array.isArray(x) ? x : (x != null ? [x] : []); }
+function num(v) {
+  if (v == null || v === '') return null;
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  const s = String(v).replace(/[^\d.,-]/g, '');
+  const dec = Math.max(s.lastIndexOf('.'), s.lastIndexOf(','));
+  const n = dec > 0 && s.length - dec - 1 <= 2
+    ? Number(s.slice(0, dec).replace(/[.,]/g, '') + '.' + s.slice(dec + 1))
+    : Number(s.replace(/[.,]/g, ''));
+  return Number.isFinite(n) ? n : null;
+}
+function text(x) {
+  if (x == null) return '';
+  if (typeof x === 'string' || typeof x === 'number') return String(x).trim();
+  if (Array.isArray(x)) return x.map(text).filter(Boolean).join(', ');
+  if (typeof x === 'object') return text(x.name || x.value || x['@value'] || '');
+  return '';
+}
+function titleCase(s) { return String(s || '').replace(/[_-]+/g, ' ').trim().replace(/\b\w/g, c => c.toUpperCase()); }
+
+// schema.org availability URL/token -> { available, availability }
+function availabilityOf(v) {
+  const s = String(v || '').replace(/^.*[/#]/, '').toLowerCase();
+  if (!s) return { available: null, availability: '' };
+  if (/outofstock|soldout|discontinued/.test(s)) return { available: false, availability: 'out_of_stock' };
+  if (/preorder|presale/.test(s)) return { available: true, availability: 'preorder' };
+  if (/backorder/.test(s)) return { available: true, availability: 'backorder' };
+  if (/instock|limitedavailability|onlineonly|instoreonly/.test(s)) return { available: true, availability: 'in_stock' };
+  return { available: null, availability: s };
+}
+
+function variant(v) {
+  const opts = v.options || {};
+  const vals = Object.values(opts);
+  return {
+    sku: v.sku || '', title: v.title || vals.join(' / '), options: opts,
+    option1: vals[0] || '', option2: vals[1] || '', option3: vals[2] || '',
+    price: v.price != null ? v.price : null, regularPrice: v.regularPrice != null ? v.regularPrice : null,
+    currency: v.currency || '', available: v.available != null ? v.available : null,
+    availability: v.availability || (v.available === true ? 'in_stock' : v.available === false ? 'out_of_stock' : ''),
+    stock: v.stock != null && Number.isFinite(Number(v.stock)) ? Number(v.stock) : null,
+    image: v.image || '', gtin: v.gtin || ''
+  };
+}
+
+// Option list in first-seen order from the variants' option maps
+function optionsFrom(variants) {
+  const map = new Map();
+  for (const v of variants) {
+    for (const [name, value] of Object.entries(v.options || {})) {
+      if (!map.has(name)) map.set(name, []);
+      if (value && !map.get(name).includes(value)) map.get(name).push(value);
+    }
+  }
+  return [...map].map(([name, values]) => ({ name, values }));
+}
+
+function result(source, variants, options) {
+  const vs = variants.map(variant);
+  return { source, options: options || optionsFrom(vs), variants: vs };
+}
+
+/* ---------- Shopify ---------- */
+
+/**
+ * Variants from Shopify product JSON: /products/<handle>.json ({ product: {...} }, prices as
+ * "19.99") or .js / theme-embedded JSON (prices in cents).
+ */
+function fromShopifyProductJson(json) {
+  const p = json && (json.product || json);
+  if (!p || !Array.isArray(p.variants) || !p.variants.length) return null;
+  const names = asArray(p.options).map(o => (typeof o === 'string' ? o : o && o.name) || '').filter(Boolean);
+  const imagesById = new Map(asArray(p.images).filter(i => i && typeof i === 'object').map(i => [i.id, i.src]));
+  // .js/embedded JSON has integer cent prices; .json has decimal strings
+  const cents = p.variants.some(v => typeof v.price === 'number' && Number.isInteger(v.price)) && !p.variants.some(v => typeof v.price === 'string');
+  const money = (v) => { const n = num(v); return n == null ? null : (cents ? n / 100 : n); };
+  const abs = (u) => (u && String(u).startsWith('//') ? 'https:' + u : (u || ''));
+  const variants = p.variants.map(v => {
+    const options = {};
+    [v.option1, v.option2, v.option3].forEach((val, i) => { if (val != null && val !== '') options[names[i] || `Option${i + 1}`] = String(val); });
+    // Single-variant products carry the placeholder option "Title: Default Title"
+    if (Object.keys(options).length === 1 && options.Title === 'Default Title') delete options.Title;
+    const img = (v.featured_image && (v.featured_image.src || v.featured_image)) || imagesById.get(v.image_id) || '';
+    return {
+      sku: v.sku || '', title: v.title || v.public_title || '', options,
+      price: money(v.price), regularPrice: money(v.compare_at_price),
+      available: typeof v.available === 'boolean' ? v.available : (v.inventory_quantity != null ? v.inventory_quantity > 0 : null),
+      stock: v.inventory_quantity != null ? v.inventory_quantity : null,
+      image: abs(typeof img === 'string' ? img : ''), gtin: v.barcode || ''
+    };
+  });
+  if (variants.length === 1 && !Object.keys(variants[0].options).length) return null;
+  return result('shopify', variants);
+}
+
+function fromShopifyEmbedded($) {
+  const nodes = $('script[type="application/json"][data-product-json], script[type="application/json"][id^="ProductJson"], script[data-product-json]').toArray();
+  for (const el of nodes) {
+    try {
+      const r = fromShopifyProductJson(JSON.parse($(el).contents().text()));
+      if (r) return r;
+    } catch {}
+  }
+  return null;
+}
+
+/* ---------- WooCommerce ---------- */
+
+function fromWoo($) {
+  const form = $('form.variations_form').first();
+  if (!form.length) return null;
+  const labelOf = (attr) => {
+    const id = attr.replace(/^attribute_/, '');
+    const l = $(`label[for="${id}"]`).first().text().trim();
+    return l || titleCase(id.replace(/^pa_/, ''));
+  };
+  const valueLabel = (attr, slug) => {
+    const opt = form.find(`select[name="${attr}"] option`).filter((_, o) => $(o).attr('value') === slug).first();
+    return opt.length ? opt.text().trim() : slug;
+  };
+  const raw = form.attr('data-product_variations');
+  let list = null;
+  try { list = JSON.parse(raw); } catch {}
+  // data-product_variations="false": too many variations for inline JSON, options only
+  if (!Array.isArray(list) || !list.length) {
+    const options = form.find('select[name^="attribute_"]').toArray().map(s => ({
+      name: labelOf($(s).attr('name')),
+      values: $(s).find('option').toArray().map(o => $(o).attr('value') ? $(o).text().trim() : '').filter(Boolean)
+    })).filter(o => o.values.length);
+    return options.length ? { source: 'woocommerce', options, variants: [] } : null;
+  }
+  const variants = list.map(v => {
+    const options = {};
+    for (const [attr, slug] of Object.entries(v.attributes || {})) {
+      // "" means "any value" for that attribute
+      options[labelOf(attr)] = slug ? valueLabel(attr, slug) : '';
+    }
+    const img = v.image || {};
+    return {
+      sku: v.sku || '', options, price: num(v.display_price), regularPrice: num(v.display_regular_price),
+      available: typeof v.is_in_stock === 'boolean' ? v.is_in_stock : null,
+      stock: v.max_qty !== '' && v.max_qty != null ? v.max_qty : null,
+      image: img.full_src || img.url || img.src || '', gtin: v.global_unique_id || ''
+    };
+  });
+  return result('woocommerce', variants);
+}
+
+/* ---------- JSON-LD ---------- */
+
+const LD_OPTION_PROPS = ['color', 'size', 'material', 'pattern', 'suggestedGender', 'suggestedAge'];
+
+function offerOf(n) {
+  const o = asArray(n && (n.offers || n.offer))[0] || {};
+  const ps = asArray(o.priceSpecification)[0] || {};
+  const av = availabilityOf(o.availability);
+  return {
+    price: num(o.price != null ? o.price : (ps.price != null ? ps.price : o.lowPrice)),
+    currency: o.priceCurrency || ps.priceCurrency || '',
+    ...av,
+    stock: o.inventoryLevel && (o.inventoryLevel.value != null ? o.inventoryLevel.value : o.inventoryLevel)
+  };
+}
+
+function fromJsonLdNode(node) {
+  if (!node) return null;
+  const kids = asArray(node.hasVariant).filter(k => k && typeof k === 'object');
+  if (kids.length) {
+    let props = asArray(node.variesBy).map(v => String(v).replace(/^.*[/#]/, '')).filter(Boolean);
+    if (!props.length) props = LD_OPTION_PROPS.filter(p => new Set(kids.map(k => text(k[p])).filter(Boolean)).size > 1);
+    const variants = kids.map(k => {
+      const options = {};
+      for (const p of props) { const v = text(k[p]); if (v) options[titleCase(p)] = v; }
+      if (!Object.keys(options).length && k.name) options.Option = text(k.name);
+      return {
+        sku: text(k.sku), title: text(k.name), options, ...offerOf(k),
+        image: text(asArray(k.image)[0] && (asArray(k.image)[0].url || asArray(k.image)[0])), gtin: text(k.gtin13 || k.gtin || k.gtin12 || k.gtin14)
+      };
+    });
+    return result('jsonld', variants);
+  }
+  const offers = asArray(node.offers).filter(o => o && typeof o === 'object' && o['@type'] !== 'AggregateOffer');
+  if (offers.length > 1) {
+    const variants = offers.map(o => {
+      const item = o.itemOffered || {};
+      const label = text(o.name) || text(item.name) || text(o.sku);
+      return {
+        sku: text(o.sku || item.sku), title: label, options: label ? { Option: label } : {},
+        ...offerOf({ offers: o }), image: text(item.image), gtin: text(o.gtin13 || o.gtin || item.gtin13)
+      };
+    });
+    return result('jsonld', variants);
+  }
+  return null;
+}
+
+function jsonLdProducts($) {
+  const out = [];
+  const walk = (n) => {
+    if (!n || typeof n !== 'object') return;
+    if (Array.isArray(n)) { n.forEach(walk); return; }
+    const types = asArray(n['@type']).map(t => String(t).toLowerCase());
+    if (types.includes('productgroup') || types.includes('product')) { out.push(n); return; }
+    if (n['@graph']) walk(n['@graph']);
+  };
+  $('script[type="application/ld+json"]').each((_, el) => { try { walk(JSON.parse($(el).contents().text())); } catch {} });
+  // A ProductGroup describes the variants better than the Product it sits next to
+  return out.sort((a, b) => (asArray(b['@type']).includes('ProductGroup') ? 1 : 0) - (asArray(a['@type']).includes('ProductGroup') ? 1 : 0));
+}
+
+function fromJsonLd($) {
+  for (const n of jsonLdProducts($)) {
+    const r = fromJsonLdNode(n);
+    if (r) return r;
+  }
+  return null;
+}
+
+/* ---------- OpenCart ---------- */
+
+// "Large (+$5.00)" -> { label: 'Large', delta: 5 }
+function ocOption(textValue) {
+  const m = String(textValue || '').replace(/\s+/g, ' ').trim().match(/^(.*?)\s*\(\s*([+-])\s*([^)]*)\)\s*$/);
+  if (!m) return { label: String(textValue || '').replace(/\s+/g, ' ').trim(), delta: 0 };
+  const n = num(m[3]);
+  return { label: m[1].trim(), delta: n == null ? 0 : (m[2] === '-' ? -n : n) };
+}
+
+function fromOpenCart($, basePrice) {
+  const root = $('#product').length ? $('#product') : $('#content');
+  const groups = [];
+  root.find('select[name^="option["]').each((_, s) => {
+    const id = $(s).attr('id') || '';
+    const name = (id && root.find(`label[for="${id}"]`).first().text().trim()) || $(s).closest('.form-group').find('label').first().text().trim() || 'Option';
+    const values = $(s).find('option').toArray().filter(o => $(o).attr('value')).map(o => ocOption($(o).text()));
+    if (values.length) groups.push({ name: name.replace(/\s*\*\s*$/, ''), values });
+  });
+  const radios = new Map();
+  root.find('input[type="radio"][name^="option["]').each((_, r) => {
+    const nm = $(r).attr('name');
+    const label = $(r).closest('label').text() || $(r).parent().text();
+    if (!radios.has(nm)) {
+      const fg = $(r).closest('.form-group');
+      radios.set(nm, { name: (fg.find('label.control-label').first().text() || fg.children('label').first().text()).trim() || 'Option', values: [] });
+    }
+    radios.get(nm).values.push(ocOption(label));
+  });
+  for (const g of radios.values()) if (g.values.length) groups.push({ name: g.name.replace(/\s*\*\s*$/, ''), values: g.values });
+  if (!groups.length) return null;
+  const options = groups.map(g => ({ name: g.name, values: g.values.map(v => v.label) }));
+  // Every combination, when that stays small; otherwise only the option lists
+  const total = groups.reduce((n, g) => n * g.values.length, 1);
+  if (total > MAX_COMBINATIONS) return { source: 'opencart', options, variants: [] };
+  let combos = [{ options: {}, delta: 0 }];
+  for (const g of groups) {
+    combos = combos.flatMap(c => g.values.map(v => ({ options: { ...c.options, [g.name]: v.label }, delta: c.delta + v.delta })));
+  }
+  const base = num(basePrice);
+  return result('opencart', combos.map(c => ({ options: c.options, price: base != null ? Math.round((base + c.delta) * 100) / 100 : null })), options);
+}
+
+/**
+ * Variants of the product on a captured page. `html` may be a string or a loaded cheerio root.
+ * Options: basePrice (OpenCart modifiers), shopifyJson (fetched /products/<handle>.json).
+ * Returns null when the page shows no options.
+ */
+function extractVariants(html, pageUrl, { basePrice = null, shopifyJson = null } = {}) {
+  let $;
+  try { $ = typeof html === 'function' ? html : cheerio.load(String(html || '')); } catch { return null; }
+  return (shopifyJson && fromShopifyProductJson(shopifyJson))
+    || fromShopifyEmbedded($)
+    || fromWoo($)
+    || fromJsonLd($)
+    || fromOpenCart($, basePrice);
+}
+
+/** Shopify product page URL -> its /products/<handle>.json URL (null for other pages). */
+function shopifyJsonUrl(html, pageUrl) {
+  try {
+    const u = new URL(pageUrl);
+    const m = u.pathname.match(/^(.*\/products\/[^/]+?)(?:\.(?:json|js))?\/?$/);
+    if (!m || !/cdn\.shopify\.com|Shopify\.shop|shopify-features/i.test(String(html || ''))) return null;
+    return u.origin + m[1] + '.json';
+  } catch { return null; }
+}
+
+module.exports = { extractVariants, fromShopifyProductJson, shopifyJsonUrl, availabilityOf };
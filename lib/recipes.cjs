@@ -0,0 +1,328 @@
+// lib/recipes.cjs
+// Site recipes: named, versioned run configurations ("the settings that work for site X").
+// A recipe holds values for SETTINGS_CONFIG (lib/settings.cjs) grouped by category:
+//   { name, version, description, site, settings: { capture:{ profiles, ... }, consent:{ consentButtonTexts:[...] },
+//     selectors:{ ... }, discovery:{ ... }, network:{ proxies:[...] }, transforms:{ steps:[...] } } }
+// Only the values a recipe sets are applied; everything else keeps its usual default.
+// Store: <dir>/<name>/v<N>.json (SITE_RECIPES_DIR, default site-recipes/); saving a changed recipe adds a version.
+// Every run records the recipe it used in <runDir>/site-recipe.json (with the ref and a settings hash).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SETTINGS_CONFIG } = require('./settings.cjs');
+const { normalizeRecipe: normalizeTransforms } = require('../transform.cjs');
+
+const RUN_RECIPE_FILE = 'site-recipe.json';
+const RECIPES_DIR = process.env.SITE_RECIPES_DIR ? path.resolve(process.env.SITE_RECIPES_DIR) : path.join(__dirname, '..', 'site-recipes');
+const NAME_RE = /^[a-z0-9][a-z0-9._-]{0,63}$/;
+// categories the GUI sends as crawlOptions instead of capture options
+const CRAWL_CATEGORIES = ['crawl'];
+
+/** JSON Schema (2020-12) for recipe files, generated from SETTINGS_CONFIG */
+function recipeSchema() {
+  const settings = {};
+  for (const [cat, keys] of Object.entries(SETTINGS_CONFIG)) {
+    const props = {};
+    for (const [key, def] of Object.entries(keys)) {
+      const p = { description: def.tooltip, default: def.default };
+      if (def.type === 'number') Object.assign(p, { type: 'number' }, def.min != null ? { minimum: def.min } : {}, def.max != null ? { maximum: def.max } : {});
+      else if (def.type === 'boolean') p.type = 'boolean';
+      else if (def.type === 'select') Object.assign(p, { type: 'string', enum: def.options });
+      else if (def.type === 'regex') Object.assign(p, { type: 'string', format: 'regex' });
+      else if (def.type === 'list') Object.assign(p, { type: 'array', items: { type: 'string' } });
+      else if (def.type === 'steps') Object.assign(p, { type: 'array', items: { type: 'object', required: ['type'], properties: { type: { type: 'string' } } } });
+      else p.type = 'string';
+      if (def.env) p['x-env'] = def.env;
+      props[key] = p;
+    }
+    settings[cat] = { type: 'object', additionalProperties: false, properties: props };
+  }
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: 'site-recipe.schema.json',
+    title: 'Site recipe',
+    type: 'object',
+    required: ['name', 'settings'],
+    properties: {
+      name: { type: 'string', pattern: NAME_RE.source },
+      version: { type: 'integer', minimum: 1, description: 'Assigned by the store on save' },
+      description: { type: 'string' },
+      site: { type: 'string', description: 'Host the recipe was made for (informational)' },
+      settings: { type: 'object', additionalProperties: false, properties: settings }
+    }
+  };
+}
+
+function checkValue(def, v, where) {
+  switch (def.type) {
+    case 'number': {
+      const n = typeof v === 'string' && v.trim() !== '' ? Number(v) : v;
+      if (typeof n !== 'number' || !Number.isFinite(n)) throw new Error(`${where}: expected a number`);
+      if (def.min != null && n < def.min) throw new Error(`${where}: must be >= ${def.min}`);
+      if (def.max != null && n > def.max) throw new Error(`${where}: must be <= ${def.max}`);
+      return n;
+    }
+    case 'boolean':
+      if (typeof v === 'boolean') return v;
+      if (/^(true|false)$/i.test(String(v))) return /^true$/i.test(String(v));
+      throw new Error(`${where}: expected true or false`);
+    case 'select':
+      if (!def.options.includes(String(v))) throw new Error(`${where}: must be one of ${def.options.join(', ')}`);
+      return String(v);
+    case 'regex':
+      try { new RegExp(String(v)); } catch (e) { throw new Error(`${where}: ${e.message}`); }
+      return String(v);
+    case 'list': {
+      const arr = Array.isArray(v) ? v : String(v).split(/\r?\n|,/);
+      if (arr.some(x => typeof x === 'object')) throw new Error(`${where}: expected a list of strings`);
+      return arr.map(x => String(x).trim()).filter(Boolean);
+    }
+    case 'steps':
+      try { return normalizeTransforms({ steps: Array.isArray(v) ? v : [] }).steps; }
+      catch (e) { throw new Error(`${where}: ${e.message}`); }
+    default:
+      if (typeof v === 'object') throw new Error(`${where}: expected text`);
+      return String(v);
+  }
+}
+
+/** Validate and normalize a recipe; throws with every problem listed. */
+function validateRecipe(input) {
+  const r = input || {};
+  const errors = [];
+  const name = String(r.name || '').trim().toLowerCase();
+  if (!NAME_RE.test(name)) errors.push('name: 1-64 characters of a-z 0-9 . _ - (starting with a letter or digit)');
+  const settings = {};
+  const given = r.settings && typeof r.settings === 'object' ? r.settings : {};
+  if (r.settings != null && (typeof r.settings !== 'object' || Array.isArray(r.settings))) errors.push('settings: expected an object');
+  for (const [cat, values] of Object.entries(given)) {
+    const defs = SETTINGS_CONFIG[cat];
+    if (!defs) { errors.push(`settings.${cat}: unknown category (${Object.keys(SETTINGS_CONFIG).join(', ')})`); continue; }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) { errors.push(`settings.${cat}: expected an object`); continue; }
+    for (const [key, v] of Object.entries(values)) {
+      const where = `settings.${cat}.${key}`;
+      if (!defs[key]) { errors.push(`${where}: unknown setting`); continue; }
+      if (v == null || v === '') continue;
+      try { (settings[cat] = settings[cat] || {})[key] = checkValue(defs[key], v, where); }
+      catch (e) { errors.push(e.message); }
+    }
+  }
+  for (const [i, p] of ((settings.network && settings.network.proxies) || []).entries()) {
+    try { parseProxyToObject(p); } catch (e) { errors.push(`settings.network.proxies[${i}]: ${e.message}`); }
+  }
+  if (errors.length) throw new Error('invalid recipe: ' + errors.join('; '));
+  const out = { name, description: String(r.description || '').slice(0, 500), settings };
+  if (r.site) out.site = String(r.site).slice(0, 200);
+  return out;
+}
+
+// Parse proxy string host:port[:user:pass] or http(s)://user:pass@host:port -> {server,username,password}
+function parseProxyToObject(input){
+  const s=String(input||'').trim(); if(!s) throw new Error('empty proxy');
+  let urlStr=s;
+  if(!/^https?:\/\//i.test(urlStr)){
+    // support user:pass@host:port and host:port or host:port:user:pass
+    if(/^[^@]+@/.test(urlStr)) urlStr='http://'+urlStr; // user:pass@host:port
+    else if(/^[^:]+:[0-9]+:[^:]+:.+/.test(urlStr)){
+      const [host,port,user,pass]=urlStr.split(':');
+      return { server:`http://${host}:${port}`, username:user, password:pass };
+    } else {
+      urlStr='http://'+urlStr; // host:port
+    }
+  }
+  const u=new URL(urlStr);
+  return { server:`${u.protocol}//${u.hostname}:${u.port}`, username:decodeURIComponent(u.username||''), password:decodeURIComponent(u.password||'') };
+}
+
+const SECRET_MASK = '***';
+
+// Proxy string with its credentials replaced by SECRET_MASK (unparseable entries are masked whole)
+function maskProxy(p) {
+  try {
+    const o = parseProxyToObject(p);
+    if (!o.username && !o.password) return String(p).trim();
+    return o.server.replace('://', `://${SECRET_MASK}:${SECRET_MASK}@`);
+  } catch { return SECRET_MASK; }
+}
+
+/** Copy of a recipe with proxy credentials masked, for roles that may not read them. */
+function maskRecipeSecrets(recipe) {
+  const net = recipe && recipe.settings && recipe.settings.network;
+  if (!net || !Array.isArray(net.proxies)) return recipe;
+  return { ...recipe, settings: { ...recipe.settings, network: { ...net, proxies: net.proxies.map(maskProxy) } } };
+}
+
+/**
+ * Put back the credentials of masked proxies (as sent by maskRecipeSecrets) from the stored
+ * recipe, so saving an edited recipe does not overwrite them with the mask.
+ */
+function restoreRecipeSecrets(recipe, stored) {
+  const net = recipe && recipe.settings && recipe.settings.network;
+  const prev = stored && stored.settings && stored.settings.network && stored.settings.network.proxies;
+  if (!net || !Array.isArray(net.proxies) || !Array.isArray(prev)) return recipe;
+  const byMask = new Map(prev.map(p => [maskProxy(p), p]));
+  const proxies = net.proxies.map(p => (String(p).includes(SECRET_MASK) && byMask.has(String(p).trim())) ? byMask.get(String(p).trim()) : p);
+  return { ...recipe, settings: { ...recipe.settings, network: { ...net, proxies } } };
+}
+
+/**
+ * "name" or "name@3" -> { name, version }. A path to a .json file -> { file }, but only with
+ * allowFile (archiver.cjs --recipe); the GUI and its schedules refer to store names only.
+ */
+function parseRecipeRef(ref, { allowFile = false } = {}) {
+  const s = String(ref || '').trim();
+  if (!s) throw new Error('recipe reference required');
+  if (/\.json$/i.test(s) || s.includes('/') || s.includes('\\')) {
+    if (!allowFile) throw new Error('bad recipe reference (expected NAME or NAME@VERSION)');
+    return { file: path.resolve(s) };
+  }
+  const m = /^([^@]+)(?:@v?(\d+))?$/.exec(s);
+  const name = m && m[1].toLowerCase();
+  if (!m || !NAME_RE.test(name)) throw new Error(`bad recipe reference (expected NAME or NAME@VERSION${allowFile ? ' or file.json' : ''})`);
+  return { name, version: m[2] ? parseInt(m[2], 10) : null };
+}
+
+function settingsHash(recipe) {
+  return crypto.createHash('sha256').update(JSON.stringify(recipe.settings || {})).digest('hex').slice(0, 16);
+}
+
+/** Archiver environment for a recipe ({ VAR: 'value' }); settings without an env name are skipped. */
+function recipeEnv(recipe) {
+  const env = {};
+  for (const [cat, values] of Object.entries((recipe && recipe.settings) || {})) {
+    for (const [key, v] of Object.entries(values)) {
+      const def = SETTINGS_CONFIG[cat] && SETTINGS_CONFIG[cat][key];
+      if (!def || !def.env) continue;
+      env[def.env] = Array.isArray(v) ? v.join(',') : String(v);
+    }
+  }
+  return env;
+}
+
+/**
+ * GUI run options for a recipe: { options, crawlOptions, proxies, transforms }.
+ * Lists become the comma-separated strings buildArchiverEnv expects.
+ */
+function recipeOptions(recipe) {
+  const out = { options: {}, crawlOptions: {}, proxies: [], transforms: [] };
+  for (const [cat, values] of Object.entries((recipe && recipe.settings) || {})) {
+    for (const [key, v] of Object.entries(values)) {
+      if (cat === 'network' && key === 'proxies') { out.proxies = v; continue; }
+      if (cat === 'transforms' && key === 'steps') { out.transforms = v; continue; }
+      const target = CRAWL_CATEGORIES.includes(cat) ? out.crawlOptions : out.options;
+      target[key] = Array.isArray(v) ? v.join(',') : v;
+    }
+  }
+  return out;
+}
+
+/** Record the recipe a run used (<runDir>/site-recipe.json). */
+function writeRunRecipe(runDir, recipe, ref) {
+  const snap = { ...recipe, ref: String(ref || recipe.name || ''), hash: settingsHash(recipe), appliedAt: new Date().toISOString() };
+  fs.mkdirSync(runDir, { recursive: true });
+  fs.writeFileSync(path.join(runDir, RUN_RECIPE_FILE), JSON.stringify(snap, null, 2));
+  return snap;
+}
+
+function readRunRecipe(runDir) {
+  try { return JSON.parse(fs.readFileSync(path.join(runDir, RUN_RECIPE_FILE), 'utf8')); } catch { return null; }
+}
+
+/**
+ * createRecipeStore(dir) -> { list, versions, load, save, remove }
+ *  - save(recipe) validates and stores a new version when settings/description changed
+ *    (an unchanged recipe returns the latest version, { unchanged:true })
+ *  - load(ref, { allowFile }) accepts name or name@version, and a recipe file path with allowFile
+ */
+function createRecipeStore(dir) {
+  const recipeDir = (name) => path.join(dir, name);
+  const versionFile = (name, v) => path.join(recipeDir(name), `v${v}.json`);
+
+  function versionNumbers(name) {
+    if (!NAME_RE.test(name)) return [];
+    let files = [];
+    try { files = fs.readdirSync(recipeDir(name)); } catch {}
+    return files.map(f => (/^v(\d+)\.json$/.exec(f) || [])[1]).filter(Boolean).map(Number).sort((a, b) => a - b);
+  }
+
+  function readVersion(name, v) {
+    return JSON.parse(fs.readFileSync(versionFile(name, v), 'utf8'));
+  }
+
+  function list() {
+    let names = [];
+    try { names = fs.readdirSync(dir).filter(n => NAME_RE.test(n) && fs.statSync(recipeDir(n)).isDirectory()); } catch {}
+    return names.map(name => {
+      const vs = versionNumbers(name);
+      if (!vs.length) return null;
+      const r = readVersion(name, vs[vs.length - 1]);
+      return { name, version: r.version, versions: vs.length, description: r.description || '', site: r.site || '', updatedAt: r.savedAt, hash: settingsHash(r) };
+    }).filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  function versions(name) {
+    return versionNumbers(String(name).toLowerCase()).map(v => {
+      const r = readVersion(String(name).toLowerCase(), v);
+      return { version: v, savedAt: r.savedAt, savedBy: r.savedBy || '', note: r.note || '', hash: settingsHash(r) };
+    });
+  }
+
+  function load(ref, { allowFile = false } = {}) {
+    const p = parseRecipeRef(ref, { allowFile });
+    if (p.file) {
+      let text, raw;
+      try { text = fs.readFileSync(p.file, 'utf8'); } catch (e) { throw new Error(`cannot read recipe ${p.file}: ${e.code || 'read error'}`); }
+      // JSON.parse messages quote the file's content; keep that out of the error
+      try { raw = JSON.parse(text); } catch { throw new Error(`cannot read recipe ${p.file}: not valid JSON`); }
+      return { ...validateRecipe(raw), version: raw.version || null, file: p.file };
+    }
+    const vs = versionNumbers(p.name);
+    if (!vs.length) throw new Error(`recipe "${p.name}" not found`);
+    const v = p.version || vs[vs.length - 1];
+    if (!vs.includes(v)) throw new Error(`recipe "${p.name}" has no version ${v} (1-${vs[vs.length - 1]})`);
+    return readVersion(p.name, v);
+  }
+
+  function save(input, { savedBy = '', note = '' } = {}) {
+    const r = validateRecipe(input);
+    const vs = versionNumbers(r.name);
+    const latest = vs.length ? readVersion(r.name, vs[vs.length - 1]) : null;
+    if (latest && settingsHash(latest) === settingsHash(r) && (latest.description || '') === r.description && (latest.site || '') === (r.site || '')) {
+      return { ...latest, unchanged: true };
+    }
+    const doc = { ...r, version: (vs[vs.length - 1] || 0) + 1, savedAt: new Date().toISOString(), savedBy, note: String(note || '').slice(0, 200) };
+    fs.mkdirSync(recipeDir(r.name), { recursive: true });
+    const tmp = versionFile(r.name, doc.version) + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(doc, null, 2));
+    fs.renameSync(tmp, versionFile(r.name, doc.version));
+    return doc;
+  }
+
+  function remove(name) {
+    const n = String(name || '').toLowerCase();
+    if (!versionNumbers(n).length) return false;
+    fs.rmSync(recipeDir(n), { recursive: true, force: true });
+    return true;
+  }
+
+  return { dir, list, versions, load, save, remove };
+}
+
+module.exports = {
+  RUN_RECIPE_FILE,
+  RECIPES_DIR,
+  recipeSchema,
+  validateRecipe,
+  parseRecipeRef,
+  settingsHash,
+  parseProxyToObject,
+  recipeEnv,
+  recipeOptions,
+  maskProxy,
+  maskRecipeSecrets,
+  restoreRecipeSecrets,
+  writeRunRecipe,
+  readRunRecipe,
+  createRecipeStore
+};
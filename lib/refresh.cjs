@@ -0,0 +1,199 @@
+// lib/refresh.cjs
+// Conditional re-capture support for archiver.cjs REFRESH mode.
+//
+// Every capture record carries `validators` ({ etag, lastModified, bodyHash }) for the
+// main document and index.json lists `criticalAssets` (CSS/JS with their validators).
+// planRefresh() revisits those URLs with If-None-Match / If-Modified-Since and decides
+// per page whether it is added, changed, unchanged or gone.
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+function sha1(buf) { return crypto.createHash('sha1').update(buf).digest('hex'); }
+
+function pickValidators(headers) {
+  const h = headers || {};
+  const out = {};
+  if (h.etag) out.etag = String(h.etag);
+  if (h['last-modified']) out.lastModified = String(h['last-modified']);
+  return out;
+}
+
+/**
+ * GET `url` with conditional headers built from `validators`, following up to
+ * opts.maxRedirects (5) redirects. Resolves { ok, status, etag, lastModified, hash, finalUrl }
+ * for the last response (never rejects). The body is requested without content-encoding
+ * so `hash` matches the decoded body hash recorded at capture time.
+ * opts.scheduler (lib/host-scheduler.cjs): every request waits for a host slot, and one that
+ * robots.txt disallows is not made ({ ok: false, disallowed: true }).
+ */
+async function conditionalGet(url, validators = {}, opts = {}) {
+  const { maxRedirects = 5, scheduler = null } = opts;
+  let res;
+  for (let hop = 0; ; hop++) {
+    const release = scheduler ? await scheduler.acquire(url) : null;
+    if (scheduler && !release) return { ok: false, status: 0, error: 'robots.txt disallows', disallowed: true, finalUrl: url };
+    const t0 = Date.now();
+    res = await requestOnce(url, validators, opts);
+    if (release) release({ status: res.status, durationMs: Date.now() - t0 });
+    const redirect = res.ok && res.status >= 300 && res.status < 400 && res.status !== 304 && res.location;
+    if (!redirect || hop >= maxRedirects) break;
+    try { url = new URL(res.location, url).href; } catch { break; }
+  }
+  return { ...res, finalUrl: url };
+}
+
+function requestOnce(url, validators, opts) {
+  const { timeoutMs = 15000, agent = null, ua = 'Mozilla/5.0 (ArchiverRefresh)' } = opts;
+  return new Promise((resolve) => {
+    let U;
+    try { U = new URL(url); } catch { return resolve({ ok: false, status: 0, error: 'bad url' }); }
+    const mod = U.protocol === 'https:' ? https : http;
+    const headers = {
+      'User-Agent': ua,
+      'Accept': '*/*',
+      'Accept-Encoding': 'identity'
+    };
+    if (validators.etag) headers['If-None-Match'] = validators.etag;
+    if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+    const req = mod.request({
+      hostname: U.hostname,
+      port: U.port || (U.protocol === 'https:' ? 443 : 80),
+      path: (U.pathname || '/') + (U.search || ''),
+      method: 'GET',
+      headers,
+      agent: agent || undefined,
+      timeout: timeoutMs
+    }, (res) => {
+      const status = res.statusCode || 0;
+      const v = pickValidators(res.headers);
+      if (status === 304 || status >= 300) {
+        res.resume();
+        return resolve({ ok: true, status, location: res.headers.location || null, ...v });
+      }
+      const chunks = [];
+      res.on('data', c => chunks.push(c));
+      res.on('end', () => resolve({ ok: true, status, hash: sha1(Buffer.concat(chunks)), ...v }));
+      res.on('error', e => resolve({ ok: false, status, error: e.message }));
+    });
+    req.on('timeout', () => { try { req.destroy(new Error('timeout')); } catch {} });
+    req.on('error', e => resolve({ ok: false, status: 0, error: e.message }));
+    req.end();
+  });
+}
+
+function stripHash(u) { return String(u || '').split('#')[0]; }
+
+// Compare a fresh 200 response against what was stored at capture time.
+function sameAsStored(res, stored) {
+  if (!stored) return false;
+  if (stored.etag && res.etag) return stored.etag === res.etag;
+  if (stored.lastModified && res.lastModified) return stored.lastModified === res.lastModified;
+  if (stored.bodyHash && res.hash) return stored.bodyHash === res.hash;
+  return false;
+}
+
+function readPageIndex(outDir, rec) {
+  if (!rec || !rec.localPath) return null;
+  try { return JSON.parse(fs.readFileSync(path.join(outDir, String(rec.localPath), 'index.json'), 'utf8')); } catch { return null; }
+}
+
+async function pool(items, n, fn) {
+  let i = 0;
+  const workers = Array.from({ length: Math.max(1, n) }, async () => {
+    while (i < items.length) { const it = items[i++]; await fn(it); }
+  });
+  await Promise.all(workers);
+}
+
+/**
+ * Decide which pages need to be rendered again.
+ *
+ * priorRecords: Map(url+profile key -> record) from lib/run-state.cjs loadCaptureState()
+ * urls: URLs scheduled for this run (new ones are reported as added)
+ * opts: { concurrency, log, scheduler, agent, ua, timeoutMs }; with a scheduler the checks keep to
+ * the same per-host limits, delays and robots.txt rules as page captures
+ *
+ * Returns { decisions: Map(url -> { state, reason, status }), report }.
+ */
+async function planRefresh(outDir, priorRecords, urls, opts = {}) {
+  const { concurrency = 6, log = () => {} } = opts;
+  const byUrl = new Map();
+  for (const rec of priorRecords.values()) {
+    if (!rec || !rec.url) continue;
+    const cur = byUrl.get(rec.url);
+    // Prefer the desktop record (it carries the canonical validators)
+    if (!cur || (rec.profile === 'desktop' && cur.profile !== 'desktop')) byUrl.set(rec.url, rec);
+  }
+  const all = Array.from(new Set([...(urls || []), ...byUrl.keys()]));
+  const decisions = new Map();
+  const assetChecks = new Map(); // asset url -> Promise<boolean changed>
+
+  function assetChanged(a) {
+    if (!assetChecks.has(a.url)) {
+      assetChecks.set(a.url, conditionalGet(a.url, a, opts).then(r => {
+        if (!r.ok) return false; // unreachable asset: keep the archived copy
+        if (r.status === 304) return false;
+        if (r.status === 200) return !sameAsStored(r, a);
+        return r.status === 404 || r.status === 410;
+      }));
+    }
+    return assetChecks.get(a.url);
+  }
+
+  await pool(all, concurrency, async (url) => {
+    const prior = byUrl.get(url);
+    if (!prior || !String(prior.status || '').startsWith('ok')) {
+      decisions.set(url, { state: prior ? 'changed' : 'added', reason: prior ? 'previousFailure' : 'new' });
+      return;
+    }
+    const stored = prior.validators || {};
+    const res = await conditionalGet(url, stored, opts);
+    // not ours to fetch: keep the archived copy (the capture would skip it too)
+    if (res.disallowed) { decisions.set(url, { state: 'unchanged', reason: 'robotsDisallowed' }); return; }
+    if (!res.ok) { decisions.set(url, { state: 'changed', reason: 'checkFailed:' + (res.error || ''), status: res.status }); return; }
+    if (res.status === 404 || res.status === 410) { decisions.set(url, { state: 'gone', reason: 'http' + res.status, status: res.status }); return; }
+    // Validators belong to the URL the page finally landed on; a new redirect target is a change
+    const landed = stripHash(prior.finalURL || url);
+    if ((res.status >= 300 && res.status < 400 && res.status !== 304) || stripHash(res.finalUrl) !== landed) {
+      decisions.set(url, { state: 'changed', reason: 'redirect', status: res.status });
+      return;
+    }
+    if (res.status !== 304 && !sameAsStored(res, stored)) {
+      decisions.set(url, { state: 'changed', reason: (stored.etag || stored.lastModified || stored.bodyHash) ? 'html' : 'noValidators', status: res.status });
+      return;
+    }
+    const idx = readPageIndex(outDir, prior);
+    const crit = (idx && Array.isArray(idx.criticalAssets)) ? idx.criticalAssets : [];
+    for (const a of crit) {
+      if (a && a.url && await assetChanged(a)) {
+        decisions.set(url, { state: 'changed', reason: 'asset:' + a.url, status: res.status });
+        return;
+      }
+    }
+    decisions.set(url, { state: 'unchanged', reason: res.status === 304 ? 'notModified' : 'sameValidators', status: res.status });
+  });
+
+  const report = { createdAt: new Date().toISOString(), counts: { added: 0, changed: 0, unchanged: 0, gone: 0 }, added: [], changed: [], unchanged: [], gone: [] };
+  for (const [url, d] of decisions) {
+    report.counts[d.state]++;
+    if (d.state === 'unchanged' || d.state === 'added') report[d.state].push(url);
+    else report[d.state].push({ url, reason: d.reason, status: d.status ?? null });
+  }
+  for (const k of ['added', 'changed', 'unchanged', 'gone']) {
+    report[k].sort((a, b) => String(a.url || a).localeCompare(String(b.url || b)));
+  }
+  log('[REFRESH_PLAN]', report.counts, 'assetsChecked=' + assetChecks.size);
+  return { decisions, report };
+}
+
+function writeChangeReport(outDir, report) {
+  const file = path.join(outDir, 'changes.json');
+  fs.writeFileSync(file, JSON.stringify(report, null, 2));
+  return file;
+}
+
+module.exports = { conditionalGet, pickValidators, planRefresh, writeChangeReport };
@@ -0,0 +1,61 @@
+// lib/replay-harness.cjs
+// Boot server.cjs against a run directory for offline checks (tools/visual-diff.cjs,
+// validate-replay.cjs). The server is a child process owned by the caller: stop() kills
+// exactly that pid.
+
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const SERVER = path.join(__dirname, '..', 'server.cjs');
+
+/** Ask the OS for a free TCP port on 127.0.0.1. */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.unref();
+    srv.on('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start server.cjs for `runDir`. Resolves { child, port, origin, stop() } once it logs
+ * "Listening". Live fetch-and-cache and WARC replay are off by default so only the
+ * archived files answer; pass `env` to override.
+ */
+async function startArchiveServer(runDir, { port, env = {}, timeoutMs = 20000, log = () => {} } = {}) {
+  const p = port || await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, ARCHIVE_ROOT: runDir, PORT: String(p), DISABLE_FETCH_CACHE: 'true', REPLAY_WARC: 'false', ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => { try { child.kill(); } catch {} reject(new Error('server did not start within ' + Math.round(timeoutMs / 1000) + 's')); }, timeoutMs);
+    const onExit = (code) => { clearTimeout(timer); reject(new Error('server exited with code ' + code)); };
+    child.stdout.on('data', d => {
+      const s = String(d);
+      log(s);
+      if (/Listening on/.test(s)) { clearTimeout(timer); child.removeListener('exit', onExit); resolve(); }
+    });
+    child.stderr.on('data', d => log(String(d)));
+    child.on('exit', onExit);
+  });
+  return {
+    child,
+    port: p,
+    origin: 'http://127.0.0.1:' + p,
+    stop() {
+      if (child.exitCode != null) return Promise.resolve();
+      return new Promise(resolve => {
+        child.once('exit', () => resolve());
+        try { child.kill(); } catch { resolve(); }
+      });
+    }
+  };
+}
+
+module.exports = { freePort, startArchiveServer };
@@ -0,0 +1,142 @@
+// lib/run-state.cjs
+// Rebuild the capture state of an existing run directory so an interrupted
+// archiver run can be resumed: previously captured pages are skipped and only
+// failures (or never-attempted URLs) are rendered again.
+//
+// Sources, in increasing order of precedence:
+//  - <rel>/<profile>/index.json files written next to every captured page
+//  - manifest.json from an earlier completed run
+//  - manifest.partial.jsonl (appended after every capture; last line wins)
+
+const fs = require('fs');
+const path = require('path');
+
+const SKIP_DIRS = new Set(['assets', '_ext', '_crawl', '_plan', '_commerce', 'catalog', 'node_modules']);
+
+function recordKey(url, profile) {
+  return String(url || '') + '\u0000' + String(profile || '');
+}
+
+function isCapturedOk(rec) {
+  return !!rec && String(rec.status || '').startsWith('ok');
+}
+
+function readPartialManifest(outDir) {
+  const file = path.join(outDir, 'manifest.partial.jsonl');
+  if (!fs.existsSync(file)) return [];
+  const out = [];
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try { const rec = JSON.parse(line); if (rec && rec.url) out.push(rec); } catch {}
+  }
+  return out;
+}
+
+function readFinalManifest(outDir) {
+  const file = path.join(outDir, 'manifest.json');
+  if (!fs.existsSync(file)) return [];
+  try {
+    const arr = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(arr) ? arr.filter(r => r && r.url) : [];
+  } catch { return []; }
+}
+
+// Walk the run tree for per-page index.json metadata. Only files that look like
+// page records (url + profile + localPath) are considered.
+function scanPageIndexes(outDir) {
+  const out = [];
+  (function walk(dir, depth) {
+    if (depth > 24) return;
+    let entries;
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch { return; }
+    for (const e of entries) {
+      if (e.isDirectory()) {
+        if (e.name.startsWith('.') || (depth === 0 && SKIP_DIRS.has(e.name))) continue;
+        walk(path.join(dir, e.name), depth + 1);
+      } else if (e.isFile() && e.name === 'index.json') {
+        try {
+          const j = JSON.parse(fs.readFileSync(path.join(dir, e.name), 'utf8'));
+          if (!j || !j.url || !j.profile || !j.localPath) continue;
+          // index.json is only written after a successful render
+          out.push({
+            url: j.url,
+            relPath: j.relPath,
+            localPath: j.localPath,
+            profile: j.profile,
+            status: j.status || 'ok',
+            mainStatus: j.mainStatus ?? null,
+            finalURL: j.finalURL || null,
+            assets: 0,
+            rawUsed: false,
+            reasons: Array.isArray(j.reasons) ? j.reasons : [],
+            code: j.code || undefined,
+            timings: j.timings || undefined,
+            durationMs: j.durationMs || 0,
+            validators: j.validators || undefined
+          });
+        } catch {}
+      }
+    }
+  })(outDir, 0);
+  return out;
+}
+
+/**
+ * Load everything known about previous captures of a run.
+ * Returns Map(recordKey(url, profile) -> record).
+ */
+function loadCaptureState(outDir) {
+  const state = new Map();
+  const put = (rec) => {
+    const key = recordKey(rec.url, rec.profile);
+    const prev = state.get(key);
+    // Never let a later failure hide an earlier successful capture on disk
+    if (prev && isCapturedOk(prev) && !isCapturedOk(rec)) {
+      const htmlPath = path.join(outDir, String(prev.localPath || ''), 'index.html');
+      if (prev.localPath && fs.existsSync(htmlPath)) return;
+    }
+    state.set(key, rec);
+  };
+  for (const rec of scanPageIndexes(outDir)) put(rec);
+  for (const rec of readFinalManifest(outDir)) put(rec);
+  for (const rec of readPartialManifest(outDir)) put(rec);
+  return state;
+}
+
+/**
+ * Profiles of `url` that already have an ok* record and an index.html on disk.
+ */
+function capturedProfiles(state, outDir, url, profiles) {
+  const done = new Set();
+  for (const p of profiles) {
+    const rec = state.get(recordKey(url, p));
+    if (!isCapturedOk(rec)) continue;
+    if (rec.localPath && !fs.existsSync(path.join(outDir, String(rec.localPath), 'index.html'))) continue;
+    done.add(p);
+  }
+  return done;
+}
+
+/**
+ * Merge previous records with fresh ones (fresh wins per url+profile) and sort
+ * the way archiver.cjs writes manifest.json.
+ */
+function mergeManifest(previous, fresh) {
+  const map = new Map();
+  for (const rec of previous || []) map.set(recordKey(rec.url, rec.profile), rec);
+  for (const rec of fresh || []) map.set(recordKey(rec.url, rec.profile), rec);
+  return [...map.values()].sort((a, b) => (a.url === b.url
+    ? String(a.profile || '').localeCompare(String(b.profile || ''))
+    : String(a.url).localeCompare(String(b.url))));
+}
+
+module.exports = {
+  recordKey,
+  isCapturedOk,
+  readPartialManifest,
+  readFinalManifest,
+  scanPageIndexes,
+  loadCaptureState,
+  capturedProfiles,
+  mergeManifest
+};
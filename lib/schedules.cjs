@@ -0,0 +1,271 @@
+// lib/schedules.cjs
+// Recurring captures for gui-server.cjs. <dir>/schedules.json (downloaded_pages/_schedules/) holds
+//   [{ id, name, cron, enabled, request:{ urlsText, options, crawlFirst, crawlOptions, recipe },
+//      retention:{ keepLast, maxAgeDays }, nextRunAt, lastRunAt,
+//      runs:[{ runId, jobId, firedAt, finishedAt, status, summary }] }]
+// request is the /api/run body. createScheduler() fires due schedules through launch(), follows the
+// queued job to completion and then prunes the schedule's older runs by its retention policy.
+// Cron expressions are the usual 5 fields (minute hour day-of-month month day-of-week, server local
+// time) with *, lists, ranges and steps, or one of the @hourly/@daily/@weekly/@monthly macros.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+const CRON_FIELDS = [['minute', 0, 59], ['hour', 0, 23], ['day of month', 1, 31], ['month', 1, 12], ['day of week', 0, 7]];
+const MAX_RUN_HISTORY = 200;
+
+function parseCronField(spec, [name, min, max]) {
+  const out = new Set();
+  for (const part of spec.split(',')) {
+    const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!m) throw new Error(`bad ${name} "${part}"`);
+    const step = m[4] ? parseInt(m[4], 10) : 1;
+    let lo = min, hi = max;
+    if (m[1] !== '*') {
+      lo = parseInt(m[2], 10);
+      hi = m[3] != null ? parseInt(m[3], 10) : (m[4] ? max : lo);
+    }
+    if (lo < min || hi > max || lo > hi || step < 1) throw new Error(`${name} "${part}" out of range ${min}-${max}`);
+    for (let v = lo; v <= hi; v += step) out.add(v);
+  }
+  return out;
+}
+
+/** Parsed cron: { minute, hour, dom, month, dow } sets plus domAny/dowAny. Throws on invalid input. */
+function parseCron(expr) {
+  const src = String(expr || '').trim();
+  const fields = (CRON_MACROS[src.toLowerCase()] || src).split(/\s+/);
+  if (fields.length !== 5) throw new Error(`invalid cron "${src}": expected 5 fields or a macro (@daily, @weekly, ...)`);
+  try {
+    const [minute, hour, dom, month, dow] = fields.map((f, i) => parseCronField(f, CRON_FIELDS[i]));
+    if (dow.has(7)) { dow.delete(7); dow.add(0); }
+    return { minute, hour, dom, month, dow, domAny: fields[2] === '*', dowAny: fields[4] === '*' };
+  } catch (e) {
+    throw new Error(`invalid cron "${src}": ${e.message}`);
+  }
+}
+
+// Standard cron: when both day fields are restricted a day matches either of them
+function dayMatches(c, d) {
+  if (c.domAny && c.dowAny) return true;
+  if (c.domAny) return c.dow.has(d.getDay());
+  if (c.dowAny) return c.dom.has(d.getDate());
+  return c.dom.has(d.getDate()) || c.dow.has(d.getDay());
+}
+
+/** Next time (ms) after `from` that matches the cron expression, or null within the next 5 years. */
+function nextRunAt(expr, from = Date.now()) {
+  const c = typeof expr === 'string' ? parseCron(expr) : expr;
+  const d = new Date(from);
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  const limit = from + 5 * 366 * 24 * 3600 * 1000;
+  while (d.getTime() <= limit) {
+    if (!c.month.has(d.getMonth() + 1)) { d.setMonth(d.getMonth() + 1, 1); d.setHours(0, 0, 0, 0); continue; }
+    if (!dayMatches(c, d)) { d.setDate(d.getDate() + 1); d.setHours(0, 0, 0, 0); continue; }
+    if (!c.hour.has(d.getHours())) { d.setHours(d.getHours() + 1, 0, 0, 0); continue; }
+    if (!c.minute.has(d.getMinutes())) { d.setMinutes(d.getMinutes() + 1, 0, 0); continue; }
+    return d.getTime();
+  }
+  return null;
+}
+
+/**
+ * Run ids a retention policy removes. runs: finished schedule runs (any order). A run is kept when it
+ * is among the keepLast newest or younger than maxAgeDays; with neither rule set nothing is pruned.
+ */
+function prunableRuns(runs, { keepLast = 0, maxAgeDays = 0 } = {}, now = Date.now()) {
+  const last = parseInt(keepLast, 10) || 0;
+  const days = parseFloat(maxAgeDays) || 0;
+  if (last <= 0 && days <= 0) return [];
+  const sorted = runs.slice().sort((a, b) => (b.firedAt || 0) - (a.firedAt || 0));
+  return sorted
+    .filter((r, i) => !(last > 0 && i < last) && !(days > 0 && now - (r.firedAt || 0) < days * 86400000))
+    .map(r => r.runId);
+}
+
+/** One-line outcome of a finished run job for the runs list. */
+function summarizeJob(job) {
+  if (!job) return { status: 'interrupted', summary: 'job no longer in the queue' };
+  const s = job.result && job.result.stats;
+  if (job.status === 'done') {
+    if (!s) return { status: 'done', summary: 'finished, no stats' };
+    if (s.pages != null) return { status: s.pages && s.failures >= s.pages ? 'failed' : 'done', summary: `${s.pages} pages, ${s.failures || 0} failed, ${s.assets || 0} assets` };
+    return { status: 'done', summary: `${s.pagesCrawled || 0} pages crawled` };
+  }
+  return { status: job.status, summary: job.error || job.status };
+}
+
+function readJson(file, def) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch { return def; }
+}
+
+/**
+ * createScheduler({ dir, launch, waitFor, prune, onFinish, log, tickMs })
+ *  - launch(schedule) -> { runId, jobId }: queue the schedule's run (throws on a bad request)
+ *  - waitFor(jobId) -> Promise<job|null>: resolves once the job finished
+ *  - prune(runId) -> boolean: delete a run directory removed by retention (false = keep it for now)
+ *  - onFinish(schedule, entry): a scheduled run finished; entry = { runId, status, summary, ... }
+ * Schedules missed while the server was down fire once at start().
+ */
+function createScheduler({ dir, launch, waitFor, prune, onFinish = () => {}, log = () => {}, tickMs = 30000 }) {
+  const file = path.join(dir, 'schedules.json');
+  let schedules = [];
+  let timer = null;
+
+  function save() {
+    fs.mkdirSync(dir, { recursive: true });
+    const tmp = file + '.tmp';
+    try {
+      fs.writeFileSync(tmp, JSON.stringify({ version: 1, schedules }, null, 2));
+      fs.renameSync(tmp, file);
+    } catch (e) { log(`[SCHEDULE_SAVE_ERR] ${e.message}`); }
+  }
+
+  function get(id) { return schedules.find(s => s.id === id) || null; }
+
+  function list() {
+    return schedules.map(s => ({ ...s, runs: s.runs.slice(-20) }));
+  }
+
+  /** Create (no id) or update a schedule; validates the cron expression and the retention numbers. */
+  function upsert(input = {}) {
+    const cron = String(input.cron || '').trim();
+    parseCron(cron);
+    const request = input.request || {};
+    if (!String(request.urlsText || '').trim() && !String((request.crawlOptions || {}).startUrlsText || '').trim()) {
+      throw new Error('request.urlsText (or crawlOptions.startUrlsText) required');
+    }
+    const keepLast = parseInt((input.retention || {}).keepLast || 0, 10) || 0;
+    const maxAgeDays = parseFloat((input.retention || {}).maxAgeDays || 0) || 0;
+    if (keepLast < 0 || maxAgeDays < 0) throw new Error('retention values must be >= 0');
+    let s = input.id ? get(input.id) : null;
+    if (input.id && !s) throw new Error('schedule not found');
+    if (!s) {
+      s = { id: `sched-${crypto.randomBytes(4).toString('hex')}`, createdAt: Date.now(), runs: [] };
+      schedules.push(s);
+    }
+    const firstUrl = String(request.urlsText || (request.crawlOptions || {}).startUrlsText || '').split(/\r?\n/).map(x => x.trim()).filter(Boolean)[0];
+    Object.assign(s, {
+      name: String(input.name || '').trim() || firstUrl,
+      cron,
+      enabled: input.enabled !== false,
+      request: { urlsText: request.urlsText || '', options: request.options || {}, crawlFirst: !!request.crawlFirst, crawlOptions: request.crawlOptions || {}, ...(request.recipe ? { recipe: String(request.recipe) } : {}) },
+      retention: { keepLast, maxAgeDays },
+      updatedAt: Date.now()
+    });
+    s.nextRunAt = s.enabled ? nextRunAt(s.cron) : null;
+    save();
+    log(`[SCHEDULE_SAVE] ${s.id} "${s.name}" cron="${s.cron}" next=${s.nextRunAt ? new Date(s.nextRunAt).toISOString() : '-'}`);
+    return s;
+  }
+
+  function remove(id) {
+    const i = schedules.findIndex(s => s.id === id);
+    if (i === -1) return false;
+    schedules.splice(i, 1);
+    save();
+    log(`[SCHEDULE_DELETE] ${id}`);
+    return true;
+  }
+
+  // Apply the retention policy to the schedule's finished runs
+  function applyRetention(s) {
+    const finished = s.runs.filter(r => r.finishedAt);
+    const drop = new Set();
+    for (const runId of prunableRuns(finished, s.retention)) {
+      if (prune(runId)) { drop.add(runId); log(`[SCHEDULE_PRUNE] ${s.id} removed run ${runId}`); }
+    }
+    if (drop.size) { s.runs = s.runs.filter(r => !drop.has(r.runId)); save(); }
+    return [...drop];
+  }
+
+  function follow(s, entry) {
+    Promise.resolve(waitFor(entry.jobId)).then((job) => {
+      Object.assign(entry, summarizeJob(job), { finishedAt: (job && job.finishedAt) || Date.now() });
+      s.lastStatus = entry.status;
+      save();
+      log(`[SCHEDULE_DONE] ${s.id} run=${entry.runId} status=${entry.status} ${entry.summary}`);
+      try { onFinish(s, entry); } catch (e) { log(`[SCHEDULE_ERR] ${s.id} ${e.message}`); }
+      // only a successful capture makes older ones expendable
+      if (entry.status === 'done') applyRetention(s);
+    }).catch(e => log(`[SCHEDULE_ERR] ${s.id} ${e.message}`));
+  }
+
+  /** Queue a run of the schedule now (timer or "run now"). */
+  function fire(s, reason = 'schedule') {
+    let r;
+    try { r = launch(s); }
+    catch (e) {
+      s.lastStatus = 'failed';
+      s.lastError = e.message;
+      save();
+      log(`[SCHEDULE_ERR] ${s.id} launch failed: ${e.message}`);
+      throw e;
+    }
+    const entry = { runId: r.runId, jobId: r.jobId, firedAt: Date.now(), reason, status: 'queued', summary: '' };
+    s.runs.push(entry);
+    if (s.runs.length > MAX_RUN_HISTORY) s.runs.splice(0, s.runs.length - MAX_RUN_HISTORY);
+    s.lastRunAt = entry.firedAt;
+    s.lastStatus = 'queued';
+    delete s.lastError;
+    save();
+    log(`[SCHEDULE_FIRE] ${s.id} "${s.name}" run=${r.runId} job=${r.jobId} (${reason})`);
+    follow(s, entry);
+    return entry;
+  }
+
+  function runNow(id) {
+    const s = get(id);
+    if (!s) throw new Error('schedule not found');
+    return fire(s, 'manual');
+  }
+
+  function tick() {
+    const now = Date.now();
+    for (const s of schedules) {
+      if (!s.enabled || !s.nextRunAt || s.nextRunAt > now) continue;
+      s.nextRunAt = nextRunAt(s.cron, now);
+      // one capture per schedule at a time: an occurrence that finds the previous run still going is skipped
+      if (s.runs.some(r => !r.finishedAt)) {
+        log(`[SCHEDULE_SKIP] ${s.id} previous run still in progress`);
+        save();
+        continue;
+      }
+      try { fire(s); } catch {}
+    }
+  }
+
+  // Load schedules and follow unfinished runs; with fire:false due schedules are not started (manual runs only)
+  function start({ fire = true } = {}) {
+    const saved = readJson(file, null);
+    schedules = Array.isArray(saved && saved.schedules) ? saved.schedules : [];
+    for (const s of schedules) {
+      s.runs = Array.isArray(s.runs) ? s.runs : [];
+      if (s.enabled && !s.nextRunAt) s.nextRunAt = nextRunAt(s.cron);
+      // runs that were still queued/running when the server stopped
+      for (const entry of s.runs.filter(r => !r.finishedAt)) follow(s, entry);
+    }
+    save();
+    if (!fire) return;
+    tick();
+    timer = setInterval(tick, tickMs);
+    if (timer.unref) timer.unref();
+  }
+
+  function stop() { if (timer) clearInterval(timer); timer = null; }
+
+  return { start, stop, list, get, upsert, remove, runNow, applyRetention: (id) => { const s = get(id); return s ? applyRetention(s) : []; } };
+}
+
+module.exports = { parseCron, nextRunAt, prunableRuns, summarizeJob, createScheduler };
@@ -0,0 +1,93 @@
+// lib/screenshots.cjs
+// Full-page screenshots + thumbnails at capture time, and a pixel diff used by
+// tools/visual-diff.cjs. Image work (downscale, diff) runs in a scratch browser page
+// on <canvas>, so no native image dependency is needed.
+
+const fs = require('fs');
+const path = require('path');
+
+const SCREENSHOT_FILE = 'screenshot.png';
+const THUMB_FILE = 'thumb.png';
+
+function dataUrl(buf) { return 'data:image/png;base64,' + Buffer.from(buf).toString('base64'); }
+function fromDataUrl(s) { return Buffer.from(String(s || '').replace(/^data:[^,]*,/, ''), 'base64'); }
+
+async function scratchPage(context) {
+  const p = await context.newPage();
+  await p.setContent('<!doctype html><html><body></body></html>');
+  return p;
+}
+
+/**
+ * Save <dir>/screenshot.png (full page, clipped at maxHeight) and <dir>/thumb.png.
+ * Images are in CSS pixels whatever the deviceScaleFactor, so a mobile (dpr 3) page stays within
+ * Chromium's canvas limits for the thumbnail and diff canvases.
+ * Returns { file, thumbnail, width, height } for index.json; thumbnailError when the thumbnail failed.
+ */
+async function captureScreenshots(page, dir, { thumbWidth = 320, maxHeight = 12000 } = {}) {
+  const size = await page.evaluate(() => {
+    const s = document.scrollingElement || document.documentElement;
+    return { w: window.innerWidth, h: Math.max(s ? s.scrollHeight : 0, window.innerHeight) };
+  });
+  const full = path.join(dir, SCREENSHOT_FILE);
+  const opts = { path: full, fullPage: true, animations: 'disabled', scale: 'css', timeout: 30000 };
+  if (maxHeight > 0 && size.h > maxHeight) opts.clip = { x: 0, y: 0, width: size.w, height: maxHeight };
+  const buf = await page.screenshot(opts);
+  const out = { file: SCREENSHOT_FILE, width: size.w, height: Math.min(size.h, maxHeight > 0 ? maxHeight : size.h) };
+  if (thumbWidth > 0) {
+    let tp;
+    try {
+      tp = await scratchPage(page.context());
+      const thumb = await tp.evaluate(async ({ src, tw }) => {
+        const img = new Image();
+        img.src = src;
+        await img.decode();
+        const scale = Math.min(1, tw / img.width);
+        const c = document.createElement('canvas');
+        c.width = Math.max(1, Math.round(img.width * scale));
+        c.height = Math.max(1, Math.round(img.height * scale));
+        c.getContext('2d').drawImage(img, 0, 0, c.width, c.height);
+        return c.toDataURL('image/png');
+      }, { src: dataUrl(buf), tw: thumbWidth });
+      fs.writeFileSync(path.join(dir, THUMB_FILE), fromDataUrl(thumb));
+      out.thumbnail = THUMB_FILE;
+    } catch (e) { out.thumbnailError = e.message; } finally { try { if (tp) await tp.close(); } catch {} }
+  }
+  return out;
+}
+
+/**
+ * Compare two PNGs. Pixels whose largest channel delta exceeds `pixelThreshold` (0-255)
+ * count as different; height mismatch counts the extra rows as different.
+ * Returns { ratio, diffPixels, totalPixels, a: {w,h}, b: {w,h}, diffPng: Buffer }.
+ */
+async function diffImages(context, pngA, pngB, { pixelThreshold = 32 } = {}) {
+  const p = await scratchPage(context);
+  try {
+    const r = await p.evaluate(async ({ a, b, thr }) => {
+      async function load(src) { const i = new Image(); i.src = src; await i.decode(); return i; }
+      const [ia, ib] = await Promise.all([load(a), load(b)]);
+      const w = Math.max(ia.width, ib.width), h = Math.max(ia.height, ib.height);
+      const draw = (img) => { const c = document.createElement('canvas'); c.width = w; c.height = h; const g = c.getContext('2d'); g.fillStyle = '#fff'; g.fillRect(0, 0, w, h); g.drawImage(img, 0, 0); return g.getImageData(0, 0, w, h).data; };
+      const da = draw(ia), db = draw(ib);
+      const out = document.createElement('canvas'); out.width = w; out.height = h;
+      const og = out.getContext('2d');
+      const od = og.createImageData(w, h);
+      let diff = 0;
+      for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+          const i = (y * w + x) * 4;
+          const outside = x >= ia.width || x >= ib.width || y >= ia.height || y >= ib.height;
+          const d = outside ? 255 : Math.max(Math.abs(da[i] - db[i]), Math.abs(da[i + 1] - db[i + 1]), Math.abs(da[i + 2] - db[i + 2]));
+          if (d > thr) { diff++; od.data[i] = 255; od.data[i + 1] = 0; od.data[i + 2] = 0; od.data[i + 3] = 255; }
+          else { const g = Math.round((da[i] + da[i + 1] + da[i + 2]) / 3 * 0.3 + 178); od.data[i] = od.data[i + 1] = od.data[i + 2] = g; od.data[i + 3] = 255; }
+        }
+      }
+      og.putImageData(od, 0, 0);
+      return { diff, total: w * h, a: { w: ia.width, h: ia.height }, b: { w: ib.width, h: ib.height }, png: out.toDataURL('image/png') };
+    }, { a: dataUrl(pngA), b: dataUrl(pngB), thr: pixelThreshold });
+    return { ratio: r.total ? r.diff / r.total : 0, diffPixels: r.diff, totalPixels: r.total, a: r.a, b: r.b, diffPng: fromDataUrl(r.png) };
+  } finally { try { await p.close(); } catch {} }
+}
+
+module.exports = { SCREENSHOT_FILE, THUMB_FILE, captureScreenshots, diffImages };
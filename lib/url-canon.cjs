@@ -0,0 +1,187 @@
+// lib/url-canon.cjs
+// Single URL canonicalization for crawler.cjs, archiver.cjs and server.cjs, so one URL
+// always maps to one frontier entry and one page folder.
+//
+// Rules come from url-rules.json (or URL_RULES_FILE): a "default" block plus per-site
+// overrides under "sites", keyed by host ("shop.example.com") or suffix ("*.example.com").
+// A leading "www." is ignored when matching. Site keys take any DEFAULT_RULES field, e.g.
+//
+//   "sites": {
+//     "shop.example.com": { "stripParams": ["utm_*", "sort", "limit"], "keepParams": ["product_id", "page"], "lowercasePath": true },
+//     "*.example.org": { "stripAllQueries": true, "honorCanonical": false }
+//   }
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_RULES = {
+  // Removed everywhere; entries ending in "*" are prefixes
+  stripParams: ['utm_*', 'gclid', 'gbraid', 'wbraid', 'fbclid', 'msclkid', 'yclid', 'dclid', 'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'srsltid'],
+  // Session identifiers (query params and ";name=value" path parameters)
+  sessionParams: ['phpsessid', 'jsessionid', 'sid', 'sessionid', 'session_id', 'oscsid', 'zenid', 'cfid', 'cftoken'],
+  // When set, only these params survive (after stripping)
+  keepParams: null,
+  stripAllQueries: false,
+  sortParams: true,
+  lowercasePath: false,
+  // Folder slugs keep the query's case unless this is set
+  lowercaseQuery: false,
+  // 'strip' | 'add' | 'keep' (never applied to "/" or to paths with a file extension)
+  trailingSlash: 'strip',
+  // Use <link rel="canonical"> when it points at the same site
+  honorCanonical: true
+};
+
+const RULES_FILE = process.env.URL_RULES_FILE || path.join(__dirname, '..', 'url-rules.json');
+let cachedRules = null;
+
+/** Load and cache the rules file; a missing file means DEFAULT_RULES for every site. */
+function loadUrlRules(file = RULES_FILE) {
+  if (cachedRules && cachedRules.file === file) return cachedRules;
+  let raw = {};
+  try { raw = JSON.parse(fs.readFileSync(file, 'utf8')) || {}; } catch (e) {
+    if (e.code !== 'ENOENT') console.warn('[URL_RULES_WARN] unable to load', file, e.message);
+  }
+  cachedRules = { file, default: { ...DEFAULT_RULES, ...(raw.default || {}) }, sites: raw.sites || {} };
+  return cachedRules;
+}
+
+function bareHost(h) { return String(h || '').toLowerCase().replace(/^www\./, ''); }
+
+/** Effective rules for a URL or host: default block merged with the most specific site entry. */
+function rulesFor(urlOrHost, rules = loadUrlRules()) {
+  let host = urlOrHost;
+  try { host = new URL(urlOrHost).hostname; } catch {}
+  host = bareHost(host);
+  let best = null, bestLen = -1;
+  for (const key of Object.keys(rules.sites || {})) {
+    const k = bareHost(key);
+    let hit = false;
+    if (k.startsWith('*.')) hit = host === k.slice(2) || host.endsWith(k.slice(1));
+    else hit = host === k;
+    if (hit && k.length > bestLen) { best = rules.sites[key]; bestLen = k.length; }
+  }
+  return best ? { ...rules.default, ...best } : rules.default;
+}
+
+function paramMatcher(list) {
+  const exact = new Set(), prefixes = [];
+  for (const p of list || []) {
+    const s = String(p).toLowerCase();
+    if (s.endsWith('*')) prefixes.push(s.slice(0, -1)); else exact.add(s);
+  }
+  return (name) => { const n = String(name).toLowerCase(); return exact.has(n) || prefixes.some(p => n.startsWith(p)); };
+}
+
+function sortEntries(entries) {
+  return entries.sort((a, b) => (a[0] === b[0] ? String(a[1]).localeCompare(String(b[1])) : a[0].localeCompare(b[0])));
+}
+
+/**
+ * Canonical absolute URL, or null for non-http(s)/unparsable input. `overrides` are
+ * merged over the site's rules (e.g. crawler KEEP_QUERY_PARAMS / STRIP_ALL_QUERIES).
+ */
+function canonicalizeUrl(raw, { base, rules, overrides } = {}) {
+  let u;
+  try { u = base ? new URL(raw, base) : new URL(raw); } catch { return null; }
+  if (!/^https?:$/i.test(u.protocol)) return null;
+  const r = { ...rulesFor(u.hostname, rules || loadUrlRules()), ...(overrides || {}) };
+  u.hash = '';
+  u.hostname = u.hostname.toLowerCase();
+  if ((u.protocol === 'http:' && u.port === '80') || (u.protocol === 'https:' && u.port === '443')) u.port = '';
+
+  const isSession = paramMatcher(r.sessionParams);
+  let p = u.pathname || '/';
+  // ;jsessionid=... style path parameters
+  p = p.replace(/;([^/;=]+)=[^/;]*/g, (m, name) => (isSession(name) ? '' : m));
+  if (r.lowercasePath) p = p.toLowerCase();
+  const hasExt = /\.[a-z0-9]{1,8}$/i.test(p);
+  if (p !== '/' && !hasExt) {
+    if (r.trailingSlash === 'strip') p = p.replace(/\/+$/, '') || '/';
+    else if (r.trailingSlash === 'add' && !p.endsWith('/')) p += '/';
+  }
+  u.pathname = p;
+
+  if (r.stripAllQueries) {
+    u.search = '';
+  } else if (u.search) {
+    const isTracking = paramMatcher(r.stripParams);
+    const keep = Array.isArray(r.keepParams) && r.keepParams.length ? paramMatcher(r.keepParams) : null;
+    // Work on the raw pairs so kept values keep their original encoding
+    const dec = (s) => { try { return decodeURIComponent(s.replace(/\+/g, ' ')); } catch { return s; } };
+    let pairs = u.search.slice(1).split('&').filter(Boolean).map(raw => {
+      const i = raw.indexOf('=');
+      return { raw, k: dec(i < 0 ? raw : raw.slice(0, i)), v: dec(i < 0 ? '' : raw.slice(i + 1)) };
+    }).filter(({ k }) => !isTracking(k) && !isSession(k) && (!keep || keep(k)));
+    if (r.sortParams) pairs = pairs.sort((a, b) => (a.k === b.k ? a.v.localeCompare(b.v) : a.k.localeCompare(b.k)));
+    u.search = pairs.length ? '?' + pairs.map(x => x.raw).join('&') : '';
+  }
+  return u.toString();
+}
+
+/**
+ * Folder-name slug for a query ("a=1&b=x y" -> "a_1__b_x_y"). Params are sorted; case is kept
+ * unless `lowercase`. Long slugs are truncated with a hash suffix.
+ */
+function slugifyQuery(query, { lowercase = false } = {}) {
+  try {
+    const sp = query instanceof URLSearchParams ? query : new URLSearchParams(String(query || '').replace(/^\?/, ''));
+    const fold = (s) => (lowercase ? String(s).toLowerCase() : String(s));
+    const parts = sortEntries([...sp.entries()]).map(([k, v]) => {
+      const kk = fold(k).replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '');
+      const vv = fold(v).replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '');
+      return kk + (vv ? ('_' + vv) : '');
+    }).filter(Boolean);
+    if (!parts.length) return '';
+    const slug = parts.join('__');
+    return slug.length > 120 ? (slug.slice(0, 100) + '__' + crypto.createHash('sha1').update(slug).digest('hex').slice(0, 16)) : slug;
+  } catch { return ''; }
+}
+
+/**
+ * Relative page folder for a URL: canonical path without slashes at either end, plus
+ * "__<query slug>" when includeQuery. The site root is "index" ('' when flattenRoot).
+ */
+function pageRelFromUrl(url, { rules, flattenRoot = false, includeQuery = true } = {}) {
+  const canon = canonicalizeUrl(String(url), { rules });
+  if (!canon) return null;
+  const u = new URL(canon);
+  const r = rulesFor(u.hostname, rules || loadUrlRules());
+  let p = (u.pathname || '').replace(/\/+$/, '').replace(/^\/+/, '');
+  if (p === '') p = flattenRoot ? '' : 'index';
+  if (includeQuery && u.search) {
+    const qs = slugifyQuery(u.searchParams, { lowercase: !!r.lowercaseQuery });
+    if (qs) p = (p || 'index') + '__' + qs;
+  }
+  return p;
+}
+
+/**
+ * The page's <link rel="canonical"> as a canonical URL when rules allow it and it stays
+ * on `sameSite` (defaults to same host); null otherwise.
+ */
+function canonicalFromHtml(html, pageUrl, { rules, sameSite } = {}) {
+  let host;
+  try { host = new URL(pageUrl).hostname; } catch { return null; }
+  if (!rulesFor(host, rules || loadUrlRules()).honorCanonical) return null;
+  const tag = String(html || '').match(/<link\b[^>]*\brel\s*=\s*["']?canonical["']?[^>]*>/i);
+  if (!tag) return null;
+  const href = tag[0].match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+  const target = href && (href[1] || href[2] || href[3]);
+  if (!target) return null;
+  const canon = canonicalizeUrl(target.replace(/&amp;/g, '&'), { base: pageUrl, rules });
+  if (!canon) return null;
+  const ok = sameSite ? sameSite(canon) : bareHost(new URL(canon).hostname) === bareHost(host);
+  return ok ? canon : null;
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  loadUrlRules,
+  rulesFor,
+  canonicalizeUrl,
+  slugifyQuery,
+  pageRelFromUrl,
+  canonicalFromHtml
+};
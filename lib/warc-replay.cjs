@@ -0,0 +1,253 @@
+// lib/warc-replay.cjs
+// Read side of lib/warc.cjs: load the CDXJ index of a run and serve records straight
+// out of the .warc.gz files, or out of a .wacz package (stored zip, read in place).
+//
+// Lookup order for a URL: exact SURT key -> same path with an equal archiver-style query
+// slug -> same path with cache-buster/tracking params ignored. Among candidates the
+// capture nearest to the requested timestamp wins (latest when none is given).
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { WARC_DIR_NAME, surt, cdxTimestamp, parseCdxjLine } = require('./warc.cjs');
+const { slugifyQuery: canonSlug } = require('./url-canon.cjs');
+
+const IGNORED_PARAMS = /^(?:utm_[a-z]+|fbclid|gclid|msclkid|mc_[a-z]+|_ga|_gl|_|cb|cachebust|v|ver|t|ts)$/i;
+
+// Case-folded query slug from lib/url-canon.cjs (request and index side use the same call)
+function slugifyQuery(qs) { return canonSlug(qs, { lowercase: true }); }
+
+function looseQuery(search) {
+  const sp = new URLSearchParams(search);
+  const kept = [...sp.entries()].filter(([k]) => !IGNORED_PARAMS.test(k));
+  return new URLSearchParams(kept).toString();
+}
+
+function pathKey(urlkey) { const i = urlkey.indexOf('?'); return i >= 0 ? urlkey.slice(0, i) : urlkey; }
+
+function tsNumber(ts) { return Number(String(ts || '').padEnd(14, '0').slice(0, 14)) || 0; }
+
+// Minimal reader for the stored (uncompressed) zips written by lib/hostingPrep.cjs zipDirectory,
+// including their ZIP64 records (entries or offsets past 4 GB, more than 65535 entries)
+function readStoredZip(file) {
+  const fd = fs.openSync(file, 'r');
+  const size = fs.fstatSync(fd).size;
+  const tailLen = Math.min(size, 65557);
+  const tail = Buffer.alloc(tailLen);
+  fs.readSync(fd, tail, 0, tailLen, size - tailLen);
+  let eocd = -1;
+  for (let i = tailLen - 22; i >= 0; i--) { if (tail.readUInt32LE(i) === 0x06054b50) { eocd = i; break; } }
+  if (eocd < 0) { fs.closeSync(fd); throw new Error('not a zip file: ' + file); }
+  let count = tail.readUInt16LE(eocd + 10);
+  let cdSize = tail.readUInt32LE(eocd + 12);
+  let cdOffset = tail.readUInt32LE(eocd + 16);
+  if (eocd >= 20 && tail.readUInt32LE(eocd - 20) === 0x07064b50) {
+    const rec = Buffer.alloc(56);
+    fs.readSync(fd, rec, 0, 56, Number(tail.readBigUInt64LE(eocd - 12)));
+    if (rec.readUInt32LE(0) !== 0x06064b50) { fs.closeSync(fd); throw new Error('bad zip64 end record: ' + file); }
+    count = Number(rec.readBigUInt64LE(32));
+    cdSize = Number(rec.readBigUInt64LE(40));
+    cdOffset = Number(rec.readBigUInt64LE(48));
+  }
+  const cd = Buffer.alloc(cdSize);
+  fs.readSync(fd, cd, 0, cdSize, cdOffset);
+  const entries = new Map();
+  const local = Buffer.alloc(30);
+  for (let p = 0, n = 0; n < count && p < cd.length; n++) {
+    if (cd.readUInt32LE(p) !== 0x02014b50) break;
+    const method = cd.readUInt16LE(p + 10);
+    let compSize = cd.readUInt32LE(p + 20);
+    const rawSize = cd.readUInt32LE(p + 24);
+    const nameLen = cd.readUInt16LE(p + 28);
+    const extraLen = cd.readUInt16LE(p + 30);
+    const commentLen = cd.readUInt16LE(p + 32);
+    let localOffset = cd.readUInt32LE(p + 42);
+    const name = cd.slice(p + 46, p + 46 + nameLen).toString('utf8');
+    // ZIP64 extra field: the overflowing values (size, compressed size, offset) in that order
+    for (let x = p + 46 + nameLen, end = x + extraLen; x + 4 <= end;) {
+      const id = cd.readUInt16LE(x), len = cd.readUInt16LE(x + 2);
+      if (id === 0x0001) {
+        let q = x + 4;
+        if (rawSize === 0xFFFFFFFF) q += 8;
+        if (compSize === 0xFFFFFFFF) { compSize = Number(cd.readBigUInt64LE(q)); q += 8; }
+        if (localOffset === 0xFFFFFFFF) localOffset = Number(cd.readBigUInt64LE(q));
+        break;
+      }
+      x += 4 + len;
+    }
+    fs.readSync(fd, local, 0, 30, localOffset);
+    const dataOffset = localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+    entries.set(name, { method, size: compSize, dataOffset });
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return { fd, entries };
+}
+
+function parseHead(buf) {
+  const end = buf.indexOf('\r\n\r\n');
+  if (end < 0) return null;
+  const lines = buf.slice(0, end).toString('utf8').split('\r\n');
+  const first = lines.shift();
+  const headers = [];
+  for (const l of lines) {
+    const i = l.indexOf(':');
+    if (i > 0) headers.push([l.slice(0, i).trim(), l.slice(i + 1).trim()]);
+  }
+  return { first, headers, rest: buf.slice(end + 4) };
+}
+
+function headerValue(headers, name) {
+  const lk = name.toLowerCase();
+  const hit = headers.find(([k]) => k.toLowerCase() === lk);
+  return hit ? hit[1] : '';
+}
+
+/**
+ * Open a replay source: a run directory (with _warc/), an unpacked WACZ directory,
+ * or a .wacz file. Returns null when no CDXJ index is found.
+ */
+function openReplay(source, opts = {}) {
+  const { log = () => {} } = opts;
+  let readIndex, openArchive, label;
+  try {
+    if (/\.wacz$/i.test(source) && fs.statSync(source).isFile()) {
+      const zip = readStoredZip(source);
+      const idx = zip.entries.get('indexes/index.cdxj');
+      if (!idx) return null;
+      for (const [name, e] of zip.entries) {
+        if (e.method !== 0) log('[REPLAY_WARN] compressed zip entry not supported:', name);
+      }
+      readIndex = () => {
+        const buf = Buffer.alloc(idx.size);
+        fs.readSync(zip.fd, buf, 0, idx.size, idx.dataOffset);
+        return buf.toString('utf8');
+      };
+      openArchive = (filename) => {
+        const e = zip.entries.get('archive/' + filename);
+        return e && e.method === 0 ? { fd: zip.fd, base: e.dataOffset } : null;
+      };
+      label = source;
+    } else {
+      const base = fs.existsSync(path.join(source, WARC_DIR_NAME, 'indexes', 'index.cdxj'))
+        ? path.join(source, WARC_DIR_NAME)
+        : source;
+      const cdxj = path.join(base, 'indexes', 'index.cdxj');
+      if (!fs.existsSync(cdxj)) return null;
+      const fds = new Map();
+      readIndex = () => fs.readFileSync(cdxj, 'utf8');
+      openArchive = (filename) => {
+        if (!fds.has(filename)) {
+          const f = path.join(base, 'archive', path.basename(filename));
+          fds.set(filename, fs.existsSync(f) ? fs.openSync(f, 'r') : null);
+        }
+        const fd = fds.get(filename);
+        return fd == null ? null : { fd, base: 0 };
+      };
+      label = base;
+    }
+  } catch (e) {
+    log('[REPLAY_WARN] cannot open', source, e.message);
+    return null;
+  }
+
+  const byKey = new Map();
+  const byPath = new Map();
+  let count = 0;
+  for (const line of readIndex().split(/\r?\n/)) {
+    const e = parseCdxjLine(line);
+    if (!e || (e.method && e.method !== 'GET')) continue;
+    let search = '';
+    try { search = new URL(e.url).search.slice(1); } catch {}
+    e.slug = slugifyQuery(search);
+    e.looseSlug = slugifyQuery(looseQuery(search));
+    if (!byKey.has(e.urlkey)) byKey.set(e.urlkey, []);
+    byKey.get(e.urlkey).push(e);
+    const pk = pathKey(e.urlkey);
+    if (!byPath.has(pk)) byPath.set(pk, []);
+    byPath.get(pk).push(e);
+    count++;
+  }
+  log('[REPLAY] index loaded:', label, 'records=' + count, 'urls=' + byKey.size);
+
+  function nearest(cands, ts) {
+    if (!cands || !cands.length) return null;
+    const want = ts ? tsNumber(ts) : Infinity;
+    const score = (e) => (want === Infinity ? -tsNumber(e.timestamp) : Math.abs(tsNumber(e.timestamp) - want));
+    // Error captures only win when nothing else exists for that URL
+    const bad = (e) => (/^[45]/.test(String(e.status || '')) ? 1 : 0);
+    return [...cands].sort((a, b) => bad(a) - bad(b) || score(a) - score(b))[0];
+  }
+
+  function lookup(url, { ts } = {}) {
+    const key = surt(url);
+    const exact = byKey.get(key);
+    if (exact) return nearest(exact, ts);
+    let search = '';
+    try { search = new URL(url).search.slice(1); } catch { return null; }
+    const siblings = byPath.get(pathKey(key)) || [];
+    if (!siblings.length) return null;
+    const slug = slugifyQuery(search);
+    const bySlug = siblings.filter(e => e.slug === slug);
+    if (bySlug.length) return nearest(bySlug, ts);
+    const loose = slugifyQuery(looseQuery(search));
+    return nearest(siblings.filter(e => e.looseSlug === loose), ts);
+  }
+
+  function readRecord(entry) {
+    const arc = openArchive(entry.filename);
+    if (!arc) throw new Error('archive file missing: ' + entry.filename);
+    const len = Number(entry.length) || 0;
+    const buf = Buffer.alloc(len);
+    fs.readSync(arc.fd, buf, 0, len, arc.base + (Number(entry.offset) || 0));
+    const warc = parseHead(zlib.gunzipSync(buf));
+    if (!warc) throw new Error('bad WARC record at ' + entry.offset);
+    const blockLen = Number(headerValue(warc.headers, 'Content-Length')) || warc.rest.length;
+    return { headers: warc.headers, block: warc.rest.slice(0, blockLen) };
+  }
+
+  /**
+   * Resolve an index entry to { status, statusText, headers: [[k, v]], body, timestamp, url }.
+   * Revisit records reuse the payload of the record they refer to.
+   */
+  function load(entry) {
+    const rec = readRecord(entry);
+    const http = parseHead(rec.block);
+    if (!http) throw new Error('bad HTTP block for ' + entry.url);
+    const m = http.first.match(/^HTTP\/\S+\s+(\d{3})\s*(.*)$/);
+    let body = http.rest;
+    if (headerValue(rec.headers, 'WARC-Type') === 'revisit') {
+      const refUri = headerValue(rec.headers, 'WARC-Refers-To-Target-URI') || entry.url;
+      const refTs = cdxTimestamp(headerValue(rec.headers, 'WARC-Refers-To-Date'));
+      const orig = (byKey.get(surt(refUri)) || []).find(e => e.mime !== 'warc/revisit' && (!refTs || e.timestamp === refTs));
+      body = orig ? parseHead(readRecord(orig).block).rest : Buffer.alloc(0);
+    }
+    return {
+      status: m ? Number(m[1]) : 200,
+      statusText: m ? m[2] : '',
+      headers: http.headers,
+      body,
+      timestamp: entry.timestamp,
+      url: entry.url
+    };
+  }
+
+  // Hosts and page paths known to the index (used for URL rewriting and navigation guards)
+  function hosts() {
+    const set = new Set();
+    for (const list of byKey.values()) { try { set.add(new URL(list[0].url).host); } catch {} }
+    return [...set];
+  }
+
+  function pages() {
+    const out = [];
+    for (const list of byKey.values()) {
+      const e = list.find(x => /html/.test(String(x.mime || '')) && String(x.status) === '200');
+      if (e) out.push(e.url);
+    }
+    return out;
+  }
+
+  return { source: label, count, lookup, load, hosts, pages };
+}
+
+module.exports = { openReplay, slugifyQuery, readStoredZip };
@@ -0,0 +1,291 @@
+// lib/warc.cjs
+// Minimal WARC 1.1 writer + CDXJ/WACZ packaging for archiver runs.
+//
+// Layout inside a run directory (this is also the WACZ layout, so _warc/ is zipped as-is):
+//   _warc/archive/<name>.warc.gz   one gzip member per record
+//   _warc/indexes/index.cdxj       SURT-sorted CDXJ index of response/revisit records
+//   _warc/pages/pages.jsonl        pages list built from manifest.json
+//   _warc/datapackage.json         WACZ manifest with sha256 of every resource
+//
+// Bodies come from Playwright already decoded, so Content-Encoding/Transfer-Encoding
+// are dropped from stored response headers and Content-Length is rewritten.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+const WARC_DIR_NAME = '_warc';
+const SOFTWARE = 'single-file-cli archiver.cjs';
+
+function uuidUrn() { return '<urn:uuid:' + crypto.randomUUID() + '>'; }
+
+const B32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+function base32(buf) {
+  let bits = 0, value = 0, out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte; bits += 8;
+    while (bits >= 5) { out += B32[(value >>> (bits - 5)) & 31]; bits -= 5; }
+  }
+  if (bits > 0) out += B32[(value << (5 - bits)) & 31];
+  return out;
+}
+function sha1Digest(buf) { return 'sha1:' + base32(crypto.createHash('sha1').update(buf).digest()); }
+
+function warcDate(d) { return (d || new Date()).toISOString(); }
+function cdxTimestamp(iso) { return String(iso).replace(/[^0-9]/g, '').slice(0, 14); }
+
+// SURT form used by CDXJ: host reversed, www. dropped, query params sorted
+function surt(urlStr) {
+  try {
+    const u = new URL(urlStr);
+    const host = u.hostname.toLowerCase().replace(/^www\d*\./, '').split('.').reverse().join(',');
+    const port = u.port && !((u.protocol === 'http:' && u.port === '80') || (u.protocol === 'https:' && u.port === '443')) ? ':' + u.port : '';
+    const params = [...u.searchParams.entries()].sort((a, b) => (a[0] === b[0] ? a[1].localeCompare(b[1]) : a[0].localeCompare(b[0])));
+    const qs = params.length ? '?' + params.map(([k, v]) => encodeURIComponent(k).toLowerCase() + '=' + encodeURIComponent(v)).join('&') : '';
+    return host + port + ')' + (u.pathname || '/').toLowerCase() + qs;
+  } catch { return String(urlStr || ''); }
+}
+
+function headerBlock(lines) { return Buffer.from(lines.join('\r\n') + '\r\n\r\n', 'utf8'); }
+
+function httpResponseHead(status, statusText, headers, bodyLength) {
+  const lines = [`HTTP/1.1 ${status} ${statusText || ''}`.trim()];
+  for (const [k, v] of Object.entries(headers || {})) {
+    const lk = k.toLowerCase();
+    if (lk === 'content-encoding' || lk === 'transfer-encoding' || lk === 'content-length') continue;
+    for (const val of String(v).split('\n')) lines.push(`${k}: ${val}`);
+  }
+  lines.push(`Content-Length: ${bodyLength}`);
+  return headerBlock(lines);
+}
+
+function httpRequestHead(method, urlStr, headers) {
+  let target = '/', host = '';
+  try { const u = new URL(urlStr); target = (u.pathname || '/') + (u.search || ''); host = u.host; } catch {}
+  const lines = [`${method || 'GET'} ${target} HTTP/1.1`];
+  const hs = { ...(headers || {}) };
+  if (!Object.keys(hs).some(k => k.toLowerCase() === 'host') && host) lines.push(`Host: ${host}`);
+  for (const [k, v] of Object.entries(hs)) {
+    if (k.startsWith(':')) continue; // HTTP/2 pseudo headers
+    lines.push(`${k}: ${v}`);
+  }
+  return headerBlock(lines);
+}
+
+/**
+ * Open (append) a .warc.gz file and return a writer.
+ * writer.writeExchange({ url, method, requestHeaders, postData, status, statusText, responseHeaders, body, date })
+ * Index entries for response records are kept in memory and written by writer.close().
+ */
+function createWarcWriter(runDir, opts = {}) {
+  const baseDir = path.join(runDir, WARC_DIR_NAME);
+  const name = (opts.name || path.basename(runDir) || 'archive').replace(/[^A-Za-z0-9._-]+/g, '_') + '.warc.gz';
+  const file = path.join(baseDir, 'archive', name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const fd = fs.openSync(file, 'a');
+  let offset = fs.fstatSync(fd).size;
+  const index = [];
+  const seenPayload = new Map(); // payload digest -> { uri, date } for revisit records
+  let records = 0;
+
+  function writeRecord(headers, block) {
+    const head = ['WARC/1.1'];
+    for (const [k, v] of headers) head.push(`${k}: ${v}`);
+    head.push(`Content-Length: ${block.length}`);
+    const raw = Buffer.concat([headerBlock(head), block, Buffer.from('\r\n\r\n')]);
+    const gz = zlib.gzipSync(raw);
+    const at = offset;
+    fs.writeSync(fd, gz);
+    offset += gz.length;
+    records++;
+    return { offset: at, length: gz.length };
+  }
+
+  if (offset === 0) {
+    const info = Buffer.from([
+      `software: ${SOFTWARE}`,
+      'format: WARC File Format 1.1',
+      'conformsTo: http://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/',
+      ...(opts.info ? Object.entries(opts.info).map(([k, v]) => `${k}: ${v}`) : [])
+    ].join('\r\n') + '\r\n', 'utf8');
+    writeRecord([
+      ['WARC-Type', 'warcinfo'],
+      ['WARC-Record-ID', uuidUrn()],
+      ['WARC-Date', warcDate()],
+      ['WARC-Filename', name],
+      ['Content-Type', 'application/warc-fields']
+    ], info);
+  }
+
+  function writeExchange(ex) {
+    const date = warcDate(ex.date);
+    const body = Buffer.isBuffer(ex.body) ? ex.body : Buffer.from(ex.body || '');
+    const payloadDigest = sha1Digest(body);
+    const respId = uuidUrn();
+    const prior = body.length ? seenPayload.get(payloadDigest) : null;
+    let pos, type;
+    if (prior && prior.uri === ex.url) {
+      // Identical payload already stored for this URI (e.g. second profile): revisit record, headers only
+      const block = httpResponseHead(ex.status, ex.statusText, ex.responseHeaders, body.length);
+      type = 'revisit';
+      pos = writeRecord([
+        ['WARC-Type', 'revisit'],
+        ['WARC-Record-ID', respId],
+        ['WARC-Date', date],
+        ['WARC-Target-URI', ex.url],
+        ['WARC-Profile', 'http://netpreserve.org/warc/1.1/revisit/identical-payload-digest'],
+        ['WARC-Refers-To-Target-URI', prior.uri],
+        ['WARC-Refers-To-Date', prior.date],
+        ['WARC-Payload-Digest', payloadDigest],
+        ['Content-Type', 'application/http;msgtype=response']
+      ], block);
+    } else {
+      const block = Buffer.concat([httpResponseHead(ex.status, ex.statusText, ex.responseHeaders, body.length), body]);
+      type = 'response';
+      pos = writeRecord([
+        ['WARC-Type', 'response'],
+        ['WARC-Record-ID', respId],
+        ['WARC-Date', date],
+        ['WARC-Target-URI', ex.url],
+        ['WARC-Payload-Digest', payloadDigest],
+        ['WARC-Block-Digest', sha1Digest(block)],
+        ['Content-Type', 'application/http;msgtype=response']
+      ], block);
+      if (body.length) seenPayload.set(payloadDigest, { uri: ex.url, date });
+    }
+    const reqBody = ex.postData ? Buffer.from(ex.postData) : Buffer.alloc(0);
+    const reqBlock = Buffer.concat([httpRequestHead(ex.method, ex.url, ex.requestHeaders), reqBody]);
+    writeRecord([
+      ['WARC-Type', 'request'],
+      ['WARC-Record-ID', uuidUrn()],
+      ['WARC-Date', date],
+      ['WARC-Target-URI', ex.url],
+      ['WARC-Concurrent-To', respId],
+      ['WARC-Block-Digest', sha1Digest(reqBlock)],
+      ['Content-Type', 'application/http;msgtype=request']
+    ], reqBlock);
+    const ct = Object.entries(ex.responseHeaders || {}).find(([k]) => k.toLowerCase() === 'content-type');
+    index.push({
+      urlkey: surt(ex.url),
+      timestamp: cdxTimestamp(date),
+      url: ex.url,
+      mime: ct ? String(ct[1]).split(';')[0].trim() : 'unk',
+      status: String(ex.status || ''),
+      digest: payloadDigest,
+      length: String(pos.length),
+      offset: String(pos.offset),
+      filename: name,
+      ...(type === 'revisit' ? { mime: 'warc/revisit' } : {}),
+      ...(ex.method && ex.method !== 'GET' ? { method: ex.method } : {})
+    });
+  }
+
+  function close() {
+    try { fs.closeSync(fd); } catch {}
+    const cdxj = writeCdxj(runDir, index, { append: true });
+    return { file, records, cdxj };
+  }
+
+  return { file, name, writeExchange, close, get records() { return records; } };
+}
+
+function cdxjLine(e) {
+  const { urlkey, timestamp, ...rest } = e;
+  return `${urlkey} ${timestamp} ${JSON.stringify(rest)}`;
+}
+
+function parseCdxjLine(line) {
+  const m = String(line || '').match(/^(\S+) (\d{4,17}) (\{.*\})\s*$/);
+  if (!m) return null;
+  try { return { urlkey: m[1], timestamp: m[2], ...JSON.parse(m[3]) }; } catch { return null; }
+}
+
+// Merge new entries into _warc/indexes/index.cdxj (kept sorted for binary search by replay tools)
+function writeCdxj(runDir, entries, { append = true } = {}) {
+  const file = path.join(runDir, WARC_DIR_NAME, 'indexes', 'index.cdxj');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const lines = (append && fs.existsSync(file))
+    ? fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(Boolean)
+    : [];
+  for (const e of entries) lines.push(cdxjLine(e));
+  lines.sort();
+  fs.writeFileSync(file, lines.join('\n') + (lines.length ? '\n' : ''));
+  return file;
+}
+
+function readPageMeta(runDir, rec) {
+  try { return JSON.parse(fs.readFileSync(path.join(runDir, String(rec.localPath || ''), 'index.json'), 'utf8')); } catch { return {}; }
+}
+
+function writePagesJsonl(runDir, manifest) {
+  const file = path.join(runDir, WARC_DIR_NAME, 'pages', 'pages.jsonl');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const lines = [JSON.stringify({ format: 'json-pages-1.0', id: 'pages', title: 'All Pages' })];
+  const seen = new Set();
+  const recs = (manifest || []).filter(r => r && r.url && String(r.status || '').startsWith('ok'));
+  // One page per URL; desktop record preferred
+  recs.sort((a, b) => (a.profile === 'desktop' ? -1 : 0) - (b.profile === 'desktop' ? -1 : 0));
+  for (const r of recs) {
+    if (seen.has(r.url)) continue;
+    seen.add(r.url);
+    const meta = readPageMeta(runDir, r);
+    lines.push(JSON.stringify({
+      id: crypto.createHash('sha1').update(r.url).digest('hex').slice(0, 16),
+      url: r.url,
+      ts: meta.capturedAt || new Date().toISOString(),
+      title: meta.title || undefined
+    }));
+  }
+  fs.writeFileSync(file, lines.join('\n') + '\n');
+  return file;
+}
+
+function sha256File(file) {
+  return 'sha256:' + crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+/**
+ * Build pages.jsonl + datapackage.json and zip _warc/ into <runDir>/<name>.wacz.
+ * zipFn(sourceDir, outZip, log) is the stored-entry zip writer from lib/hostingPrep.cjs.
+ */
+function writeWaczPackage(runDir, manifest, zipFn, opts = {}) {
+  const base = path.join(runDir, WARC_DIR_NAME);
+  writePagesJsonl(runDir, manifest);
+  const resources = [];
+  (function walk(rel) {
+    for (const e of fs.readdirSync(path.join(base, rel), { withFileTypes: true })) {
+      const r = path.posix.join(rel, e.name);
+      if (e.isDirectory()) walk(r);
+      else if (e.isFile() && r !== 'datapackage.json' && r !== 'datapackage-digest.json') {
+        const abs = path.join(base, r);
+        resources.push({ name: e.name, path: r, hash: sha256File(abs), bytes: fs.statSync(abs).size });
+      }
+    }
+  })('');
+  const pkg = {
+    profile: 'data-package',
+    wacz_version: '1.1.1',
+    title: opts.title || path.basename(runDir),
+    software: SOFTWARE,
+    created: new Date().toISOString(),
+    mainPageURL: opts.mainPageURL || undefined,
+    resources
+  };
+  const pkgFile = path.join(base, 'datapackage.json');
+  fs.writeFileSync(pkgFile, JSON.stringify(pkg, null, 2));
+  fs.writeFileSync(path.join(base, 'datapackage-digest.json'), JSON.stringify({ path: 'datapackage.json', hash: sha256File(pkgFile) }, null, 2));
+  const out = path.join(runDir, (opts.name || path.basename(runDir)).replace(/[^A-Za-z0-9._-]+/g, '_') + '.wacz');
+  return zipFn(base, out, opts.log);
+}
+
+module.exports = {
+  WARC_DIR_NAME,
+  surt,
+  cdxTimestamp,
+  createWarcWriter,
+  parseCdxjLine,
+  writeCdxj,
+  writePagesJsonl,
+  writeWaczPackage
+};
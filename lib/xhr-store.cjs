@@ -0,0 +1,152 @@
+// lib/xhr-store.cjs
+// XHR/fetch responses recorded during capture (JSON/API calls and listing expansion), stored per
+// page as <page>/_xhr/<sha16>.<ext> plus <page>/xhr.json, and looked up by server.cjs for offline replay.
+//
+// Lookup key: "<METHOD> <path>?<canonical query>" (host ignored; url-rules.json applies).
+// Requests with a body also match on a hash of it (JSON bodies hashed in key-sorted form), then
+// fall back to the first response recorded for the key. A loose key drops cache-buster params
+// ("_", "cb", "t", ...).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { canonicalizeUrl } = require('./url-canon.cjs');
+
+const XHR_DIR = '_xhr';
+const XHR_INDEX_FILE = 'xhr.json';
+const CACHE_BUSTERS = /^(?:_|cb|cachebust|cachebuster|nocache|t|ts|timestamp|rnd|rand)$/i;
+
+function sha16(s) { return crypto.createHash('sha1').update(s).digest('hex').slice(0, 16); }
+
+// JSON with sorted keys so {"a":1,"b":2} and {"b":2,"a":1} hash alike
+function stableJson(v) {
+  if (Array.isArray(v)) return '[' + v.map(stableJson).join(',') + ']';
+  if (v && typeof v === 'object') return '{' + Object.keys(v).sort().map(k => JSON.stringify(k) + ':' + stableJson(v[k])).join(',') + '}';
+  return JSON.stringify(v);
+}
+
+/** Hash of a request body (string or Buffer); '' for no body. */
+function bodyHash(body) {
+  if (body == null) return '';
+  const s = Buffer.isBuffer(body) ? body.toString('utf8') : String(body);
+  if (!s) return '';
+  let norm = s;
+  if (/^\s*[{[]/.test(s)) { try { norm = stableJson(JSON.parse(s)); } catch {} }
+  return sha16(norm);
+}
+
+// Response headers worth replaying: content metadata and API-specific x-* headers, not
+// transport, cookie or security headers
+const DROP_HEADERS = /^(?:content-length|content-encoding|transfer-encoding|connection|keep-alive|date|server|set-cookie|alt-svc|strict-transport-security|content-security-policy.*|x-frame-options|x-xss-protection|report-to|nel|via|age|x-cache.*|cf-.*|x-amz-.*|access-control-.*)$/i;
+function pickReplayHeaders(headers) {
+  const out = {};
+  for (const [k, v] of Object.entries(headers || {})) {
+    const name = k.toLowerCase();
+    if (DROP_HEADERS.test(name)) continue;
+    if (name === 'content-type' || name === 'content-language' || name === 'link' || name === 'etag' || name === 'last-modified' || name.startsWith('x-')) out[name] = v;
+  }
+  return out;
+}
+
+function extFor(ct) {
+  if (/json/i.test(ct)) return '.json';
+  if (/html/i.test(ct)) return '.html';
+  if (/xml/i.test(ct)) return '.xml';
+  if (/javascript/i.test(ct)) return '.js';
+  return '.txt';
+}
+
+/** Lookup key for a request; null for unparsable URLs. `loose` drops cache-buster params. */
+function xhrKey(method, url, { loose = false, base } = {}) {
+  base = base || 'http://localhost';
+  const canon = canonicalizeUrl(url, { base });
+  if (!canon) return null;
+  const u = new URL(canon);
+  if (loose && u.search) {
+    const name = (p) => { try { return decodeURIComponent(p.split('=')[0]); } catch { return p; } };
+    const kept = u.search.slice(1).split('&').filter(p => p && !CACHE_BUSTERS.test(name(p)));
+    u.search = kept.length ? '?' + kept.join('&') : '';
+  }
+  return String(method || 'GET').toUpperCase() + ' ' + u.pathname + u.search;
+}
+
+/**
+ * Write recorded responses ([{ method, url, status, contentType, headers, postData, source, round, body }])
+ * under pageDir and return the xhr.json entries. Later duplicates of a request overwrite earlier ones.
+ */
+function writeXhrRecords(pageDir, records) {
+  if (!records || !records.length) return [];
+  const dir = path.join(pageDir, XHR_DIR);
+  fs.mkdirSync(dir, { recursive: true });
+  const byFile = new Map();
+  for (const r of records) {
+    const hash = bodyHash(r.postData);
+    const file = sha16(r.method + ' ' + r.url + (hash ? ' ' + hash : '')) + extFor(r.contentType);
+    fs.writeFileSync(path.join(dir, file), r.body);
+    byFile.set(file, {
+      method: r.method, url: r.url, status: r.status, contentType: r.contentType, source: r.source || undefined,
+      headers: r.headers ? pickReplayHeaders(r.headers) : undefined,
+      bodyHash: hash || undefined,
+      postData: r.postData ? String(r.postData).slice(0, 2000) : undefined,
+      round: r.round, bytes: r.body.length, file: XHR_DIR + '/' + file
+    });
+  }
+  const entries = [...byFile.values()];
+  fs.writeFileSync(path.join(pageDir, XHR_INDEX_FILE), JSON.stringify(entries, null, 2), 'utf8');
+  return entries;
+}
+
+/**
+ * Index every xhr.json under root: key -> { file (absolute), contentType, status, headers }.
+ * Body-hash matches win over exact keys, exact over loose; among pages the first found wins.
+ * `hosts` lists the origins the responses came from (server.cjs routes them to itself);
+ * `apiCount` counts entries recorded as API calls (source "api") rather than listing expansion.
+ */
+function loadXhrIndex(root) {
+  const withBody = new Map();
+  const exact = new Map();
+  const loose = new Map();
+  const hosts = new Set();
+  let apiCount = 0;
+  function walk(dir, depth) {
+    if (depth > 12) return;
+    let list;
+    try { list = fs.readdirSync(dir, { withFileTypes: true }); } catch { return; }
+    for (const e of list) {
+      if (e.isFile() && e.name === XHR_INDEX_FILE) {
+        let entries = [];
+        try { entries = JSON.parse(fs.readFileSync(path.join(dir, e.name), 'utf8')); } catch {}
+        for (const x of Array.isArray(entries) ? entries : []) {
+          const hit = { file: path.join(dir, x.file), contentType: x.contentType, status: x.status || 200, headers: x.headers || {} };
+          const k = xhrKey(x.method, x.url);
+          const lk = xhrKey(x.method, x.url, { loose: true });
+          if (k && x.bodyHash && !withBody.has(k + ' #' + x.bodyHash)) withBody.set(k + ' #' + x.bodyHash, hit);
+          if (k && !exact.has(k)) exact.set(k, hit);
+          if (lk && !loose.has(lk)) loose.set(lk, hit);
+          try { hosts.add(new URL(x.url).origin); } catch {}
+          if (x.source === 'api') apiCount++;
+        }
+      } else if (e.isDirectory() && e.name !== XHR_DIR && e.name !== 'assets' && !e.name.startsWith('_')) {
+        walk(path.join(dir, e.name), depth + 1);
+      }
+    }
+  }
+  walk(root, 0);
+  return {
+    size: exact.size,
+    apiCount,
+    hosts: [...hosts],
+    // true when a recorded call exists for method + URL (any body); lets callers skip reading bodies
+    has(method, url, base) {
+      return exact.has(xhrKey(method, url, { base })) || loose.has(xhrKey(method, url, { loose: true, base }));
+    },
+    // `base` should be the archived site's origin so its url-rules.json entry applies
+    lookup(method, url, base, body) {
+      const k = xhrKey(method, url, { base });
+      const hash = bodyHash(body);
+      return (hash && withBody.get(k + ' #' + hash)) || exact.get(k) || loose.get(xhrKey(method, url, { loose: true, base })) || null;
+    }
+  };
+}
+
+module.exports = { XHR_DIR, XHR_INDEX_FILE, xhrKey, bodyHash, pickReplayHeaders, writeXhrRecords, loadXhrIndex };
@@ -0,0 +1,96 @@
+/* eslint-disable no-console */
+const fs = require('fs');
+const path = require('path');
+const { product } = require('./schema.cjs');
+const { parseHtmlFile } = require('./parse-html.cjs');
+const {
+  readJSON, slugify, getSiteOriginFromRun, readProductsNdjson, isLikelyJunkProduct,
+  normalizePrice, normalizeVariants, absolutizeImages, pageHtmlPath
+} = require('./exporter.cjs');
+
+// Normalized entities (schema.cjs) of a capture run for the catalog exporters:
+// desktop pages from manifest.json parsed by parse-html.cjs (JSON-LD products become product
+// entities) plus the rows of _data/products.ndjson (products-only scrapes).
+
+// Body of a captured page without scripts
+function bodyHtml(html) {
+  const m = String(html || '').match(/<body[^>]*>([\s\S]*)<\/body>/i);
+  return (m ? m[1] : String(html || '')).replace(/<script\b[\s\S]*?<\/script>/gi, '').trim();
+}
+
+function escHtml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/** Description HTML for catalog exports: the scraped description, else the JSON-LD/meta description of the product page. */
+function productDescription(e) {
+  if (e.metadata?.source === 'products.ndjson') return e.html || '';
+  return e.metadata?.description ? `<p>${escHtml(e.metadata.description)}</p>` : '';
+}
+
+function stripTags(html) {
+  return String(html || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function splitCategories(c) {
+  if (Array.isArray(c)) return c.map(String).map(s => s.trim()).filter(Boolean);
+  return String(c || '').split(/\s*[,|]\s*/).filter(Boolean);
+}
+
+function productFromNdjson(p, origin) {
+  const url = p.url || '';
+  const title = String(p.title || '').trim();
+  const price = normalizePrice(p.price || '');
+  const images = absolutizeImages(p.images, origin).map(src => ({ src, alt: title }));
+  const tags = Array.isArray(p.tags) ? p.tags : String(p.tags || '').split(',').map(s => s.trim()).filter(Boolean);
+  const { options, variants } = normalizeVariants(p, origin);
+  return product(
+    slugify(url || title), url, title, p.description || '', stripTags(p.description),
+    images, price ? Number(price) : null, p.currency || 'USD', p.sku || '', p.brand || '',
+    splitCategories(p.category || p.categories), variants,
+    { tags, source: 'products.ndjson' }, options
+  );
+}
+
+/**
+ * Load a run's entities. Options: pages (true) also parses captured pages, html (true) keeps
+ * page/product HTML (large). Products are de-duplicated by SKU, then URL; products.ndjson rows
+ * win over products parsed from pages.
+ */
+function loadRunEntities(runDir, { pages = true, html = true } = {}) {
+  const origin = getSiteOriginFromRun(runDir);
+  const out = [];
+  const productKeys = new Set();
+  const keyOf = (e) => (e.sku ? 'sku:' + String(e.sku).toLowerCase() : 'url:' + (e.url || e.id));
+
+  for (const p of readProductsNdjson(runDir)) {
+    if (isLikelyJunkProduct(p, origin)) continue;
+    const e = productFromNdjson(p, origin);
+    if (productKeys.has(keyOf(e))) continue;
+    productKeys.add(keyOf(e));
+    out.push(e);
+  }
+
+  if (pages) {
+    const mf = readJSON(path.join(runDir, 'manifest.json'), []);
+    for (const rec of Array.isArray(mf) ? mf : []) {
+      if (!rec || rec.profile !== 'desktop' || !String(rec.status || '').startsWith('ok')) continue;
+      const file = pageHtmlPath(runDir, rec);
+      if (!fs.existsSync(file)) continue;
+      let e;
+      try { e = parseHtmlFile(file, rec.finalURL || rec.url); } catch (err) { console.warn('[entities] parse failed', file, err.message); continue; }
+      if (e.type === 'product') {
+        if (productKeys.has(keyOf(e))) continue;
+        productKeys.add(keyOf(e));
+      }
+      e.metadata = { ...(e.metadata || {}), relPath: rec.relPath };
+      e.html = bodyHtml(e.html);
+      out.push(e);
+    }
+  }
+
+  if (!html) for (const e of out) e.html = '';
+  return { origin, entities: out };
+}
+
+module.exports = { loadRunEntities, productDescription };
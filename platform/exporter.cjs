@@ -5,6 +5,7 @@ const path = require('path');
 const cheerio = require('cheerio');
 const https = require('https');
 const http = require('http');
+const { getExporter, validateOptions } = require('./registry.cjs');
 
 /* Optional CSS baker (juice). If not installed, export still works via <style> + URL rewrite. */
 let juice = null;
@@ -267,7 +268,7 @@ function pageHtmlPath(runDir, rec){
 function relPathNotIndex(rel){ return (rel || '').trim() && (rel || '').trim() !== 'index'; }
 
 /* ---------- Pages export (GLOBAL: inline + bake) ---------- */
-async function exportWooPages({ runDir, outDir }){
+async function exportWooPages({ runDir, outDir, inlineCss = true }){
   const mf=readJSON(path.join(runDir,'manifest.json'),[]);
   const pages=Array.isArray(mf)?mf.filter(r=>r&&r.profile==='desktop'):[];
   const outWoo=path.join(outDir,'woocommerce'); ensureDir(outWoo);
@@ -284,8 +285,8 @@ async function exportWooPages({ runDir, outDir }){
 
     const $=cheerio.load(html,{decodeEntities:false});
 
-    // Always inline CSS, fetching remote if needed
-    let cssCombined = await collectAndInlineAllCssGlobal($, runDir, pageOrigin, mapLocalToOrig, { maxBytes: 350_000 });
+    // Inline CSS (fetching remote if needed) unless the caller opted out
+    let cssCombined = inlineCss ? await collectAndInlineAllCssGlobal($, runDir, pageOrigin, mapLocalToOrig, { maxBytes: 350_000 }) : '';
     if(cssCombined){ styledPages++; totalCssBytes+=Buffer.byteLength(cssCombined,'utf8'); }
 
     // Absolute URLs and strip scripts
@@ -365,6 +366,28 @@ function isLikelyJunkProduct(p, origin){
   if (t.length < 2) return true;
   return false;
 }
+// Options/variants as written by lib/product-variants.cjs (scraped prices may still be display
+// strings); option names come from p.options or fall back to "Option N"
+function normalizeVariants(p, origin){
+  const raw = (Array.isArray(p.variants) ? p.variants : []).filter(v => v && typeof v === 'object');
+  if (!raw.length) return { options: [], variants: [] };
+  const named = (Array.isArray(p.options) ? p.options : []).filter(o => o && o.name).slice(0, 3);
+  const width = Math.max(named.length, ...raw.map(v => [v.option1, v.option2, v.option3].filter(x => x != null && x !== '').length));
+  const options = Array.from({ length: width }, (_, i) => ({ name: named[i]?.name || `Option ${i+1}`, values: [] }));
+  const price = (v) => (v == null || v === '' ? null : (Number(normalizePrice(v)) || null));
+  const variants = raw.map(v => {
+    const vals = [v.option1, v.option2, v.option3].slice(0, width).map((x, i) => String(x != null && x !== '' ? x : (v.options?.[options[i].name] ?? '')).trim());
+    vals.forEach((x, i) => { if (x && !options[i].values.includes(x)) options[i].values.push(x); });
+    return {
+      ...v,
+      option1: vals[0] || '', option2: vals[1] || '', option3: vals[2] || '',
+      price: price(v.price), regularPrice: price(v.regularPrice),
+      image: v.image ? (absolutizeImages([v.image], origin)[0] || '') : '',
+      stock: Number.isFinite(Number(v.stock)) && v.stock !== '' && v.stock != null ? Math.round(Number(v.stock)) : null
+    };
+  });
+  return { options, variants };
+}
 function cleanProducts(products, origin){
   const out=[]; const seenKey=new Set();
   for (const p of products){
@@ -377,7 +400,8 @@ function cleanProducts(products, origin){
       short: '',
       category: p.category || '',
       tags: Array.isArray(p.tags) ? p.tags.join(',') : (p.tags || ''),
-      images: absolutizeImages(p.images, origin)
+      images: absolutizeImages(p.images, origin),
+      ...normalizeVariants(p, origin)
     };
     const key = (row.sku && row.sku.trim())
       ? `sku:${row.sku.trim().toLowerCase()}`
@@ -397,27 +421,58 @@ function writeProductsCsvRows(rows, outWoo){
   if(!rows.length) return null;
   const fp=path.join(outWoo,'woocommerce-products.csv');
   const headers=['Name','Type','SKU','Regular price','Description','Short description','Categories','Tags','Images'];
+  // Variable products: parent row (attribute value lists) + one "variation" row per variant, linked by parent SKU
+  const attrs=Math.max(0, ...rows.filter(r=>r.variants?.length).map(r=>r.options.length));
+  const variable=rows.some(r=>r.variants?.length);
+  if (variable){
+    headers.push('Parent','Sale price','In stock?','Stock');
+    for(let i=1;i<=attrs;i++) headers.push(`Attribute ${i} name`,`Attribute ${i} value(s)`,`Attribute ${i} visible`,`Attribute ${i} global`);
+  }
   const lines=[ headers.join(',') ];
+  const line=(o)=>lines.push(headers.map(h=>csvEscape(o[h])).join(','));
+  const usedSkus=new Set(rows.map(r=>r.sku).filter(Boolean));
   for(const r of rows){
-    lines.push([
-      csvEscape(r.title),
-      'simple',
-      csvEscape(r.sku),
-      csvEscape(r.price),
-      csvEscape(r.description),
-      csvEscape(r.short),
-      csvEscape(r.category),
-      csvEscape(r.tags),
-      csvEscape((r.images||[]).join(','))
-    ].join(','));
+    const base={
+      'Name': r.title, 'Type': 'simple', 'SKU': r.sku, 'Regular price': r.price, 'Description': r.description,
+      'Short description': r.short, 'Categories': r.category, 'Tags': r.tags, 'Images': (r.images||[]).join(',')
+    };
+    if (!r.variants?.length){ line(base); continue; }
+    let parentSku=r.sku;
+    if (!parentSku){
+      parentSku=slugify(r.title)||'product';
+      for(let i=2;usedSkus.has(parentSku);i++) parentSku=`${slugify(r.title)||'product'}-${i}`;
+      usedSkus.add(parentSku);
+    }
+    const parent={ ...base, 'Type':'variable', 'SKU':parentSku, 'Regular price':'' };
+    r.options.forEach((o,i)=>Object.assign(parent,{
+      [`Attribute ${i+1} name`]: o.name, [`Attribute ${i+1} value(s)`]: o.values.join(', '),
+      [`Attribute ${i+1} visible`]: 1, [`Attribute ${i+1} global`]: 0
+    }));
+    line(parent);
+    r.variants.forEach((v,idx)=>{
+      const vals=[v.option1,v.option2,v.option3].slice(0,r.options.length);
+      let sku=v.sku && !usedSkus.has(v.sku) ? v.sku : `${parentSku}-${idx+1}`;
+      usedSkus.add(sku);
+      const price=v.price!=null ? v.price : (r.price||'');
+      const onSale=v.regularPrice!=null && price!=='' && v.regularPrice>Number(price);
+      const row={
+        'Name': [r.title, vals.filter(Boolean).join(', ')].filter(Boolean).join(' - '), 'Type':'variation', 'SKU':sku,
+        'Parent':parentSku, 'Regular price': onSale ? v.regularPrice : price, 'Sale price': onSale ? price : '',
+        'In stock?': v.available===false || v.stock===0 ? 0 : 1, 'Stock': v.stock!=null ? v.stock : '',
+        'Images': v.image||''
+      };
+      // empty value = "Any <attribute>"
+      r.options.forEach((o,i)=>Object.assign(row,{ [`Attribute ${i+1} name`]: o.name, [`Attribute ${i+1} value(s)`]: vals[i]||'', [`Attribute ${i+1} global`]: 0 }));
+      line(row);
+    });
   }
   writeTextUtf8BOM(fp, lines.join('\n')+'\n');
   return fp;
 }
 
 /* ---------- Export entry points ---------- */
-async function exportWoo({ runDir, outDir }){
-  const { outWoo, wxrPath, stats } = await exportWooPages({ runDir, outDir });
+async function exportWoo({ runDir, outDir, options = {} }){
+  const { outWoo, wxrPath, stats } = await exportWooPages({ runDir, outDir, inlineCss: options.inlineCss !== false });
 
   let products = readProductsNdjson(runDir);
   // If this was a full mirror run (not products-only), products.ndjson may be empty; thats fine.
@@ -430,18 +485,35 @@ async function exportWoo({ runDir, outDir }){
     outDir: outWoo,
     pagesWxr: wxrPath,
     productsCsv: csvPath || undefined,
-    stats:{ ...(stats||{}), products_input: products.length, products_csv: rows.length }
+    stats:{ ...(stats||{}), products_input: products.length, products_csv: rows.length, products_variable: rows.filter(r=>r.variants.length).length }
   };
 }
 async function exportShopify({ runDir, outDir }){
+  // required here: entities.cjs and shopify-liquid.cjs load this module
+  const { loadRunEntities } = require('./entities.cjs');
+  const { exportShopify: writeShopify } = require('./exporters/shopify-liquid.cjs');
   const out=path.join(outDir,'shopify'); ensureDir(out);
-  return { platform:'shopify', outDir: out };
+  const { entities } = loadRunEntities(runDir);
+  const res = writeShopify(entities, out);
+  const files = [res.productsCsv, ...res.createdSections].filter(Boolean);
+  return {
+    platform:'shopify', outDir: out, ...res, files,
+    stats:{ products: entities.filter(e=>e.type==='product').length, pages: res.createdSections.length, products_csv_rows: res.rows }
+  };
 }
-async function exportRun({ runDir, outDir, platform }){
+/* Exporters live in platform/exporters/ (see registry.cjs); options are validated before they run */
+async function exportRun({ runDir, outDir, platform, options }){
   if(!runDir||!outDir||!platform) throw new Error('exportRun: runDir, outDir, platform required');
-  if(platform==='woocommerce') return exportWoo({ runDir, outDir });
-  if(platform==='shopify') return exportShopify({ runDir, outDir });
-  throw new Error('Unknown platform: '+platform);
+  const ex = getExporter(platform);
+  const opts = validateOptions(ex, options);
+  const result = await ex.run({ runDir, outDir, options: opts });
+  return { platform: ex.name, ...(result||{}) };
 }
 
-module.exports = { exportRun };
\ No newline at end of file
+module.exports = {
+  exportRun,
+  // for exporters in platform/exporters/
+  exportWoo, exportShopify,
+  readJSON, readText, writeText, writeTextUtf8BOM, ensureDir, slugify, csvEscape,
+  getSiteOriginFromRun, readProductsNdjson, cleanProducts, normalizeVariants, isLikelyJunkProduct, normalizePrice, absolutizeImages, pageHtmlPath
+};
\ No newline at end of file
@@ -0,0 +1,93 @@
+/* eslint-disable no-console */
+const path = require('path');
+const { loadRunEntities, productDescription } = require('../entities.cjs');
+const { ensureDir, readJSON, writeText, slugify, csvEscape } = require('../exporter.cjs');
+
+// BigCommerce product import CSV (Products > Import, v3 format): one "Product" row per product
+// followed by its "Variant" and "Image" rows. The Categories column takes category IDs, so
+// category names are translated through option categoryMap (JSON { "Name": id }); unmapped
+// names are reported in stats.unmappedCategories.
+
+const BC_HEADER = [
+  'Item','ID','Name','Type','SKU','Options','Inventory Tracking','Current Stock','Price','Sale Price',
+  'Brand Name','Categories','Description','Page Title','Meta Description','Product URL','Weight',
+  'Is Visible','Image URL (Import)','Image Description','Image is Thumbnail','Image Sort Order'
+];
+
+function buildRows(products, o, categoryIds) {
+  const rows = [];
+  const unmapped = new Set();
+  const usedUrls = new Set();
+  for (const e of products) {
+    let slug = slugify(e.title || e.id) || 'product';
+    for (let i = 2; usedUrls.has(slug); i++) slug = `${slugify(e.title || e.id)}-${i}`;
+    usedUrls.add(slug);
+    const ids = [];
+    for (const c of e.categories || []) {
+      const id = categoryIds[c] ?? categoryIds[String(c).trim()];
+      if (id != null) ids.push(id); else unmapped.add(c);
+    }
+    const variants = (e.variants || []).filter(v => v && (v.sku || v.option1 || v.option2 || v.option3));
+    const names = (e.options || []).map(op => (/^Option \d+$/.test(op.name) ? o.variantOptionName : op.name).replace(/[|=,]/g, ' ').trim());
+    if (!names.length) names.push(o.variantOptionName);
+    rows.push({
+      Item: 'Product', Name: e.title || slug, Type: 'Physical', SKU: e.sku || '',
+      'Inventory Tracking': variants.length ? 'variant' : 'product', 'Current Stock': variants.length ? '' : o.stock,
+      Price: e.price != null ? e.price : '', 'Brand Name': e.brand || '', Categories: ids.join(';'),
+      Description: productDescription(e), 'Page Title': e.title || '', 'Meta Description': e.metadata?.description || '',
+      'Product URL': `/${slug}/`, Weight: o.weight, 'Is Visible': 'TRUE'
+    });
+    variants.forEach((v, i) => {
+      const values = [v.option1, v.option2, v.option3].slice(0, names.length).map(x => String(x || '').replace(/[|=,]/g, ' ').trim());
+      if (!values.some(Boolean)) values[0] = String(v.sku).replace(/[|=,]/g, ' ').trim();
+      const value = values.filter(Boolean).join('-');
+      rows.push({
+        Item: 'Variant', SKU: v.sku || (e.sku ? `${e.sku}-${slugify(value)}` : `${slug}-${i + 1}`),
+        Options: names.map((n, k) => `Type=${o.variantOptionType}|Name=${n}|Value=${values[k] || '-'}`).join(','),
+        'Current Stock': v.stock != null ? v.stock : (v.available === false ? 0 : o.stock), Price: v.price != null ? v.price : '',
+        'Image URL (Import)': v.image || ''
+      });
+    });
+    (e.images || []).map(im => im.src).filter(Boolean).forEach((src, i) => {
+      rows.push({ Item: 'Image', 'Image URL (Import)': src, 'Image Description': e.title || '', 'Image is Thumbnail': i === 0 ? 'TRUE' : 'FALSE', 'Image Sort Order': i });
+    });
+  }
+  return { rows, unmapped: [...unmapped] };
+}
+
+async function run({ runDir, outDir, options }) {
+  const categoryIds = options.categoryMap ? readJSON(path.resolve(options.categoryMap), null) : {};
+  if (!categoryIds) throw new Error(`bigcommerce: cannot read categoryMap ${options.categoryMap}`);
+  const { entities } = loadRunEntities(runDir);
+  const products = entities.filter(e => e.type === 'product');
+  const out = path.join(outDir, 'bigcommerce');
+  ensureDir(out);
+  const { rows, unmapped } = buildRows(products, options, categoryIds);
+  const lines = [BC_HEADER.join(',')].concat(rows.map(r => BC_HEADER.map(h => csvEscape(r[h])).join(',')));
+  const csvPath = path.join(out, 'bigcommerce-products.csv');
+  writeText(csvPath, lines.join('\n') + '\n');
+  if (unmapped.length) console.warn(`[bigcommerce] ${unmapped.length} categories without an ID in categoryMap`);
+  return {
+    outDir: out,
+    productsCsv: csvPath,
+    files: [csvPath],
+    stats: { products: products.length, rows: rows.length, unmappedCategories: unmapped }
+  };
+}
+
+const exporter = {
+  name: 'bigcommerce',
+  aliases: ['bc'],
+  title: 'BigCommerce',
+  description: 'Product import CSV (Products > Import, v3 Product/Variant/Image rows)',
+  options: {
+    categoryMap: { type: 'string', default: '', description: 'JSON file mapping category names to BigCommerce category IDs' },
+    stock: { type: 'number', default: 100, description: 'Current Stock for products and variants without a captured stock level' },
+    weight: { type: 'number', default: 1, description: 'Weight for every product' },
+    variantOptionName: { type: 'string', default: 'Size', description: 'Option name for unnamed variant options' },
+    variantOptionType: { type: 'enum', values: ['Rectangle', 'Dropdown', 'Radio', 'Swatch'], default: 'Rectangle', description: 'Option display type for variant rows' }
+  },
+  run
+};
+
+module.exports = { exporter, buildRows };
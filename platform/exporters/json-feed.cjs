@@ -0,0 +1,39 @@
+/* eslint-disable no-console */
+const path = require('path');
+const { loadRunEntities } = require('../entities.cjs');
+const { ensureDir, writeText } = require('../exporter.cjs');
+
+// Normalized feed of the run's schema.cjs entities (pages and products) for custom importers:
+// entities.json ({ generatedAt, origin, counts, entities }) or entities.ndjson (one entity per line).
+
+async function run({ runDir, outDir, options }) {
+  const { origin, entities } = loadRunEntities(runDir, { pages: options.pages, html: options.includeHtml });
+  const out = path.join(outDir, 'json-feed');
+  ensureDir(out);
+  const counts = entities.reduce((m, e) => { m[e.type] = (m[e.type] || 0) + 1; return m; }, {});
+  const strip = (e) => (options.includeHtml ? e : { ...e, html: undefined });
+  let file;
+  if (options.format === 'ndjson') {
+    file = path.join(out, 'entities.ndjson');
+    writeText(file, entities.map(e => JSON.stringify(strip(e))).join('\n') + (entities.length ? '\n' : ''));
+  } else {
+    file = path.join(out, 'entities.json');
+    writeText(file, JSON.stringify({ generatedAt: new Date().toISOString(), origin, counts, entities: entities.map(strip) }, null, 2));
+  }
+  return { outDir: out, feed: file, files: [file], stats: { entities: entities.length, ...counts } };
+}
+
+const exporter = {
+  name: 'json-feed',
+  aliases: ['json'],
+  title: 'JSON / NDJSON feed',
+  description: 'Normalized pages and products (platform/schema.cjs) as entities.json or entities.ndjson',
+  options: {
+    format: { type: 'enum', values: ['json', 'ndjson'], default: 'json', description: 'Single JSON document or one entity per line' },
+    includeHtml: { type: 'boolean', default: false, description: 'Keep the captured HTML of every entity' },
+    pages: { type: 'boolean', default: true, description: 'Include captured pages, not only products' }
+  },
+  run
+};
+
+module.exports = { exporter };
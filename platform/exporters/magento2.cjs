@@ -0,0 +1,123 @@
+/* eslint-disable no-console */
+const path = require('path');
+const { loadRunEntities, productDescription } = require('../entities.cjs');
+const { ensureDir, writeText, slugify, csvEscape } = require('../exporter.cjs');
+
+// Magento 2 product import CSV (System > Data Transfer > Import, entity type "Products").
+// Image columns carry absolute URLs, which the importer downloads. Products with variants become
+// a configurable parent plus one simple child per variant. Attribute codes derive from the option
+// names ("Shoe size" -> shoe_size; unnamed options use option variantAttribute) and must exist in
+// the attribute set.
+
+const M2_HEADER = [
+  'sku','store_view_code','attribute_set_code','product_type','categories','product_websites',
+  'name','description','short_description','weight','product_online','tax_class_name','visibility',
+  'price','url_key','meta_title','meta_description','base_image','small_image','thumbnail_image',
+  'additional_images','qty','is_in_stock','additional_attributes','configurable_variations'
+];
+
+// "Men > Shoes" or "Men/Shoes" -> "Default Category/Men/Shoes"; "," separates categories in the column
+function categoryPath(c, root) {
+  const parts = String(c).split(/\s*(?:>|\/|»)\s*/).map(s => s.replace(/,/g, ' ').trim()).filter(Boolean);
+  return parts.length ? [root, ...parts].join('/') : '';
+}
+
+function uniqueKey(base, used) {
+  let k = base || 'product';
+  for (let i = 2; used.has(k); i++) k = `${base}-${i}`;
+  used.add(k);
+  return k;
+}
+
+function attributeCodes(e, o) {
+  const codes = (e.options || []).map((op, k) => (/^Option \d+$/.test(op.name) || !slugify(op.name)
+    ? (k ? `${o.variantAttribute}_${k + 1}` : o.variantAttribute)
+    : slugify(op.name).replace(/-/g, '_')));
+  return codes.length ? codes : [o.variantAttribute];
+}
+
+function buildRows(products, o) {
+  const rows = [];
+  const usedKeys = new Set();
+  const usedSkus = new Set();
+  for (const e of products) {
+    const urlKey = uniqueKey(slugify(e.title || e.id), usedKeys);
+    const sku = uniqueKey(e.sku || urlKey, usedSkus);
+    const images = (e.images || []).map(i => i.src).filter(Boolean);
+    const base = {
+      sku, store_view_code: o.storeViewCode, attribute_set_code: o.attributeSet,
+      categories: (e.categories || []).map(c => categoryPath(c, o.rootCategory)).filter(Boolean).join(','),
+      product_websites: o.website, name: e.title || sku, description: productDescription(e),
+      short_description: e.metadata?.description || '', weight: o.weight, product_online: 1,
+      tax_class_name: o.taxClass, price: e.price != null ? e.price : '', url_key: urlKey,
+      meta_title: e.title || '', meta_description: e.metadata?.description || '',
+      base_image: images[0] || '', small_image: images[0] || '', thumbnail_image: images[0] || '',
+      additional_images: images.slice(1).join(','), qty: o.qty, is_in_stock: 1
+    };
+    const variants = (e.variants || []).filter(v => v && (v.sku || v.option1 || v.option2 || v.option3));
+    if (!variants.length) {
+      rows.push({ ...base, product_type: 'simple', visibility: 'Catalog, Search' });
+      continue;
+    }
+    // Children first: the importer links configurable_variations to SKUs it already knows
+    const links = [];
+    const codes = attributeCodes(e, o);
+    for (const v of variants) {
+      const values = [v.option1, v.option2, v.option3].slice(0, codes.length).map(x => String(x || '').replace(/[,|=]/g, ' ').trim());
+      if (!values.some(Boolean)) values[0] = String(v.sku).replace(/[,|=]/g, ' ').trim();
+      const value = values.filter(Boolean).join(' / ');
+      const attrs = codes.map((c, k) => `${c}=${values[k] || ''}`).join(',');
+      const childKey = uniqueKey(`${urlKey}-${slugify(value)}`, usedKeys);
+      const childSku = uniqueKey(v.sku || `${sku}-${slugify(value)}`, usedSkus);
+      rows.push({
+        ...base, sku: childSku, product_type: 'simple', visibility: 'Not Visible Individually',
+        name: `${base.name} - ${value}`, url_key: childKey, price: v.price != null ? v.price : base.price,
+        base_image: v.image || base.base_image, small_image: v.image || base.small_image,
+        thumbnail_image: v.image || base.thumbnail_image, additional_images: '',
+        qty: v.stock != null ? v.stock : (v.available === false ? 0 : o.qty),
+        is_in_stock: v.available === false || v.stock === 0 ? 0 : 1,
+        additional_attributes: attrs
+      });
+      links.push(`sku=${childSku},${attrs}`);
+    }
+    rows.push({ ...base, product_type: 'configurable', visibility: 'Catalog, Search', qty: '', configurable_variations: links.join('|') });
+  }
+  return rows;
+}
+
+async function run({ runDir, outDir, options }) {
+  const { entities } = loadRunEntities(runDir);
+  const products = entities.filter(e => e.type === 'product');
+  const out = path.join(outDir, 'magento2');
+  ensureDir(out);
+  const rows = buildRows(products, options);
+  const lines = [M2_HEADER.join(',')].concat(rows.map(r => M2_HEADER.map(h => csvEscape(r[h])).join(',')));
+  const csvPath = path.join(out, 'magento2-products.csv');
+  writeText(csvPath, lines.join('\n') + '\n');
+  return {
+    outDir: out,
+    productsCsv: csvPath,
+    files: [csvPath],
+    stats: { products: products.length, rows: rows.length, configurable: rows.filter(r => r.product_type === 'configurable').length }
+  };
+}
+
+const exporter = {
+  name: 'magento2',
+  aliases: ['magento'],
+  title: 'Magento 2',
+  description: 'Product import CSV (System > Data Transfer > Import, entity "Products")',
+  options: {
+    website: { type: 'string', default: 'base', description: 'product_websites code' },
+    attributeSet: { type: 'string', default: 'Default', description: 'attribute_set_code' },
+    rootCategory: { type: 'string', default: 'Default Category', description: 'Root category the category paths hang under' },
+    storeViewCode: { type: 'string', default: '', description: 'Store view code (empty = default scope)' },
+    taxClass: { type: 'string', default: 'Taxable Goods', description: 'tax_class_name' },
+    qty: { type: 'number', default: 100, description: 'Stock quantity for simple products (and variants without a captured stock level)' },
+    weight: { type: 'number', default: 1, description: 'Weight for every product' },
+    variantAttribute: { type: 'string', default: 'size', description: 'Attribute code for unnamed variant options (configurable products)' }
+  },
+  run
+};
+
+module.exports = { exporter, buildRows };
@@ -1,6 +1,7 @@
 /* eslint-disable no-console */
 const fs = require('fs');
 const path = require('path');
+const { productDescription } = require('../entities.cjs');
 
 // Shopify expects:
 // - Theme Liquid files (sections/snippets/templates) for theme integration
@@ -20,47 +21,69 @@ function toCsvRow(fields) {
   }).join(',');
 }
 
+const SHOPIFY_HEADER = [
+  'Handle','Title','Body (HTML)','Vendor','Type','Tags','Published',
+  'Option1 Name','Option1 Value','Option2 Name','Option2 Value','Option3 Name','Option3 Value',
+  'Variant SKU','Variant Inventory Tracker','Variant Inventory Qty','Variant Inventory Policy',
+  'Variant Fulfillment Service','Variant Price','Variant Compare At Price','Variant Requires Shipping',
+  'Image Src','Image Position','Image Alt Text','Variant Image','Status'
+];
+
+// One row per variant (the first also carries the product fields), then one row per further image.
+// Products without variants get Shopify's single "Title: Default Title" variant.
 function exportProductsCsv(entities, outDir) {
-  const rows = [];
-  const header = [
-    'Handle','Title','Body (HTML)','Vendor','Type','Tags',
-    'Published','Option1 Name','Option1 Value','Variant SKU','Variant Price','Variant Currency',
-    'Image Src','Image Alt Text'
-  ];
-  rows.push(toCsvRow(header));
+  const rows = [toCsvRow(SHOPIFY_HEADER)];
+  const used = new Set();
   for (const e of entities.filter(x => x.type === 'product')) {
-    const handle = e.id;
-    const vendor = e.brand || '';
-    const type = e.categories?.[0] || '';
-    const tags = (e.categories || []).join(';');
-    const published = 'TRUE';
-    const mainImg = e.images?.[0]?.src || '';
-    const alt = e.images?.[0]?.alt || '';
-    const sku = e.sku || '';
-    const price = e.price != null ? e.price : '';
-    const currency = e.currency || '';
-
-    // minimal single-variant line
-    const row = [
-      handle, e.title, e.html, vendor, type, tags,
-      published, 'Title', 'Default', sku, price, currency,
-      mainImg, alt
-    ];
-    rows.push(toCsvRow(row));
-
-    // optional: emit variant rows if provided
-    for (const v of e.variants || []) {
-      const vRow = [
-        handle, '', '', '', '', '',
-        '', 'Title', v.option1 || 'Default', v.sku || '', v.price ?? '', currency,
-        (v.image || ''), ''
-      ];
-      rows.push(toCsvRow(vRow));
-    }
+    let handle = e.id || 'product';
+    for (let i = 2; used.has(handle); i++) handle = `${e.id}-${i}`;
+    used.add(handle);
+    const options = (e.options || []).slice(0, 3);
+    const seen = new Set();
+    const variants = (e.variants || []).filter(v => {
+      const key = [v.option1, v.option2, v.option3].slice(0, options.length).join('\u0000');
+      if (!options.length || seen.has(key)) return false; // Shopify rejects duplicate option combinations
+      seen.add(key);
+      return true;
+    });
+    const list = variants.length ? variants : [{ sku: e.sku, price: e.price }];
+    const images = (e.images || []).filter(i => i && i.src);
+    list.forEach((v, i) => {
+      const r = { Handle: handle };
+      if (i === 0) {
+        Object.assign(r, {
+          Title: e.title, 'Body (HTML)': productDescription(e), Vendor: e.brand || '', Type: e.categories?.[0] || '',
+          Tags: [...(e.categories || []), ...(e.metadata?.tags || [])].join(', '), Published: 'TRUE', Status: 'active',
+          'Image Src': images[0]?.src || '', 'Image Position': images[0] ? 1 : '', 'Image Alt Text': images[0]?.alt || ''
+        });
+      }
+      if (variants.length) {
+        options.forEach((o, k) => {
+          if (i === 0) r[`Option${k + 1} Name`] = o.name;
+          r[`Option${k + 1} Value`] = [v.option1, v.option2, v.option3][k] || '-';
+        });
+      } else {
+        Object.assign(r, { 'Option1 Name': 'Title', 'Option1 Value': 'Default Title' });
+      }
+      const price = v.price != null ? v.price : (e.price != null ? e.price : '');
+      Object.assign(r, {
+        'Variant SKU': v.sku || '', 'Variant Price': price,
+        'Variant Compare At Price': v.regularPrice != null && price !== '' && v.regularPrice > price ? v.regularPrice : '',
+        'Variant Inventory Tracker': v.stock != null ? 'shopify' : '',
+        'Variant Inventory Qty': v.stock != null ? v.stock : (v.available === false ? 0 : ''),
+        'Variant Inventory Policy': 'deny', 'Variant Fulfillment Service': 'manual', 'Variant Requires Shipping': 'TRUE',
+        'Variant Image': v.image || ''
+      });
+      rows.push(toCsvRow(SHOPIFY_HEADER.map(h => r[h])));
+    });
+    images.slice(1).forEach((im, i) => {
+      const r = { Handle: handle, 'Image Src': im.src, 'Image Position': i + 2, 'Image Alt Text': im.alt || '' };
+      rows.push(toCsvRow(SHOPIFY_HEADER.map(h => r[h])));
+    });
   }
   const csvPath = path.join(outDir, 'products.csv');
-  fs.writeFileSync(csvPath, rows.join('\n'), 'utf8');
-  return csvPath;
+  fs.writeFileSync(csvPath, rows.join('\n') + '\n', 'utf8');
+  return { csvPath, rows: rows.length - 1 };
 }
 
 function exportPagesAsLiquidSections(entities, themeDir) {
@@ -102,8 +125,18 @@ function exportShopify(entities, outRoot) {
   const themeDir = path.join(outRoot, 'shopify-theme');
   ensureDir(themeDir);
   const createdSections = exportPagesAsLiquidSections(entities, themeDir);
-  const csv = exportProductsCsv(entities, outRoot);
-  return { themeDir, createdSections, productsCsv: csv };
+  const { csvPath, rows } = exportProductsCsv(entities, outRoot);
+  return { themeDir, createdSections, productsCsv: csvPath, rows };
 }
 
-module.exports = { exportShopify };
+// Registry entry (platform/registry.cjs): the run-based export in platform/exporter.cjs
+// (loads the run's entities and calls exportShopify above)
+const exporter = {
+  name: 'shopify',
+  title: 'Shopify',
+  description: 'Theme Liquid sections and products CSV (Products > Import)',
+  options: {},
+  run: (ctx) => require('../exporter.cjs').exportShopify(ctx)
+};
+
+module.exports = { exportShopify, exporter };
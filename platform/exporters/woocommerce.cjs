@@ -90,4 +90,16 @@ function exportWooCommerce(entities, outRoot) {
   return { outDir, productsCsv: csv, pagesWxr: wxr };
 }
 
-module.exports = { exportWooCommerce };
+// Registry entry (platform/registry.cjs): the run-based export in platform/exporter.cjs
+const exporter = {
+  name: 'woocommerce',
+  aliases: ['woo'],
+  title: 'WooCommerce',
+  description: 'Products CSV (Products > Import) and pages WXR (Tools > Import > WordPress)',
+  options: {
+    inlineCss: { type: 'boolean', default: true, description: 'Inline and bake page CSS into the WXR content' }
+  },
+  run: (ctx) => require('../exporter.cjs').exportWoo(ctx)
+};
+
+module.exports = { exportWooCommerce, exporter };
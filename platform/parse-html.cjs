@@ -5,6 +5,7 @@ let cheerio;
 try { cheerio = require('cheerio'); } catch { console.warn('[platform/parse-html] Install cheerio: npm i cheerio'); }
 
 const { page, product } = require('./schema.cjs');
+const { extractVariants } = require('../lib/product-variants.cjs');
 
 function safeSlug(s='') {
   return String(s).toLowerCase().replace(/https?:\/\//,'').replace(/[^a-z0-9]+/g,'-').replace(/(^-|-$)/g,'').slice(0, 80);
@@ -40,7 +41,7 @@ function parseHtmlFile(filePath, urlHint) {
   const id = safeSlug(url || title || path.basename(filePath));
 
   // Detect product via JSON-LD first
-  let isProduct = false, price = null, currency = 'USD', sku = '', brand = '', categories = [], variants = [];
+  let isProduct = false, price = null, currency = 'USD', sku = '', brand = '', categories = [], variants = [], options = [], ldDescription = '';
   if ($) {
     const ld = extractJsonLd($);
     const prod = ld.find(x => {
@@ -50,6 +51,7 @@ function parseHtmlFile(filePath, urlHint) {
     if (prod) {
       isProduct = true;
       sku = prod.sku || '';
+      ldDescription = typeof prod.description === 'string' ? prod.description.trim() : '';
       brand = typeof prod.brand === 'string' ? prod.brand : (prod.brand && prod.brand.name) || '';
       categories = Array.isArray(prod.category) ? prod.category : (prod.category ? [prod.category] : []);
       const offers = Array.isArray(prod.offers) ? prod.offers[0] : prod.offers;
@@ -57,12 +59,26 @@ function parseHtmlFile(filePath, urlHint) {
         price = Number(offers.price) || null;
         currency = offers.priceCurrency || currency;
       }
-      // variants placeholder (requires site-specific parsing; left empty here)
+      // JSON-LD images are absolute live URLs; <img> srcs point into the archive
+      const ldImages = (Array.isArray(prod.image) ? prod.image : (prod.image ? [prod.image] : []))
+        .map(im => (typeof im === 'string' ? im : (im && (im.url || im.contentUrl)) || ''))
+        .filter(Boolean);
+      if (ldImages.length) images.splice(0, images.length, ...ldImages.map(src => ({ src, alt: title })));
+    }
+  }
+  // Options/variants: also marks Woo/OpenCart/Shopify product pages without JSON-LD as products
+  if ($) {
+    const v = extractVariants($, url, { basePrice: price });
+    if (v && (isProduct || v.variants.length)) {
+      isProduct = true;
+      variants = v.variants;
+      options = v.options;
+      if (price == null) { const ps = variants.map(x => x.price).filter(x => x != null); if (ps.length) price = Math.min(...ps); }
     }
   }
 
   if (isProduct) {
-    return product(id, url, title, html, text, images, price, currency, sku, brand, categories, variants, { description: metaDesc, canonical });
+    return product(id, url, title, html, text, images, price, currency, sku, brand, categories, variants, { description: ldDescription || metaDesc, canonical }, options);
   }
   return page(id, url, title, html, text, images, { description: metaDesc, canonical });
 }
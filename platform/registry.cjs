@@ -0,0 +1,122 @@
+/* eslint-disable no-console */
+const fs = require('fs');
+const path = require('path');
+
+// Exporter registry: every platform/exporters/*.cjs that exports an `exporter` descriptor
+//
+//   exports.exporter = {
+//     name: 'magento2',                 // --platform value
+//     aliases: ['magento'],             // optional extra names
+//     title: 'Magento 2',
+//     description: 'Product import CSV (System > Data Transfer > Import)',
+//     options: {                        // declared options, validated before run()
+//       website: { type: 'string', default: 'base', description: '...' },
+//       qty:     { type: 'number', default: 100 },
+//       format:  { type: 'enum', values: ['json', 'ndjson'], default: 'json' }
+//     },
+//     async run({ runDir, outDir, options }) { return { outDir, files: [...], stats: {...} }; }
+//   };
+//
+// Files without a descriptor (helper modules) are skipped.
+
+const EXPORTERS_DIR = path.join(__dirname, 'exporters');
+const OPTION_TYPES = new Set(['string', 'number', 'boolean', 'enum', 'list']);
+
+function validateDescriptor(ex, file) {
+  const where = path.basename(file);
+  if (!ex || typeof ex !== 'object') throw new Error(`${where}: exporter must be an object`);
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(ex.name || '')) throw new Error(`${where}: exporter.name must be lowercase [a-z0-9-]`);
+  if (typeof ex.run !== 'function') throw new Error(`${where}: exporter.run must be a function`);
+  for (const [key, spec] of Object.entries(ex.options || {})) {
+    if (!spec || !OPTION_TYPES.has(spec.type)) throw new Error(`${where}: option "${key}" needs a type (${[...OPTION_TYPES].join('|')})`);
+    if (spec.type === 'enum' && (!Array.isArray(spec.values) || !spec.values.length)) throw new Error(`${where}: enum option "${key}" needs values`);
+  }
+}
+
+let cache = null;
+
+/** Discover exporters. Returns Map(name|alias -> descriptor); a broken file is reported and skipped. */
+function loadExporters({ dir = EXPORTERS_DIR, reload = false } = {}) {
+  if (cache && !reload && dir === EXPORTERS_DIR) return cache;
+  const map = new Map();
+  let files = [];
+  try { files = fs.readdirSync(dir).filter(f => /\.c?js$/i.test(f)).sort(); } catch {}
+  for (const f of files) {
+    const file = path.join(dir, f);
+    let mod;
+    try { mod = require(file); } catch (e) { console.warn('[exporters] failed to load', f, e.message); continue; }
+    const ex = mod && mod.exporter;
+    if (!ex) continue;
+    try { validateDescriptor(ex, file); } catch (e) { console.warn('[exporters]', e.message); continue; }
+    for (const name of [ex.name, ...(ex.aliases || [])]) {
+      if (map.has(name)) { console.warn(`[exporters] ${f}: "${name}" already registered by ${map.get(name).file}`); continue; }
+      map.set(name, { ...ex, file: f });
+    }
+  }
+  if (dir === EXPORTERS_DIR) cache = map;
+  return map;
+}
+
+/** One entry per exporter (aliases folded in), for --list and the GUI. */
+function listExporters(opts) {
+  const seen = new Set();
+  const out = [];
+  for (const ex of loadExporters(opts).values()) {
+    if (seen.has(ex.name)) continue;
+    seen.add(ex.name);
+    out.push({
+      name: ex.name, aliases: ex.aliases || [], title: ex.title || ex.name, description: ex.description || '',
+      options: Object.entries(ex.options || {}).map(([key, s]) => ({ key, type: s.type, values: s.values, default: s.default, description: s.description || '' }))
+    });
+  }
+  return out;
+}
+
+function getExporter(name, opts) {
+  const ex = loadExporters(opts).get(String(name || '').toLowerCase());
+  if (!ex) throw new Error(`Unknown platform: ${name} (available: ${listExporters(opts).map(e => e.name).join(', ')})`);
+  return ex;
+}
+
+// CLI/GUI values arrive as strings: "true", "12", "a,b"
+function coerce(key, spec, v) {
+  if (spec.type === 'boolean') {
+    if (typeof v === 'boolean') return v;
+    if (/^(true|1|yes|on)$/i.test(String(v))) return true;
+    if (/^(false|0|no|off)$/i.test(String(v))) return false;
+  } else if (spec.type === 'number') {
+    const n = typeof v === 'number' ? v : Number(String(v).trim());
+    if (String(v).trim() !== '' && Number.isFinite(n)) return n;
+  } else if (spec.type === 'enum') {
+    const s = String(v);
+    if (spec.values.includes(s)) return s;
+    throw new Error(`option "${key}" must be one of ${spec.values.join('|')} (got "${s}")`);
+  } else if (spec.type === 'list') {
+    return Array.isArray(v) ? v.map(String) : String(v).split(',').map(s => s.trim()).filter(Boolean);
+  } else {
+    return String(v);
+  }
+  throw new Error(`option "${key}" must be a ${spec.type} (got "${v}")`);
+}
+
+/**
+ * Check `options` against the exporter's declared options: unknown keys and bad values throw,
+ * strings are coerced, defaults fill the rest. undefined/null values count as unset.
+ */
+function validateOptions(ex, options = {}) {
+  const specs = ex.options || {};
+  const out = {};
+  for (const [key, v] of Object.entries(options || {})) {
+    if (v === undefined || v === null) continue;
+    const spec = specs[key];
+    if (!spec) throw new Error(`${ex.name}: unknown option "${key}"` + (Object.keys(specs).length ? ` (options: ${Object.keys(specs).join(', ')})` : ' (takes no options)'));
+    try { out[key] = coerce(key, spec, v); } catch (e) { throw new Error(`${ex.name}: ${e.message}`); }
+  }
+  for (const [key, spec] of Object.entries(specs)) {
+    if (!(key in out) && spec.default !== undefined) out[key] = spec.default;
+    if (spec.required && out[key] == null) throw new Error(`${ex.name}: option "${key}" is required`);
+  }
+  return out;
+}
+
+module.exports = { EXPORTERS_DIR, loadExporters, listExporters, getExporter, validateOptions };
@@ -13,7 +13,7 @@ function page(id, url, title, html, plainText, images = [], metadata = {}) {
   };
 }
 
-function product(id, url, title, html, plainText, images = [], price = null, currency = 'USD', sku = '', brand = '', categories = [], variants = [], metadata = {}) {
+function product(id, url, title, html, plainText, images = [], price = null, currency = 'USD', sku = '', brand = '', categories = [], variants = [], metadata = {}, options = []) {
   return {
     type: 'product',
     id,
@@ -27,7 +27,8 @@ function product(id, url, title, html, plainText, images = [], price = null, cur
     sku,
     brand,
     categories,  // strings
-    variants,    // [{sku, option1, option2, option3, price, image}]
+    variants,    // [{sku, option1, option2, option3, price, image, available, stock}] (lib/product-variants.cjs)
+    options,     // [{name, values}]: names of option1..option3
     metadata
   };
 }
@@ -28,8 +28,9 @@
   async function syncButtons(){
     try{
       const j = await fetchJSON('/api/status');
+      // Start stays enabled while jobs run: new runs wait in the queue for a free slot
       const running = !!(j && j.running);
-      id('btnStart').disabled = running;
+      id('btnStart').disabled = false;
       id('btnStop').disabled = !running;
     }catch(e){ /* ignore */ }
   }
@@ -38,6 +39,7 @@
     logCap('fetch '+url);
     const r = await fetch(url, opts);
     logCap('fetch '+url+' status='+r.status);
+    if (r.status === 401) toLogin();
     const text = await r.text();
     if (!r.ok) {
       // Prefer server-provided text for diagnostics
@@ -79,11 +81,14 @@
 
   async function jsonMaybe(r){
     // Safe parser for places still using fetch(...).then(jsonMaybe)
+    if (r.status === 401) toLogin();
     const text = await r.text();
     if (!r.ok) throw new Error('HTTP '+r.status+ (text?(' '+text.slice(0,200)) : ''));
     if (!text) return {};
     try { return JSON.parse(text); } catch { return { ok:true, raw: text }; }
   }
+  // Session expired or logged out elsewhere: back to the login page, then here again
+  function toLogin(){ location.href='/login?next='+encodeURIComponent(location.pathname+location.search); }
   function fmtTime(t){ if(!t) return '-'; try{ return new Date(t).toLocaleTimeString(); }catch{return '-';} }
 
   window.onerror=(m,src,l,c,e)=>logCap('ERROR '+m+' @'+l+':'+c);
@@ -98,6 +103,8 @@
         setTimeout(loadRuns,600);
         setTimeout(syncButtons,650);
       }
+      if(/JOB_QUEUED|JOB_RUN|JOB_DONE/.test(e.data)) setTimeout(loadQueue,400);
+      if(/SCHEDULE_(FIRE|DONE|PRUNE)/.test(e.data)) setTimeout(loadSchedules,500);
     };
   }catch(e){ logLive('SSE error '+e.message); }
 
@@ -108,16 +115,322 @@
       const fails = r.stats?.failures ?? 0;
       const assets = r.stats?.assets ?? '-';
       return `<tr data-run="${r.id}" class="${r.pending?'pending':''}">
-        <td>${r.id}</td>
+        <td>${r.id}${r.recipe?`<div class="small">recipe ${escHtml(r.recipe.name)}${r.recipe.version?' v'+r.recipe.version:''}</div>`:''}${r.scheduleId?`<div class="small" title="${escHtml(r.summary||'')}">${escHtml(r.scheduleName||r.scheduleId)}: ${escHtml(r.outcome||'')}${r.summary?' · '+escHtml(r.summary):''}</div>`:''}</td>
         <td>${fmtTime(r.startedAt)}</td>
         <td>${pages}</td>
         <td>${fails}</td>
         <td>${assets}</td>
-        <td><button data-act="sel" data-run="${r.id}" style="font-size:.55rem">Select</button></td>
+        <td><button data-act="sel" data-run="${r.id}" style="font-size:.55rem">Select</button>
+          ${r.pending?'':`<button data-act="resume" data-run="${r.id}" class="secondary" style="font-size:.55rem" title="Re-run the archiver on this folder, skipping pages already captured">Resume</button>
+          <button data-act="refresh" data-run="${r.id}" class="secondary" style="font-size:.55rem" title="Re-capture only pages whose HTML or CSS/JS changed (ETag/Last-Modified)">Refresh</button>`}</td>
       </tr>`;
     }).join('');
   }
-  function loadRuns(){ return fetchJSON('/api/runs').then(j=>renderRuns(j.runs||[])).catch(e=>logCap('loadRuns err '+e.message)); }
+  function loadRuns(){ return fetchJSON('/api/runs').then(j=>{ renderRuns(j.runs||[]); fillCatalogRuns(j.runs||[]); }).catch(e=>logCap('loadRuns err '+e.message)); }
+
+  // ---------- Job queue (lib/job-queue.cjs): runs, crawls, exports and prepares with per-type slots
+  let queueLogSource=null;
+  function loadQueue(){
+    return fetchJSON('/api/jobs?limit=30').then(j=>{
+      const slots=j.slots||{};
+      [['slotRun','run'],['slotCrawl','crawl'],['slotExport','export'],['slotPrepare','prepare']].forEach(([sid,t])=>{
+        const el=id(sid); if(el && document.activeElement!==el) el.value=slots[t]||'';
+      });
+      const rows=(j.jobs||[]).map(job=>`<tr>
+        <td>${escHtml(job.id)}</td><td>${job.type}</td><td>${escHtml(job.runId||'')}</td>
+        <td>${job.status}${job.position?' #'+job.position:''}${job.phase&&job.status==='running'?' ('+escHtml(job.phase)+')':''}</td>
+        <td>${fmtTime(job.startedAt||job.createdAt)}</td>
+        <td>${['queued','running'].includes(job.status)?`<button data-qstop="${escHtml(job.id)}" class="secondary">${job.status==='queued'?'Cancel':'Stop'}</button>`:''}
+          <button data-qlog="${escHtml(job.id)}" class="secondary">Log</button></td>
+      </tr>`);
+      id('queueJobs').innerHTML=rows.length?`<table><thead><tr><th>Job</th><th>Type</th><th>Run</th><th>Status</th><th>Time</th><th></th></tr></thead><tbody>${rows.join('')}</tbody></table>`:'No jobs.';
+    }).catch(e=>logCap('jobs err '+e.message));
+  }
+  id('queueJobs')?.addEventListener('click',e=>{
+    const stopId=e.target.getAttribute('data-qstop');
+    const logId=e.target.getAttribute('data-qlog');
+    if(stopId){
+      fetch('/api/jobs/'+encodeURIComponent(stopId)+'/stop',{method:'POST'}).then(jsonMaybe)
+        .then(j=>logCap('Job stop '+JSON.stringify(j))).catch(e2=>logCap('Job stop err '+e2.message))
+        .finally(()=>{ setTimeout(loadQueue,500); setTimeout(loadRuns,800); });
+    }
+    if(logId){
+      // One job's log at a time: replay its tail, then follow it while it runs
+      if(queueLogSource) queueLogSource.close();
+      const box=id('queueLog'); box.textContent='';
+      queueLogSource=new EventSource('/api/jobs/'+encodeURIComponent(logId)+'/log?stream=1&lines=300');
+      queueLogSource.onmessage=ev=>append(box,ev.data);
+    }
+  });
+  id('btnSaveSlots')?.addEventListener('click',()=>{
+    const slots={ run:asNum(id('slotRun'),1), crawl:asNum(id('slotCrawl'),1), export:asNum(id('slotExport'),1), prepare:asNum(id('slotPrepare'),1) };
+    fetch('/api/jobs/slots',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({slots})})
+      .then(jsonMaybe).then(j=>{ logCap('Slots '+JSON.stringify(j)); loadQueue(); })
+      .catch(e=>logCap('Slots err '+e.message));
+  });
+  id('btnRefreshQueue')?.addEventListener('click',loadQueue);
+
+  // ---------- Schedules (lib/schedules.cjs): recurring captures with retention
+  let scheduleCache=[];
+  function loadSchedules(){
+    return fetchJSON('/api/schedules').then(j=>{
+      scheduleCache=j.schedules||[];
+      const rows=scheduleCache.map(sc=>{
+        const last=sc.runs[sc.runs.length-1];
+        const keep=[sc.retention.keepLast?`last ${sc.retention.keepLast}`:'', sc.retention.maxAgeDays?`${sc.retention.maxAgeDays} days`:''].filter(Boolean).join(' or ')||'all';
+        return `<tr>
+          <td>${escHtml(sc.name)}</td><td><code>${escHtml(sc.cron)}</code></td>
+          <td>${sc.enabled&&sc.nextRunAt?escHtml(new Date(sc.nextRunAt).toLocaleString()):'off'}</td>
+          <td>${last?`${escHtml(last.status)} ${escHtml(last.summary||'')} (${escHtml(last.runId)})`:'-'}</td>
+          <td>${keep}</td>
+          <td><button data-sact="run" data-sid="${sc.id}" class="secondary">Run now</button>
+            <button data-sact="edit" data-sid="${sc.id}" class="secondary">Edit</button>
+            <button data-sact="toggle" data-sid="${sc.id}" class="secondary">${sc.enabled?'Disable':'Enable'}</button>
+            <button data-sact="delete" data-sid="${sc.id}" class="secondary" title="Runs already captured are kept">Delete</button></td>
+        </tr>`;
+      });
+      id('scheduleList').innerHTML=(j.active?'':'Scheduler disabled on the server (GUI_SCHEDULER=false); "Run now" still works.<br>')+
+        (rows.length?`<table><thead><tr><th>Name</th><th>Cron</th><th>Next</th><th>Last run</th><th>Keep</th><th></th></tr></thead><tbody>${rows.join('')}</tbody></table>`:'No schedules.');
+    }).catch(e=>logCap('schedules err '+e.message));
+  }
+  function saveSchedule(body){
+    return fetch('/api/schedules',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify(body)})
+      .then(jsonMaybe).then(j=>{ logCap('Schedule '+JSON.stringify(j)); loadSchedules(); return j; });
+  }
+  id('btnSaveSchedule')?.addEventListener('click',()=>{
+    const urls=lines(id('schedUrls'));
+    if(!urls){ alert('Enter at least one URL'); return; }
+    const prev=scheduleCache.find(sc=>sc.id===id('schedId').value);
+    saveSchedule({
+      id: prev ? prev.id : undefined, name: asStr(id('schedName')), cron: asStr(id('schedCron')), enabled: prev ? prev.enabled : true,
+      request:{ urlsText: urls, options: buildOptions(), recipe: selectedRecipe() || undefined },
+      retention:{ keepLast: asNum(id('schedKeepLast'),0), maxAgeDays: asNum(id('schedMaxDays'),0) }
+    }).then(j=>{ if(j && j.ok) id('schedId').value=''; }).catch(e=>{ logCap('Schedule err '+e.message); alert(e.message); });
+  });
+  id('btnRefreshSchedules')?.addEventListener('click',loadSchedules);
+  id('scheduleList')?.addEventListener('click',e=>{
+    const act=e.target.getAttribute('data-sact'), sid=e.target.getAttribute('data-sid');
+    const sc=scheduleCache.find(x=>x.id===sid);
+    if(!act || !sc) return;
+    if(act==='edit'){
+      id('schedId').value=sc.id; id('schedName').value=sc.name; id('schedCron').value=sc.cron;
+      id('schedUrls').value=sc.request.urlsText||''; id('schedKeepLast').value=sc.retention.keepLast; id('schedMaxDays').value=sc.retention.maxAgeDays;
+      logCap('Editing schedule '+sc.id+' (Save keeps its id; capture options come from the form above)');
+      return;
+    }
+    if(act==='toggle'){ saveSchedule({ ...sc, enabled:!sc.enabled }).catch(e2=>logCap('Schedule err '+e2.message)); return; }
+    if(act==='delete' && !confirm('Delete schedule "'+sc.name+'"?')) return;
+    fetch('/api/schedules/'+encodeURIComponent(sid)+'/'+act,{method:'POST'}).then(jsonMaybe)
+      .then(j=>{ logCap('Schedule '+act+' '+JSON.stringify(j)); loadSchedules(); setTimeout(loadRuns,900); })
+      .catch(e2=>logCap('Schedule '+act+' err '+e2.message));
+  });
+
+  // ---------- Site recipes (lib/recipes.cjs): named, versioned run settings
+  let recipeCache=[];
+  let recipeSchemaCache=null;
+  function selectedRecipe(){ return asStr(id('recipeSelect')); }
+  function setRecipeStatus(m){ const el=id('recipeStatus'); if(el) el.textContent=m; }
+  function loadRecipes(){
+    return fetchJSON('/api/recipes').then(j=>{
+      recipeCache=j.recipes||[];
+      const sel=id('recipeSelect'), cur=sel.value;
+      sel.innerHTML='<option value="">No recipe (settings above)</option>'+recipeCache.map(r=>
+        `<option value="${escHtml(r.name)}">${escHtml(r.name)} (v${r.version})${r.description?' - '+escHtml(r.description):''}</option>`).join('');
+      if(recipeCache.some(r=>r.name===cur)) sel.value=cur;
+      const rows=recipeCache.map(r=>`<tr>
+        <td>${escHtml(r.name)}</td><td>v${r.version} <span class="small">(${r.versions} saved)</span></td>
+        <td>${escHtml(r.description)}${r.site?` <span class="badge">${escHtml(r.site)}</span>`:''}</td>
+        <td>${r.updatedAt?escHtml(new Date(r.updatedAt).toLocaleString()):'-'}</td>
+        <td><button data-ract="use" data-rname="${escHtml(r.name)}" class="secondary">Use</button>
+          <button data-ract="edit" data-rname="${escHtml(r.name)}" class="secondary">Edit</button>
+          <a class="zipLink" href="/api/recipes/${encodeURIComponent(r.name)}/export">Export</a>
+          <button data-ract="delete" data-rname="${escHtml(r.name)}" class="secondary">Delete</button></td>
+      </tr>`);
+      id('recipeList').innerHTML=rows.length?`<table><thead><tr><th>Recipe</th><th>Version</th><th>Description</th><th>Saved</th><th></th></tr></thead><tbody>${rows.join('')}</tbody></table>`:'No recipes yet.';
+    }).catch(e=>logCap('recipes err '+e.message));
+  }
+  function editRecipe(name, version){
+    const q=version?'?version='+encodeURIComponent(version):'';
+    return fetchJSON('/api/recipes/'+encodeURIComponent(name)+q).then(j=>{
+      const { version:v, savedAt, savedBy, note, ...doc } = j.recipe; // store fields are not part of the edited document
+      id('recipeJson').value=JSON.stringify({ ...doc, version:v }, null, 2);
+      id('recipeVersion').innerHTML=(j.versions||[]).slice().reverse().map(x=>
+        `<option value="${x.version}" ${x.version===v?'selected':''}>v${x.version}</option>`).join('');
+      id('recipeVersion').dataset.name=name;
+      setRecipeStatus(`Editing ${name} v${v}`+(savedBy?` (saved by ${savedBy})`:'')+(note?`: ${note}`:''));
+    }).catch(e=>setRecipeStatus(e.message));
+  }
+  function saveRecipe(doc){
+    return postJSON('/api/recipes',{ recipe:doc, note:asStr(id('recipeNote')) }).then(j=>{
+      setRecipeStatus(j.unchanged?`No changes: ${j.recipe.name} stays at v${j.recipe.version}`:`Saved ${j.recipe.name} v${j.recipe.version}`);
+      id('recipeNote').value='';
+      return loadRecipes().then(()=>editRecipe(j.recipe.name, j.recipe.version));
+    });
+  }
+  id('recipeList')?.addEventListener('click',e=>{
+    const act=e.target.getAttribute('data-ract'), name=e.target.getAttribute('data-rname');
+    if(!act || !name) return;
+    if(act==='use'){ id('recipeSelect').value=name; setRecipeStatus('Next runs use '+name); return; }
+    if(act==='edit'){ editRecipe(name); return; }
+    if(act==='delete' && confirm('Delete recipe "'+name+'" and all its versions? Runs keep their own copy.')){
+      postJSON('/api/recipes/'+encodeURIComponent(name)+'/delete').then(()=>{ setRecipeStatus('Deleted '+name); loadRecipes(); })
+        .catch(e2=>setRecipeStatus(e2.message));
+    }
+  });
+  id('recipeVersion')?.addEventListener('change',e=>{ const n=e.target.dataset.name; if(n) editRecipe(n, e.target.value); });
+  id('btnRecipeSave')?.addEventListener('click',()=>{
+    let doc;
+    try { doc=JSON.parse(id('recipeJson').value||'{}'); } catch(e){ setRecipeStatus('JSON error: '+e.message); return; }
+    saveRecipe(doc).catch(e=>setRecipeStatus(e.message));
+  });
+  // Options set in the Capture form, sorted into the schema's categories
+  id('btnRecipeFromForm')?.addEventListener('click',async ()=>{
+    try{
+      if(!recipeSchemaCache) recipeSchemaCache=await fetchJSON('/api/recipes/schema');
+      const cats=recipeSchemaCache.properties.settings.properties;
+      const opts=buildOptions(), settings={};
+      Object.keys(cats).forEach(cat=>Object.keys(cats[cat].properties).forEach(k=>{
+        if(opts[k]!==undefined && opts[k]!=='') (settings[cat]=settings[cat]||{})[k]=opts[k];
+      }));
+      if(opts.proxy) settings.network={ ...(settings.network||{}), proxies:[opts.proxy] };
+      let site=''; try{ site=new URL(asStr(id('seedInput')).split(/\n+/)[0]).hostname; }catch{}
+      id('recipeJson').value=JSON.stringify({ name: site.replace(/^www\./,'').replace(/[^a-z0-9._-]+/gi,'-').toLowerCase() || 'new-recipe', description:'', site, settings }, null, 2);
+      id('recipeVersion').innerHTML=''; delete id('recipeVersion').dataset.name;
+      setRecipeStatus('New recipe from the form: adjust name and settings, then save');
+    }catch(e){ setRecipeStatus(e.message); }
+  });
+  id('btnRecipeImport')?.addEventListener('click',()=>id('recipeImportFile').click());
+  id('recipeImportFile')?.addEventListener('change',async e=>{
+    const f=e.target.files && e.target.files[0]; if(!f) return;
+    try{
+      const doc=JSON.parse(await f.text());
+      id('recipeJson').value=JSON.stringify(doc,null,2);
+      await saveRecipe(doc);
+    }catch(err){ setRecipeStatus('Import failed: '+err.message); }
+    e.target.value='';
+  });
+
+  // ---------- Access (lib/auth.cjs): who is logged in, API tokens, users and audit log (admin)
+  let me=null;
+  function loadMe(){
+    return fetchJSON('/api/auth/me').then(j=>{
+      me=j.user||null;
+      id('authOff').style.display=j.auth?'none':'block';
+      id('authPanel').style.display=j.auth?'block':'none';
+      id('authUser').textContent=me?`${me.name} (${me.role})`:'';
+      id('btnLogout').style.display=me?'inline-block':'none';
+      id('adminPanel').style.display=me&&me.role==='admin'?'block':'none';
+      if(me){ loadTokens(); if(me.role==='admin'){ loadUsers(); loadAudit(); } }
+    }).catch(e=>logCap('auth err '+e.message));
+  }
+  function loadTokens(){
+    const all=me&&me.role==='admin'?'?all=1':'';
+    return fetchJSON('/api/tokens'+all).then(j=>{
+      const rows=(j.tokens||[]).map(t=>`<tr><td>${escHtml(t.name)}</td><td>${escHtml(t.user)}</td><td>${escHtml(t.role)}</td>
+        <td>${t.lastUsedAt?escHtml(new Date(t.lastUsedAt).toLocaleString()):'never'}</td>
+        <td><button data-revoke="${escHtml(t.id)}" class="secondary">Revoke</button></td></tr>`);
+      id('tokenList').innerHTML=rows.length?`<table><thead><tr><th>Name</th><th>User</th><th>Role</th><th>Last used</th><th></th></tr></thead><tbody>${rows.join('')}</tbody></table>`:'No tokens.';
+    }).catch(e=>logCap('tokens err '+e.message));
+  }
+  function loadUsers(){
+    return fetchJSON('/api/users').then(j=>{
+      const rows=(j.users||[]).map(u=>`<tr><td>${escHtml(u.name)}</td><td>${escHtml(u.role)}</td><td>${u.disabled?'disabled':'active'}</td>
+        <td>${u.lastLoginAt?escHtml(new Date(u.lastLoginAt).toLocaleString()):'-'}</td>
+        <td><button data-uact="edit" data-user="${escHtml(u.name)}" class="secondary">Edit</button>
+          <button data-uact="toggle" data-user="${escHtml(u.name)}" class="secondary">${u.disabled?'Enable':'Disable'}</button>
+          <button data-uact="delete" data-user="${escHtml(u.name)}" class="danger">Delete</button></td></tr>`);
+      id('userList').innerHTML=`<table><thead><tr><th>User</th><th>Role</th><th>Status</th><th>Last login</th><th></th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+      id('userList').dataset.users=JSON.stringify(j.users||[]);
+    }).catch(e=>logCap('users err '+e.message));
+  }
+  function loadAudit(){
+    const u=asStr(id('auditFilter'));
+    return fetchJSON('/api/audit?limit=200'+(u?'&user='+encodeURIComponent(u):'')).then(j=>{
+      const rows=(j.entries||[]).map(a=>`<tr><td>${escHtml(new Date(a.at).toLocaleString())}</td><td>${escHtml(a.user||'-')}</td><td>${escHtml(a.via||'')}</td>
+        <td>${escHtml(a.method)} ${escHtml(a.path)}</td><td>${escHtml(a.status)}</td><td>${a.params?escHtml(JSON.stringify(a.params)):''}</td></tr>`);
+      id('auditList').innerHTML=rows.length?`<table><thead><tr><th>When</th><th>User</th><th>Via</th><th>Request</th><th>Status</th><th>Params</th></tr></thead><tbody>${rows.join('')}</tbody></table>`:'No entries.';
+    }).catch(e=>logCap('audit err '+e.message));
+  }
+  function postJSON(url, body){
+    return fetch(url,{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify(body||{})}).then(jsonMaybe);
+  }
+  id('btnLogout')?.addEventListener('click',()=>{
+    postJSON('/api/auth/logout').finally(()=>{ location.href='/login'; });
+  });
+  id('btnCreateToken')?.addEventListener('click',()=>{
+    postJSON('/api/tokens',{ name:asStr(id('tokenName')), role:id('tokenRole').value }).then(j=>{
+      // the token is shown once; only its hash is kept on the server
+      const box=id('tokenCreated');
+      box.innerHTML=`Copy this token now, it is not shown again:<br><code>${escHtml(j.token)}</code> (${escHtml(j.role)})`;
+      box.style.display='block';
+      id('tokenName').value='';
+      loadTokens();
+    }).catch(e=>{ logCap('Token err '+e.message); alert(e.message); });
+  });
+  id('tokenList')?.addEventListener('click',e=>{
+    const tid=e.target.getAttribute('data-revoke');
+    if(!tid || !confirm('Revoke this token? Scripts using it stop working.')) return;
+    postJSON('/api/tokens/'+encodeURIComponent(tid)+'/revoke').then(()=>loadTokens()).catch(e2=>logCap('Revoke err '+e2.message));
+  });
+  id('btnSaveUser')?.addEventListener('click',()=>{
+    postJSON('/api/users',{ name:asStr(id('userName')), password:id('userPassword').value, role:id('userRole').value }).then(j=>{
+      logCap('User saved '+JSON.stringify(j.user));
+      id('userPassword').value='';
+      loadUsers(); loadAudit();
+    }).catch(e=>{ logCap('User err '+e.message); alert(e.message); });
+  });
+  id('userList')?.addEventListener('click',e=>{
+    const act=e.target.getAttribute('data-uact'), name=e.target.getAttribute('data-user');
+    if(!act || !name) return;
+    const u=JSON.parse(id('userList').dataset.users||'[]').find(x=>x.name===name);
+    if(act==='edit'){ id('userName').value=name; id('userRole').value=u?u.role:'viewer'; id('userPassword').value=''; return; }
+    if(act==='delete' && !confirm('Delete user "'+name+'" and their tokens?')) return;
+    const req = act==='toggle' ? postJSON('/api/users',{ name, disabled:!(u&&u.disabled) }) : postJSON('/api/users/'+encodeURIComponent(name)+'/delete');
+    req.then(()=>{ loadUsers(); loadAudit(); }).catch(e2=>{ logCap('User '+act+' err '+e2.message); alert(e2.message); });
+  });
+  id('btnRefreshAudit')?.addEventListener('click',loadAudit);
+
+  // ---------- Catalog changes (lib/catalog-history.cjs): diff of two runs + per-site history
+  function escHtml(s){ return String(s==null?'':s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+  function fillCatalogRuns(list){
+    const done=(list||[]).filter(r=>!r.pending).map(r=>r.id);
+    ['catFrom','catTo'].forEach((sid,i)=>{
+      const sel=id(sid); if(!sel) return;
+      const cur=sel.value;
+      sel.innerHTML=done.map(r=>`<option value="${escHtml(r)}">${escHtml(r)}</option>`).join('');
+      if(cur && done.includes(cur)) sel.value=cur;
+      else if(done.length) sel.value=done[Math.max(0, done.length-2+i)];
+    });
+  }
+  function priceCell(v,cur){ return v==null?'?':escHtml(v+(cur?' '+cur:'')); }
+  id('btnCatalogDiff')?.addEventListener('click',()=>{
+    const box=id('catalogDiff');
+    const q='from='+encodeURIComponent(id('catFrom').value)+'&to='+encodeURIComponent(id('catTo').value)+'&minPct='+encodeURIComponent(id('catMinPct').value||0);
+    box.textContent='Diffing…';
+    fetchJSON('/api/catalog/diff?'+q).then(j=>{
+      if(!j || !j.ok){ box.textContent=(j && j.error) || 'diff failed'; return; }
+      const r=j.report, s=r.summary;
+      const link=p=>`<a href="${escHtml(p.url)}" target="_blank" rel="noopener">${escHtml(p.title||p.sku)}</a>`;
+      const table=(title,head,rows)=>rows.length?`<details open><summary>${title} (${rows.length})</summary><table><thead><tr>${head.map(h=>`<th>${h}</th>`).join('')}</tr></thead><tbody>${rows.join('')}</tbody></table></details>`:'';
+      box.innerHTML=`${escHtml(r.from.runId)} (${r.from.products}) → ${escHtml(r.to.runId)} (${r.to.products}): <b>${s.added}</b> new · <b>${s.removed}</b> removed · <b>${s.repriced}</b> repriced · <b>${s.renamed}</b> renamed · <b>${s.availability}</b> availability · ${s.unchanged} unchanged`+
+        table('Repriced',['SKU','Product','Before','After','Change'],r.repriced.map(p=>`<tr><td>${escHtml(p.sku)}</td><td>${link(p)}</td><td>${priceCell(p.from,p.fromCurrency)}</td><td>${priceCell(p.to,p.currency)}</td><td>${p.delta>0?'+':''}${p.delta}${p.pct!=null?` (${p.pct>0?'+':''}${p.pct}%)`:''}</td></tr>`))+
+        table('New',['SKU','Product','Price'],r.added.map(p=>`<tr><td>${escHtml(p.sku)}</td><td>${link(p)}</td><td>${priceCell(p.price,p.currency)}</td></tr>`))+
+        table('Removed',['SKU','Product','Price'],r.removed.map(p=>`<tr><td>${escHtml(p.sku)}</td><td>${link(p)}</td><td>${priceCell(p.price,p.currency)}</td></tr>`))+
+        table('Renamed',['SKU','Before','After'],r.renamed.map(p=>`<tr><td>${escHtml(p.sku)}</td><td>${escHtml(p.from)}</td><td>${link({...p,title:p.to})}</td></tr>`))+
+        table('Availability',['SKU','Product','Before','After'],r.availability.map(p=>`<tr><td>${escHtml(p.sku)}</td><td>${link(p)}</td><td>${p.from?'in stock':'out of stock'}</td><td>${p.to?'in stock':'out of stock'}</td></tr>`));
+    }).catch(e=>{ box.textContent=e.message; logCap('catalog diff err '+e.message); });
+  });
+  id('btnCatalogHistory')?.addEventListener('click',()=>{
+    const box=id('catalogHistory');
+    const q='run='+encodeURIComponent(id('catTo').value)+'&q='+encodeURIComponent(id('catHistoryQ').value.trim())+'&field='+encodeURIComponent(id('catHistoryField').value);
+    fetchJSON('/api/catalog/history?'+q).then(j=>{
+      if(!j || !j.ok){ box.textContent=(j && j.error) || 'no history'; return; }
+      const fmt=(c,v)=>v==null?'':(c.field==='available'?(v?'in stock':'out of stock'):escHtml(v));
+      const rows=j.products.flatMap(p=>p.changes.slice().reverse().map(c=>`<tr><td>${escHtml(p.sku)}</td><td>${escHtml(p.title)}</td><td>${escHtml(new Date(c.at).toLocaleString())}</td><td>${c.field}</td><td>${fmt(c,c.from)}</td><td>${fmt(c,c.to)}</td><td>${escHtml(c.runId)}</td></tr>`));
+      box.innerHTML=`Site ${escHtml(j.site)} · ${j.runs.length} recorded runs · ${j.total} products`+
+        (rows.length?`<table><thead><tr><th>SKU</th><th>Product</th><th>When</th><th>Field</th><th>Before</th><th>After</th><th>Run</th></tr></thead><tbody>${rows.slice(0,500).join('')}</tbody></table>`:'');
+    }).catch(e=>{ box.textContent=e.message; logCap('catalog history err '+e.message); });
+  });
 
   runsBody.addEventListener('click',e=>{
     const act=e.target.getAttribute('data-act');
@@ -130,9 +443,61 @@
       fetchJSON('/api/plan/'+selectedRun).then(j=>{
         if(j && j.ok && j.map){ renderPlanFromMap(j.map, selectedRun); }
       }).catch(()=>{});
+      loadRunCodes(selectedRun);
+      loadRunFidelity(selectedRun);
+    }
+    if(act==='resume' || act==='refresh'){
+      const runId = e.target.getAttribute('data-run');
+      logCap('POST /api/'+act+'-run '+runId);
+      fetch('/api/'+act+'-run',{ method:'POST', headers:{'Content-Type':'application/json'},
+        body:JSON.stringify({ runId, options: buildOptions() }) })
+      .then(jsonMaybe).then(j=>{
+        logCap(act+' response '+JSON.stringify(j));
+        if(j.ok){ id('btnStop').disabled=false; setTimeout(loadRuns,1200); setTimeout(loadQueue,600); }
+      }).catch(err=>logCap(act+' error '+err.message));
     }
   });
 
+  // Failure taxonomy for the selected run (grouped by record.code)
+  function loadRunCodes(runId){
+    const box=id('runCodes'); if(!box) return;
+    fetchJSON('/api/runs/'+encodeURIComponent(runId)+'/codes').then(j=>{
+      if(!j || !j.ok){ box.innerHTML=''; return; }
+      const rows=(j.groups||[]).map(g=>`<tr title="${escHtml(g.urls.join('\n'))}"><td>${escHtml(g.code)}</td><td>${escHtml(g.label)}</td><td>${escHtml(g.count)}</td></tr>`).join('');
+      const t=Object.entries(j.avgTimings||{}).map(([k,v])=>k+'='+v).join(' ');
+      box.innerHTML=`<b>${escHtml(j.id)}</b> records=${escHtml(j.records)}${t?' · avg '+escHtml(t):''}
+        <table><thead><tr><th>Code</th><th>Meaning</th><th>Count</th></tr></thead><tbody>${rows}</tbody></table>`;
+    }).catch(e=>{ box.innerHTML=''; logCap('codes err '+e.message); });
+  }
+
+  // Offline replay fidelity for the selected run (validate-replay.cjs)
+  let fidelityTimer=null;
+  function loadRunFidelity(runId){
+    const box=id('runFidelity'); if(!box) return;
+    clearTimeout(fidelityTimer);
+    fetchJSON('/api/runs/'+encodeURIComponent(runId)+'/fidelity').then(j=>{
+      if(!j || !j.ok){ box.innerHTML=''; return; }
+      const r=j.report, s=r && r.summary;
+      const head = j.running ? 'Offline check running…'
+        : (s ? `Offline fidelity: <b>${escHtml(s.offline)}/${escHtml(s.pages)}</b> pages fully offline · avg score ${escHtml(s.avgScore)} · checked ${new Date(r.generatedAt).toLocaleString()}` : 'No offline fidelity report yet.');
+      const bad=(r ? r.pages : []).filter(p=>!p.offline).slice(0,100);
+      const rows=bad.map(p=>{
+        const tip=[].concat(p.notFound.map(u=>'404 '+u), p.external.map(u=>'external '+u), p.unresolved.map(x=>'unresolved '+x.url), p.consoleErrors.map(e=>'console '+e)).slice(0,30).join('\n');
+        return `<tr title="${escHtml(tip)}"><td>${escHtml(p.score)}</td><td>${escHtml(p.profile)}</td><td>${escHtml(p.url)}</td><td>${p.notFound.length}</td><td>${p.external.length}</td><td>${p.unresolved.length}</td><td>${p.consoleErrors.length}</td><td>${escHtml(p.error||'')}</td></tr>`;
+      }).join('');
+      box.innerHTML=`${head} <button data-act="fidelity" ${j.running?'disabled':''}>Check offline</button>`+
+        (rows ? `<table><thead><tr><th>Score</th><th>Profile</th><th>URL</th><th>404</th><th>External</th><th>Unresolved</th><th>Console</th><th>Error</th></tr></thead><tbody>${rows}</tbody></table>` : '');
+      if(j.running) fidelityTimer=setTimeout(()=>loadRunFidelity(runId),5000);
+    }).catch(e=>{ box.innerHTML=''; logCap('fidelity err '+e.message); });
+  }
+  id('runFidelity')?.addEventListener('click',e=>{
+    if(e.target.getAttribute('data-act')!=='fidelity' || !selectedRun) return;
+    const runId=selectedRun;
+    fetch('/api/runs/'+encodeURIComponent(runId)+'/fidelity',{ method:'POST', headers:{'Content-Type':'application/json'}, body:'{}' })
+      .then(jsonMaybe).then(j=>{ logCap('fidelity '+JSON.stringify(j)); loadRunFidelity(runId); })
+      .catch(err=>logCap('fidelity error '+err.message));
+  });
+
   // ---------- Build capture options
   function buildOptions(){
     const opts={};
@@ -184,8 +549,20 @@
     opts.discoverInArchiver = asBool(id('advDiscoverInArchiver'));
     // NEW: Deep completion mode (categories + products)
     opts.discoverComplete    = asBool(id('advDiscoverComplete'));
+    opts.discoverSitemap     = asBool(id('advDiscoverSitemap'));
+    opts.sitemapSince        = asStr(id('advSitemapSince'));
     // Plan-first mapper: build explicit seed list before archiving
     opts.planFirst          = asBool(id('advPlanFirst'));
+    // Standard archive output (WARC + WACZ) next to the folder mirror
+    opts.warcOutput         = asBool(id('advWarcOutput'));
+    opts.screenshots        = asBool(id('advScreenshots'));
+    opts.listingExpand      = asBool(id('advListingExpand'));
+    opts.captureApi         = asBool(id('advCaptureApi'));
+    opts.localeMode         = asBool(id('advLocaleMode'));
+    opts.locales            = asStr(id('advLocales'));
+    opts.ignoreRobots       = asBool(id('advIgnoreRobots'));
+    opts.hostConcurrency    = asNum(id('advHostConcurrency'),2);
+    opts.hostMinDelayMs     = asNum(id('advHostMinDelay'),500);
 
     const internalRx = asStr(id('advInternalRegex')); if(internalRx) opts.internalRewriteRegex = internalRx;
     const domainFilter = asStr(id('advDomainFilter')); if(domainFilter) opts.domainFilter = domainFilter;
@@ -207,6 +584,8 @@
     if(asBool(id('advForceConsentWait'))){
       opts.forceConsentWaitMs = asNum(id('advForceConsentWaitMs'),0);
     }
+    const cmpFile = asStr(id('advConsentProvidersFile')); if(cmpFile) opts.consentProvidersFile = cmpFile;
+    opts.injectAcceptCookie = asBool(id('advInjectAcceptCookie'));
     return opts;
   }
 
@@ -351,10 +730,10 @@
     const options = buildOptions();
     // If planSelected has entries, send as planSeeds to use explicitly
     if(planSelected.length){ options.planSeeds = planSelected.slice(); }
-    id('btnStart').disabled=true; id('btnStop').disabled=false;
+    id('btnStop').disabled=false;
     logCap('POST /api/run start');
     fetch('/api/run',{ method:'POST', headers:{'Content-Type':'application/json'},
-      body:JSON.stringify({ urlsText: urls.join('\n'), options }) })
+      body:JSON.stringify({ urlsText: urls.join('\n'), options, recipe: selectedRecipe() || undefined }) })
     .then(jsonMaybe).then(j=>{
       logCap('Run response '+JSON.stringify(j));
       if(j.runId){ setTimeout(loadRuns,900); }
@@ -382,10 +761,10 @@
       denyRegex:  asStr(id('crawlDeny')),
       disableHttp2: asBool(id('advDisableHttp2'))
     };
-    id('btnStart').disabled=true; id('btnStop').disabled=false;
+    id('btnStop').disabled=false;
     logCap('POST /api/run (crawlFirst)');
     fetch('/api/run',{ method:'POST', headers:{'Content-Type':'application/json'},
-      body:JSON.stringify({ urlsText:'', options, crawlFirst:true, crawlOptions:{...crawlOptions,startUrlsText:startUrls} }) })
+      body:JSON.stringify({ urlsText:'', options, crawlFirst:true, crawlOptions:{...crawlOptions,startUrlsText:startUrls}, recipe: selectedRecipe() || undefined }) })
     .then(jsonMaybe).then(j=>{
       logCap('Run response '+JSON.stringify(j));
       if(j.runId){ setTimeout(loadRuns,1200); }
@@ -407,7 +786,7 @@
         logCap('Stop error '+e.message);
       })
       .finally(()=>{
-        id('btnStop').disabled=true; id('btnStart').disabled=false; setTimeout(syncButtons,500); setTimeout(loadRuns,800);
+        setTimeout(syncButtons,500); setTimeout(loadRuns,800); setTimeout(loadQueue,600);
       });
   };
   id('btnForceRefresh').onclick=()=>loadRuns();
@@ -548,5 +927,5 @@
 
   renderRecentSeeds();
   wireRegexPresets();
-  loadRuns(); loadPlatforms(); refreshJobs(); syncButtons(); logCap('Init complete (advanced)');
+  loadRuns(); loadPlatforms(); refreshJobs(); loadQueue(); loadSchedules(); loadRecipes(); loadMe(); syncButtons(); logCap('Init complete (advanced)');
 })();
\ No newline at end of file
@@ -35,6 +35,7 @@
             <option value="woocommerce">WooCommerce</option>
             <option value="shopify">Shopify</option>
           </select>
+          <span id="exportPlatformInfo" style="color:#777; font-size:12px;"></span>
           <button id="exportRunBtn" class="btn btn-primary">Export</button>
           <button id="zipExportBtn" class="btn btn-secondary" disabled>Create ZIP</button>
           <span id="exportStatus" style="margin-left:8px; color:#555;"></span>
@@ -55,12 +56,40 @@
     }
   }
 
-  function renderLinks({ folderUrl, productsCsvUrl, pagesWxrUrl, zipUrl }) {
+  // Replace the built-in choices with the exporters the server discovered (platform/exporters/)
+  async function loadExporters() {
+    const sel = document.getElementById('exportPlatform');
+    const info = document.getElementById('exportPlatformInfo');
+    try {
+      const res = await fetch('/api/exporters');
+      const js = await res.json();
+      if (!js || !Array.isArray(js.exporters) || !js.exporters.length) return;
+      const current = sel.value;
+      sel.innerHTML = '';
+      for (const ex of js.exporters) {
+        const opt = document.createElement('option');
+        opt.value = ex.name;
+        opt.textContent = ex.title || ex.name;
+        opt.title = ex.description || '';
+        sel.appendChild(opt);
+      }
+      if (js.exporters.some(ex => ex.name === current)) sel.value = current;
+      const describe = () => { const ex = js.exporters.find(x => x.name === sel.value); info.textContent = ex ? ex.description : ''; };
+      sel.addEventListener('change', describe);
+      describe();
+    } catch {}
+  }
+
+  function renderLinks({ folderUrl, productsCsvUrl, pagesWxrUrl, fileUrls, zipUrl }) {
     const linksEl = document.getElementById('exportLinks');
     const rows = [];
     if (folderUrl) rows.push(`<div>Folder: <a href="${folderUrl}" target="_blank" rel="noopener">${folderUrl}</a></div>`);
     if (productsCsvUrl) rows.push(`<div>Products CSV: <a href="${productsCsvUrl}" target="_blank" rel="noopener" download>Download</a></div>`);
     if (pagesWxrUrl) rows.push(`<div>Pages WXR: <a href="${pagesWxrUrl}" target="_blank" rel="noopener" download>Download</a></div>`);
+    for (const f of fileUrls || []) {
+      if (f.url === productsCsvUrl || f.url === pagesWxrUrl) continue;
+      rows.push(`<div>${f.name}: <a href="${f.url}" target="_blank" rel="noopener" download>Download</a></div>`);
+    }
     if (zipUrl) rows.push(`<div>Archive: <a href="${zipUrl}" target="_blank" rel="noopener" download>Download ZIP</a></div>`);
     linksEl.innerHTML = rows.join('') || '<em>No links available.</em>';
   }
@@ -103,7 +132,8 @@
       renderLinks({
         folderUrl: js.folderUrl,
         productsCsvUrl: js.productsCsvUrl,
-        pagesWxrUrl: js.pagesWxrUrl
+        pagesWxrUrl: js.pagesWxrUrl,
+        fileUrls: js.fileUrls
       });
       resultEl.textContent = JSON.stringify(js.result || js, null, 2);
       zipBtn.disabled = !lastOutDirAbs;
@@ -140,6 +170,7 @@
 
   function bootstrap() {
     insertPanel();
+    loadExporters();
     document.getElementById('exportRunBtn')?.addEventListener('click', doExport);
     document.getElementById('zipExportBtn')?.addEventListener('click', makeZip);
   }
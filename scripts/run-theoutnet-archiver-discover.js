@@ -36,6 +36,8 @@ const payload = {
   }
 };
 const data = Buffer.from(JSON.stringify(payload));
-const req = http.request({hostname:'127.0.0.1',port:8090,path:'/api/run',method:'POST',headers:{'Content-Type':'application/json','Content-Length':data.length}},res=>{let buf='';res.setEncoding('utf8');res.on('data',c=>buf+=c);res.on('end',()=>{console.log('status',res.statusCode);console.log('body',buf);try{console.log('json',JSON.parse(buf));}catch{}})});
+// API token with operator role or above (not needed with GUI_AUTH=false)
+const TOKEN = process.env.GUI_TOKEN || '';
+const req = http.request({hostname:'127.0.0.1',port:8090,path:'/api/run',method:'POST',headers:{'Content-Type':'application/json','Content-Length':data.length,...(TOKEN?{Authorization:`Bearer ${TOKEN}`}:{})}},res=>{let buf='';res.setEncoding('utf8');res.on('data',c=>buf+=c);res.on('end',()=>{console.log('status',res.statusCode);console.log('body',buf);try{console.log('json',JSON.parse(buf));}catch{}})});
 req.on('error',e=>{console.error('req error',e.message);process.exitCode=1});
 req.write(data);req.end();
@@ -3,6 +3,8 @@ const http = require('http');
 
 const ENGINE = process.env.TEST_ENGINE || 'chromium';
 const WAIT_UNTIL = process.env.TEST_WAIT_UNTIL || 'load';
+// API token (GUI: Access > API tokens, operator role or above); not needed with GUI_AUTH=false
+const TOKEN = process.env.GUI_TOKEN || '';
 
 const payload = {
   urlsText: 'https://www.theoutnet.com/en-us/shop/',
@@ -50,6 +52,7 @@ const req = http.request({
   headers: {
     'Content-Type': 'application/json',
     'Content-Length': data.length,
+    ...(TOKEN ? { Authorization: `Bearer ${TOKEN}` } : {}),
   }
 }, res => {
   let buf = '';
@@ -15,6 +15,17 @@
 //   DEFAULT_VARIANT=desktop|mobile
 //   DISABLE_HTML_INJECT=true   # optional, disable HTML script injection
 //   DISABLE_FETCH_CACHE=true   # optional, disable live fetch on miss
+//   REPLAY_WARC=auto|true|false|/path/to/run.wacz
+//                              # serve pages/assets from _warc/ (CDXJ + WARC). auto: only when the
+//                              # run has no page folders. ARCHIVE_ROOT may also point at a .wacz file.
+//   REPLAY_TS=20240101120000   # optional target capture time; per browser via ?_replay_ts=...
+//   LOCALE_SWITCH=true         # with locales.json (archiver LOCALE_MODE): language bar on translated
+//                              # pages, ?_lang=fr-fr switch (remembered in a cookie), and an
+//                              # Accept-Language based choice of translation for "/"
+//   REPLAY_XHR=true            # answer XHR/fetch calls recorded at capture time (<page>/xhr.json,
+//                              # archiver CAPTURE_API / LISTING_RECORD_XHR), matched on method, URL and
+//                              # request body; calls to the recorded API hosts are routed here
+//   DISABLE_SPA_SCRIPTS=true   # freeze scripts (CSP); auto: only when the run has no recorded API calls
 
 const path = require('path');
 const fs = require('fs');
@@ -23,8 +34,15 @@ const http = require('http');
 const https = require('https');
 const express = require('express');
 const cp = require('child_process');
-
-const ROOT = path.resolve(process.env.ARCHIVE_ROOT || '');
+const { openReplay } = require('./lib/warc-replay.cjs');
+const { slugifyQuery, pageRelFromUrl } = require('./lib/url-canon.cjs');
+const { loadLocaleIndex, pickLocale } = require('./lib/locales.cjs');
+const { loadXhrIndex } = require('./lib/xhr-store.cjs');
+
+const ARCHIVE_ARG = path.resolve(process.env.ARCHIVE_ROOT || '');
+// A .wacz package is hosted in place (replay only); its folder stands in as ROOT
+const REPLAY_PACKAGE = /\.wacz$/i.test(ARCHIVE_ARG) && fileExists(ARCHIVE_ARG) ? ARCHIVE_ARG : '';
+const ROOT = REPLAY_PACKAGE ? path.dirname(ARCHIVE_ARG) : ARCHIVE_ARG;
 const PORT = parseInt(process.env.PORT || '8081', 10);
 const DEFAULT_VARIANT = (process.env.DEFAULT_VARIANT || 'desktop').toLowerCase();
 const START_PATH = process.env.START_PATH || '';
@@ -35,11 +53,16 @@ const LIVE_PASSTHROUGH = String(process.env.LIVE_PASSTHROUGH || 'false').toLower
 // Optional: enable graph.json-aware routing and client-side navigation guard
 const ENABLE_GRAPH_ROUTING = String(process.env.ENABLE_GRAPH_ROUTING || 'true').toLowerCase() !== 'false';
 // Optional: prevent SPA hydration/scripts from mutating SSR content (helps when client JS replaces lists with "No items found")
-// Default true for archive browsing; set to false if you want full interactivity
-const DISABLE_SPA_SCRIPTS = String(process.env.DISABLE_SPA_SCRIPTS || 'true').toLowerCase() !== 'false';
+// Default true; 'auto' (opt-in) keeps them frozen unless the run recorded API responses (archiver
+// CAPTURE_API), letting the SPA hydrate from those
+const SPA_SCRIPTS_MODE = String(process.env.DISABLE_SPA_SCRIPTS || 'true').toLowerCase();
 // Optional: run bake-static on host start and expose live logs via SSE
 const BAKE_ON_HOST = String(process.env.BAKE_ON_HOST || 'true').toLowerCase() !== 'false';
 const BAKE_SCRIPT = path.join(__dirname, 'tools', 'bake-static.cjs');
+const REPLAY_WARC = String(process.env.REPLAY_WARC || 'auto').trim();
+const REPLAY_TS = String(process.env.REPLAY_TS || '').replace(/\D/g, '');
+const LOCALE_SWITCH = String(process.env.LOCALE_SWITCH || 'true').toLowerCase() !== 'false';
+const REPLAY_XHR = String(process.env.REPLAY_XHR || 'true').toLowerCase() !== 'false';
 
 if (!ROOT || !fs.existsSync(ROOT)) {
   console.error('[SERVER_FATAL] ARCHIVE_ROOT not found:', ROOT);
@@ -114,7 +137,34 @@ app.all(/^\/akam\//i, (req, res) => res.status(204).end());
 // Random hashed BIN beacons observed in logs -> no-op
 app.all(/^\/[A-Za-z0-9]{8,}\/.*\.bin$/i, (req, res) => res.status(204).end());
 
-// Minimal stubs for YOOX/THE OUTNET JSON APIs to prevent error overlays
+// Recorded XHR/fetch responses (API calls, "load more" pages, infinite scroll). Runs before the
+// stubs, static files and the HTML catch-all so "/products?page=2" fetched by a script gets its
+// JSON/fragment. Only requests whose method + URL were recorded have their body read (raw, and
+// still parsed for later routes) to match POSTs; everything else skips this route unread.
+const xhrBodyOpts = { limit: '2mb', verify: (req, res, buf) => { req.rawBody = buf; } };
+app.all(/.*/,
+  (req, res, next) => {
+    if (!XHR_INDEX || !XHR_INDEX.size) return next('route');
+    // Navigations are pages, never recorded XHRs
+    const accept = req.headers.accept || '';
+    if (req.headers['sec-fetch-mode'] === 'navigate' || /^text\/html/i.test(accept)) return next('route');
+    return XHR_INDEX.has(req.method, req.originalUrl, primaryOrigin() || undefined) ? next() : next('route');
+  },
+  express.json({ ...xhrBodyOpts, strict: false }),
+  express.urlencoded({ ...xhrBodyOpts, extended: true }),
+  express.raw({ ...xhrBodyOpts, type: () => true }),
+  (req, res, next) => {
+    const hit = XHR_INDEX.lookup(req.method, req.originalUrl, primaryOrigin() || undefined, req.rawBody);
+    if (!hit || !fileExists(hit.file)) return next();
+    for (const [k, v] of Object.entries(hit.headers || {})) { try { res.setHeader(k, v); } catch {} }
+    res.status(hit.status || 200);
+    if (hit.contentType) res.setHeader('Content-Type', hit.contentType);
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('X-Archive-Xhr', 'recorded');
+    return res.send(fs.readFileSync(hit.file));
+  });
+
+// Minimal stubs for YOOX/THE OUTNET JSON APIs to prevent error overlays (runs without recorded responses)
 app.get(/^\/api\/yoox\/ton\/search\/resources\/store\/[^/]+\/productview\/byCategory/i, (req, res) => {
   res.setHeader('Content-Type', 'application/json; charset=utf-8');
   return res.status(200).send(JSON.stringify({ products: [], facets: [], total: 0 }));
@@ -195,12 +245,74 @@ function loadGraphPaths(root){
   }catch{}
   return set;
 }
-const HTML_INDEX = buildHtmlIndex(ROOT);
+const HTML_INDEX = REPLAY_PACKAGE ? new Set() : buildHtmlIndex(ROOT);
 const GRAPH_PATHS = loadGraphPaths(ROOT);
 if (ENABLE_GRAPH_ROUTING) {
   console.log('[SERVER] Graph routing:', GRAPH_PATHS.size ? ('paths=' + GRAPH_PATHS.size) : 'no graph.json');
 }
 
+// Translation sets from locales.json (lib/locales.cjs)
+const LOCALE_INDEX = (LOCALE_SWITCH && !REPLAY_PACKAGE) ? loadLocaleIndex(ROOT) : null;
+if (LOCALE_INDEX) {
+  console.log('[SERVER] Locales:', LOCALE_INDEX.locales.join(',') || '-', 'pages=' + LOCALE_INDEX.groupByRel.size);
+}
+
+// Recorded XHR/fetch responses (lib/xhr-store.cjs)
+const XHR_INDEX = (REPLAY_XHR && !REPLAY_PACKAGE) ? loadXhrIndex(ROOT) : null;
+if (XHR_INDEX && XHR_INDEX.size) {
+  console.log('[SERVER] Recorded XHRs:', XHR_INDEX.size, 'hosts=' + XHR_INDEX.hosts.length);
+}
+const DISABLE_SPA_SCRIPTS = SPA_SCRIPTS_MODE === 'auto' ? !(XHR_INDEX && XHR_INDEX.apiCount) : SPA_SCRIPTS_MODE !== 'false';
+console.log('[SERVER] SPA scripts:', DISABLE_SPA_SCRIPTS ? 'frozen' : 'enabled');
+
+// Page folder of a resolved index.html, without the profile subfolder ("fr-fr/shoes")
+function relOfResolved(file) {
+  const rel = path.relative(ROOT, path.dirname(file)).split(path.sep).join('/');
+  return rel.replace(/(?:^|\/)(?:desktop|mobile)$/, '');
+}
+
+function localeCookie(req) {
+  const c = String(req.headers.cookie || '').match(/(?:^|;\s*)__archive_lang=([A-Za-z0-9-]+)/);
+  return c ? c[1] : '';
+}
+
+// Plain links (no script) so it works with DISABLE_SPA_SCRIPTS' CSP
+function localeBar(group, current) {
+  const items = Object.entries(group.pages)
+    .filter(([, p]) => p && p.relPath != null)
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([lang, p]) => {
+      const tag = String(lang).replace(/[^a-z0-9-]/gi, '');
+      if (lang === current) return `<strong style="padding:0 4px">${tag}</strong>`;
+      const href = '/' + (p.relPath ? String(p.relPath).replace(/"/g, '%22') + '/' : '') + '?_lang=' + tag;
+      return `<a href="${href}" hreflang="${tag}" style="padding:0 4px;color:#fff;text-decoration:underline">${tag}</a>`;
+    });
+  if (items.length < 2) return '';
+  return '<nav id="__archive_lang" aria-label="Archived translations" style="position:fixed;right:8px;bottom:8px;z-index:999;'
+    + 'background:rgba(0,0,0,.75);color:#fff;font:12px/1.6 sans-serif;padding:4px 8px;border-radius:4px">'
+    + items.join(' ') + '</nav>';
+}
+
+// WARC replay backend (lib/warc-replay.cjs)
+function loadReplay(){
+  const mode = REPLAY_WARC.toLowerCase();
+  if (mode === 'false' || mode === '0') return null;
+  const explicit = !['auto', 'true', '1', ''].includes(mode);
+  const source = explicit ? path.resolve(REPLAY_WARC) : (REPLAY_PACKAGE || ROOT);
+  // auto: a run that still has page folders keeps being served from them
+  if (mode === 'auto' && !REPLAY_PACKAGE && HTML_INDEX.size) return null;
+  const rp = openReplay(source, { log: (...a) => console.log(...a) });
+  if (!rp && (explicit || REPLAY_PACKAGE)) console.warn('[SERVER] No CDXJ index found for replay in', source);
+  return rp;
+}
+const REPLAY = loadReplay();
+if (REPLAY) {
+  console.log('[SERVER] WARC replay:', REPLAY.source, 'records=' + REPLAY.count, REPLAY_TS ? ('ts=' + REPLAY_TS) : '');
+} else if (REPLAY_PACKAGE) {
+  console.error('[SERVER_FATAL] Cannot replay package:', REPLAY_PACKAGE);
+  process.exit(2);
+}
+
 // ---- Bake static integration (SSE logs) ----
 let bakeProc = null;
 let bakeClients = new Set();
@@ -282,7 +394,21 @@ function resolveHtml(reqOrPath) {
     ? [path.join(base, 'mobile', 'index.html'), path.join(base, 'desktop', 'index.html'), path.join(base, 'index.html')]
     : [path.join(base, 'desktop', 'index.html'), path.join(base, 'mobile', 'index.html'), path.join(base, 'index.html')];
 
-  // First try the plain directory mapping
+  // First the folder the archiver derived for this URL (lib/url-canon.cjs): tracking/session
+  // params dropped, params sorted, per-site path and query rules from url-rules.json
+  try {
+    const rawPath = String(reqPath || '/').split('?')[0];
+    const canonRel = pageRelFromUrl((primaryOrigin() || 'http://localhost') + rawPath + (rawQuery ? '?' + rawQuery : ''));
+    if (canonRel && canonRel !== relDir) {
+      const cb = path.join(ROOT, canonRel);
+      const hit = tryFiles((DEFAULT_VARIANT === 'mobile')
+        ? [path.join(cb, 'mobile', 'index.html'), path.join(cb, 'desktop', 'index.html'), path.join(cb, 'index.html')]
+        : [path.join(cb, 'desktop', 'index.html'), path.join(cb, 'mobile', 'index.html'), path.join(cb, 'index.html')]);
+      if (hit) return hit;
+    }
+  } catch {}
+
+  // Then the plain directory mapping of the raw path
   const plain = tryFiles(ordered);
   if (plain) return plain;
 
@@ -292,21 +418,6 @@ function resolveHtml(reqOrPath) {
       // prevent path traversal and normalize to safe segments
       return s.replace(/\.+/g,'').replace(/[^A-Za-z0-9._-]+/g,'-').replace(/^-+|-+$/g,'');
     }
-    function slugifyQueryLikeArchiver(qs){
-      try{
-        const sp = new URLSearchParams(qs);
-        const entries=[]; for(const [k,v] of sp.entries()) entries.push([k,v]);
-        entries.sort((a,b)=> a[0]===b[0] ? String(a[1]).localeCompare(String(b[1])) : a[0].localeCompare(b[0]));
-        const parts = entries.map(([k,v])=>{
-          const kk=String(k).toLowerCase().replace(/[^a-z0-9]+/g,'_').replace(/^_+|_+$/g,'');
-          const vv=String(v).toLowerCase().replace(/[^a-z0-9]+/g,'_').replace(/^_+|_+$/g,'');
-          return kk + (vv?('_'+vv):'');
-        }).filter(Boolean);
-        if(!parts.length) return '';
-        const slug = parts.join('__');
-        return slug.length>120 ? (slug.slice(0,100)+'__'+sha16(slug)) : slug;
-      }catch{ return ''; }
-    }
     // Variant A: key/value pairs as nested segments: route/product/category/path/85
     const kvPairs = [];
     try{
@@ -322,8 +433,8 @@ function resolveHtml(reqOrPath) {
     }catch{}
     const varA = kvPairs.filter(Boolean).join(path.sep);
 
-  // Variant B: archiver-style slug appended to the base name
-  const varBslug = slugifyQueryLikeArchiver(rawQuery);
+  // Variant B: lowercased slug appended to the base name (older archives)
+  const varBslug = slugifyQuery(rawQuery, { lowercase: true });
 
     const variants = [];
     if (varA) variants.push(varA);
@@ -401,7 +512,7 @@ function buildAssetIndex(root) {
   console.log('[SERVER] Asset alias index entries:', map.size);
   return map;
 }
-const ASSET_INDEX = buildAssetIndex(ROOT);
+const ASSET_INDEX = REPLAY_PACKAGE ? new Map() : buildAssetIndex(ROOT);
 
 // Load origins from manifest.json to compute SHA aliases and for live fetch
 function loadOrigins(root) {
@@ -428,7 +539,24 @@ function loadOrigins(root) {
   console.log('[SERVER] Origins for alias/fetch:', list.join(', ') || '(none)');
   return list;
 }
-const ORIGINS = loadOrigins(ROOT);
+function replayOrigins() {
+  const origins = new Set();
+  for (const u of REPLAY ? REPLAY.pages() : []) { try { origins.add(new URL(u).origin); } catch {} }
+  return [...origins];
+}
+const ORIGINS = (() => {
+  const list = REPLAY_PACKAGE ? [] : loadOrigins(ROOT);
+  return list.length ? list : replayOrigins();
+})();
+// Captured replay pages join the navigation guard's page list
+if (REPLAY) {
+  for (const u of REPLAY.pages()) {
+    try {
+      const x = new URL(u);
+      if (ORIGINS.includes(x.origin)) HTML_INDEX.add(x.pathname.endsWith('/') ? x.pathname : x.pathname + '/');
+    } catch {}
+  }
+}
 
 // Optional payment mapping: ROOT/_payment-map.json
 // Example: { provider: "paypal", target: "_blank", map: { "318": "paypal:HOSTED_ID", "413": "https://buy.stripe.com/xyz" } }
@@ -566,6 +694,103 @@ function fetchAndCache(fullUrl, targetAbsPath) {
   });
 }
 
+// WARC replay: resolve the request against the primary origin (or /__replay/<scheme>/<host>/...
+// for third-party hosts) and answer from the CDXJ index before any folder-based lookup.
+const REPLAY_PREFIX = '/__replay/';
+const REPLAY_DROP_HEADERS = /^(?:content-length|content-encoding|transfer-encoding|connection|keep-alive|set-cookie|content-security-policy(?:-report-only)?|strict-transport-security|alt-svc|report-to|nel)$/i;
+const REPLAY_HOST_RE = (() => {
+  const hosts = REPLAY ? REPLAY.hosts() : [];
+  if (!hosts.length) return null;
+  const esc = hosts.sort((a, b) => b.length - a.length).map(h => h.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp('(https?:)?//(' + esc.join('|') + ')(?![A-Za-z0-9.:-])/?', 'gi');
+})();
+
+function rewriteReplayUrls(text) {
+  if (!REPLAY_HOST_RE) return text;
+  let primaryHost = '';
+  try { primaryHost = new URL(primaryOrigin()).host.toLowerCase(); } catch {}
+  return text.replace(REPLAY_HOST_RE, (m, scheme, host) => (host.toLowerCase() === primaryHost
+    ? '/'
+    : REPLAY_PREFIX + (scheme ? scheme.slice(0, -1).toLowerCase() : 'https') + '/' + host + '/'));
+}
+
+function replayTarget(req) {
+  const raw = req.originalUrl || req.url || '/';
+  let target = '';
+  if (raw.startsWith(REPLAY_PREFIX)) {
+    const m = raw.slice(REPLAY_PREFIX.length).match(/^(https?)\/([^/?#]+)(.*)$/i);
+    if (!m) return '';
+    target = m[1] + '://' + m[2] + (m[3] || '/');
+  } else {
+    const origin = primaryOrigin();
+    if (!origin) return '';
+    const isRoot = !req.path || req.path === '/';
+    const rel = (isRoot && START_PATH && START_PATH !== '/') ? START_PATH : raw;
+    const pathOnly = rel.split('?')[0];
+    const qsOnly = rel.includes('?') ? rel.slice(rel.indexOf('?')) : '';
+    target = origin + normalizeNestedIndexPhp(pathOnly) + qsOnly;
+  }
+  try {
+    const u = new URL(target);
+    u.searchParams.delete('_replay_ts');
+    return u.toString();
+  } catch { return ''; }
+}
+
+function replayTimestamp(req) {
+  const q = req.query && req.query._replay_ts;
+  if (q) return String(q).replace(/\D/g, '');
+  const c = String(req.headers.cookie || '').match(/(?:^|;\s*)__replay_ts=(\d+)/);
+  return c ? c[1] : REPLAY_TS;
+}
+
+function mementoDate(ts) {
+  const t = String(ts || '').padEnd(14, '0');
+  const d = new Date(Date.UTC(+t.slice(0, 4), +t.slice(4, 6) - 1, +t.slice(6, 8), +t.slice(8, 10), +t.slice(10, 12), +t.slice(12, 14)));
+  return isNaN(d) ? '' : d.toUTCString();
+}
+
+if (REPLAY) {
+  app.use((req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+    if (req.path.startsWith('/__bake/')) return next();
+    const target = replayTarget(req);
+    if (!target) return next();
+    const ts = replayTimestamp(req);
+    const entry = REPLAY.lookup(target, { ts });
+    if (!entry) return next();
+    let rec;
+    try { rec = REPLAY.load(entry); } catch (e) {
+      console.warn('[REPLAY_WARN]', target, e.message);
+      return next();
+    }
+    if (req.query && req.query._replay_ts) res.setHeader('Set-Cookie', '__replay_ts=' + ts + '; Path=/; SameSite=Lax');
+    let contentType = '';
+    for (const [k, v] of rec.headers) {
+      if (REPLAY_DROP_HEADERS.test(k)) continue;
+      if (/^content-type$/i.test(k)) contentType = v;
+      if (/^location$/i.test(k)) {
+        let loc = v;
+        try { loc = rewriteReplayUrls(new URL(v, rec.url).toString()); } catch {}
+        res.setHeader('Location', loc);
+        continue;
+      }
+      try { res.append(k, v); } catch {}
+    }
+    res.setHeader('Memento-Datetime', mementoDate(rec.timestamp));
+    res.setHeader('X-Archive-Replay', rec.timestamp);
+    res.status(rec.status || 200);
+    if (rec.status >= 300 && rec.status < 400) return res.end();
+    if (/text\/html/i.test(contentType) && rec.status < 400) {
+      const html = rewriteReplayUrls(rec.body.toString('utf8'));
+      if (DISABLE_HTML_INJECT) return res.send(html);
+      return sendInjectedHtml(res, html);
+    }
+    if (/text\/css/i.test(contentType)) return res.send(rewriteReplayUrls(rec.body.toString('utf8')));
+    return res.send(rec.body);
+  });
+}
+
 // Static (assets only). Let catch-all serve HTML so we can inject and strip meta refresh redirects.
 const __static = express.static(ROOT, {
   fallthrough: true,
@@ -581,6 +806,7 @@ const __static = express.static(ROOT, {
   }
 });
 app.use((req, res, next) => {
+  if (REPLAY_PACKAGE) return next();
   const p = req.path || '';
   const hasExt = /\.[a-z0-9]+$/i.test(p);
   const isHtml = /\.html?$/i.test(p) || !hasExt;
@@ -590,7 +816,7 @@ app.use((req, res, next) => {
 
 // Universal asset resolver: preserved -> basename alias -> SHA alias -> live fetch+cache
 app.get(/\.[a-z0-9]+$/i, async (req, res, next) => {
-  if (!EXT_RE.test(req.path)) return next();
+  if (REPLAY_PACKAGE || !EXT_RE.test(req.path)) return next();
 
   // Some assets are requested from inside a query-slug folder, e.g.:
   //   /index.php__product_id_318__route_product_product/image/catalog/teacup.png
@@ -723,12 +949,192 @@ if (START_PATH && START_PATH !== '/') {
   });
 }
 
+// Strip redirect shims and inject the consent-cleanup / navigation guard / payment scripts,
+// then send the page. Shared by folder-based pages and WARC replay.
+function sendInjectedHtml(res, html, bodyExtra) {
+  // Strip meta-refresh and common redirect stub snippet so nothing flashes
+  try {
+    html = html.replace(/<meta[^>]+http-equiv\s*=\s*["']?refresh["']?[^>]*>/ig, '');
+    html = html.replace(/<p[^>]*>\s*Redirecting\s+to\s+<a[^>]*>.*?<\/a>\s*<\/p>/ig, '');
+  } catch(_) {}
+  // Build a small client-side guard to avoid SPA routers flipping to client 404s
+  const CAPTURED = Array.from(HTML_INDEX);
+  const injectTag = `<script>(function(){try{
+    function rm(q,root){(root||document).querySelectorAll(q).forEach(function(n){try{n.remove()}catch(e){}})}
+    function unlock(){
+      try{document.documentElement.style.setProperty('overflow','', 'important');document.body&&document.body.style.setProperty('overflow','', 'important');}catch(e){}
+      try{
+        document.querySelectorAll('*').forEach(function(el){
+          var st=getComputedStyle(el); 
+          if((st.position==='fixed'||st.position==='sticky') && parseInt(st.zIndex||'0',10)>=1000){
+            var txt=(el.innerText||'').toLowerCase();
+            if(/cookie|consent|datenschutz/.test(txt)){ try{el.remove()}catch(e){} }
+          }
+          if(st.filter && st.filter.includes('blur')){ try{ el.style.setProperty('filter','none','important'); }catch(e){} }
+          if(st.backdropFilter){ try{ el.style.setProperty('backdrop-filter','none','important'); }catch(e){} }
+        });
+      }catch(e){}
+    }
+    // Optionally freeze SPA to preserve SSR content (stop client JS from wiping lists)
+    try{
+      var FREEZE = ${DISABLE_SPA_SCRIPTS ? 'true' : 'false'};
+      if(FREEZE){
+        // 1) Disable dynamic script injection via document.createElement('script')
+        try{
+          var _ce = Document.prototype.createElement;
+          Document.prototype.createElement = function(tag){ var el = _ce.apply(this, arguments); try{ if(String(tag).toLowerCase()==='script'){ Object.defineProperty(el,'src',{set:function(){},get:function(){return ''}}); el.type='application/ld+json'; } }catch(e){} return el; };
+        }catch(e){}
+        // 2) Neutralize existing <script src> that match app bundles by rewriting type
+        try{
+          var blockers = [/\/assets\/_next\//, /\/assets\/[A-Za-z0-9].*\.js$/, /ton-[a-z0-9]+\.js$/i, /vendors~[A-Za-z0-9_-]+\.js$/i, /PLPContainerTON.*\.js$/i, /PDPContainerTON.*\.js$/i, /DAZContainerTON.*\.js$/i, /SearchOverlay.*\.js$/i];
+          document.querySelectorAll('script[src]')?.forEach(function(s){ try{ var src=s.getAttribute('src')||''; if(blockers.some(function(rx){ return rx.test(src); })){ s.setAttribute('type','application/ld+json'); s.removeAttribute('src'); } }catch(e){} });
+        }catch(e){}
+        // 3) Prevent eval/new Function which many loaders use
+        try{ window.eval = function(){ return ''; }; }catch(e){}
+        try{ window.Function = function(){ return function(){}; }; }catch(e){}
+      }
+    }catch(e){}
+    
+    // Send fetch/XHR calls for recorded API hosts to this server (recorded XHR replay)
+    try{
+      var API_HOSTS = ${JSON.stringify(!DISABLE_SPA_SCRIPTS && XHR_INDEX ? XHR_INDEX.hosts : [])};
+      function local(u){ try{ var x = new URL(String(u), location.href); if(x.origin !== location.origin && API_HOSTS.indexOf(x.origin) >= 0) return location.origin + x.pathname + x.search; }catch(e){} return u; }
+      if(API_HOSTS.length){
+        var _fetch = window.fetch;
+        if(_fetch) window.fetch = function(input, init){ try{ if(typeof input === 'string' || input instanceof URL) input = local(input); else if(input && input.url && local(input.url) !== input.url) input = new Request(local(input.url), input); }catch(e){} return _fetch.call(this, input, init); };
+        var _open = XMLHttpRequest.prototype.open;
+        XMLHttpRequest.prototype.open = function(m, u){ var a = Array.prototype.slice.call(arguments); try{ a[1] = local(u); }catch(e){} return _open.apply(this, a); };
+      }
+    }catch(e){}
+
+    // Graph/captured-path aware navigation: force full navigations to captured pages
+    try{
+      var CAP = ${JSON.stringify(CAPTURED)};
+      var CAPSET = new Set(Array.isArray(CAP)?CAP:[]);
+      function norm(p){ try{ p = String(p||'/'); }catch(e){ p='/'; } if(!p.startsWith('/')){ try{ p = new URL(p, location.href).pathname; }catch(_){ p = '/'; } } if(!p.endsWith('/')) p+='/'; return p; }
+      function best(p){ p = norm(p); if(CAPSET.has(p)) return p; var seg = p.replace(/\/+$/,'').split('/'); while(seg.length>1){ seg.pop(); var cand = seg.join('/') + '/'; if(CAPSET.has(cand)) return cand; } return '/'; }
+      function go(u){ try{ var url = new URL(u, location.href); var p = best(url.pathname); var out = p + (url.search||'') + (url.hash||''); location.href = out; }catch(e){ location.href = '/'; } }
+      // Intercept same-origin anchor clicks early to avoid SPA hijack
+      document.addEventListener('click', function(ev){ try{ var a = ev.target && ev.target.closest && ev.target.closest('a[href]'); if(!a) return; var href = a.getAttribute('href'); if(!href) return; var u = new URL(href, location.href); if(u.origin !== location.origin) return; ev.preventDefault(); ev.stopPropagation(); go(u.href); }catch(e){} }, true);
+      // Downgrade history API to full navigations (prevents client routers from flipping to 404)
+      try{ var _ps = history.pushState; history.pushState = function(s,t,u){ try{ if(u!=null){ go(u); return; } }catch(e){} try{ return _ps.apply(this, arguments); }catch(e){} } }catch(e){}
+      try{ var _rs = history.replaceState; history.replaceState = function(s,t,u){ try{ if(u!=null){ go(u); return; } }catch(e){} try{ return _rs.apply(this, arguments); }catch(e){} } }catch(e){}
+    }catch(e){}
+    // Remove common CMP containers and Trusted Shops badge
+    rm('#onetrust-banner-sdk'); rm('#usercentrics-root'); rm('#CybotCookiebotDialog');
+    rm('div[id^="sp_message_container_],.sp-message-container,.cm-wrapper,.cm__container,.cc-window,.cookie-consent,.cookieconsent,.cookiebar,div[id*="cookie"],div[class*="cookie"],div[id*="consent"],div[class*="consent"]');
+    rm('.ts-trustbadge'); rm('iframe[src*="trustedshops"]');
+    unlock();
+    // Retry after load in case JS re-adds overlays
+    window.addEventListener('load', function(){ setTimeout(function(){ rm('#onetrust-banner-sdk'); rm('#usercentrics-root'); rm('.ts-trustbadge'); unlock(); }, 500); });
+    // Also watch for late inserts for a short time
+    var t0=Date.now(); var obs=new MutationObserver(function(){ if(Date.now()-t0>7000){ try{obs.disconnect()}catch(e){} return; } unlock(); });
+    try{obs.observe(document.documentElement,{childList:true,subtree:true})}catch(e){}
+  }catch(e){}})();</script>`;
+  // Optional: inject payment-link rewriter if a mapping is present
+  let payInject = '';
+  if (PAYMENT_MAP && PAYMENT_MAP.map) {
+    const pmStr = JSON.stringify(PAYMENT_MAP).replace(/</g,'\\u003c');
+    payInject = `<script>(function(){try{
+      var PM = window.__PAYMENT_MAP = ${pmStr};
+      function ppUrl(v){
+        if(typeof v!=='string') return '';
+        // paypal:HOSTED_BUTTON_ID -> hosted button URL
+        if(v.indexOf('paypal:')===0){ var id=v.slice(7); return 'https://www.paypal.com/cgi-bin/webscr?cmd=_s-xclick&hosted_button_id='+encodeURIComponent(id);} 
+        return v; 
+      }
+      function domProdId(root){
+        root = root||document;
+        try{
+          // OpenCart common hidden input
+          var el = root.querySelector('input[name="product_id"], #product_id');
+          if(el && el.value) return String(el.value);
+          // WooCommerce add-to-cart hidden input on single product
+          var woo = root.querySelector('form.cart input[name="add-to-cart"]');
+          if(woo && woo.value) return String(woo.value);
+          // data-product-id on buttons/containers
+          var dataEl = root.querySelector('[data-product-id]');
+          if(dataEl && dataEl.getAttribute('data-product-id')) return String(dataEl.getAttribute('data-product-id'));
+          // Microdata
+          var meta = root.querySelector('meta[itemprop="productID"],[itemprop="productID"]');
+          if(meta){ var v = meta.content || meta.getAttribute('content') || meta.textContent; if(v) return String(v).trim(); }
+        }catch(e){}
+        return '';
+      }
+      function curProdId(){
+        try{ 
+          var sp=new URLSearchParams(location.search.slice(1));
+          var pid=sp.get('product_id'); if(pid) return String(pid);
+          var atc=sp.get('add-to-cart'); if(atc) return String(atc);
+        }catch(e){}
+        // fallback to DOM probing
+        return domProdId(document);
+      }
+      function linkForId(id){ if(!id) return ''; var v=(PM.map && (PM.map[String(id)]||PM.map['product_id_'+id]))||''; return ppUrl(v); }
+      function openPay(link){ if(!link) return false; try{ if(PM.target){ window.open(link, PM.target); } else { location.href = link; } return true; }catch(e){ try{ location.href = link; return true; }catch(_){} } return false; }
+      function rewrite(root){ 
+        root=root||document; 
+        var pid=curProdId(); 
+        var link=linkForId(pid);
+        // If we have a link, hijack common buttons/forms early
+        var btnSel = '#button-cart, button[name="button-add-to-cart"], button[name="add-to-cart"], .single_add_to_cart_button, .add_to_cart_button';
+        var btn = root.querySelector(btnSel);
+        if(btn && link){ btn.addEventListener('click', function(ev){ try{ev.preventDefault();ev.stopPropagation();}catch(e){} openPay(link); }, {capture:true}); }
+        // WooCommerce form submit
+        root.querySelectorAll('form.cart').forEach(function(f){ try{ if(!link){ var hid=f.querySelector('input[name="add-to-cart"]'); if(hid&&hid.value){ link = linkForId(hid.value); } } if(link){ f.addEventListener('submit', function(ev){ try{ev.preventDefault();ev.stopPropagation();}catch(e){} openPay(link); }, {capture:true}); } }catch(e){} });
+        // Anchor-based add-to-cart/cart links
+        root.querySelectorAll('a[href*="route=checkout/cart/add"], a[href*="add-to-cart="], a[href*="/cart/add"], a[href*="/cart?add="]').forEach(function(a){ 
+          try{ 
+            var u=new URL(a.getAttribute('href'), location.href); 
+            var id=u.searchParams.get('product_id')||u.searchParams.get('add-to-cart')||u.searchParams.get('add'); 
+            var L=linkForId(id||pid); 
+            if(L){ a.setAttribute('href', L); a.setAttribute('target', PM.target||'_self'); a.addEventListener('click', function(ev){ try{ev.preventDefault();ev.stopPropagation();}catch(e){} openPay(L); }, {capture:true}); }
+          }catch(e){} 
+        });
+      }
+      document.addEventListener('DOMContentLoaded', function(){ rewrite(); });
+      try{ var mo=new MutationObserver(function(){ rewrite(document); }); mo.observe(document.documentElement,{childList:true,subtree:true}); }catch(e){}
+    }catch(e){}})();</script>`;
+  }
+  const fullInject = injectTag + (payInject||'');
+  // If scripts are disabled, also inject CSS to unhide SSR and hide skeletons/overlays
+  let cssPatch = '';
+  if (DISABLE_SPA_SCRIPTS) {
+    cssPatch = '<style id="__archive_css_patch">\n'
+      + 'html,body{opacity:1!important;visibility:visible!important;filter:none!important;}\n'
+      + '/* Hide skeletons/placeholders */\n'
+      + '[class*="skeleton"],[class*="placeholder"],[class*="shimmer"],.skeleton,.placeholder,.shimmer{display:none!important;}\n'
+      + '/* Unhide common content containers */\n'
+      + '.plp,.plp-grid,.ProductList,.Products,[data-component="ProductList"],[id*="product"],[class*="product-list"],[class*="plp-grid"],[class*="results"],.ais-InfiniteHits,.ais-Hits{opacity:1!important;visibility:visible!important;filter:none!important;}\n'
+      + '/* Remove common overlay containers */\n'
+      + '[id*="overlay"],[class*="overlay"],.ts-trustbadge,#onetrust-banner-sdk,#usercentrics-root{display:none!important;}\n'
+      + '</style>\n';
+  }
+  // Prefer to inject at the very start of <head> so it runs before site scripts/styles
+  if (/\<head[^>]*\>/i.test(html)) html = html.replace(/\<head[^>]*\>/i, function(m){ return m + '\n' + cssPatch + fullInject + '\n'; });
+  else if (html.includes('</head>')) html = html.replace('</head>', cssPatch + fullInject + '\n</head>');
+  else if (html.includes('<body')) html = html.replace('<body', '<body>' + cssPatch + fullInject);
+  else html += fullInject;
+  if (bodyExtra) {
+    if (/<\/body>/i.test(html)) html = html.replace(/<\/body>(?![\s\S]*<\/body>)/i, bodyExtra + '</body>');
+    else html += bodyExtra;
+  }
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  if (DISABLE_SPA_SCRIPTS) {
+    // Final safety net: block all scripts via CSP so nothing can execute
+    res.setHeader('Content-Security-Policy', "script-src 'none'; object-src 'none'; base-uri 'self';");
+  }
+  return res.send(html);
+}
+
 // Catch-all HTML with small injection to remove CMP/blur at view-time
 app.get(/.*/, (req, res, next) => {
   if (req.method !== 'GET') return next();
   const accept = req.headers.accept || '';
   const isHtmlPreferred = accept.includes('text/html') || !/\.[a-zA-Z0-9]+$/.test(req.path);
-  if (!isHtmlPreferred) return next();
+  if (!isHtmlPreferred || REPLAY_PACKAGE) return next();
 
   let resolved = resolveHtml(req);
   // If root is requested and a START_PATH is configured, internally resolve
@@ -738,6 +1144,29 @@ app.get(/.*/, (req, res, next) => {
   }
   if (!resolved) return next();
 
+  // Translations: explicit ?_lang= switch, or cookie / Accept-Language when entering at "/"
+  let localeExtra = '';
+  if (LOCALE_INDEX) {
+    const rel = relOfResolved(resolved);
+    const group = LOCALE_INDEX.groupByRel.get(rel);
+    if (group) {
+      const captured = Object.keys(group.pages).filter(l => group.pages[l] && group.pages[l].relPath != null);
+      const current = captured.find(l => group.pages[l].relPath === rel) || '';
+      const asked = req.query && req.query._lang ? String(req.query._lang) : '';
+      const isRoot = !req.path || req.path === '/';
+      const want = asked || (isRoot ? (localeCookie(req) || String(req.headers['accept-language'] || '')) : '');
+      const pick = want ? pickLocale(want, captured) : '';
+      if (isRoot) res.setHeader('Vary', 'Accept-Language, Cookie');
+      if (asked && pick) res.setHeader('Set-Cookie', '__archive_lang=' + pick + '; Path=/; SameSite=Lax');
+      if (pick && pick !== current) {
+        const target = group.pages[pick].relPath;
+        res.status(302).set('Location', '/' + (target ? target + '/' : '')).set('Content-Length', '0');
+        return res.end();
+      }
+      localeExtra = localeBar(group, current);
+    }
+  }
+
   if (DISABLE_HTML_INJECT) {
     return res.sendFile(resolved);
   }
@@ -777,165 +1206,7 @@ app.get(/.*/, (req, res, next) => {
         } catch(_) {}
       }
     } catch(_) {}
-    // Regardless, strip meta-refresh and common redirect stub snippet so nothing flashes
-    try {
-      html = html.replace(/<meta[^>]+http-equiv\s*=\s*["']?refresh["']?[^>]*>/ig, '');
-      html = html.replace(/<p[^>]*>\s*Redirecting\s+to\s+<a[^>]*>.*?<\/a>\s*<\/p>/ig, '');
-    } catch(_) {}
-    // Build a small client-side guard to avoid SPA routers flipping to client 404s
-    const CAPTURED = Array.from(HTML_INDEX);
-    const injectTag = `<script>(function(){try{
-      function rm(q,root){(root||document).querySelectorAll(q).forEach(function(n){try{n.remove()}catch(e){}})}
-      function unlock(){
-        try{document.documentElement.style.setProperty('overflow','', 'important');document.body&&document.body.style.setProperty('overflow','', 'important');}catch(e){}
-        try{
-          document.querySelectorAll('*').forEach(function(el){
-            var st=getComputedStyle(el); 
-            if((st.position==='fixed'||st.position==='sticky') && parseInt(st.zIndex||'0',10)>=1000){
-              var txt=(el.innerText||'').toLowerCase();
-              if(/cookie|consent|datenschutz/.test(txt)){ try{el.remove()}catch(e){} }
-            }
-            if(st.filter && st.filter.includes('blur')){ try{ el.style.setProperty('filter','none','important'); }catch(e){} }
-            if(st.backdropFilter){ try{ el.style.setProperty('backdrop-filter','none','important'); }catch(e){} }
-          });
-        }catch(e){}
-      }
-      // Optionally freeze SPA to preserve SSR content (stop client JS from wiping lists)
-      try{
-        var FREEZE = ${DISABLE_SPA_SCRIPTS ? 'true' : 'false'};
-        if(FREEZE){
-          // 1) Disable dynamic script injection via document.createElement('script')
-          try{
-            var _ce = Document.prototype.createElement;
-            Document.prototype.createElement = function(tag){ var el = _ce.apply(this, arguments); try{ if(String(tag).toLowerCase()==='script'){ Object.defineProperty(el,'src',{set:function(){},get:function(){return ''}}); el.type='application/ld+json'; } }catch(e){} return el; };
-          }catch(e){}
-          // 2) Neutralize existing <script src> that match app bundles by rewriting type
-          try{
-            var blockers = [/\/assets\/_next\//, /\/assets\/[A-Za-z0-9].*\.js$/, /ton-[a-z0-9]+\.js$/i, /vendors~[A-Za-z0-9_-]+\.js$/i, /PLPContainerTON.*\.js$/i, /PDPContainerTON.*\.js$/i, /DAZContainerTON.*\.js$/i, /SearchOverlay.*\.js$/i];
-            document.querySelectorAll('script[src]')?.forEach(function(s){ try{ var src=s.getAttribute('src')||''; if(blockers.some(function(rx){ return rx.test(src); })){ s.setAttribute('type','application/ld+json'); s.removeAttribute('src'); } }catch(e){} });
-          }catch(e){}
-          // 3) Prevent eval/new Function which many loaders use
-          try{ window.eval = function(){ return ''; }; }catch(e){}
-          try{ window.Function = function(){ return function(){}; }; }catch(e){}
-        }
-      }catch(e){}
-      
-      // Graph/captured-path aware navigation: force full navigations to captured pages
-      try{
-        var CAP = ${JSON.stringify(CAPTURED)};
-        var CAPSET = new Set(Array.isArray(CAP)?CAP:[]);
-        function norm(p){ try{ p = String(p||'/'); }catch(e){ p='/'; } if(!p.startsWith('/')){ try{ p = new URL(p, location.href).pathname; }catch(_){ p = '/'; } } if(!p.endsWith('/')) p+='/'; return p; }
-        function best(p){ p = norm(p); if(CAPSET.has(p)) return p; var seg = p.replace(/\/+$/,'').split('/'); while(seg.length>1){ seg.pop(); var cand = seg.join('/') + '/'; if(CAPSET.has(cand)) return cand; } return '/'; }
-        function go(u){ try{ var url = new URL(u, location.href); var p = best(url.pathname); var out = p + (url.search||'') + (url.hash||''); location.href = out; }catch(e){ location.href = '/'; } }
-        // Intercept same-origin anchor clicks early to avoid SPA hijack
-        document.addEventListener('click', function(ev){ try{ var a = ev.target && ev.target.closest && ev.target.closest('a[href]'); if(!a) return; var href = a.getAttribute('href'); if(!href) return; var u = new URL(href, location.href); if(u.origin !== location.origin) return; ev.preventDefault(); ev.stopPropagation(); go(u.href); }catch(e){} }, true);
-        // Downgrade history API to full navigations (prevents client routers from flipping to 404)
-        try{ var _ps = history.pushState; history.pushState = function(s,t,u){ try{ if(u!=null){ go(u); return; } }catch(e){} try{ return _ps.apply(this, arguments); }catch(e){} } }catch(e){}
-        try{ var _rs = history.replaceState; history.replaceState = function(s,t,u){ try{ if(u!=null){ go(u); return; } }catch(e){} try{ return _rs.apply(this, arguments); }catch(e){} } }catch(e){}
-      }catch(e){}
-      // Remove common CMP containers and Trusted Shops badge
-      rm('#onetrust-banner-sdk'); rm('#usercentrics-root'); rm('#CybotCookiebotDialog');
-      rm('div[id^="sp_message_container_],.sp-message-container,.cm-wrapper,.cm__container,.cc-window,.cookie-consent,.cookieconsent,.cookiebar,div[id*="cookie"],div[class*="cookie"],div[id*="consent"],div[class*="consent"]');
-      rm('.ts-trustbadge'); rm('iframe[src*="trustedshops"]');
-      unlock();
-      // Retry after load in case JS re-adds overlays
-      window.addEventListener('load', function(){ setTimeout(function(){ rm('#onetrust-banner-sdk'); rm('#usercentrics-root'); rm('.ts-trustbadge'); unlock(); }, 500); });
-      // Also watch for late inserts for a short time
-      var t0=Date.now(); var obs=new MutationObserver(function(){ if(Date.now()-t0>7000){ try{obs.disconnect()}catch(e){} return; } unlock(); });
-      try{obs.observe(document.documentElement,{childList:true,subtree:true})}catch(e){}
-    }catch(e){}})();</script>`;
-    // Optional: inject payment-link rewriter if a mapping is present
-    let payInject = '';
-    if (PAYMENT_MAP && PAYMENT_MAP.map) {
-      const pmStr = JSON.stringify(PAYMENT_MAP).replace(/</g,'\\u003c');
-      payInject = `<script>(function(){try{
-        var PM = window.__PAYMENT_MAP = ${pmStr};
-        function ppUrl(v){
-          if(typeof v!=='string') return '';
-          // paypal:HOSTED_BUTTON_ID -> hosted button URL
-          if(v.indexOf('paypal:')===0){ var id=v.slice(7); return 'https://www.paypal.com/cgi-bin/webscr?cmd=_s-xclick&hosted_button_id='+encodeURIComponent(id);} 
-          return v; 
-        }
-        function domProdId(root){
-          root = root||document;
-          try{
-            // OpenCart common hidden input
-            var el = root.querySelector('input[name="product_id"], #product_id');
-            if(el && el.value) return String(el.value);
-            // WooCommerce add-to-cart hidden input on single product
-            var woo = root.querySelector('form.cart input[name="add-to-cart"]');
-            if(woo && woo.value) return String(woo.value);
-            // data-product-id on buttons/containers
-            var dataEl = root.querySelector('[data-product-id]');
-            if(dataEl && dataEl.getAttribute('data-product-id')) return String(dataEl.getAttribute('data-product-id'));
-            // Microdata
-            var meta = root.querySelector('meta[itemprop="productID"],[itemprop="productID"]');
-            if(meta){ var v = meta.content || meta.getAttribute('content') || meta.textContent; if(v) return String(v).trim(); }
-          }catch(e){}
-          return '';
-        }
-        function curProdId(){
-          try{ 
-            var sp=new URLSearchParams(location.search.slice(1));
-            var pid=sp.get('product_id'); if(pid) return String(pid);
-            var atc=sp.get('add-to-cart'); if(atc) return String(atc);
-          }catch(e){}
-          // fallback to DOM probing
-          return domProdId(document);
-        }
-        function linkForId(id){ if(!id) return ''; var v=(PM.map && (PM.map[String(id)]||PM.map['product_id_'+id]))||''; return ppUrl(v); }
-        function openPay(link){ if(!link) return false; try{ if(PM.target){ window.open(link, PM.target); } else { location.href = link; } return true; }catch(e){ try{ location.href = link; return true; }catch(_){} } return false; }
-        function rewrite(root){ 
-          root=root||document; 
-          var pid=curProdId(); 
-          var link=linkForId(pid);
-          // If we have a link, hijack common buttons/forms early
-          var btnSel = '#button-cart, button[name="button-add-to-cart"], button[name="add-to-cart"], .single_add_to_cart_button, .add_to_cart_button';
-          var btn = root.querySelector(btnSel);
-          if(btn && link){ btn.addEventListener('click', function(ev){ try{ev.preventDefault();ev.stopPropagation();}catch(e){} openPay(link); }, {capture:true}); }
-          // WooCommerce form submit
-          root.querySelectorAll('form.cart').forEach(function(f){ try{ if(!link){ var hid=f.querySelector('input[name="add-to-cart"]'); if(hid&&hid.value){ link = linkForId(hid.value); } } if(link){ f.addEventListener('submit', function(ev){ try{ev.preventDefault();ev.stopPropagation();}catch(e){} openPay(link); }, {capture:true}); } }catch(e){} });
-          // Anchor-based add-to-cart/cart links
-          root.querySelectorAll('a[href*="route=checkout/cart/add"], a[href*="add-to-cart="], a[href*="/cart/add"], a[href*="/cart?add="]').forEach(function(a){ 
-            try{ 
-              var u=new URL(a.getAttribute('href'), location.href); 
-              var id=u.searchParams.get('product_id')||u.searchParams.get('add-to-cart')||u.searchParams.get('add'); 
-              var L=linkForId(id||pid); 
-              if(L){ a.setAttribute('href', L); a.setAttribute('target', PM.target||'_self'); a.addEventListener('click', function(ev){ try{ev.preventDefault();ev.stopPropagation();}catch(e){} openPay(L); }, {capture:true}); }
-            }catch(e){} 
-          });
-        }
-        document.addEventListener('DOMContentLoaded', function(){ rewrite(); });
-        try{ var mo=new MutationObserver(function(){ rewrite(document); }); mo.observe(document.documentElement,{childList:true,subtree:true}); }catch(e){}
-      }catch(e){}})();</script>`;
-    }
-    const fullInject = injectTag + (payInject||'');
-    // If scripts are disabled, also inject CSS to unhide SSR and hide skeletons/overlays
-    let cssPatch = '';
-    if (DISABLE_SPA_SCRIPTS) {
-      cssPatch = '<style id="__archive_css_patch">\n'
-        + 'html,body{opacity:1!important;visibility:visible!important;filter:none!important;}\n'
-        + '/* Hide skeletons/placeholders */\n'
-        + '[class*="skeleton"],[class*="placeholder"],[class*="shimmer"],.skeleton,.placeholder,.shimmer{display:none!important;}\n'
-        + '/* Unhide common content containers */\n'
-        + '.plp,.plp-grid,.ProductList,.Products,[data-component="ProductList"],[id*="product"],[class*="product-list"],[class*="plp-grid"],[class*="results"],.ais-InfiniteHits,.ais-Hits{opacity:1!important;visibility:visible!important;filter:none!important;}\n'
-        + '/* Remove common overlay containers */\n'
-        + '[id*="overlay"],[class*="overlay"],.ts-trustbadge,#onetrust-banner-sdk,#usercentrics-root{display:none!important;}\n'
-        + '</style>\n';
-    }
-    // Prefer to inject at the very start of <head> so it runs before site scripts/styles
-    if (/\<head[^>]*\>/i.test(html)) html = html.replace(/\<head[^>]*\>/i, function(m){ return m + '\n' + cssPatch + fullInject + '\n'; });
-    else if (html.includes('</head>')) html = html.replace('</head>', cssPatch + fullInject + '\n</head>');
-    else if (html.includes('<body')) html = html.replace('<body', '<body>' + cssPatch + fullInject);
-    else html += fullInject;
-
-    res.setHeader('Content-Type', 'text/html; charset=utf-8');
-    res.setHeader('Cache-Control', 'no-cache');
-    if (DISABLE_SPA_SCRIPTS) {
-      // Final safety net: block all scripts via CSP so nothing can execute
-      res.setHeader('Content-Security-Policy', "script-src 'none'; object-src 'none'; base-uri 'self';");
-    }
-    return res.send(html);
+    return sendInjectedHtml(res, html, localeExtra);
   } catch (e) {
     console.error('[SERVER_ERR] inject/send error', e);
     return res.sendFile(resolved);
@@ -945,6 +1216,8 @@ app.get(/.*/, (req, res, next) => {
 // 404
 app.use((req, res) => {
   console.warn('[404]', req.originalUrl);
+  // Lets validate-replay.cjs tell "nothing archived here" apart from a captured 404
+  res.setHeader('X-Archive-404', 'catch-all');
   res.status(404).send('Not Found');
 });
 
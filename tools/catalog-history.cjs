@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * catalog-history.cjs
+ * Catalog diffs between runs and the per-site price/title/availability history
+ * (lib/catalog-history.cjs). Runs are directories or run ids under downloaded_pages/.
+ *
+ * Modes:
+ * - --from A --to B       diff two runs' catalogs: new, removed, repriced, renamed, availability, image
+ *     --min-pct P         only report price changes of at least P percent
+ *     --json              print the report as JSON; --out FILE writes it to a file
+ * - --record RUN...       add runs to their site's history store (oldest first; archiver runs do this
+ *                         themselves). --rebuild empties the store first, for backfilling older runs
+ * - --history RUN|SITE    print a site's history; filters --sku SKU, --q text, --field price, --limit N
+ *
+ * Usage:
+ *   node tools/catalog-history.cjs --from shop.test-2026-10-01-0800-ab12 --to shop.test-2026-10-08-0800-cd34
+ *   node tools/catalog-history.cjs --record downloaded_pages/shop.test-*
+ *   node tools/catalog-history.cjs --history shop.test --field price --q "wool hat"
+ */
+const fs = require('fs');
+const path = require('path');
+const {
+  HISTORY_DIR_NAME, historyDirFor, readRunCatalog, recordRun, queryHistory, diffCatalogs
+} = require('../lib/catalog-history.cjs');
+
+const BASE = path.join(__dirname, '..', 'downloaded_pages');
+
+function die(msg){ console.error('[CATALOG_ERR]', msg); process.exit(1); }
+
+function parseArgs(argv){
+  const out = { from: '', to: '', minPct: 0, json: false, out: '', record: [], rebuild: false, history: '', sku: '', q: '', field: '', limit: 50 };
+  for(let i = 0; i < argv.length; i++){
+    const a = argv[i];
+    const val = () => argv[++i];
+    if(a === '--from') out.from = val();
+    else if(a === '--to') out.to = val();
+    else if(a === '--min-pct') out.minPct = parseFloat(val()) || 0;
+    else if(a === '--json') out.json = true;
+    else if(a === '--out') out.out = val();
+    else if(a === '--record') { while(argv[i + 1] && !argv[i + 1].startsWith('--')) out.record.push(argv[++i]); }
+    else if(a === '--rebuild') out.rebuild = true;
+    else if(a === '--history') out.history = val();
+    else if(a === '--sku') out.sku = val();
+    else if(a === '--q') out.q = val();
+    else if(a === '--field') out.field = val();
+    else if(a === '--limit') out.limit = parseInt(val(), 10) || 0;
+  }
+  return out;
+}
+
+// Run directory from a path or a run id under downloaded_pages/
+function resolveRun(x){
+  if(fs.existsSync(path.join(x, 'catalog'))) return path.resolve(x);
+  if(fs.existsSync(path.join(BASE, x, 'catalog'))) return path.join(BASE, x);
+  die(`no catalog found for run "${x}"`);
+}
+
+function money(v, cur){ return v == null ? '?' : `${v}${cur ? ' ' + cur : ''}`; }
+
+function printDiff(r){
+  const s = r.summary;
+  console.log(`[CATALOG_DIFF] ${r.from.runId} (${r.from.products}) -> ${r.to.runId} (${r.to.products})`);
+  console.log(`  new=${s.added} removed=${s.removed} repriced=${s.repriced} renamed=${s.renamed} availability=${s.availability} images=${s.images} unchanged=${s.unchanged}`);
+  const section = (title, list, fmt) => {
+    if(!list.length) return;
+    console.log(`\n${title}:`);
+    list.forEach(x => console.log('  ' + fmt(x)));
+  };
+  section('New', r.added, p => `${p.sku}  ${p.title}  ${money(p.price, p.currency)}  ${p.url}`);
+  section('Removed', r.removed, p => `${p.sku}  ${p.title}  ${money(p.price, p.currency)}  ${p.url}`);
+  section('Repriced', r.repriced, p => `${p.sku}  ${p.title}  ${money(p.from, p.fromCurrency)} -> ${money(p.to, p.currency)}  (${p.delta > 0 ? '+' : ''}${p.delta}${p.pct != null ? `, ${p.pct > 0 ? '+' : ''}${p.pct}%` : ''})`);
+  section('Renamed', r.renamed, p => `${p.sku}  "${p.from}" -> "${p.to}"`);
+  section('Availability', r.availability, p => `${p.sku}  ${p.title}  ${p.from ? 'in stock' : 'out of stock'} -> ${p.to ? 'in stock' : 'out of stock'}`);
+  section('Image changed', r.images, p => `${p.sku}  ${p.title}  ${p.to}`);
+}
+
+function historyDirOf(x){
+  // A site name (store directory) or a run whose catalog names the site
+  const root = process.env.CATALOG_HISTORY_DIR ? path.resolve(process.env.CATALOG_HISTORY_DIR) : path.join(BASE, HISTORY_DIR_NAME);
+  if(fs.existsSync(path.join(root, x, 'history.json'))) return path.join(root, x);
+  const snap = readRunCatalog(resolveRun(x));
+  return historyDirFor(snap.runDir, snap.site);
+}
+
+function main(){
+  const o = parseArgs(process.argv.slice(2));
+  if(o.from && o.to){
+    const report = diffCatalogs(readRunCatalog(resolveRun(o.from)), readRunCatalog(resolveRun(o.to)), { minPct: o.minPct });
+    if(o.out){ fs.writeFileSync(o.out, JSON.stringify(report, null, 2)); console.log('[CATALOG_DIFF] wrote', o.out); }
+    if(o.json) console.log(JSON.stringify(report, null, 2));
+    else printDiff(report);
+    return;
+  }
+  if(o.record.length){
+    const snaps = o.record.map(x => readRunCatalog(resolveRun(x))).sort((a, b) => String(a.at).localeCompare(String(b.at)));
+    const cleared = new Set();
+    for(const snap of snaps){
+      const dir = historyDirFor(snap.runDir, snap.site);
+      if(o.rebuild && !cleared.has(dir)){ fs.rmSync(path.join(dir, 'history.json'), { force: true }); cleared.add(dir); }
+      const res = recordRun(dir, snap);
+      console.log(`[CATALOG_HISTORY] ${snap.runId} ${res.recorded ? `recorded new=${res.added} changes=${res.changes}` : `skipped (${res.reason})`}`);
+    }
+    return;
+  }
+  if(o.history){
+    const h = queryHistory(historyDirOf(o.history), { sku: o.sku, q: o.q, field: o.field, limit: o.limit });
+    if(o.json){ console.log(JSON.stringify(h, null, 2)); return; }
+    console.log(`[CATALOG_HISTORY] site=${h.site} runs=${h.runs.length} products=${h.total}`);
+    for(const p of h.products){
+      console.log(`\n${p.sku}  ${p.title}  ${p.url}`);
+      for(const c of p.changes) console.log(`  ${c.at}  ${c.field.padEnd(9)} ${c.from == null ? '' : JSON.stringify(c.from) + ' -> '}${JSON.stringify(c.to)}  (${c.runId})`);
+    }
+    return;
+  }
+  die('Usage: node tools/catalog-history.cjs --from <run> --to <run> [--min-pct P] [--json] [--out file] | --record <run>... [--rebuild] | --history <run|site> [--sku S] [--q text] [--field price] [--limit N]');
+}
+
+try { main(); } catch(e){ die(e.message); }
@@ -5,7 +5,10 @@
  * so archiver can mirror those pages too. Keeps archiver.cjs clean.
  *
  * Usage:
- *   node tools/commerce-flow.cjs --start https://site/ --platform opencart --out run/_commerce [--mode once]
+ *   node tools/commerce-flow.cjs --start https://site/ --platform opencart --out run/_commerce [--mode once] [--consent false]
+ *
+ * Cookie banners are accepted after every navigation with lib/consent-automation.cjs
+ * (providers from consent-providers.json, CONSENT_* env as for archiver.cjs).
  *
  * Output:
  *   Writes URLs discovered into <out>/urls.txt (unique, newline-separated)
@@ -13,6 +16,7 @@
 const fs = require('fs');
 const path = require('path');
 const { chromium } = require('playwright');
+const { createConsentEngine } = require('../lib/consent-automation.cjs');
 
 function arg(name, def) {
   const i = process.argv.indexOf('--'+name);
@@ -22,6 +26,7 @@ const START = arg('start','').trim();
 const OUT = path.resolve(arg('out', './_commerce'));
 const PLATFORM = (arg('platform','opencart')||'').toLowerCase();
 const MODE = (arg('mode','once')||'').toLowerCase();
+const CONSENT = !/^(0|false|no|off)$/i.test(arg('consent','true'));
 
 if (!START) {
   console.error('[COMMERCE_FLOW] missing --start');
@@ -29,12 +34,27 @@ if (!START) {
 }
 fs.mkdirSync(OUT, { recursive: true });
 
+let consent = null;
+try { if (CONSENT) consent = createConsentEngine(); }
+catch (e) { console.error('[COMMERCE_FLOW] consent providers:', e.message); process.exit(2); }
+
 function uniq(list){ return Array.from(new Set(list)); }
 
+async function visit(page, url){
+  if (consent) { try { await consent.prepare(page.context(), url); } catch {} }
+  await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 25000 }).catch(()=>{});
+  if (consent) {
+    try {
+      const c = await consent.handle(page, { url });
+      if (c.provider || c.method !== 'none') console.log('[COMMERCE_FLOW] consent', c.provider || '-', c.method);
+    } catch {}
+  }
+}
+
 async function findFirstProduct(page){
   // Heuristics per platform; fallbacks to any link with product_id or /product/
   const origin = new URL(START).origin;
-  await page.goto(START, { waitUntil: 'domcontentloaded', timeout: 25000 }).catch(()=>{});
+  await visit(page, START);
   await page.waitForTimeout(600);
   const candidates = await page.$$eval('a[href]', as => as.map(a => a.getAttribute('href')).filter(Boolean));
   let abs = [];
@@ -56,7 +76,7 @@ async function run(){
   // 1) Navigate to a product page
   const productUrl = await findFirstProduct(page);
   if (productUrl) urls.add(productUrl);
-  await page.goto(productUrl, { waitUntil: 'domcontentloaded', timeout: 25000 }).catch(()=>{});
+  await visit(page, productUrl);
   await page.waitForTimeout(500);
 
   // 2) Click buy/add-to-cart using common selectors
@@ -92,7 +112,7 @@ async function run(){
     // Guess common cart URL
     try{ const u = new URL(productUrl); u.searchParams.set('route','checkout/cart'); cartUrl=u.toString(); }catch{}
   }
-  if (cartUrl){ urls.add(cartUrl); await page.goto(cartUrl, { waitUntil: 'domcontentloaded', timeout: 25000 }).catch(()=>{}); }
+  if (cartUrl){ urls.add(cartUrl); await visit(page, cartUrl); }
 
   // 4) Proceed to checkout
   const checkoutSelectors = [
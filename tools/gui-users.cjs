@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * gui-users.cjs
+ * Manage the GUI server's local accounts, API tokens and audit log (lib/auth.cjs) from the shell,
+ * e.g. to reset a lost admin password. Works on GUI_AUTH_DIR (default .gui-auth/); a running
+ * server rereads users.json when it changes.
+ *
+ * Modes:
+ * - --list                          users and tokens
+ * - --add NAME --role R             create or update a user (viewer, operator, admin);
+ *     [--password P] [--disable|--enable]   password is prompted for new users when omitted
+ * - --passwd NAME [--password P]    set a new password (ends the user's sessions)
+ * - --remove NAME                   delete a user and their tokens
+ * - --token USER [--token-name N] [--role R]   create an API token (printed once)
+ * - --revoke ID                     revoke a token
+ * - --audit [--user U] [--limit N]  newest audit entries first
+ *
+ * Usage:
+ *   node tools/gui-users.cjs --add alice --role operator
+ *   node tools/gui-users.cjs --token alice --token-name nightly --role viewer
+ *   node tools/gui-users.cjs --audit --user alice --limit 20
+ */
+const path = require('path');
+const readline = require('readline');
+const { createAuth } = require('../lib/auth.cjs');
+
+const AUTH_DIR = process.env.GUI_AUTH_DIR ? path.resolve(process.env.GUI_AUTH_DIR) : path.join(__dirname, '..', '.gui-auth');
+
+function die(msg){ console.error('[AUTH_ERR]', msg); process.exit(1); }
+
+function parseArgs(argv){
+  const out = { list: false, add: '', passwd: '', remove: '', token: '', revoke: '', audit: false, role: '', password: '', tokenName: '', disabled: null, user: '', limit: 50 };
+  for(let i = 0; i < argv.length; i++){
+    const a = argv[i];
+    const val = () => argv[++i];
+    if(a === '--list') out.list = true;
+    else if(a === '--add') out.add = val();
+    else if(a === '--passwd') out.passwd = val();
+    else if(a === '--remove') out.remove = val();
+    else if(a === '--token') out.token = val();
+    else if(a === '--revoke') out.revoke = val();
+    else if(a === '--audit') out.audit = true;
+    else if(a === '--role') out.role = val();
+    else if(a === '--password') out.password = val();
+    else if(a === '--token-name') out.tokenName = val();
+    else if(a === '--disable') out.disabled = true;
+    else if(a === '--enable') out.disabled = false;
+    else if(a === '--user') out.user = val();
+    else if(a === '--limit') out.limit = parseInt(val(), 10) || 50;
+  }
+  return out;
+}
+
+// Password from the terminal without echoing it
+function prompt(question){
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = (s) => { if(s.includes(question)) process.stdout.write(s); };
+    rl.question(question, (answer) => { rl.close(); process.stdout.write('\n'); resolve(answer); });
+  });
+}
+
+async function askPassword(){
+  if(!process.stdin.isTTY) die('--password is required when stdin is not a terminal');
+  const a = await prompt('Password: ');
+  const b = await prompt('Repeat password: ');
+  if(a !== b) die('passwords do not match');
+  return a;
+}
+
+function fmt(t){ return t ? new Date(t).toISOString() : '-'; }
+
+async function main(){
+  const o = parseArgs(process.argv.slice(2));
+  const auth = createAuth({ dir: AUTH_DIR });
+  if(o.list){
+    console.log(`[AUTH] ${AUTH_DIR}`);
+    for(const u of auth.listUsers()) console.log(`  user  ${u.name.padEnd(20)} ${u.role.padEnd(8)} ${u.disabled ? 'disabled' : 'active  '} last login ${fmt(u.lastLoginAt)}`);
+    for(const t of auth.listTokens()) console.log(`  token ${t.id}  ${t.user} "${t.name}" ${t.role} last used ${fmt(t.lastUsedAt)}`);
+    return;
+  }
+  if(o.add){
+    const exists = auth.listUsers().some(u => u.name === o.add);
+    const password = o.password || (exists ? '' : await askPassword());
+    const u = auth.upsertUser({ name: o.add, password: password || undefined, role: o.role || undefined, disabled: o.disabled == null ? undefined : o.disabled });
+    console.log(`[AUTH] ${exists ? 'updated' : 'added'} ${u.name} role=${u.role}${u.disabled ? ' (disabled)' : ''}`);
+    return;
+  }
+  if(o.passwd){
+    if(!auth.listUsers().some(u => u.name === o.passwd)) die(`user "${o.passwd}" not found`);
+    auth.upsertUser({ name: o.passwd, password: o.password || await askPassword() });
+    console.log(`[AUTH] password changed for ${o.passwd}`);
+    return;
+  }
+  if(o.remove){
+    if(!auth.removeUser(o.remove)) die(`user "${o.remove}" not found`);
+    console.log(`[AUTH] removed ${o.remove}`);
+    return;
+  }
+  if(o.token){
+    const t = auth.createToken(o.token, { name: o.tokenName, role: o.role || undefined });
+    console.log(`[AUTH] token ${t.id} for ${t.user} role=${t.role} (shown once):`);
+    console.log(t.token);
+    return;
+  }
+  if(o.revoke){
+    if(!auth.revokeToken(o.revoke)) die(`token "${o.revoke}" not found`);
+    console.log(`[AUTH] revoked ${o.revoke}`);
+    return;
+  }
+  if(o.audit){
+    for(const e of auth.readAudit({ user: o.user, limit: o.limit })){
+      console.log(`${e.at}  ${(e.user || '-').padEnd(16)} ${String(e.via || '').padEnd(8)} ${e.method} ${e.path} ${e.status}${e.params ? ' ' + JSON.stringify(e.params) : ''}`);
+    }
+    return;
+  }
+  die('Usage: node tools/gui-users.cjs --list | --add NAME --role R [--password P] [--disable|--enable] | --passwd NAME [--password P] | --remove NAME | --token USER [--token-name N] [--role R] | --revoke ID | --audit [--user U] [--limit N]');
+}
+
+main().catch(e => die(e.message));
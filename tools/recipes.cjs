@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * recipes.cjs
+ * Site recipes from the shell (lib/recipes.cjs): named, versioned run settings stored under
+ * SITE_RECIPES_DIR (default site-recipes/). Runs use one via `node archiver.cjs seeds.txt out --recipe NAME[@V]`
+ * or the GUI's recipe picker.
+ *
+ * Modes:
+ * - --list                       recipes with their latest version
+ * - --show REF                   print a recipe (REF = name, name@version or file.json)
+ * - --versions NAME              version history
+ * - --import FILE [--name N]     validate and store as a new version (unchanged content keeps the version)
+ *     [--note TEXT]
+ * - --export REF [--out FILE]    write a recipe version as JSON (stdout without --out)
+ * - --validate FILE              check a recipe file against the settings schema
+ * - --schema [--out FILE]        JSON schema generated from lib/settings.cjs
+ * - --delete NAME                remove a recipe and all its versions
+ *
+ * Usage:
+ *   node tools/recipes.cjs --import shop-example.json --note "longer consent wait"
+ *   node tools/recipes.cjs --export shop-example@2 --out shop-example-v2.json
+ */
+const fs = require('fs');
+const { RECIPES_DIR, createRecipeStore, validateRecipe, recipeSchema } = require('../lib/recipes.cjs');
+
+function die(msg){ console.error('[RECIPE_ERR]', msg); process.exit(1); }
+
+function parseArgs(argv){
+  const out = { list: false, show: '', versions: '', import: '', name: '', note: '', export: '', out: '', validate: '', schema: false, delete: '' };
+  for(let i = 0; i < argv.length; i++){
+    const a = argv[i];
+    const val = () => argv[++i];
+    if(a === '--list') out.list = true;
+    else if(a === '--show') out.show = val();
+    else if(a === '--versions') out.versions = val();
+    else if(a === '--import') out.import = val();
+    else if(a === '--name') out.name = val();
+    else if(a === '--note') out.note = val();
+    else if(a === '--export') out.export = val();
+    else if(a === '--out') out.out = val();
+    else if(a === '--validate') out.validate = val();
+    else if(a === '--schema') out.schema = true;
+    else if(a === '--delete') out.delete = val();
+  }
+  return out;
+}
+
+function readJsonFile(f){
+  try { return JSON.parse(fs.readFileSync(f, 'utf8')); } catch(e){ die(`cannot read ${f}: ${e.message}`); }
+}
+
+function emit(obj, out){
+  const text = JSON.stringify(obj, null, 2);
+  if(out){ fs.writeFileSync(out, text + '\n'); console.log('[RECIPE] wrote', out); }
+  else console.log(text);
+}
+
+function main(){
+  const o = parseArgs(process.argv.slice(2));
+  const store = createRecipeStore(RECIPES_DIR);
+  if(o.list){
+    const list = store.list();
+    console.log(`[RECIPE] ${RECIPES_DIR} recipes=${list.length}`);
+    for(const r of list) console.log(`  ${r.name.padEnd(28)} v${String(r.version).padEnd(4)} ${r.hash}  ${r.description}`);
+    return;
+  }
+  if(o.show){ emit(store.load(o.show), ''); return; }
+  if(o.versions){
+    const vs = store.versions(o.versions);
+    if(!vs.length) die(`recipe "${o.versions}" not found`);
+    for(const v of vs) console.log(`  v${String(v.version).padEnd(4)} ${v.savedAt}  ${v.hash}  ${v.savedBy || '-'}  ${v.note}`);
+    return;
+  }
+  if(o.import){
+    const doc = readJsonFile(o.import);
+    const saved = store.save(o.name ? { ...doc, name: o.name } : doc, { savedBy: 'cli', note: o.note });
+    console.log(`[RECIPE] ${saved.name} ${saved.unchanged ? 'unchanged at' : 'saved as'} v${saved.version}`);
+    return;
+  }
+  if(o.export){ emit(store.load(o.export), o.out); return; }
+  if(o.validate){
+    const r = validateRecipe(readJsonFile(o.validate));
+    const n = Object.values(r.settings).reduce((s, c) => s + Object.keys(c).length, 0);
+    console.log(`[RECIPE] ${o.validate} ok: ${r.name}, ${n} settings in ${Object.keys(r.settings).join(', ') || 'no categories'}`);
+    return;
+  }
+  if(o.schema){ emit(recipeSchema(), o.out); return; }
+  if(o.delete){
+    if(!store.remove(o.delete)) die(`recipe "${o.delete}" not found`);
+    console.log('[RECIPE] deleted', o.delete);
+    return;
+  }
+  die('Usage: node tools/recipes.cjs --list | --show REF | --versions NAME | --import FILE [--name N] [--note T] | --export REF [--out F] | --validate FILE | --schema [--out F] | --delete NAME');
+}
+
+try { main(); } catch(e){ die(e.message); }
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * sitemap-seeds.cjs
+ * Read a site's sitemaps (robots.txt, /sitemap.xml fallbacks, nested indexes, .xml.gz) and
+ * write a seeds file for archiver.cjs, optionally only URLs changed since a date.
+ * - --since DATE        keep URLs whose <lastmod> is on/after DATE (ISO, e.g. 2026-09-01)
+ * - --no-undated        with --since, also drop URLs that have no <lastmod>
+ * - --sitemap URL       read this sitemap instead of robots.txt (repeatable)
+ * - --max N             stop after N URLs (default 50000)
+ * - --out FILE          seeds file (default: stdout); --json FILE also writes entries with
+ *                       lastmod and hreflang alternates
+ *
+ * Usage:
+ *   node tools/sitemap-seeds.cjs https://shop.example.com --since 2026-09-01 --out seeds.txt
+ */
+const fs = require('fs');
+const { readSitemaps } = require('../lib/discovery/sitemap.cjs');
+
+function die(msg){ console.error('[SITEMAP_ERR]', msg); process.exit(1); }
+
+function parseArgs(argv){
+  const out = { origin: '', since: null, includeUndated: true, sitemaps: [], max: 50000, out: '', json: '' };
+  for(let i = 0; i < argv.length; i++){
+    const a = argv[i];
+    const val = () => argv[++i];
+    if(a === '--since') out.since = val();
+    else if(a === '--no-undated') out.includeUndated = false;
+    else if(a === '--sitemap') out.sitemaps.push(val());
+    else if(a === '--max') out.max = parseInt(val(), 10) || out.max;
+    else if(a === '--out') out.out = val();
+    else if(a === '--json') out.json = val();
+    else if(!out.origin) out.origin = a;
+  }
+  return out;
+}
+
+async function main(){
+  const opts = parseArgs(process.argv.slice(2));
+  if(!opts.origin) die('Usage: node tools/sitemap-seeds.cjs <site-url> [--since 2026-09-01] [--no-undated] [--sitemap URL] [--max N] [--out seeds.txt] [--json entries.json]');
+  let origin;
+  try { origin = new URL(opts.origin).origin; } catch { die('invalid site url ' + opts.origin); }
+  if(opts.since && !isFinite(Date.parse(opts.since))) die('invalid --since date ' + opts.since);
+  const res = await readSitemaps(origin, {
+    since: opts.since,
+    includeUndated: opts.includeUndated,
+    sitemaps: opts.sitemaps.length ? opts.sitemaps : null,
+    max: opts.max,
+    log: (...a) => console.error(...a)
+  });
+  if(!res.sitemaps.length) console.error('[SITEMAP_WARN] no sitemap found for', origin);
+  const lines = res.urls.map(e => e.loc).join('\n') + (res.urls.length ? '\n' : '');
+  if(opts.out) fs.writeFileSync(opts.out, lines, 'utf8');
+  else process.stdout.write(lines);
+  if(opts.json) fs.writeFileSync(opts.json, JSON.stringify({ origin, since: opts.since, generatedAt: new Date().toISOString(), ...res }, null, 2), 'utf8');
+  console.error('[SITEMAP_DONE] urls=' + res.urls.length, 'sitemaps=' + res.sitemaps.length, 'skippedOld=' + res.skipped.old, 'skippedUndated=' + res.skipped.undated, opts.out ? '-> ' + opts.out : '');
+}
+
+main().catch(e => die(e && e.stack || e));
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * visual-diff.cjs
+ * Render each archived page through server.cjs and pixel-diff it against the screenshot
+ * taken at capture time (SCREENSHOTS=true). Flags pages whose offline replay differs.
+ * - Writes <localPath>/replay.png and <localPath>/diff.png next to screenshot.png
+ * - Writes <runDir>/visual-diff.json and prints the flagged pages
+ *
+ * Options:
+ * - --port N          port for the temporary server.cjs (default: any free port)
+ * - --threshold R     differing-pixel ratio above which a page is flagged (default 0.02)
+ * - --pixel N         per-channel delta (0-255) for a pixel to count as different (default 32)
+ * - --limit N         only check the first N pages
+ * - --profiles a,b    only check these profiles (default: all)
+ *
+ * Usage:
+ *   node tools/visual-diff.cjs <runDir> [--threshold 0.02] [--profiles desktop,mobile]
+ */
+const fs = require('fs');
+const path = require('path');
+const { chromium } = require('playwright');
+const { SCREENSHOT_FILE, diffImages } = require('../lib/screenshots.cjs');
+const { startArchiveServer } = require('../lib/replay-harness.cjs');
+
+function die(msg){ console.error('[VDIFF_ERR]', msg); process.exit(1); }
+
+function parseArgs(argv){
+  const out = { runDir: '', port: 0, threshold: 0.02, pixel: 32, limit: 0, profiles: null };
+  for(let i = 0; i < argv.length; i++){
+    const a = argv[i];
+    const val = () => argv[++i];
+    if(a === '--port') out.port = parseInt(val(), 10) || out.port;
+    else if(a === '--threshold') out.threshold = parseFloat(val());
+    else if(a === '--pixel') out.pixel = parseInt(val(), 10);
+    else if(a === '--limit') out.limit = parseInt(val(), 10) || 0;
+    else if(a === '--profiles') out.profiles = String(val() || '').split(',').map(s => s.trim()).filter(Boolean);
+    else if(!out.runDir) out.runDir = a;
+  }
+  if(!isFinite(out.threshold)) out.threshold = 0.02;
+  if(!isFinite(out.pixel)) out.pixel = 32;
+  return out;
+}
+
+function loadProfiles(){
+  try { return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'device-profiles.json'), 'utf8')); }
+  catch { return {}; }
+}
+
+async function main(){
+  const opts = parseArgs(process.argv.slice(2));
+  if(!opts.runDir) die('Usage: node tools/visual-diff.cjs <runDir> [--port N] [--threshold 0.02] [--limit N] [--profiles desktop,mobile]');
+  const runDir = path.resolve(opts.runDir);
+  let manifest;
+  try { manifest = JSON.parse(fs.readFileSync(path.join(runDir, 'manifest.json'), 'utf8')); }
+  catch(e){ die('cannot read manifest.json: ' + e.message); }
+
+  const profiles = loadProfiles();
+  const jobs = [];
+  for(const rec of manifest){
+    if(!rec || !rec.localPath || !String(rec.status || '').startsWith('ok')) continue;
+    if(opts.profiles && !opts.profiles.includes(rec.profile)) continue;
+    const dir = path.join(runDir, rec.localPath);
+    let meta = null;
+    try { meta = JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf8')); } catch {}
+    if(!meta || !meta.screenshot || !fs.existsSync(path.join(dir, meta.screenshot.file || SCREENSHOT_FILE))) continue;
+    jobs.push({ rec, dir, shot: meta.screenshot });
+    if(opts.limit && jobs.length >= opts.limit) break;
+  }
+  if(!jobs.length) die('no pages with screenshots in ' + runDir + ' (capture with SCREENSHOTS=true)');
+  const server = await startArchiveServer(runDir, { port: opts.port }).catch(e => die(e.message));
+  console.log('[VDIFF] pages=' + jobs.length, 'threshold=' + opts.threshold, 'server=' + server.origin);
+  let browser;
+  const results = [];
+  try {
+    browser = await chromium.launch({ headless: true });
+    for(const job of jobs){
+      const { rec, dir, shot } = job;
+      const prof = profiles[rec.profile] || profiles.desktop || {};
+      const ctx = await browser.newContext({
+        viewport: prof.viewport || { width: shot.width || 1366, height: 900 },
+        userAgent: prof.userAgent,
+        deviceScaleFactor: prof.deviceScaleFactor || 1,
+        isMobile: !!prof.isMobile,
+        hasTouch: !!prof.hasTouch
+      });
+      const entry = { url: rec.url, profile: rec.profile, localPath: rec.localPath, ratio: null, flagged: false };
+      try {
+        const page = await ctx.newPage();
+        const target = server.origin + '/' + String(rec.localPath).replace(/^\/+/, '') + '/';
+        await page.goto(target, { waitUntil: 'load', timeout: 45000 });
+        try { await page.waitForLoadState('networkidle', { timeout: 8000 }); } catch {}
+        const live = fs.readFileSync(path.join(dir, shot.file || SCREENSHOT_FILE));
+        const shotOpts = { path: path.join(dir, 'replay.png'), fullPage: true, animations: 'disabled', scale: 'css', timeout: 30000 }; // same scale as the capture
+        const h = await page.evaluate(() => { const s = document.scrollingElement || document.documentElement; return Math.max(s ? s.scrollHeight : 0, window.innerHeight); });
+        if(shot.height && h > shot.height) shotOpts.clip = { x: 0, y: 0, width: shot.width || page.viewportSize().width, height: shot.height };
+        const replay = await page.screenshot(shotOpts);
+        const d = await diffImages(ctx, live, replay, { pixelThreshold: opts.pixel });
+        fs.writeFileSync(path.join(dir, 'diff.png'), d.diffPng);
+        entry.ratio = Number(d.ratio.toFixed(4));
+        entry.flagged = d.ratio > opts.threshold;
+        entry.live = d.a;
+        entry.replay = d.b;
+        entry.diff = path.posix.join(rec.localPath, 'diff.png');
+        console.log(entry.flagged ? '[VDIFF_FLAG]' : '[VDIFF]', rec.profile, rec.url, 'ratio=' + entry.ratio);
+      } catch(e){
+        entry.error = String(e && e.message || e).split('\n')[0];
+        entry.flagged = true;
+        console.warn('[VDIFF_WARN]', rec.profile, rec.url, entry.error);
+      } finally {
+        try { await ctx.close(); } catch {}
+      }
+      results.push(entry);
+    }
+  } finally {
+    try { if(browser) await browser.close(); } catch {}
+    await server.stop();
+  }
+
+  const flagged = results.filter(r => r.flagged);
+  const out = { generatedAt: new Date().toISOString(), threshold: opts.threshold, pixelThreshold: opts.pixel, checked: results.length, flagged: flagged.length, pages: results };
+  fs.writeFileSync(path.join(runDir, 'visual-diff.json'), JSON.stringify(out, null, 2), 'utf8');
+  console.log('[VDIFF_DONE] checked=' + results.length, 'flagged=' + flagged.length, '->', path.join(runDir, 'visual-diff.json'));
+  for(const r of flagged.sort((a, b) => (b.ratio == null ? 2 : b.ratio) - (a.ratio == null ? 2 : a.ratio)).slice(0, 30)){
+    console.log('  ' + (r.ratio == null ? 'error' : (r.ratio * 100).toFixed(1) + '%'), '[' + r.profile + ']', r.url);
+  }
+}
+
+main().catch(e => die(e && e.stack || e));
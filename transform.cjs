@@ -1,15 +1,33 @@
 /**
- * transform.cjs (improved logo detection & replacement)
+ * transform.cjs (site-wide transform recipes; improved logo detection & replacement)
  *
- * Enhancements:
+ * A run's transforms are a declarative, ordered recipe (<runDir>/transforms.json):
+ *   { "version": 1, "steps": [
+ *       { "type": "price", "percent": 10, "add": 0, "round": true, "floor": false, "ceil": false, "currencySymbol": "" },
+ *       { "type": "name", "selectors": "h1,.product-name", "prefix": "", "suffix": "", "regexFind": "", "regexReplace": "" },
+ *       { "type": "logo", "newFileName": "my-logo.png" },
+ *       { "type": "text", "find": "Old Brand", "flags": "gi", "replace": "New Brand", "selector": "body" },
+ *       { "type": "remove", "selector": ".newsletter-popup" }
+ *   ] }
+ * Every step may carry "match": { "profiles": ["desktop"], "url": "/product/" } (url = regex).
+ *
+ *  - Steps run in order on every HTML page of manifest.json (all profiles), always starting from the
+ *    page's original, so re-applying a changed recipe never compounds (e.g. price +10% twice).
+ *  - Originals are kept per page under <runDir>/_transforms/originals/<localPath>/index.html;
+ *    resetTransforms() restores each page from its own original. _transforms/outputs.json holds a hash
+ *    of each transformed page as written; a page that no longer matches it was recaptured (REFRESH or
+ *    RESUME) and becomes the new original instead of being overwritten from the stale one.
+ *  - Preview (dry run) writes nothing and returns a per-page diff of the changed fragments.
  *  - detectPrimaryLogo() scores candidates (id/class/alt/src containing "logo", brand hints,
- *    biggest width/height attributes).
- *  - replaceLogo() now replaces ALL <img> elements with the same original src (so header + sticky variants).
- *  - Returns replacedCount and candidate list length.
+ *    biggest width/height attributes); replaceLogo() replaces ALL <img> with the same original src.
+ *
+ * CLI:
+ *   node transform.cjs <runDir> [--dry-run] [--recipe recipe.json] [--reset]
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const cheerio = require('cheerio');
 
 function findRootIndex(runDir){
@@ -24,19 +42,128 @@ function findRootIndex(runDir){
   throw new Error('No index.html (flat or nested) in run: '+runDir);
 }
 
-function ensureOriginalBackup(indexPath){
-  const d = path.dirname(indexPath);
-  const backup = path.join(d,'index.original.html');
-  if (!fs.existsSync(backup)){
-    fs.copyFileSync(indexPath, backup);
+const RECIPE_FILE = 'transforms.json';
+const ORIGINALS_DIR = path.join('_transforms', 'originals');
+const OUTPUTS_FILE = path.join('_transforms', 'outputs.json'); // rel -> sha256 of the transformed page
+const STEP_TYPES = ['price', 'name', 'logo', 'text', 'remove'];
+const MAX_CHANGES_PER_STEP = 50; // per page, for reports/diffs
+
+// Uploaded logos live in the root page's assets dir (see /api/upload-logo); runs without a root index use <runDir>/assets
+function logoAssetsDir(runDir){
+  try { return findRootIndex(runDir).assetsDir; } catch { return path.join(runDir,'assets'); }
+}
+
+/* ---------- Recipe ---------- */
+// Legacy actions { price, name, logo } (applied in that order) or { steps } -> { version, steps }
+function normalizeRecipe(input){
+  const r = input || {};
+  let steps;
+  if (Array.isArray(r.steps)) steps = r.steps;
+  else if (Array.isArray(r)) steps = r;
+  else {
+    steps = [];
+    if (r.price) steps.push({ type:'price', ...r.price });
+    if (r.name) steps.push({ type:'name', ...r.name });
+    if (r.logo && r.logo.newFileName) steps.push({ type:'logo', ...r.logo });
+  }
+  steps.forEach((st,i)=>{
+    if (!st || !STEP_TYPES.includes(st.type)) throw new Error(`transform step ${i+1}: unknown type "${st && st.type}" (${STEP_TYPES.join('|')})`);
+    if (st.match && st.match.url) { try { new RegExp(st.match.url); } catch(e){ throw new Error(`transform step ${i+1}: bad match.url: ${e.message}`); } }
+    if (st.type==='text' && !st.find) throw new Error(`transform step ${i+1}: text needs "find"`);
+    if (st.type==='text') { try { new RegExp(st.find, st.flags || 'g'); } catch(e){ throw new Error(`transform step ${i+1}: bad find regex: ${e.message}`); } }
+    if (st.type==='remove' && !st.selector) throw new Error(`transform step ${i+1}: remove needs "selector"`);
+    if (st.type==='logo' && !st.newFileName) throw new Error(`transform step ${i+1}: logo needs "newFileName"`);
+  });
+  return { version:1, steps };
+}
+
+function loadRecipe(runDir){
+  const f = path.join(runDir, RECIPE_FILE);
+  if (!fs.existsSync(f)) return { version:1, steps:[] };
+  return normalizeRecipe(JSON.parse(fs.readFileSync(f,'utf8')));
+}
+
+function saveRecipe(runDir, input){
+  const recipe = normalizeRecipe(input);
+  fs.writeFileSync(path.join(runDir, RECIPE_FILE), JSON.stringify({ ...recipe, updatedAt:new Date().toISOString() }, null, 2), 'utf8');
+  return recipe;
+}
+
+/* ---------- Pages + per-page originals ---------- */
+// Every captured HTML page of the run (manifest.json, all profiles); the root index for runs without a manifest
+function listPages(runDir){
+  const pages = [];
+  const seen = new Set();
+  let manifest = [];
+  try { manifest = JSON.parse(fs.readFileSync(path.join(runDir,'manifest.json'),'utf8')); } catch {}
+  for (const rec of Array.isArray(manifest) ? manifest : []){
+    if (!rec || !rec.localPath || !String(rec.status||'').startsWith('ok')) continue;
+    const rel = path.posix.join(String(rec.localPath).replace(/\\/g,'/').replace(/^\/+|\/+$/g,''), 'index.html');
+    if (seen.has(rel) || !fs.existsSync(path.join(runDir, rel))) continue;
+    seen.add(rel);
+    pages.push({ rel, url: rec.finalURL || rec.url, profile: rec.profile || 'desktop' });
+  }
+  if (!pages.length){
+    try {
+      const { indexPath } = findRootIndex(runDir);
+      pages.push({ rel: path.relative(runDir, indexPath).replace(/\\/g,'/'), url:'', profile:'desktop' });
+    } catch {}
   }
-  return backup;
+  return pages;
 }
 
-function loadBaseHTML(runDir){
-  const { indexPath } = findRootIndex(runDir);
-  const original = ensureOriginalBackup(indexPath);
-  return fs.readFileSync(original,'utf8');
+function originalPath(runDir, rel){ return path.join(runDir, ORIGINALS_DIR, rel); }
+
+function sha256(s){ return crypto.createHash('sha256').update(s).digest('hex'); }
+
+function readOutputs(runDir){
+  try { return JSON.parse(fs.readFileSync(path.join(runDir, OUTPUTS_FILE),'utf8')) || {}; } catch { return {}; }
+}
+
+/**
+ * Original HTML of a page -> { html, recaptured }: the stored copy, else the page itself (legacy
+ * index.original.html for the root page). When the live page differs from the output last written
+ * (outputs[rel]) it was recaptured since, and the live page is the original (recaptured: true).
+ */
+function readOriginal(runDir, rel, outputs={}){
+  const live = fs.readFileSync(path.join(runDir, rel),'utf8');
+  if (outputs[rel] && outputs[rel] !== sha256(live)) return { html: live, recaptured: true };
+  const orig = originalPath(runDir, rel);
+  if (fs.existsSync(orig)) return { html: fs.readFileSync(orig,'utf8'), recaptured: false };
+  const legacy = path.join(runDir, path.dirname(rel), 'index.original.html');
+  if (!outputs[rel] && fs.existsSync(legacy)) return { html: fs.readFileSync(legacy,'utf8'), recaptured: false };
+  return { html: live, recaptured: false };
+}
+
+// replace: the stored original is stale (page recaptured) and is overwritten
+function storeOriginal(runDir, rel, html, replace=false){
+  const orig = originalPath(runDir, rel);
+  if (!replace && fs.existsSync(orig)) return;
+  fs.mkdirSync(path.dirname(orig), { recursive:true });
+  fs.writeFileSync(orig, html, 'utf8');
+}
+
+function stepMatches(step, page){
+  const m = step.match;
+  if (!m) return true;
+  if (Array.isArray(m.profiles) && m.profiles.length && !m.profiles.includes(page.profile)) return false;
+  if (m.url && !new RegExp(m.url).test(page.url || '')) return false;
+  return true;
+}
+
+function pushChange(list, before, after){
+  if (list.length < MAX_CHANGES_PER_STEP) list.push({ before, after });
+}
+
+// Text nodes under the selection, outside script/style/noscript/textarea
+function eachTextNode($, root, fn){
+  const walk = (node)=>{
+    for (const ch of node.children || []){
+      if (ch.type === 'text') fn(ch);
+      else if (ch.type === 'tag' && !['script','style','noscript','textarea'].includes(ch.name)) walk(ch);
+    }
+  };
+  $(root).each((_,el)=>walk(el));
 }
 
 /* ---------- Improved Logo Detection ---------- */
@@ -110,10 +237,10 @@ function extractBrandHints($){
   return [...hints].filter(Boolean);
 }
 
-function replaceLogo($, newLogoRelPath){
+function replaceLogo($, newLogoRelPath, changes=[]){
   const det = detectPrimaryLogo($);
   if(!det.primary){
-    return { replaced:false, oldSrc:null, candidates:0, replacedCount:0 };
+    return { replaced:false, oldSrc:null, candidates:0, replacedCount:0, changed:0 };
   }
   const oldSrc = det.primary.src;
   let replacedCount=0;
@@ -125,16 +252,18 @@ function replaceLogo($, newLogoRelPath){
       replacedCount++;
     }
   });
+  if (replacedCount) pushChange(changes, `<img src="${oldSrc}">`, `<img src="${newLogoRelPath}">`);
   return {
     replaced: replacedCount>0,
     oldSrc,
     candidates: det.candidates,
-    replacedCount
+    replacedCount,
+    changed: replacedCount
   };
 }
 
 /* ---------- Names ---------- */
-function transformNames($, nameOptions){
+function transformNames($, nameOptions, changes=[]){
   if (!nameOptions) return { changed:0 };
   const {
     selectors = 'h1,.product-name,.product__title',
@@ -153,12 +282,15 @@ function transformNames($, nameOptions){
 
   selectors.split(',').map(s=>s.trim()).filter(Boolean).forEach(sel=>{
     $(sel).each((_,el)=>{
-      let txt=$(el).text();
+      const before=$(el).text();
+      let txt=before;
       if (!txt.trim()) return;
       if (rx) txt=txt.replace(rx, regexReplace);
       txt=prefix+txt+suffix;
+      if (txt===before) return;
       $(el).text(txt);
       $(el).attr('data-tx','1');
+      pushChange(changes, before.trim(), txt.trim());
       changed++;
     });
   });
@@ -166,21 +298,28 @@ function transformNames($, nameOptions){
 }
 
 /* ---------- Prices ---------- */
+// "1,299.00" / "1.299,00" / "12,50": a 1-2 digit tail after the last separator is the decimal part
 function parsePriceToken(tok){
-  const normalized = tok.replace(/[^0-9.,]/g,'').replace(/,/g,'');
-  if (!normalized) return null;
-  const v = parseFloat(normalized);
+  const s = tok.replace(/[^0-9.,]/g,'');
+  if (!s) return null;
+  const m = s.match(/^(.*)[.,](\d{1,2})$/);
+  const v = m ? parseFloat(m[1].replace(/[.,]/g,'')+'.'+m[2]) : parseFloat(s.replace(/[.,]/g,''));
   if (isNaN(v)) return null;
   return v;
 }
+// Keeps the token's currency prefix and decimal separator ("12,50" -> "13,75")
 function formatPrice(originalToken, newVal, currencySymbolOverride){
-  const symMatch = originalToken.match(/^[\s]*([€$£]|USD|EUR|GBP)/i);
-  const currency = currencySymbolOverride || (symMatch ? symMatch[1] : '');
+  const symMatch = originalToken.match(/^[\s]*([€$£]|USD|EUR|GBP)\s*/i);
+  const currency = currencySymbolOverride || (symMatch ? symMatch[0].trim() + (/\s$/.test(symMatch[0]) ? ' ' : '') : '');
+  const commaDecimal = /,\d{2}$/.test(originalToken.trim());
   let s = newVal.toFixed(2);
   s = s.replace(/\B(?=(\d{3})+(?!\d))/g,',');
+  if (commaDecimal) s = s.replace(/[.,]/g, c => (c === ',' ? '.' : ','));
   return currency ? currency + s : s;
 }
-function transformPrices($, priceOptions){
+// Prices are tokens with a currency prefix or with cents; bare integers (years, counts) are left alone
+const PRICE_REGEX=/(?:[€$£]|\b(?:USD|EUR|GBP))\s*\d{1,3}(?:[.,]\d{3})*(?:[.,]\d{2})?(?!\d)|\b\d{1,3}(?:[.,]\d{3})*[.,]\d{2}(?![\d.,]*\d)/g;
+function transformPrices($, priceOptions, changes=[]){
   if (!priceOptions) return { changed:0 };
   const {
     percent=0,
@@ -188,84 +327,217 @@ function transformPrices($, priceOptions){
     round=true,
     floor=false,
     ceil=false,
-    currencySymbol=''
+    currencySymbol='',
+    selector='body'
   } = priceOptions;
   if (percent===0 && add===0) return { changed:0 };
 
-  const PRICE_REGEX=/(?:[€$£]|USD|EUR|GBP)?\s*\d{1,3}(?:[.,]\d{3})*(?:[.,]\d{2})?/g;
   let changed=0;
-
-  $('body *').each((_,el)=>{
-    const tag=(el.tagName||el.name||'').toLowerCase();
-    if (['script','style','noscript'].includes(tag)) return;
-    const node=$(el);
-    let html=node.html();
-    if (!html) return;
-    let replaced=false;
-    html=html.replace(PRICE_REGEX,(m)=>{
+  eachTextNode($, selector, (node)=>{
+    const before=node.data;
+    if (!before || !/\d/.test(before)) return;
+    const after=before.replace(PRICE_REGEX,(m)=>{
       const val=parsePriceToken(m);
       if (val==null) return m;
       let newVal = val * (1+percent/100) + add;
       if (floor) newVal=Math.floor(newVal);
       if (ceil) newVal=Math.ceil(newVal);
       if (round && !floor && !ceil) newVal=parseFloat(newVal.toFixed(2));
-      replaced=true; changed++;
-      return formatPrice(m,newVal,currencySymbol||'');
+      const out=formatPrice(m,newVal,currencySymbol||'');
+      pushChange(changes, m.trim(), out);
+      changed++;
+      return out;
     });
-    if (replaced){
-      node.html(html);
-      node.attr('data-tx','1');
+    if (after!==before){
+      node.data=after;
+      if (node.parent) $(node.parent).attr('data-tx','1');
     }
   });
 
   return { changed };
 }
 
+/* ---------- Text / remove ---------- */
+function transformText($, opts, changes=[]){
+  let rx;
+  try { rx=new RegExp(opts.find, opts.flags || 'g'); } catch(e){ throw new Error('text step: bad find regex: '+e.message); }
+  let changed=0;
+  eachTextNode($, opts.selector || 'body', (node)=>{
+    const before=node.data;
+    rx.lastIndex=0;
+    if (!before || !rx.test(before)) return;
+    rx.lastIndex=0;
+    const after=before.replace(rx, opts.replace == null ? '' : String(opts.replace));
+    if (after===before) return;
+    node.data=after;
+    pushChange(changes, before.trim(), after.trim());
+    changed++;
+  });
+  return { changed };
+}
+
+function removeElements($, opts, changes=[]){
+  const els=$(opts.selector);
+  els.each((_,el)=>{ pushChange(changes, $.html(el).slice(0,300), ''); });
+  els.remove();
+  return { changed: els.length };
+}
+
 /* ---------- Main Transform ---------- */
-function applyTransforms(runDir, actions, options={}){
-  const { indexPath } = findRootIndex(runDir);
-  const baseHTML = loadBaseHTML(runDir);
-  const $ = cheerio.load(baseHTML, { decodeEntities:false });
-
-  let priceResult={changed:0};
-  let nameResult={changed:0};
-  let logoResult={replaced:false};
-
-  if (actions.price) priceResult=transformPrices($, actions.price);
-  if (actions.name)  nameResult=transformNames($, actions.name);
-  if (actions.logo && actions.logo.newFileName){
-    const relLogo = path.join('assets', actions.logo.newFileName).replace(/\\/g,'/');
-    logoResult=replaceLogo($, relLogo);
+function runStep($, step, ctx, changes){
+  switch (step.type){
+    case 'price': return transformPrices($, step, changes);
+    case 'name': return transformNames($, step, changes);
+    case 'text': return transformText($, step, changes);
+    case 'remove': return removeElements($, step, changes);
+    case 'logo': {
+      // relative to the page so the logo resolves from any depth (and from file://)
+      const rel = path.relative(path.dirname(path.join(ctx.runDir, ctx.page.rel)), path.join(logoAssetsDir(ctx.runDir), step.newFileName)).replace(/\\/g,'/');
+      return replaceLogo($, rel, changes);
+    }
+    default: return { changed:0 };
   }
+}
 
-  const transformed=$.html();
-  if (!options.preview){
-    const dir=path.dirname(indexPath);
-    fs.writeFileSync(path.join(dir,'index.transformed.html'), transformed,'utf8');
-    fs.writeFileSync(indexPath, transformed,'utf8');
-  }
+function pageDiff(rel, steps){
+  const out=[`--- ${rel}`, `+++ ${rel} (transformed)`];
+  steps.forEach((st,i)=>{
+    if (!st.changes.length) return;
+    out.push(`@@ step ${i+1}: ${st.type} (${st.changed} change${st.changed===1?'':'s'}) @@`);
+    for (const c of st.changes){
+      if (c.before) out.push('- '+c.before.replace(/\s+/g,' '));
+      if (c.after) out.push('+ '+c.after.replace(/\s+/g,' '));
+    }
+  });
+  return out.join('\n');
+}
 
+/**
+ * Apply a recipe to every page of the run. actions: legacy { price, name, logo } or { steps };
+ * empty -> the run's transforms.json. options.preview: dry run (nothing written; results carry
+ * a per-page diff). Applying also saves the given actions as the run's recipe.
+ */
+function applyTransforms(runDir, actions, options={}){
+  const given = normalizeRecipe(actions);
+  const recipe = given.steps.length ? given : loadRecipe(runDir);
+  const preview = !!options.preview;
+  const pages = listPages(runDir);
+  if (!pages.length) throw new Error('No captured HTML pages in run: '+runDir);
+  if (!preview && given.steps.length) saveRecipe(runDir, given);
+
+  const totals = recipe.steps.map(st=>({ type:st.type, changed:0, pages:0 }));
+  const results = [];
+  const outputs = readOutputs(runDir);
+  let logoResult = { replaced:false };
+  for (const page of pages){
+    const file = path.join(runDir, page.rel);
+    let original, recaptured;
+    try { ({ html: original, recaptured } = readOriginal(runDir, page.rel, outputs)); } catch(e){ results.push({ ...page, error:e.message }); continue; }
+    const $ = cheerio.load(original, { decodeEntities:false });
+    const steps = [];
+    recipe.steps.forEach((step,i)=>{
+      const changes = [];
+      const r = stepMatches(step, page) ? runStep($, step, { runDir, page }, changes) : { changed:0 };
+      if (step.type==='logo' && r.replaced && !logoResult.replaced) logoResult = r;
+      steps.push({ type:step.type, changed:r.changed||0, changes });
+      if (r.changed){ totals[i].changed += r.changed; totals[i].pages++; }
+    });
+    const changed = steps.some(st=>st.changed);
+    const transformed = changed ? $.html() : original;
+    if (!preview){
+      const current = fs.readFileSync(file,'utf8');
+      if (changed) storeOriginal(runDir, page.rel, original, recaptured);
+      else if (recaptured){ // reset must not bring the stale original back
+        fs.rmSync(originalPath(runDir, page.rel), { force:true });
+        fs.rmSync(path.join(runDir, path.dirname(page.rel), 'index.original.html'), { force:true });
+      }
+      if (current !== transformed) fs.writeFileSync(file, transformed, 'utf8');
+      if (changed) outputs[page.rel] = sha256(transformed);
+      else delete outputs[page.rel];
+    }
+    if (changed) results.push({ ...page, steps: steps.map(({ type, changed }) => ({ type, changed })), diff: preview ? pageDiff(page.rel, steps) : undefined });
+  }
+  if (!preview){
+    fs.mkdirSync(path.join(runDir,'_transforms'), { recursive:true });
+    fs.writeFileSync(path.join(runDir, OUTPUTS_FILE), JSON.stringify(outputs, null, 2), 'utf8');
+    fs.writeFileSync(path.join(runDir,'_transforms','applied.json'), JSON.stringify({ appliedAt:new Date().toISOString(), recipe, totals, pages: results.map(({ diff, ...r }) => r) }, null, 2), 'utf8');
+  }
+  const sum = (type)=>totals.filter(t=>t.type===type).reduce((n,t)=>n+t.changed,0);
   return {
-    preview: !!options.preview,
-    price: priceResult,
-    name: nameResult,
-    logo: logoResult,
-    indexPath
+    preview,
+    recipe,
+    pages: pages.length,
+    changedPages: results.filter(r=>!r.error).length,
+    steps: totals,
+    results,
+    // totals in the shape of the former root-index-only result
+    price: { changed: sum('price') },
+    name: { changed: sum('name') },
+    logo: logoResult
   };
 }
 
 /* ---------- Reset ---------- */
+// Restore every page from its own original (and the legacy root index.original.html backup)
 function resetTransforms(runDir){
-  const { indexPath } = findRootIndex(runDir);
-  const dir=path.dirname(indexPath);
-  const original=path.join(dir,'index.original.html');
-  if (!fs.existsSync(original)) throw new Error('No index.original.html backup found.');
-  fs.copyFileSync(original, indexPath);
-  return { restored:true, indexPath };
+  const dir = path.join(runDir, ORIGINALS_DIR);
+  const restored = [];
+  const walk = (d)=>{
+    for (const ent of fs.existsSync(d) ? fs.readdirSync(d,{ withFileTypes:true }) : []){
+      const p = path.join(d, ent.name);
+      if (ent.isDirectory()) walk(p);
+      else if (ent.name==='index.html'){
+        const rel = path.relative(dir, p);
+        fs.copyFileSync(p, path.join(runDir, rel));
+        restored.push(rel.replace(/\\/g,'/'));
+      }
+    }
+  };
+  walk(dir);
+  try {
+    const { indexPath } = findRootIndex(runDir);
+    const legacy = path.join(path.dirname(indexPath),'index.original.html');
+    if (fs.existsSync(legacy) && !restored.includes(path.relative(runDir, indexPath).replace(/\\/g,'/'))){
+      fs.copyFileSync(legacy, indexPath);
+      restored.push(path.relative(runDir, indexPath).replace(/\\/g,'/'));
+    }
+  } catch {}
+  if (!restored.length) throw new Error('No transform originals found for this run.');
+  fs.rmSync(path.join(runDir,'_transforms'), { recursive:true, force:true });
+  return { restored: true, pages: restored.length, files: restored };
+}
+
+/* ---------- CLI ---------- */
+if (require.main === module){
+  const argv = process.argv.slice(2);
+  const runDir = argv.find(a=>!a.startsWith('--') && argv[argv.indexOf(a)-1] !== '--recipe');
+  const recipeIdx = argv.indexOf('--recipe');
+  try {
+    if (!runDir) throw new Error('Usage: node transform.cjs <runDir> [--dry-run] [--recipe recipe.json] [--reset]');
+    const dir = path.resolve(runDir);
+    if (argv.includes('--reset')){
+      const r = resetTransforms(dir);
+      console.log(`[TRANSFORM] restored ${r.pages} pages`);
+    } else {
+      const actions = recipeIdx > -1 ? JSON.parse(fs.readFileSync(argv[recipeIdx+1],'utf8')) : null;
+      const r = applyTransforms(dir, actions, { preview: argv.includes('--dry-run') });
+      if (r.preview) r.results.forEach(p=>console.log(p.diff || `${p.rel}: ${p.error}`));
+      r.steps.forEach((st,i)=>console.log(`[TRANSFORM] step ${i+1} ${st.type}: ${st.changed} changes on ${st.pages} pages`));
+      console.log(`[TRANSFORM] ${r.preview ? 'dry run: ' : ''}${r.changedPages}/${r.pages} pages changed`);
+    }
+  } catch(e){
+    console.error('[TRANSFORM_ERR]', e.message);
+    process.exit(1);
+  }
 }
 
 module.exports = {
   applyTransforms,
   resetTransforms,
-  findRootIndex
-};
\ No newline at end of file
+  findRootIndex,
+  logoAssetsDir,
+  loadRecipe,
+  saveRecipe,
+  normalizeRecipe,
+  listPages
+};
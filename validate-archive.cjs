@@ -2,6 +2,7 @@
 /**
  * Validates internal links & asset references inside the archive.
  * Reports missing targets (HTML directories or asset files).
+ * When manifest.json is present, also summarizes capture records by failure code.
  *
  * Usage:
  *   node validate-archive.cjs /var/www/outnet-archive > link-report.txt
@@ -12,6 +13,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { groupByCode } = require('./lib/capture-codes.cjs');
 
 const ROOT = process.argv[2];
 if (!ROOT) {
@@ -140,3 +142,16 @@ if (missingArr.length) {
 } else {
   console.log('No missing internal references detected.');
 }
+
+const manifestFile = path.join(ROOT, 'manifest.json');
+if (fs.existsSync(manifestFile)) {
+  let records = [];
+  try { records = JSON.parse(fs.readFileSync(manifestFile, 'utf8')); } catch (e) { console.error('Manifest read error', e.message); }
+  console.log('');
+  console.log('=== CAPTURE CODES ===');
+  console.log('Records:', Array.isArray(records) ? records.length : 0);
+  for (const g of groupByCode(Array.isArray(records) ? records : [], { maxUrls: 5 })) {
+    console.log(`- ${g.code}  (count=${g.count}) ${g.label}`);
+    if (g.code !== 'ok') for (const u of g.urls) console.log(`    ${u}`);
+  }
+}
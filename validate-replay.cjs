@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+/**
+ * Replay fidelity validator: boots server.cjs against a run, opens every archived page in
+ * headless Chromium with all non-localhost traffic blocked, and records what the offline
+ * copy could not serve:
+ * - failed requests and 404s from the server's catch-all (X-Archive-404)
+ * - requests that tried to leave localhost (the page is not truly offline)
+ * - JS console errors and uncaught exceptions
+ * - srcset candidates and CSS url() references that do not resolve
+ *
+ * Writes <run>/fidelity.json with a 0-100 score per page and a run-level summary.
+ *
+ * Usage:
+ *   node validate-replay.cjs <run-dir> [--limit N] [--profiles desktop,mobile] [--port N] [--timeout ms]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { chromium } = require('playwright');
+const { startArchiveServer } = require('./lib/replay-harness.cjs');
+
+const FIDELITY_FILE = 'fidelity.json';
+const MAX_LIST = 50;
+const MAX_REF_CHECKS = 200;
+
+function parseArgs(argv) {
+  const out = { root: '', limit: 0, profiles: null, port: 0, timeout: 30000 };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const val = () => argv[++i];
+    if (a === '--limit') out.limit = parseInt(val(), 10) || 0;
+    else if (a === '--profiles') out.profiles = String(val() || '').split(',').map(s => s.trim()).filter(Boolean);
+    else if (a === '--port') out.port = parseInt(val(), 10) || 0;
+    else if (a === '--timeout') out.timeout = parseInt(val(), 10) || out.timeout;
+    else if (!out.root) out.root = a;
+  }
+  return out;
+}
+
+const opts = parseArgs(process.argv.slice(2));
+if (!opts.root) {
+  console.error('Usage: node validate-replay.cjs <run-dir> [--limit N] [--profiles desktop,mobile] [--port N] [--timeout ms]');
+  process.exit(1);
+}
+const ROOT = path.resolve(opts.root);
+
+function loadProfiles() {
+  try { return JSON.parse(fs.readFileSync(path.join(__dirname, 'device-profiles.json'), 'utf8')); } catch { return {}; }
+}
+
+function pagesFromManifest() {
+  let records;
+  try { records = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8')); } catch (e) {
+    console.error('Manifest read error', e.message);
+    process.exit(1);
+  }
+  const seen = new Set();
+  const out = [];
+  for (const rec of Array.isArray(records) ? records : []) {
+    if (!rec || !rec.localPath || !String(rec.status || '').startsWith('ok')) continue;
+    if (opts.profiles && !opts.profiles.includes(rec.profile)) continue;
+    const lp = String(rec.localPath).replace(/^\/+|\/+$/g, '');
+    if (seen.has(lp) || !fs.existsSync(path.join(ROOT, lp, 'index.html'))) continue;
+    seen.add(lp);
+    out.push({ url: rec.url, profile: rec.profile || 'desktop', localPath: lp });
+    if (opts.limit && out.length >= opts.limit) break;
+  }
+  return out;
+}
+
+/**
+ * 100 = every request answered locally and no JS errors. Each problem costs its share of
+ * the page's resources; console errors cost 5 points each (max 50).
+ */
+function scorePage(p) {
+  const problems = p.failed.length + p.notFound.length + p.httpErrors.length + p.external.length + p.unresolved.length;
+  const base = 100 * (1 - problems / Math.max(1, p.requests + p.refsChecked));
+  return Math.max(0, Math.round(base - 5 * Math.min(10, p.consoleErrors.length)));
+}
+
+function push(list, item) { if (list.length < MAX_LIST) list.push(item); }
+
+// Collected in the page: srcset candidates and CSS url() targets, absolutized
+function collectRefs() {
+  const out = new Set();
+  const add = (u, base) => { try { if (u && !/^(?:data|blob|about):/i.test(u)) out.add(new URL(u, base || document.baseURI).href); } catch {} };
+  for (const el of document.querySelectorAll('img[srcset],source[srcset]')) {
+    for (const part of String(el.getAttribute('srcset') || '').split(',')) add(part.trim().split(/\s+/)[0]);
+  }
+  const urlRe = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+  const scanCss = (text, base) => { let m; urlRe.lastIndex = 0; while ((m = urlRe.exec(text))) add(m[2], base); };
+  const walk = (rules, base) => {
+    for (const r of rules || []) {
+      if (r.styleSheet) { try { walk(r.styleSheet.cssRules, r.styleSheet.href || base); } catch {} }
+      else if (r.cssRules) walk(r.cssRules, base);
+      else if (r.style && r.cssText.includes('url(')) scanCss(r.style.cssText, base);
+    }
+  };
+  for (const sheet of document.styleSheets) {
+    try { walk(sheet.cssRules, sheet.href || document.baseURI); } catch {}
+  }
+  for (const el of document.querySelectorAll('[style*="url("]')) scanCss(el.getAttribute('style'));
+  return [...out];
+}
+
+async function checkPage(browser, server, profiles, job) {
+  const prof = profiles[job.profile] || profiles.desktop || {};
+  const ctx = await browser.newContext({
+    viewport: prof.viewport,
+    userAgent: prof.userAgent,
+    deviceScaleFactor: prof.deviceScaleFactor || 1,
+    isMobile: !!prof.isMobile,
+    hasTouch: !!prof.hasTouch,
+    serviceWorkers: 'block'
+  });
+  const p = {
+    url: job.url, profile: job.profile, localPath: job.localPath,
+    requests: 0, refsChecked: 0,
+    failed: [], notFound: [], httpErrors: [], external: [], consoleErrors: [], unresolved: []
+  };
+  const statusByUrl = new Map();
+  const local = (u) => u.startsWith(server.origin + '/') || u === server.origin;
+  try {
+    // Cut the network: anything not served by the local server is recorded and aborted
+    await ctx.route('**/*', route => {
+      const u = route.request().url();
+      if (local(u)) return route.continue();
+      push(p.external, u);
+      return route.abort('internetdisconnected');
+    });
+    const page = await ctx.newPage();
+    page.on('request', () => { p.requests++; });
+    page.on('requestfailed', req => {
+      const u = req.url();
+      if (!local(u)) return; // already counted as external
+      const err = (req.failure() && req.failure().errorText) || 'failed';
+      if (/ERR_ABORTED/.test(err) && req.resourceType() === 'document') return;
+      push(p.failed, { url: u, error: err });
+    });
+    page.on('response', res => {
+      const u = res.url();
+      statusByUrl.set(u, res.status());
+      if (res.status() < 400) return;
+      if (res.headers()['x-archive-404']) push(p.notFound, u);
+      else push(p.httpErrors, { url: u, status: res.status() });
+    });
+    page.on('console', msg => { if (msg.type() === 'error') push(p.consoleErrors, msg.text().slice(0, 300)); });
+    page.on('pageerror', err => push(p.consoleErrors, 'uncaught: ' + String(err && err.message || err).slice(0, 300)));
+
+    const target = server.origin + '/' + job.localPath + '/';
+    const nav = await page.goto(target, { waitUntil: 'load', timeout: opts.timeout });
+    if (!nav || nav.status() >= 400) throw new Error('page status ' + (nav ? nav.status() : 'none'));
+    try { await page.waitForLoadState('networkidle', { timeout: 8000 }); } catch {}
+
+    const refs = await page.evaluate(collectRefs).catch(() => []);
+    for (const ref of refs.slice(0, MAX_REF_CHECKS)) {
+      p.refsChecked++;
+      if (!local(ref)) { push(p.unresolved, { url: ref, reason: 'external' }); continue; }
+      let st = statusByUrl.get(ref);
+      if (st == null) {
+        try { st = (await ctx.request.get(ref, { timeout: 10000, maxRedirects: 5 })).status(); } catch { st = 0; }
+      }
+      if (!st || st >= 400) push(p.unresolved, { url: ref, reason: st ? 'status ' + st : 'unreachable' });
+    }
+  } catch (e) {
+    p.error = String(e && e.message || e).split('\n')[0];
+  } finally {
+    try { await ctx.close(); } catch {}
+  }
+  p.score = p.error ? 0 : scorePage(p);
+  p.offline = !p.error && !p.external.length && !p.notFound.length && !p.failed.length && !p.unresolved.length;
+  return p;
+}
+
+function summarize(pages) {
+  const missing = new Map();
+  const bump = (u, kind) => {
+    const key = kind + ' ' + u;
+    missing.set(key, { url: u, kind, pages: ((missing.get(key) || {}).pages || 0) + 1 });
+  };
+  for (const p of pages) {
+    for (const u of new Set(p.notFound)) bump(u, 'notFound');
+    for (const u of new Set(p.external.map(x => { try { return new URL(x).origin; } catch { return x; } }))) bump(u, 'external');
+    for (const r of p.unresolved) bump(r.url, 'unresolved');
+    for (const r of p.failed) bump(r.url, 'failed');
+  }
+  const scores = pages.map(p => p.score);
+  return {
+    pages: pages.length,
+    offline: pages.filter(p => p.offline).length,
+    notOffline: pages.filter(p => !p.offline).length,
+    errors: pages.filter(p => p.error).length,
+    avgScore: scores.length ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : 0,
+    minScore: scores.length ? Math.min(...scores) : 0,
+    withConsoleErrors: pages.filter(p => p.consoleErrors.length).length,
+    topMissing: [...missing.values()].sort((a, b) => b.pages - a.pages).slice(0, 50)
+  };
+}
+
+async function main() {
+  const jobs = pagesFromManifest();
+  if (!jobs.length) { console.error('No archived pages found in', ROOT); process.exit(1); }
+  const server = await startArchiveServer(ROOT, { port: opts.port });
+  console.error(`Checking ${jobs.length} pages via ${server.origin}`);
+  const profiles = loadProfiles();
+  const pages = [];
+  let browser;
+  try {
+    browser = await chromium.launch({ headless: true });
+    for (const job of jobs) {
+      const p = await checkPage(browser, server, profiles, job);
+      pages.push(p);
+      console.log(`[FIDELITY] score=${p.score} ${p.offline ? 'offline' : 'NOT-OFFLINE'} [${p.profile}] ${p.url}` +
+        ` 404=${p.notFound.length} failed=${p.failed.length} external=${p.external.length} console=${p.consoleErrors.length} unresolved=${p.unresolved.length}` +
+        (p.error ? ' error=' + p.error : ''));
+    }
+  } finally {
+    try { if (browser) await browser.close(); } catch {}
+    await server.stop();
+  }
+
+  const summary = summarize(pages);
+  const report = { generatedAt: new Date().toISOString(), root: ROOT, summary, pages: pages.sort((a, b) => a.score - b.score) };
+  fs.writeFileSync(path.join(ROOT, FIDELITY_FILE), JSON.stringify(report, null, 2), 'utf8');
+
+  console.log('=== REPLAY FIDELITY ===');
+  console.log('Root:', ROOT);
+  console.log('Pages checked:', summary.pages);
+  console.log('Fully offline:', summary.offline, ' Not offline:', summary.notOffline, ' Errors:', summary.errors);
+  console.log('Score avg/min:', summary.avgScore + '/' + summary.minScore);
+  if (summary.topMissing.length) {
+    console.log('Top missing (kind, pages):');
+    for (const m of summary.topMissing.slice(0, 20)) console.log(`- ${m.kind} ${m.url}  (pages=${m.pages})`);
+  }
+  console.log('Report:', path.join(ROOT, FIDELITY_FILE));
+}
+
+main().catch(e => { console.error('[FIDELITY_ERR]', e && e.stack || e); process.exit(1); });